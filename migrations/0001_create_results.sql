@@ -0,0 +1,9 @@
+-- 测速结果历史表
+CREATE TABLE IF NOT EXISTS results (
+  id TEXT PRIMARY KEY,
+  created_at INTEGER NOT NULL,
+  ip TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_results_ip_created ON results (ip, created_at DESC);
@@ -0,0 +1,63 @@
+/**
+ * 更新 src/data/colos.json
+ * 用 speed.cloudflare.com/locations 的最新节点列表合并到数据中心目录，保留已有的中文名称
+ *
+ * 用法：
+ *   curl -o locations.json https://speed.cloudflare.com/locations
+ *   node scripts/build-colos.mjs locations.json [--out src/data/colos.json]
+ *
+ * 新增节点暂用英文城市名作为中文名称，脚本会列出这些节点，请手动补充翻译
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+const args = process.argv.slice(2);
+const input = args.find((arg, i) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--'));
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+if (!input) {
+  console.error('用法: node scripts/build-colos.mjs <locations.json> [--out 路径]');
+  process.exit(1);
+}
+
+const out = option('out') || 'src/data/colos.json';
+
+/** @type {Array<{ iata: string, city: string, cca2: string, region: string, lat: number, lon: number }>} */
+const locations = JSON.parse(await readFile(input, 'utf8'));
+/** @type {Array<{ iata: string, city: string, cityZh: string, cca2: string, region: string, lat: number, lon: number }>} */
+const current = JSON.parse(await readFile(out, 'utf8').catch(() => '[]'));
+
+const byCode = new Map(current.map((entry) => [entry.iata, entry]));
+const untranslated = [];
+
+for (const location of locations) {
+  const iata = String(location.iata || '').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(iata)) continue;
+
+  const existing = byCode.get(iata);
+  const cityZh = existing?.cityZh && existing.cityZh !== existing.city ? existing.cityZh : '';
+  if (!cityZh) untranslated.push(iata);
+
+  byCode.set(iata, {
+    iata,
+    city: location.city,
+    cityZh: cityZh || location.city,
+    cca2: String(location.cca2).toUpperCase(),
+    region: location.region,
+    lat: Math.round(location.lat * 100) / 100,
+    lon: Math.round(location.lon * 100) / 100,
+  });
+}
+
+// 每行一个节点，便于审阅 diff
+const entries = [...byCode.values()].sort((a, b) => a.iata.localeCompare(b.iata));
+const body = entries.map((entry) => `  ${JSON.stringify(entry)}`).join(',\n');
+await writeFile(out, `[\n${body}\n]\n`);
+
+console.log(`已写入 ${out}：${entries.length} 个节点`);
+if (untranslated.length) {
+  console.log(`以下 ${untranslated.length} 个节点缺少中文名称：${untranslated.join(' ')}`);
+}
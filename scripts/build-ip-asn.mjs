@@ -0,0 +1,293 @@
+/**
+ * 生成 IP-ASN 数据集
+ * 支持两种数据源：
+ *   - iptoasn.com 的 ip2asn-combined.tsv(.gz)，自带 ASN 所属国家
+ *   - ip-location-db 的 asn-ipv4.csv / asn-ipv6.csv（npm 包 @ip-location-db/asn），
+ *     国家可用 --country-csv 指定 @ip-location-db/asn-country 中的 CSV 补全
+ *
+ * 用法：
+ *   curl -LO https://iptoasn.com/data/ip2asn-combined.tsv.gz
+ *   node scripts/build-ip-asn.mjs ip2asn-combined.tsv.gz [--countries CN,HK,TW] [--out src/data/ip-asn.json]
+ *
+ *   npm pack @ip-location-db/asn @ip-location-db/asn-country   # 解压得到 CSV
+ *   node scripts/build-ip-asn.mjs asn-ipv4.csv asn-ipv6.csv \
+ *     --country-csv asn-country-ipv4.csv,asn-country-ipv6.csv [--shards build/ip-asn]
+ *
+ * 全量数据约 50 万条区间，超出 Worker 体积限制，不适合整体打包：
+ *   --countries  只保留位于这些国家/地区的区间，输出打包用的 src/data/ip-asn.json
+ *   --asns       额外保留这些 ASN 的全部区间（如公共 DNS），与 --countries 搭配使用
+ *   --shards     按地址前缀拆分为 KV 分片，输出 wrangler kv bulk put 可直接导入的 JSON，
+ *                IPv4 按第一段（v4:<0-255>），IPv6 按第一组（v6:<0000-ffff>）
+ */
+
+import { createReadStream } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { createGunzip } from 'node:zlib';
+
+/** 单个 bulk 文件最多包含的分片数（wrangler kv bulk put 每次最多 10000 个键） */
+const SHARDS_PER_FILE = 10000;
+
+const args = process.argv.slice(2);
+const inputs = args.filter((arg, i) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--'));
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+const list = (value) =>
+  value
+    ?.split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+if (inputs.length === 0) {
+  console.error(
+    '用法: node scripts/build-ip-asn.mjs <ip2asn-combined.tsv[.gz] | asn-ipv4.csv asn-ipv6.csv> ' +
+      '[--country-csv a.csv,b.csv] [--countries CN,HK] [--asns 13335,15169] [--out 路径] [--shards 目录]'
+  );
+  process.exit(1);
+}
+
+const out = option('out') || 'src/data/ip-asn.json';
+const shardDir = option('shards');
+const countries = list(option('countries'))?.map((code) => code.toUpperCase());
+const keepAsns = list(option('asns'))?.map(Number);
+const countryFiles = list(option('country-csv')) || [];
+
+/**
+ * 将地址转换为 BigInt，用于判断区间是否相邻
+ * @param {string} ip
+ * @returns {bigint}
+ */
+function toBigInt(ip) {
+  if (!ip.includes(':')) {
+    return ip.split('.').reduce((acc, octet) => acc * 256n + BigInt(octet), 0n);
+  }
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = ip.includes('::')
+    ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(`0x${group}`), 0n);
+}
+
+/**
+ * 将 BigInt 转回地址文本，IPv6 将最长的连续零组压缩为 ::
+ * @param {bigint} value
+ * @param {boolean} v6
+ * @returns {string}
+ */
+function fromBigInt(value, v6) {
+  if (!v6) return [24n, 16n, 8n, 0n].map((shift) => String((value >> shift) & 255n)).join('.');
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) groups.push(((value >> shift) & 0xffffn).toString(16));
+  const text = groups.join(':');
+  const zeros = text.match(/(^|:)0(:0)+(:|$)/g);
+  if (!zeros) return text;
+  const longest = zeros.reduce((a, b) => (b.length > a.length ? b : a));
+  return text.replace(longest, '::');
+}
+
+/**
+ * 拆分一行 CSV，支持双引号包裹和 "" 转义
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsv(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else field += char;
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * 逐行读取文本文件，.gz 自动解压
+ * @param {string} path
+ */
+function readLines(path) {
+  let stream = createReadStream(path);
+  if (path.endsWith('.gz')) stream = stream.pipe(createGunzip());
+  return createInterface({ input: stream, crlfDelay: Infinity });
+}
+
+// 1. 国家区间（仅 CSV 数据源需要）：[起始, 结束, 国家]，按起始地址升序
+const countryRanges = { v4: [], v6: [] };
+for (const file of countryFiles) {
+  for await (const line of readLines(file)) {
+    const [start, end, country] = splitCsv(line);
+    if (!start || !end || !country) continue;
+    countryRanges[start.includes(':') ? 'v6' : 'v4'].push([toBigInt(start), toBigInt(end), country]);
+  }
+}
+for (const ranges of Object.values(countryRanges)) ranges.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+/**
+ * 查询地址所在的国家
+ * @param {bigint} value
+ * @param {boolean} v6
+ * @returns {string}
+ */
+function countryOf(value, v6) {
+  const ranges = countryRanges[v6 ? 'v6' : 'v4'];
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >>> 1;
+    if (value < ranges[mid][0]) high = mid - 1;
+    else if (value > ranges[mid][1]) low = mid + 1;
+    else return ranges[mid][2];
+  }
+  return '';
+}
+
+// 2. 读取 ASN 区间：[起始, 结束, ASN, 区间所在国家]
+const asns = {};
+const asnCountries = {};
+const rows = { v4: [], v6: [] };
+
+for (const input of inputs) {
+  const csv = /\.csv(\.gz)?$/.test(input);
+  for await (const line of readLines(input)) {
+    let start, end, asnText, country, description;
+    if (csv) {
+      [start, end, asnText, description] = splitCsv(line);
+    } else {
+      [start, end, asnText, country, description] = line.split('\t');
+    }
+    const asn = Number(asnText);
+    // AS0 表示未宣告的地址段
+    if (!asn || !start || !end) continue;
+
+    const v6 = start.includes(':');
+    const startValue = toBigInt(start);
+    // CSV 数据源不含国家，按区间起始地址查询
+    const code = (csv ? countryOf(startValue, v6) : country === 'None' ? '' : country) || '';
+    asns[asn] ??= ['', description || ''];
+    asnCountries[asn] ??= {};
+    asnCountries[asn][code] = (asnCountries[asn][code] || 0) + 1;
+    rows[v6 ? 'v6' : 'v4'].push([startValue, toBigInt(end), asn, code]);
+  }
+}
+
+// ASN 的国家取其区间最多的国家
+for (const [asn, counts] of Object.entries(asnCountries)) {
+  asns[asn][0] = Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+}
+
+/**
+ * 过滤国家、排序并合并同一 ASN 的相邻区间
+ * @param {Array<[bigint, bigint, number, string]>} ranges
+ * @returns {Array<[bigint, bigint, number]>}
+ */
+function normalize(ranges) {
+  const merged = [];
+  ranges.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  for (const [start, end, asn, country] of ranges) {
+    if (countries && !countries.includes(country) && !keepAsns?.includes(asn)) continue;
+    const last = merged[merged.length - 1];
+    if (last && last[2] === asn && last[1] + 1n === start) {
+      last[1] = end;
+      continue;
+    }
+    merged.push([start, end, asn]);
+  }
+  return merged;
+}
+
+const v4 = normalize(rows.v4);
+const v6 = normalize(rows.v6);
+
+const filters = countries ? [...countries, ...(keepAsns || []).map((asn) => `AS${asn}`)] : [];
+const source =
+  (inputs.some((input) => /\.csv(\.gz)?$/.test(input))
+    ? 'https://github.com/sapics/ip-location-db (RouteViews, DB-IP, CC BY 4.0)'
+    : 'https://iptoasn.com/') + (filters.length ? ` (${filters.join(',')})` : '');
+const updatedAt = new Date().toISOString().slice(0, 10);
+
+/**
+ * 组装数据集，只保留区间用到的 ASN
+ */
+function buildDataset(v4Ranges, v6Ranges) {
+  const used = {};
+  const text = (ranges, isV6) =>
+    ranges.map(([start, end, asn]) => {
+      used[asn] = asns[asn];
+      return [fromBigInt(start, isV6), fromBigInt(end, isV6), asn];
+    });
+  const dataset = { source, updatedAt, asns: used, v4: text(v4Ranges, false), v6: text(v6Ranges, true) };
+  return dataset;
+}
+
+/**
+ * 格式化为每行一个 ASN / 区间的 JSON，便于在版本库中比较差异
+ * @param {ReturnType<typeof buildDataset>} dataset
+ * @returns {string}
+ */
+function formatDataset(dataset) {
+  const block = (lines) => (lines.length ? `\n    ${lines.join(',\n    ')}\n  ` : '');
+  const asnLines = Object.entries(dataset.asns).map(([asn, info]) => `${JSON.stringify(asn)}: ${JSON.stringify(info)}`);
+  return [
+    '{',
+    `  "source": ${JSON.stringify(dataset.source)},`,
+    `  "updatedAt": ${JSON.stringify(dataset.updatedAt)},`,
+    `  "asns": {${block(asnLines)}},`,
+    `  "v4": [${block(dataset.v4.map((row) => JSON.stringify(row)))}],`,
+    `  "v6": [${block(dataset.v6.map((row) => JSON.stringify(row)))}]`,
+    '}',
+    '',
+  ].join('\n');
+}
+
+if (!shardDir) {
+  await writeFile(out, formatDataset(buildDataset(v4, v6)));
+  console.log(`已写入 ${out}：${v4.length} 条 IPv4 区间，${v6.length} 条 IPv6 区间`);
+} else {
+  // 3. 按前缀拆分：跨越多个前缀的区间在每个分片中各保留一段
+  const shards = new Map();
+  const addToShards = (ranges, isV6) => {
+    const bits = isV6 ? 112n : 24n;
+    const width = 1n << bits;
+    for (const [start, end, asn] of ranges) {
+      for (let prefix = start >> bits; prefix <= end >> bits; prefix++) {
+        const key = isV6 ? `v6:${prefix.toString(16).padStart(4, '0')}` : `v4:${prefix}`;
+        const low = start > prefix * width ? start : prefix * width;
+        const high = end < (prefix + 1n) * width - 1n ? end : (prefix + 1n) * width - 1n;
+        if (!shards.has(key)) shards.set(key, { v4: [], v6: [] });
+        shards.get(key)[isV6 ? 'v6' : 'v4'].push([low, high, asn]);
+      }
+    }
+  };
+  addToShards(v4, false);
+  addToShards(v6, true);
+
+  await mkdir(shardDir, { recursive: true });
+  const entries = [...shards].map(([key, shard]) => ({
+    key,
+    value: JSON.stringify(buildDataset(shard.v4, shard.v6)),
+  }));
+  const files = [];
+  for (let i = 0; i < entries.length; i += SHARDS_PER_FILE) {
+    const file = join(shardDir, `bulk-${files.length + 1}.json`);
+    await writeFile(file, JSON.stringify(entries.slice(i, i + SHARDS_PER_FILE)));
+    files.push(file);
+  }
+  console.log(`已写入 ${entries.length} 个分片（${v4.length} 条 IPv4 区间，${v6.length} 条 IPv6 区间）：`);
+  for (const file of files) console.log(`  npx wrangler kv bulk put --binding IP_ASN ${file}`);
+}
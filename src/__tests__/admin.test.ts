@@ -0,0 +1,285 @@
+/**
+ * 管理接口与运行时字典测试
+ * 测试 /api/admin/* 的鉴权、校验，以及 CONFIG KV 覆盖打包数据
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import app from '../app';
+import type { IPInfo } from '../../types/env';
+import { createFakeKV } from './helpers/kv';
+
+const TOKEN = 'test-admin-token';
+
+function adminRequest(path: string, env: object, method = 'GET', body?: unknown, token = TOKEN) {
+  return app.request(
+    path,
+    {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    },
+    env
+  );
+}
+
+function ipRequest(cf: object, env: object) {
+  const req = new Request('http://localhost/api/ip');
+  Object.defineProperty(req, 'cf', { value: cf });
+  return app.request(req, undefined, env);
+}
+
+const validRules = {
+  default: { color: '#555555', bg: 'rgba(85, 85, 85, 0.1)' },
+  rules: [{ name: '测试宽带', color: '#123456', bg: 'rgba(1, 2, 3, 0.1)', asns: [64500], patterns: ['example'] }],
+};
+
+describe('管理接口', () => {
+  describe('鉴权', () => {
+    it('未配置 ADMIN_TOKEN 时应返回 503', async () => {
+      const { kv } = createFakeKV();
+      const res = await adminRequest('/api/admin/colos', { CONFIG: kv });
+
+      expect(res.status).toBe(503);
+    });
+
+    it('令牌缺失或错误时应返回 401', async () => {
+      const { kv } = createFakeKV();
+      const env = { CONFIG: kv, ADMIN_TOKEN: TOKEN };
+
+      const missing = await app.request('/api/admin/colos', {}, env);
+      expect(missing.status).toBe(401);
+      expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+
+      const wrong = await adminRequest('/api/admin/colos', env, 'GET', undefined, 'nope');
+      expect(wrong.status).toBe(401);
+    });
+
+    it('未绑定 CONFIG 时应返回 503', async () => {
+      const res = await adminRequest('/api/admin/colos', { ADMIN_TOKEN: TOKEN });
+
+      expect(res.status).toBe(503);
+    });
+  });
+
+  describe('节点映射', () => {
+    it('PUT 后应立即覆盖节点翻译，未覆盖的节点仍用打包数据', async () => {
+      const { kv, store } = createFakeKV();
+      const env = { CONFIG: kv, ADMIN_TOKEN: TOKEN };
+
+      const put = await adminRequest('/api/admin/colos', env, 'PUT', { xyz: { name: '测试城', iso: 'cn' } });
+      expect(put.status).toBe(200);
+      expect(JSON.parse(store.get('colos')!)).toEqual({ XYZ: { name: '测试城', iso: 'cn' } });
+
+      const custom = await (await ipRequest({ colo: 'XYZ' }, env)).json<IPInfo>();
+      expect(custom.node).toEqual({ code: 'XYZ', name: '测试城', iso: 'cn' });
+
+      const bundled = await (await ipRequest({ colo: 'NRT' }, env)).json<IPInfo>();
+      expect(bundled.node.name).toBe('东京');
+
+      const get = await adminRequest('/api/admin/colos', env);
+      expect(await get.json()).toEqual({ XYZ: { name: '测试城', iso: 'cn' } });
+    });
+
+    it('应拒绝无效的节点映射', async () => {
+      const { kv, store } = createFakeKV();
+      const env = { CONFIG: kv, ADMIN_TOKEN: TOKEN };
+      const invalid = [
+        [],
+        { TOOLONG: { name: 'x', iso: null } },
+        { ABC: { name: '<script>', iso: null } },
+        { ABC: { name: 'x', iso: 'CHN' } },
+      ];
+
+      for (const body of invalid) {
+        const res = await adminRequest('/api/admin/colos', env, 'PUT', body);
+        expect(res.status).toBe(400);
+      }
+      expect(store.size).toBe(0);
+    });
+
+    it('校验错误应按请求语言返回', async () => {
+      const env = { CONFIG: createFakeKV().kv, ADMIN_TOKEN: TOKEN };
+
+      const zh = await adminRequest('/api/admin/colos', env, 'PUT', []);
+      expect(await zh.json()).toEqual({ error: '节点映射必须是对象' });
+      const en = await adminRequest('/api/admin/colos?lang=en', env, 'PUT', { ABC: { name: 'x', iso: 'CHN' } });
+      expect(await en.json()).toEqual({ error: 'ABC.iso must be a two-letter lowercase country code or null' });
+      const rules = await adminRequest('/api/admin/isp-rules?lang=en', env, 'PUT', { ...validRules, rules: ['x'] });
+      expect(await rules.json()).toEqual({ error: 'rules[0]: Rule must be an object' });
+    });
+
+    it('应拒绝无效的 JSON', async () => {
+      const { kv } = createFakeKV();
+      const res = await app.request(
+        '/api/admin/colos',
+        { method: 'PUT', headers: { Authorization: `Bearer ${TOKEN}` }, body: '{' },
+        { CONFIG: kv, ADMIN_TOKEN: TOKEN }
+      );
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('运营商规则', () => {
+    it('GET 在未覆盖时应返回打包的规则表', async () => {
+      const { kv } = createFakeKV();
+      const res = await adminRequest('/api/admin/isp-rules', { CONFIG: kv, ADMIN_TOKEN: TOKEN });
+
+      const data = await res.json<{ rules: Array<{ name: string }> }>();
+      expect(data.rules.some((rule) => rule.name === '中国电信')).toBe(true);
+    });
+
+    it('PUT 后应立即生效，DELETE 后恢复打包规则', async () => {
+      const { kv, store } = createFakeKV();
+      const env = { CONFIG: kv, ADMIN_TOKEN: TOKEN };
+
+      const put = await adminRequest('/api/admin/isp-rules', env, 'PUT', validRules);
+      expect(put.status).toBe(200);
+      expect(store.has('isp-rules')).toBe(true);
+
+      const custom = await (await ipRequest({ asn: 64500, asOrganization: 'Example' }, env)).json<IPInfo>();
+      expect(custom.isp.name).toBe('测试宽带');
+
+      const del = await adminRequest('/api/admin/isp-rules', env, 'DELETE');
+      expect(del.status).toBe(200);
+      expect(store.has('isp-rules')).toBe(false);
+
+      const restored = await (await ipRequest({ asn: 4134, asOrganization: 'Chinanet' }, env)).json<IPInfo>();
+      expect(restored.isp.name).toBe('中国电信');
+    });
+
+    it('应拒绝无效的规则表', async () => {
+      const { kv, store } = createFakeKV();
+      const env = { CONFIG: kv, ADMIN_TOKEN: TOKEN };
+      const rule = validRules.rules[0];
+      const invalid = [
+        { ...validRules, rules: [] },
+        { ...validRules, default: { color: 'red', bg: 'none' } },
+        { ...validRules, rules: [{ ...rule, color: 'red;}body{' }] },
+        { ...validRules, rules: [{ ...rule, bg: 'url(x)' }] },
+        { ...validRules, rules: [{ ...rule, patterns: ['('] }] },
+        { ...validRules, rules: [{ ...rule, asns: [-1] }] },
+        { ...validRules, rules: [{ ...rule, countries: ['cn'] }] },
+        { ...validRules, rules: [{ name: 'x', color: '#000000', bg: '#000000' }] },
+      ];
+
+      for (const body of invalid) {
+        const res = await adminRequest('/api/admin/isp-rules', env, 'PUT', body);
+        expect(res.status, JSON.stringify(body)).toBe(400);
+      }
+      expect(store.size).toBe(0);
+    });
+  });
+
+  describe('延迟监测目标', () => {
+    const targets = [{ id: 'team-api', name: '团队接口', url: 'https://api.example.com/health', icon: 'fa-solid fa-server' }];
+
+    it('PUT 后应立即生效，DELETE 后恢复打包列表', async () => {
+      const fake = createFakeKV();
+      const env = { CONFIG: fake.kv, ADMIN_TOKEN: TOKEN };
+
+      const put = await adminRequest('/api/admin/ping-targets', env, 'PUT', targets);
+      expect(put.status).toBe(200);
+      expect(fake.store.get('ping-targets')).toBe(JSON.stringify(targets));
+
+      const served = await (await app.request('/api/ping/targets', {}, env)).json();
+      expect(served).toEqual({ targets, source: 'kv' });
+
+      const reset = await adminRequest('/api/admin/ping-targets', env, 'DELETE');
+      expect((await reset.json<Array<{ id: string }>>())[0].id).toBe('blog');
+      expect(fake.store.has('ping-targets')).toBe(false);
+      expect((await (await app.request('/api/ping/targets', {}, env)).json<{ source: string }>()).source).toBe('default');
+    });
+
+    it('应拒绝无效的目标列表', async () => {
+      const { kv } = createFakeKV();
+      const env = { CONFIG: kv, ADMIN_TOKEN: TOKEN };
+      const target = targets[0];
+
+      for (const body of [
+        [],
+        {},
+        [{ ...target, id: 'Team API' }],
+        [{ ...target, id: 'self' }],
+        [target, target],
+        [{ ...target, name: '<b>' }],
+        [{ ...target, url: 'http://api.example.com/' }],
+        [{ ...target, url: 'javascript:alert(1)' }],
+        [{ ...target, url: 'https://api.example.com/"onerror' }],
+        [{ ...target, icon: 'fa-solid fa-x" onclick="' }],
+        [{ ...target, color: 'red' }],
+        [{ ...target, probe: 'no' }],
+        Array.from({ length: 13 }, (_, i) => ({ ...target, id: `t${i}` })),
+      ]) {
+        const res = await adminRequest('/api/admin/ping-targets', env, 'PUT', body);
+        expect(res.status).toBe(400);
+      }
+    });
+  });
+
+  describe('从 KV 加载', () => {
+    it('应读取 KV 中已有的字典，并在有效期内复用', async () => {
+      const fake = createFakeKV({
+        colos: JSON.stringify({ QQQ: { name: '预置城', iso: null } }),
+        'isp-rules': JSON.stringify(validRules),
+      });
+      const env = { CONFIG: fake.kv };
+
+      const first = await (await ipRequest({ colo: 'QQQ', asn: 64500 }, env)).json<IPInfo>();
+      expect(first.node.name).toBe('预置城');
+      expect(first.isp.name).toBe('测试宽带');
+
+      const readsAfterFirst = fake.reads;
+      await ipRequest({ colo: 'QQQ' }, env);
+      expect(fake.reads).toBe(readsAfterFirst);
+    });
+
+    it('过期后并发请求不应等待同一次读取', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      try {
+        const fake = createFakeKV({ colos: JSON.stringify({ QQQ: { name: '预置城', iso: null } }) });
+        const env = { CONFIG: fake.kv };
+        await ipRequest({ colo: 'QQQ' }, env);
+
+        vi.setSystemTime(Date.now() + 61_000);
+        const readsBefore = fake.reads;
+        const results = await Promise.all([ipRequest({ colo: 'QQQ' }, env), ipRequest({ colo: 'QQQ' }, env)]);
+
+        expect(results.map((res) => res.status)).toEqual([200, 200]);
+        // 只有先到的请求重新读取，另一个继续使用当前字典
+        expect(fake.reads - readsBefore).toBe(3);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('字典应只在读取它的路由上刷新', async () => {
+      const routes = ['/api/ip', '/api/ip/isp', '/api/colos', '/api/colos/HKG', '/api/ping/targets', '/api/lookup/1.1.1.1'];
+      for (const path of routes) {
+        const fake = createFakeKV();
+        await app.request(path, undefined, { CONFIG: fake.kv });
+        expect(fake.reads, path).toBe(3);
+      }
+
+      for (const path of ['/api/ping', '/api/speed/download?bytes=1000']) {
+        const fake = createFakeKV();
+        await app.request(path, undefined, { CONFIG: fake.kv });
+        expect(fake.reads, path).toBe(0);
+      }
+    });
+
+    it('KV 中的数据无效时应回退到打包数据', async () => {
+      const { kv } = createFakeKV({ 'isp-rules': JSON.stringify({ rules: 'broken' }) });
+
+      const data = await (await ipRequest({ asn: 4134 }, { CONFIG: kv })).json<IPInfo>();
+      expect(data.isp.name).toBe('中国电信');
+    });
+
+    it('未绑定 CONFIG 时应使用打包数据', async () => {
+      const data = await (await ipRequest({ colo: 'QQQ', asn: 64500 }, {})).json<IPInfo>();
+
+      expect(data.node.name).toBe('QQQ');
+      expect(data.isp.name).not.toBe('测试宽带');
+    });
+  });
+});
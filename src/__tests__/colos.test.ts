@@ -0,0 +1,106 @@
+/**
+ * 数据中心目录测试
+ * 测试 /api/colos 接口、目录数据完整性与距离计算
+ */
+
+import { describe, it, expect } from 'vitest';
+import app from '../app';
+import type { ColoDetail } from '../../types/env';
+import { translateColo } from '../services/colo';
+import { distanceKm } from '../utils/geo';
+import catalog from '../data/colos.json';
+
+describe('数据中心目录', () => {
+  describe('GET /api/colos', () => {
+    it('应返回按代码排序的完整目录', async () => {
+      const res = await app.request('/api/colos');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('cache-control')).toContain('max-age=');
+      const data = await res.json<ColoDetail[]>();
+      expect(data.length).toBe(catalog.length);
+      expect(data.map((colo) => colo.code)).toEqual(data.map((colo) => colo.code).sort());
+      expect(data.find((colo) => colo.code === 'NRT')).toEqual({
+        code: 'NRT',
+        name: '东京',
+        nameEn: 'Tokyo',
+        iso: 'jp',
+        country: 'JP',
+        region: 'Asia Pacific',
+        lat: 35.68,
+        lon: 139.69,
+      });
+    });
+
+    it('应支持按国家和区域过滤', async () => {
+      const byCountry = await (await app.request('/api/colos?country=jp')).json<ColoDetail[]>();
+      expect(byCountry.length).toBeGreaterThan(0);
+      expect(byCountry.every((colo) => colo.country === 'JP')).toBe(true);
+
+      const byRegion = await (await app.request('/api/colos?region=europe')).json<ColoDetail[]>();
+      expect(byRegion.some((colo) => colo.code === 'FRA')).toBe(true);
+      expect(byRegion.every((colo) => colo.region === 'Europe')).toBe(true);
+    });
+  });
+
+  describe('GET /api/colos/:code', () => {
+    it('应返回单个数据中心（不区分大小写）', async () => {
+      const res = await app.request('/api/colos/fra');
+
+      expect(res.status).toBe(200);
+      const data = await res.json<ColoDetail>();
+      expect(data).toMatchObject({ code: 'FRA', name: '法兰克福', nameEn: 'Frankfurt', country: 'DE' });
+    });
+
+    it('未知代码应返回 404，格式错误应返回 400', async () => {
+      expect((await app.request('/api/colos/QQQ')).status).toBe(404);
+      expect((await app.request('/api/colos/TOOLONG')).status).toBe(400);
+    });
+  });
+
+  describe('目录数据', () => {
+    it('代码唯一，字段格式正确', () => {
+      const codes = new Set<string>();
+      for (const entry of catalog) {
+        expect(codes.has(entry.iata), entry.iata).toBe(false);
+        codes.add(entry.iata);
+        expect(entry.iata).toMatch(/^[A-Z]{3}$/);
+        expect(entry.cca2, entry.iata).toMatch(/^[A-Z]{2}$/);
+        expect(entry.cityZh, entry.iata).not.toBe('');
+        expect(Math.abs(entry.lat), entry.iata).toBeLessThanOrEqual(90);
+        expect(Math.abs(entry.lon), entry.iata).toBeLessThanOrEqual(180);
+      }
+    });
+
+    it('translateColo 应使用目录，未知节点回退为代码', () => {
+      expect(translateColo('ord')).toEqual({ name: '芝加哥', iso: 'us' });
+      expect(translateColo('CTU')).toEqual({ name: '成都', iso: 'cn' });
+      expect(translateColo('QQQ')).toEqual({ name: 'QQQ', iso: null });
+    });
+  });
+
+  describe('距离计算', () => {
+    it('应计算两点间的大圆距离', () => {
+      expect(distanceKm(0, 0, 0, 0)).toBe(0);
+      // 香港 → 东京约 2900 公里
+      expect(distanceKm(22.32, 114.17, 35.68, 139.69)).toBeGreaterThan(2850);
+      expect(distanceKm(22.32, 114.17, 35.68, 139.69)).toBeLessThan(2950);
+    });
+
+    it('首页应显示用户到节点的距离', async () => {
+      const req = new Request('http://localhost/', { headers: { 'User-Agent': 'Mozilla/5.0' } });
+      Object.defineProperty(req, 'cf', { value: { colo: 'HKG', latitude: '22.54', longitude: '114.06' } });
+
+      const html = await (await app.request(req)).text();
+      expect(html).toMatch(/节点距离<\/span> <span class="value">约 \d+ km/);
+    });
+
+    it('缺少坐标时不显示距离', async () => {
+      const req = new Request('http://localhost/', { headers: { 'User-Agent': 'Mozilla/5.0' } });
+      Object.defineProperty(req, 'cf', { value: { colo: 'HKG' } });
+
+      const html = await (await app.request(req)).text();
+      expect(html).not.toContain('<span class="label">节点距离</span>');
+    });
+  });
+});
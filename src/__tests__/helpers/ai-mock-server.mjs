@@ -0,0 +1,105 @@
+/**
+ * 测试辅助：本地 AI 模拟服务（vitest globalSetup）
+ * 以 OpenAI 兼容的 SSE 格式输出，并提供 Turnstile siteverify 替身，地址通过 inject('aiMockUrl') 获取
+ *
+ * 路由：
+ *   POST /ok/chat/completions     正常流式输出「你好，世界」，夹带无法解析的数据块，最后附带 usage
+ *   POST /split/chat/completions  把一个数据块拆成多次写入，验证跨块缓冲
+ *   POST /broken/chat/completions 输出一个数据块后断开连接
+ *   POST /truncated/chat/completions 输出一个数据块后正常结束响应，但没有 finish_reason 和 [DONE]
+ *   POST /finish/chat/completions 以带 finish_reason 的数据块结束，不发送 [DONE]
+ *   POST /error/chat/completions  输出一个数据块后在流中返回 {"error": ...}
+ *   POST /fail/chat/completions   返回 500
+ *   POST /turnstile/siteverify    令牌为 pass 时校验通过，为 down 时返回 503
+ *   GET  /requests                已收到的请求（路径、Authorization、请求体）
+ */
+
+import { createServer } from 'node:http';
+
+const SSE_HEADERS = { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' };
+
+/**
+ * 生成一条 OpenAI 兼容的 SSE 数据块
+ * @param {string} content - 文本增量
+ */
+function chunk(content) {
+  return `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`;
+}
+
+export default async function setup(project) {
+  const requests = [];
+
+  const server = createServer(async (req, res) => {
+    if (req.method === 'GET' && req.url === '/requests') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(requests));
+      return;
+    }
+
+    let body = '';
+    for await (const part of req) body += part;
+    if (req.url === '/turnstile/siteverify') {
+      const form = new URLSearchParams(body);
+      const token = form.get('response');
+      res.writeHead(token === 'down' ? 503 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: token === 'pass', 'error-codes': token === 'pass' ? [] : ['invalid-input-response'] }));
+      return;
+    }
+
+    requests.push({ path: req.url, authorization: req.headers.authorization || null, body: JSON.parse(body || 'null') });
+
+    switch (req.url) {
+      case '/ok/chat/completions':
+        res.writeHead(200, SSE_HEADERS);
+        res.write(chunk('你好'));
+        res.write('data: {not json}\n\n');
+        res.write(chunk('，'));
+        res.write(': keep-alive\n\n');
+        res.write(chunk('世界'));
+        res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 120, completion_tokens: 3, total_tokens: 123 } })}\n\n`);
+        res.end('data: [DONE]\n\n');
+        return;
+      case '/split/chat/completions': {
+        const data = chunk('拆分的数据块');
+        res.writeHead(200, SSE_HEADERS);
+        res.write(data.slice(0, 20));
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        res.end(data.slice(20) + 'data: [DONE]\n\n');
+        return;
+      }
+      case '/broken/chat/completions':
+        res.writeHead(200, SSE_HEADERS);
+        res.write(chunk('说到一半'));
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        res.destroy();
+        return;
+      case '/truncated/chat/completions':
+        res.writeHead(200, SSE_HEADERS);
+        res.end(chunk('说到一半'));
+        return;
+      case '/finish/chat/completions':
+        res.writeHead(200, SSE_HEADERS);
+        res.write(chunk('完整'));
+        res.end(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+        return;
+      case '/error/chat/completions':
+        res.writeHead(200, SSE_HEADERS);
+        res.write(chunk('说到一半'));
+        res.write(`data: ${JSON.stringify({ error: { message: 'content filtered', code: '1301' } })}\n\n`);
+        res.end('data: [DONE]\n\n');
+        return;
+      case '/fail/chat/completions':
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end('{"error":"boom"}');
+        return;
+      default:
+        res.writeHead(404);
+        res.end();
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  project.provide('aiMockUrl', `http://127.0.0.1:${server.address().port}`);
+
+  return () => new Promise((resolve) => server.close(resolve));
+}
@@ -0,0 +1,44 @@
+/**
+ * 测试辅助：内存版 D1 数据库
+ */
+
+/**
+ * 内存版 D1 替身，只实现结果服务用到的三条 SQL
+ */
+export function createFakeD1() {
+  const rows: Array<{ id: string; created_at: number; ip: string; data: string }> = [];
+
+  const db = {
+    prepare(sql: string) {
+      let args: unknown[] = [];
+      const stmt = {
+        bind(...values: unknown[]) {
+          args = values;
+          return stmt;
+        },
+        async run() {
+          const [id, created_at, ip, data] = args as [string, number, string, string];
+          rows.push({ id, created_at, ip, data });
+          return { success: true };
+        },
+        async first() {
+          return rows.find((row) => row.id === args[0]) || null;
+        },
+        async all() {
+          const [ip, limit] = args as [string, number];
+          const results = rows
+            .filter((row) => row.ip === ip)
+            .sort((a, b) => b.created_at - a.created_at)
+            .slice(0, limit);
+          return { results };
+        },
+      };
+      if (!/^(INSERT INTO results|SELECT data FROM results)/.test(sql)) {
+        throw new Error(`Unexpected SQL: ${sql}`);
+      }
+      return stmt;
+    },
+  };
+
+  return { db: db as unknown as D1Database, rows };
+}
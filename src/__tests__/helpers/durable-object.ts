@@ -0,0 +1,88 @@
+/**
+ * 测试辅助：Durable Object 命名空间替身
+ */
+
+/**
+ * 把 Durable Object 实例包装为命名空间绑定
+ * 传入实例时所有名称都指向它，传入工厂函数时每个名称各建一个实例；
+ * 同一实例的请求逐个处理，与真实实例的输入门一致
+ * @param instance - Durable Object 实例，或按名称创建实例的函数
+ */
+export function createFakeNamespace(instance: DurableObject | ((name: string) => DurableObject)) {
+  const calls: string[] = [];
+  const instances = new Map<string, { object: DurableObject; queue: Promise<unknown> }>();
+
+  const ns = {
+    idFromName(name: string) {
+      return name;
+    },
+    get(id: string) {
+      const key = typeof instance === 'function' ? id : '';
+      if (!instances.has(key)) {
+        const object = typeof instance === 'function' ? instance(id) : instance;
+        instances.set(key, { object, queue: Promise.resolve() });
+      }
+      const entry = instances.get(key)!;
+      return {
+        async fetch(input: string, init?: RequestInit) {
+          calls.push(new URL(input).pathname);
+          const result = entry.queue.then(() => entry.object.fetch(new Request(input, init)));
+          entry.queue = result.catch(() => {});
+          return result;
+        },
+      };
+    },
+  };
+
+  return {
+    ns: ns as unknown as DurableObjectNamespace,
+    calls,
+  };
+}
+
+/**
+ * 内存版 Durable Object 存储，只实现 get / put / delete / deleteAll / list / setAlarm / getAlarm
+ * 读写时复制数据，与真实存储一样不共享对象引用；闹钟不会自动触发，测试中直接调用 alarm()
+ */
+export function createFakeStorage() {
+  const data = new Map<string, unknown>();
+  let alarm: number | null = null;
+
+  const storage = {
+    async get(keys: string | string[]) {
+      if (!Array.isArray(keys)) return structuredClone(data.get(keys));
+      const found = new Map<string, unknown>();
+      for (const key of keys) if (data.has(key)) found.set(key, structuredClone(data.get(key)));
+      return found;
+    },
+    async put(entries: string | Record<string, unknown>, value?: unknown) {
+      const pairs = typeof entries === 'string' ? [[entries, value] as const] : Object.entries(entries);
+      for (const [key, item] of pairs) data.set(key, structuredClone(item));
+    },
+    async delete(keys: string | string[]) {
+      for (const key of Array.isArray(keys) ? keys : [keys]) data.delete(key);
+    },
+    async deleteAll() {
+      data.clear();
+      alarm = null;
+    },
+    async setAlarm(time: number) {
+      alarm = time;
+    },
+    async getAlarm() {
+      return alarm;
+    },
+    async list(options: { prefix?: string } = {}) {
+      const found = new Map<string, unknown>();
+      for (const key of [...data.keys()].sort()) {
+        if (!options.prefix || key.startsWith(options.prefix)) found.set(key, structuredClone(data.get(key)));
+      }
+      return found;
+    },
+  };
+
+  return {
+    state: { storage } as unknown as DurableObjectState,
+    data,
+  };
+}
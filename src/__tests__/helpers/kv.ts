@@ -0,0 +1,38 @@
+/**
+ * 测试辅助：内存版 KV 命名空间
+ */
+
+/**
+ * 内存版 KV 替身，只实现 get / put / delete
+ */
+export function createFakeKV(initial: Record<string, string> = {}) {
+  const store = new Map(Object.entries(initial));
+  /** 每个键最近一次写入时的 expirationTtl */
+  const ttls = new Map<string, number | undefined>();
+  let reads = 0;
+
+  const kv = {
+    async get(key: string, type?: 'text' | 'json') {
+      reads++;
+      const value = store.get(key);
+      if (value === undefined) return null;
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key: string, value: string, options?: { expirationTtl?: number }) {
+      store.set(key, value);
+      ttls.set(key, options?.expirationTtl);
+    },
+    async delete(key: string) {
+      store.delete(key);
+    },
+  };
+
+  return {
+    kv: kv as unknown as KVNamespace,
+    store,
+    ttls,
+    get reads() {
+      return reads;
+    },
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * 测试辅助：cloudflare:sockets 替身
+ * vitest.config.ts 把 cloudflare:sockets 指向本文件；连接不出本进程，按主机名设定的行为响应
+ */
+
+/** 主机名对应的行为 */
+export interface SocketBehavior {
+  /** 拒绝连接 */
+  refuse?: boolean;
+  /** 拒绝连接时的报错（默认 connection refused） */
+  connectError?: string;
+  /** TLS 握手失败 */
+  tlsFail?: boolean;
+  /** 在指定阶段挂起，不再响应 */
+  hang?: 'connect' | 'response';
+  /** 收到请求后返回的内容（默认 HTTP/1.1 204） */
+  response?: string;
+}
+
+/** 连接记录 */
+export interface SocketCall {
+  hostname: string;
+  port: number;
+  secureTransport?: string;
+  /** 是否升级了 TLS */
+  tls: boolean;
+  /** 写入的请求内容 */
+  written: string;
+}
+
+const behaviors = new Map<string, SocketBehavior>();
+
+/** 所有连接记录 */
+export const socketCalls: SocketCall[] = [];
+
+/**
+ * 设定主机名的行为
+ */
+export function setSocketBehavior(hostname: string, behavior: SocketBehavior) {
+  behaviors.set(hostname, behavior);
+}
+
+/**
+ * 创建替身套接字
+ * @param call - 连接记录，写入内容记在这里
+ * @param behavior - 主机名的行为
+ * @param opened - 连接建立结果
+ */
+function createSocket(call: SocketCall, behavior: SocketBehavior, opened: Promise<SocketInfo>): Socket {
+  let readableController!: ReadableStreamDefaultController<Uint8Array>;
+  const readable = new ReadableStream<Uint8Array>({
+    start(controller) {
+      readableController = controller;
+    },
+  });
+  const writable = new WritableStream<Uint8Array>({
+    write(chunk) {
+      call.written += new TextDecoder().decode(chunk);
+      if (behavior.hang === 'response') return;
+      readableController.enqueue(new TextEncoder().encode(behavior.response ?? 'HTTP/1.1 204 No Content\r\n\r\n'));
+      readableController.close();
+    },
+  });
+  // 未处理的拒绝会被 vitest 报告，预先挂上空处理
+  opened.catch(() => {});
+
+  return {
+    readable,
+    writable,
+    opened,
+    closed: Promise.resolve(),
+    upgraded: call.tls,
+    secureTransport: (call.secureTransport ?? 'off') as Socket['secureTransport'],
+    async close() {},
+    startTls() {
+      call.tls = true;
+      const tlsOpened = behavior.tlsFail ? Promise.reject(new Error('TLS handshake failed')) : Promise.resolve({});
+      return createSocket(call, behavior, tlsOpened);
+    },
+  };
+}
+
+/**
+ * connect() 替身
+ */
+export function connect(address: string | SocketAddress, options?: SocketOptions): Socket {
+  const { hostname, port } = typeof address === 'string' ? { hostname: address, port: 0 } : address;
+  const behavior = behaviors.get(hostname) ?? {};
+  const call: SocketCall = { hostname, port, secureTransport: options?.secureTransport, tls: false, written: '' };
+  socketCalls.push(call);
+
+  const opened = behavior.refuse
+    ? Promise.reject(new Error(behavior.connectError ?? 'connection refused'))
+    : behavior.hang === 'connect'
+      ? new Promise<SocketInfo>(() => {})
+      : Promise.resolve({});
+  return createSocket(call, behavior, opened);
+}
@@ -0,0 +1,123 @@
+/**
+ * 国际化测试
+ * 测试语言选择、消息翻译，以及接口错误信息、节点与城市名称随语言切换
+ */
+
+import { describe, it, expect } from 'vitest';
+import app from '../app';
+import type { ColoDetail } from '../../types/env';
+import { matchLocale, resolveLocale, translate } from '../i18n';
+import { toTraditional } from '../i18n/places';
+import { localizeSpeedLocations } from '../utils/speed-locale-maps';
+
+describe('国际化', () => {
+  describe('语言选择', () => {
+    it('应匹配语言标签', () => {
+      expect(matchLocale('zh')).toBe('zh-CN');
+      expect(matchLocale('zh-Hans-CN')).toBe('zh-CN');
+      expect(matchLocale('zh-TW')).toBe('zh-TW');
+      expect(matchLocale('zh-Hant')).toBe('zh-TW');
+      expect(matchLocale('zh_HK')).toBe('zh-TW');
+      expect(matchLocale('en-GB')).toBe('en');
+      expect(matchLocale('ja-JP')).toBe('ja');
+      expect(matchLocale('fr')).toBeNull();
+    });
+
+    it('?lang= 优先于 Accept-Language', () => {
+      expect(resolveLocale('ja', 'en-US,en;q=0.9')).toBe('ja');
+      expect(resolveLocale('xx', 'en-US,en;q=0.9')).toBe('en');
+    });
+
+    it('Accept-Language 应按 q 值选择', () => {
+      expect(resolveLocale(undefined, 'fr;q=1, zh-TW;q=0.5, en;q=0.8')).toBe('en');
+      expect(resolveLocale(undefined, 'fr, de;q=0.9')).toBe('zh-CN');
+      expect(resolveLocale(undefined, 'en;q=0, ja;q=0.3')).toBe('ja');
+      expect(resolveLocale()).toBe('zh-CN');
+    });
+  });
+
+  describe('消息翻译', () => {
+    it('应替换占位符', () => {
+      expect(translate('en', 'results.outOfRange', { name: 'download.mbps', max: 100000 })).toBe(
+        'download.mbps must be a number between 0 and 100000'
+      );
+      expect(translate('zh-CN', 'speed.invalidStream', { max: 8 })).toBe('stream 无效，应为 1-8');
+    });
+
+    it('缺少参数时保留占位符', () => {
+      expect(translate('en', 'page.pingTitle')).toBe('Real connection latency ({name})');
+    });
+  });
+
+  describe('接口错误信息', () => {
+    it('默认返回简体中文', async () => {
+      const res = await app.request('/api/lookup/not-an-ip');
+
+      expect(res.status).toBe(400);
+      expect(await res.json()).toEqual({ error: '无效的 IP 地址' });
+    });
+
+    it('应按 Accept-Language 返回', async () => {
+      const res = await app.request('/api/lookup/not-an-ip', { headers: { 'Accept-Language': 'ja,en;q=0.5' } });
+
+      expect(await res.json()).toEqual({ error: '無効な IP アドレスです' });
+      expect(res.headers.get('vary')).toContain('Accept-Language');
+    });
+
+    it('应按 ?lang= 返回', async () => {
+      const res = await app.request('/api/lookup/not-an-ip?lang=en', { headers: { 'Accept-Language': 'ja' } });
+
+      expect(await res.json()).toEqual({ error: 'Invalid IP address' });
+    });
+  });
+
+  describe('地名', () => {
+    it('数据中心名称应随语言切换', async () => {
+      const names = await Promise.all(
+        ['zh-CN', 'zh-TW', 'en', 'ja'].map(async (lang) => {
+          const res = await app.request(`/api/colos/NRT?lang=${lang}`);
+          return (await res.json<ColoDetail>()).name;
+        })
+      );
+
+      expect(names).toEqual(['东京', '東京', 'Tokyo', '東京']);
+    });
+
+    it('测速点应随语言切换', () => {
+      const locations = () => [{ region: 'Asia Pacific', city: 'Sydney' }];
+
+      expect(localizeSpeedLocations(locations())).toEqual([{ region: '亚洲', city: '悉尼' }]);
+      expect(localizeSpeedLocations(locations(), 'zh-TW')).toEqual([{ region: '亞洲', city: '雪梨' }]);
+      expect(localizeSpeedLocations(locations(), 'en')).toEqual([{ region: 'Asia Pacific', city: 'Sydney' }]);
+      expect(localizeSpeedLocations(locations(), 'ja')).toEqual([{ region: 'アジア太平洋', city: 'シドニー' }]);
+    });
+
+    it('应转换为繁体', () => {
+      expect(toTraditional('洛杉矶')).toBe('洛杉磯');
+      expect(toTraditional('Tokyo')).toBe('Tokyo');
+    });
+  });
+
+  describe('首页', () => {
+    it('应按 ?lang= 渲染页面', async () => {
+      const req = new Request('http://localhost/?lang=en', { headers: { 'User-Agent': 'Mozilla/5.0' } });
+      Object.defineProperty(req, 'cf', { value: { colo: 'NRT' } });
+      const res = await app.request(req);
+      const html = await res.text();
+
+      expect(res.headers.get('content-language')).toBe('en');
+      expect(html).toContain('<html lang="en">');
+      expect(html).toContain('Where your traffic comes from');
+      expect(html).toContain('Tokyo');
+      expect(html).toContain("const LOCALE = 'en';");
+    });
+
+    it('默认渲染简体中文并按 Accept-Language 区分缓存', async () => {
+      const req = new Request('http://localhost/', { headers: { 'User-Agent': 'Mozilla/5.0' } });
+      const res = await app.request(req);
+
+      expect(await res.text()).toContain('<html lang="zh-CN">');
+      expect(res.headers.get('vary')).toContain('Accept-Language');
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 import { describe, it, expect } from 'vitest';
 import app from '../app';
+import type { IPInfo } from '../../types/env';
 
 describe('IP API', () => {
   // 测试正常返回情况
@@ -87,6 +88,14 @@ describe('IP API', () => {
       expect(typeof data.isp.name).toBe('string');
     });
 
+    it('未知运营商应按请求语言显示', async () => {
+      const zh = await (await app.request('/api/ip')).json();
+      const en = await (await app.request('/api/ip?lang=en')).json();
+
+      expect(zh.isp.name).toBe('未知网络');
+      expect(en.isp.name).toBe('Unknown network');
+    });
+
     it('rtt 应为数字类型', async () => {
       const res = await app.request('/api/ip', {
         method: 'GET',
@@ -98,6 +107,201 @@ describe('IP API', () => {
     });
   });
 
+  // 测试输出格式
+  describe('format 参数', () => {
+    it('format=text 应返回 key=value 文本', async () => {
+      const res = await app.request('/api/ip?format=text', {
+        headers: { 'CF-Connecting-IP': '203.0.113.1' },
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-type')).toContain('text/plain');
+      const text = await res.text();
+      expect(text).toContain('ip=203.0.113.1\n');
+      expect(text).toContain('node.code=UNK\n');
+    });
+
+    it('format=yaml 应返回嵌套 YAML', async () => {
+      const res = await app.request('/api/ip?format=yaml', {
+        headers: { 'CF-Connecting-IP': '203.0.113.1' },
+      });
+
+      expect(res.headers.get('content-type')).toContain('yaml');
+      const text = await res.text();
+      expect(text).toContain('ip: "203.0.113.1"\n');
+      expect(text).toContain('node:\n  code: "UNK"\n');
+    });
+
+    it('format=csv 应返回表头和一行数据', async () => {
+      const res = await app.request('/api/ip?format=csv', {
+        headers: { 'CF-Connecting-IP': '203.0.113.1' },
+      });
+
+      expect(res.headers.get('content-type')).toContain('text/csv');
+      const [header, row] = (await res.text()).split('\r\n');
+      const columns = header.split(',');
+      expect(columns[0]).toBe('ip');
+      expect(columns).toContain('isp.name');
+      expect(row.split(',')[0]).toBe('203.0.113.1');
+    });
+
+    it('CSV 应对含逗号和引号的值转义', async () => {
+      const req = new Request('http://localhost/api/ip?format=csv');
+      Object.defineProperty(req, 'cf', { value: { asOrganization: 'Example, Inc. "Net"' } });
+
+      const res = await app.request(req);
+      expect(await res.text()).toContain('"Example, Inc. ""Net"""');
+    });
+
+    it('format=json 应与默认输出一致', async () => {
+      const a = await (await app.request('/api/ip?format=json')).json();
+      const b = await (await app.request('/api/ip')).json();
+
+      expect(a).toEqual(b);
+    });
+
+    it('应拒绝未知的 format', async () => {
+      const res = await app.request('/api/ip?format=xml');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // 测试单字段查询
+  describe('GET /api/ip/:field', () => {
+    function requestWithCf(path: string) {
+      const req = new Request(`http://localhost${path}`, {
+        headers: { 'CF-Connecting-IP': '203.0.113.1' },
+      });
+      Object.defineProperty(req, 'cf', {
+        value: { asn: 4134, asOrganization: 'Chinanet', country: 'CN', colo: 'HKG', clientTcpRtt: 35 },
+      });
+      return req;
+    }
+
+    it('应以纯文本返回单个字段', async () => {
+      const res = await app.request(requestWithCf('/api/ip/ip'));
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-type')).toContain('text/plain');
+      expect(res.headers.get('cache-control')).toBe('private, no-store');
+      expect(await res.text()).toBe('203.0.113.1\n');
+    });
+
+    it('各字段应与 /api/ip 一致', async () => {
+      const info = await (await app.request(requestWithCf('/api/ip'))).json<IPInfo>();
+      const expected: Record<string, string | number> = {
+        asn: info.asn,
+        isp: info.isp.name,
+        country: info.location.country,
+        colo: info.node.code,
+        node: info.node.name,
+        rtt: info.rtt,
+      };
+
+      for (const [field, value] of Object.entries(expected)) {
+        const res = await app.request(requestWithCf(`/api/ip/${field}`));
+        expect(await res.text()).toBe(`${value}\n`);
+      }
+    });
+
+    it('未知字段应返回 404', async () => {
+      const res = await app.request('/api/ip/constructor');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('/api/ip/v4 不应被当作字段', async () => {
+      const res = await app.request('/api/ip/v4', {
+        headers: { 'CF-Connecting-IP': '203.0.113.1' },
+      });
+
+      expect(res.headers.get('content-type')).toContain('application/json');
+    });
+  });
+
+  // 测试连接元数据
+  describe('connection 字段', () => {
+    it('应返回 cf 中的协议和 TLS 信息', async () => {
+      const req = new Request('http://localhost/api/ip', {
+        headers: { 'CF-Connecting-IP': '203.0.113.1' },
+      });
+      Object.defineProperty(req, 'cf', {
+        value: {
+          httpProtocol: 'HTTP/3',
+          tlsVersion: 'TLSv1.3',
+          tlsCipher: 'AEAD-AES128-GCM-SHA256',
+          clientAcceptEncoding: 'gzip, deflate, br, zstd',
+        },
+      });
+
+      const res = await app.request(req);
+      const data = await res.json<{ connection: Record<string, unknown> }>();
+      expect(data.connection).toEqual({
+        httpProtocol: 'HTTP/3',
+        tlsVersion: 'TLSv1.3',
+        tlsCipher: 'AEAD-AES128-GCM-SHA256',
+        acceptEncoding: 'gzip, deflate, br, zstd',
+        earlyData: false,
+      });
+    });
+
+    it('没有 cf 时应回退到请求头', async () => {
+      const res = await app.request('/api/ip', {
+        headers: { 'Accept-Encoding': 'gzip', 'Cf-0rtt-Unique': 'abc' },
+      });
+
+      const data = await res.json<{ connection: { acceptEncoding: string; earlyData: boolean; tlsVersion: string } }>();
+      expect(data.connection.acceptEncoding).toBe('gzip');
+      expect(data.connection.earlyData).toBe(true);
+      expect(data.connection.tlsVersion).toBe('');
+    });
+  });
+
+  // 测试单栈接口
+  describe('GET /api/ip/v4 与 /api/ip/v6', () => {
+    it('IPv4 连接访问 /api/ip/v4 应返回 IP 信息', async () => {
+      const res = await app.request('/api/ip/v4', {
+        headers: { 'CF-Connecting-IP': '203.0.113.1' },
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('cache-control')).toBe('no-store');
+      const data = await res.json<{ ip: string; node: object; isp: object }>();
+      expect(data.ip).toBe('203.0.113.1');
+      expect(data).toHaveProperty('node');
+      expect(data).toHaveProperty('isp');
+    });
+
+    it('IPv6 连接访问 /api/ip/v4 应返回 409', async () => {
+      const res = await app.request('/api/ip/v4', {
+        headers: { 'CF-Connecting-IP': '2001:db8::1' },
+      });
+
+      expect(res.status).toBe(409);
+      const data = await res.json<{ error: string }>();
+      expect(data.error).toContain('IPv4');
+    });
+
+    it('IPv6 连接访问 /api/ip/v6 应返回 IP 信息', async () => {
+      const res = await app.request('/api/ip/v6', {
+        headers: { 'CF-Connecting-IP': '2001:db8::1' },
+      });
+
+      expect(res.status).toBe(200);
+      const data = await res.json<{ ip: string }>();
+      expect(data.ip).toBe('2001:db8::1');
+    });
+
+    it('IPv4 连接访问 /api/ip/v6 应返回 409', async () => {
+      const res = await app.request('/api/ip/v6', {
+        headers: { 'CF-Connecting-IP': '203.0.113.1' },
+      });
+
+      expect(res.status).toBe(409);
+    });
+  });
+
   // 测试错误处理
   describe('错误处理', () => {
     it('应正确处理空的 CF-Connecting-IP', async () => {
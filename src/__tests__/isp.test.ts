@@ -0,0 +1,88 @@
+/**
+ * ISP 识别规则测试
+ * 用真实 asOrganization 语料校验规则表，并测试规则匹配逻辑
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compileISPRules, identifyISP } from '../services/isp';
+import type { ISPRuleSet } from '../services/isp';
+import ruleSet from '../data/isp-rules.json';
+import corpus from './fixtures/isp-corpus.json';
+
+describe('ISP 识别', () => {
+  // 语料：{ org, asn, country, expected }，expected 为识别后的名称
+  describe('语料校验', () => {
+    it.each(corpus)('$org (AS$asn, $country) → $expected', ({ org, asn, country, expected }) => {
+      expect(identifyISP(org, asn, country).name).toBe(expected);
+    });
+  });
+
+  describe('规则表', () => {
+    const rules = (ruleSet as ISPRuleSet).rules;
+
+    it('每个 ASN 只能属于一条规则', () => {
+      const owners = new Map<number, string>();
+      for (const rule of rules) {
+        for (const asn of rule.asns ?? []) {
+          expect(owners.get(asn), `AS${asn}`).toBeUndefined();
+          owners.set(asn, rule.name);
+        }
+      }
+    });
+
+    it('每条规则至少有一种匹配方式，且颜色格式正确', () => {
+      for (const rule of rules) {
+        expect((rule.asns?.length ?? 0) + (rule.patterns?.length ?? 0), rule.name).toBeGreaterThan(0);
+        expect(rule.color, rule.name).toMatch(/^#[0-9A-F]{6}$/i);
+        expect(rule.bg, rule.name).toMatch(/^rgba\(/);
+      }
+    });
+
+    it('国家代码应为两位大写字母', () => {
+      for (const rule of rules) {
+        for (const code of rule.countries ?? []) {
+          expect(code).toMatch(/^[A-Z]{2}$/);
+        }
+      }
+    });
+  });
+
+  describe('匹配逻辑', () => {
+    const compiled = compileISPRules({
+      default: { color: '#000000', bg: 'none' },
+      rules: [
+        { name: 'Low', color: '#111111', bg: 'a', priority: 1, patterns: ['net'] },
+        { name: 'High', color: '#222222', bg: 'b', priority: 10, patterns: ['example net'] },
+        { name: 'Local', color: '#333333', bg: 'c', patterns: ['cable'], countries: ['cn'] },
+        { name: 'ByAsn', color: '#444444', bg: 'd', asns: [64500] },
+      ],
+    });
+
+    it('优先级高的规则先匹配', () => {
+      expect(identifyISP('Example Net', 1, '', 'zh-CN', compiled).name).toBe('High');
+      expect(identifyISP('Other Net', 1, '', 'zh-CN', compiled).name).toBe('Low');
+    });
+
+    it('ASN 命中优先于名称匹配', () => {
+      expect(identifyISP('Example Net', 64500, '', 'zh-CN', compiled).name).toBe('ByAsn');
+    });
+
+    it('国家限制只对名称匹配生效，且不区分大小写', () => {
+      expect(identifyISP('Some Cable', 1, 'US', 'zh-CN', compiled).name).toBe('Some Cable');
+      expect(identifyISP('Some Cable', 1, 'cn', 'zh-CN', compiled).name).toBe('Local');
+      expect(identifyISP('Some Cable', 1, '', 'zh-CN', compiled).name).toBe('Some Cable');
+    });
+
+    it('未命中时返回原始名称和默认样式', () => {
+      expect(identifyISP('Unknown', 1, '', 'zh-CN', compiled)).toEqual({ name: 'Unknown', color: '#000000', bg: 'none' });
+      expect(identifyISP('', 0, '', 'zh-CN', compiled).name).toBe('未知网络');
+      expect(identifyISP('', 0, '', 'en', compiled).name).toBe('Unknown network');
+    });
+
+    it('无效正则应在编译时报错', () => {
+      expect(() =>
+        compileISPRules({ default: { color: '#000000', bg: 'none' }, rules: [{ name: 'Bad', color: '#000000', bg: 'x', patterns: ['('] }] })
+      ).toThrow(SyntaxError);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * 任意 IP 查询接口测试
+ * 测试 /api/lookup/:ip 接口与数据集查询逻辑
+ */
+
+import { describe, it, expect } from 'vitest';
+import app from '../app';
+import type { IPLookupResult } from '../../types/env';
+import { createIPLookup, getShardKey, lookupIPWithKV, parseIPv4, parseIPv6 } from '../services/ip-lookup';
+import type { IPASNDataset } from '../services/ip-lookup';
+import { createFakeKV } from './helpers/kv';
+
+describe('IP 查询 API', () => {
+  describe('GET /api/lookup/:ip', () => {
+    it('应返回 IPv4 地址的 ASN 和运营商', async () => {
+      const res = await app.request('/api/lookup/202.96.128.86');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('cache-control')).toContain('max-age=');
+      const data = await res.json<IPLookupResult>();
+      expect(data).toMatchObject({
+        ip: '202.96.128.86',
+        version: 4,
+        asn: 4134,
+        country: 'CN',
+        range: { start: '202.96.96.0', end: '202.96.137.255' },
+        isp: { name: '中国电信' },
+      });
+      expect(data.organization).toContain('Chinanet');
+      expect(data.isp.raw).toBe(data.organization);
+    });
+
+    it('应支持 IPv6 地址', async () => {
+      const res = await app.request('/api/lookup/2001:4860:4860::8888');
+
+      expect(res.status).toBe(200);
+      const data = await res.json<IPLookupResult>();
+      expect(data.version).toBe(6);
+      expect(data.asn).toBe(15169);
+      expect(data.isp.name).toBe('Google');
+    });
+
+    it('应支持 URL 编码的 IPv6 地址', async () => {
+      const res = await app.request('/api/lookup/2400%3A3200%3A%3A1');
+
+      expect(res.status).toBe(200);
+      expect((await res.json<IPLookupResult>()).isp.name).toBe('阿里云');
+    });
+
+    it('打包数据集应覆盖国内运营商的真实地址段', async () => {
+      const res = await app.request('/api/lookup/117.136.3.1');
+
+      expect(res.status).toBe(200);
+      expect(await res.json<IPLookupResult>()).toMatchObject({
+        asn: 9808,
+        country: 'CN',
+        range: { start: '117.136.3.0', end: '117.136.3.255' },
+        isp: { name: '中国移动' },
+      });
+    });
+
+    it('未收录的地址应返回 404', async () => {
+      const res = await app.request('/api/lookup/192.0.2.1');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('无效地址应返回 400', async () => {
+      for (const ip of ['256.1.1.1', '1.2.3', '01.2.3.4', 'example.com', '1::2::3', '12345::1']) {
+        const res = await app.request(`/api/lookup/${ip}`);
+        expect(res.status).toBe(400);
+      }
+    });
+  });
+
+  describe('IP_ASN KV 分片', () => {
+    const shard: IPASNDataset = {
+      source: 'test',
+      updatedAt: '2026-01-01',
+      asns: { '3320': ['DE', 'Deutsche Telekom AG'] },
+      v4: [['93.192.0.0', '93.255.255.255', 3320]],
+      v6: [],
+    };
+
+    it('应从分片查询打包数据集未收录的地址', async () => {
+      const { kv } = createFakeKV({ 'v4:93': JSON.stringify(shard) });
+
+      expect((await app.request('/api/lookup/93.200.1.1')).status).toBe(404);
+
+      const res = await app.request('/api/lookup/93.200.1.1', {}, { IP_ASN: kv });
+      expect(res.status).toBe(200);
+      expect(await res.json<IPLookupResult>()).toMatchObject({
+        asn: 3320,
+        country: 'DE',
+        range: { start: '93.192.0.0', end: '93.255.255.255' },
+      });
+    });
+
+    it('分片只读取一次并缓存在 isolate 中', async () => {
+      const fake = createFakeKV({ 'v4:93': JSON.stringify(shard) });
+
+      await app.request('/api/lookup/93.200.1.1', {}, { IP_ASN: fake.kv });
+      await app.request('/api/lookup/93.250.0.1', {}, { IP_ASN: fake.kv });
+      expect(fake.reads).toBe(1);
+    });
+
+    it('缓存的分片应在一分钟后重新读取', async () => {
+      const fake = createFakeKV();
+
+      expect(await lookupIPWithKV(fake.kv, '93.200.1.1', 'zh-CN', 0)).toBeNull();
+      fake.store.set('v4:93', JSON.stringify(shard));
+      expect(await lookupIPWithKV(fake.kv, '93.200.1.1', 'zh-CN', 59_000)).toBeNull();
+      expect((await lookupIPWithKV(fake.kv, '93.200.1.1', 'zh-CN', 60_000))?.asn).toBe(3320);
+      expect(fake.reads).toBe(2);
+    });
+
+    it('缓存的分片数应有上限', async () => {
+      const fake = createFakeKV();
+
+      // 每个地址的第一段不同，各自对应一个 v6 分片
+      const address = (i: number) => `${(0x2400 + i).toString(16)}::1`;
+      for (let i = 0; i < 65; i++) await lookupIPWithKV(fake.kv, address(i), 'zh-CN', 0);
+      expect(fake.reads).toBe(65);
+
+      // 最早的分片已被淘汰，需要重新读取；最近的仍在缓存中
+      await lookupIPWithKV(fake.kv, address(0), 'zh-CN', 0);
+      expect(fake.reads).toBe(66);
+      await lookupIPWithKV(fake.kv, address(64), 'zh-CN', 0);
+      expect(fake.reads).toBe(66);
+    });
+
+    it('分片缺失或读取失败时应回退到打包数据集', async () => {
+      const { kv } = createFakeKV();
+      const res = await app.request('/api/lookup/117.136.3.1', {}, { IP_ASN: kv });
+      expect((await res.json<IPLookupResult>()).asn).toBe(9808);
+
+      const failing = {
+        async get() {
+          throw new Error('KV unavailable');
+        },
+      } as unknown as KVNamespace;
+      const fallback = await app.request('/api/lookup/117.136.3.1', {}, { IP_ASN: failing });
+      expect(fallback.status).toBe(200);
+    });
+
+    it('分片键应与生成脚本一致', () => {
+      expect(getShardKey('93.200.1.1')).toBe('v4:93');
+      expect(getShardKey('0.0.0.1')).toBe('v4:0');
+      expect(getShardKey('2001:db8::1')).toBe('v6:2001');
+      expect(getShardKey('::1')).toBe('v6:0000');
+      expect(getShardKey('example.com')).toBeNull();
+    });
+  });
+
+  describe('地址解析', () => {
+    it('IPv4 应转换为整数', () => {
+      expect(parseIPv4('0.0.0.0')).toBe(0);
+      expect(parseIPv4('255.255.255.255')).toBe(0xffffffff);
+      expect(parseIPv4('1.2.3.4')).toBe(0x01020304);
+    });
+
+    it('IPv6 应展开为定长十六进制', () => {
+      expect(parseIPv6('::')).toBe('0'.repeat(32));
+      expect(parseIPv6('::1')).toBe('0'.repeat(31) + '1');
+      expect(parseIPv6('2001:DB8::1')).toBe('20010db8' + '0'.repeat(23) + '1');
+      expect(parseIPv6('::ffff:1.2.3.4')).toBe('0'.repeat(20) + 'ffff01020304');
+      expect(parseIPv6('1:2:3:4:5:6:7:8:9')).toBeNull();
+    });
+  });
+
+  describe('createIPLookup', () => {
+    const lookup = createIPLookup({
+      source: 'test',
+      updatedAt: '2026-01-01',
+      asns: { '64500': ['JP', 'Example Net'], '64501': ['', 'Other'] },
+      v4: [
+        ['10.0.2.0', '10.0.2.255', 64501],
+        ['10.0.0.0', '10.0.1.255', 64500],
+      ],
+      v6: [['2001:db8::', '2001:db8::ffff', 64500]],
+    });
+
+    it('应命中区间边界，且不要求数据集预先排序', () => {
+      expect(lookup('10.0.0.0')?.asn).toBe(64500);
+      expect(lookup('10.0.1.255')?.asn).toBe(64500);
+      expect(lookup('10.0.2.0')?.asn).toBe(64501);
+      expect(lookup('10.0.3.0')).toBeNull();
+    });
+
+    it('IPv6 应按数值而非字符串比较', () => {
+      expect(lookup('2001:db8::abcd')?.asn).toBe(64500);
+      expect(lookup('2001:db8::1:0')).toBeNull();
+    });
+  });
+});
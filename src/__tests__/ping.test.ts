@@ -1,10 +1,14 @@
 /**
  * Ping 健康检查接口测试
- * 测试 /api/ping 接口的正常情况
+ * 测试 /api/ping 接口的正常情况，以及延迟监测目标列表的来源
  */
 
 import { describe, it, expect } from 'vitest';
 import app from '../app';
+import { DEFAULT_PING_TARGETS } from '../services/ping-targets';
+import { createFakeKV } from './helpers/kv';
+
+const envTargets = [{ id: 'status', name: 'Status', url: 'https://status.example.com/favicon.ico' }];
 
 describe('Ping API', () => {
   // 测试正常返回情况
@@ -45,4 +49,43 @@ describe('Ping API', () => {
       expect(res.headers.get('access-control-allow-origin')).toBe('*');
     });
   });
+
+  describe('GET /api/ping/targets', () => {
+    it('未配置时应返回打包的目标列表', async () => {
+      const res = await app.request('/api/ping/targets', {}, {});
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('cache-control')).toBe('public, max-age=60');
+      expect(await res.json()).toEqual({ targets: DEFAULT_PING_TARGETS, source: 'default' });
+    });
+
+    it('Cloudflare 目标应关闭边缘探测', () => {
+      expect(DEFAULT_PING_TARGETS.find((target) => target.id === 'cloudflare')?.probe).toBe(false);
+    });
+
+    it('应使用 PING_TARGETS 环境变量', async () => {
+      const res = await app.request('/api/ping/targets', {}, { PING_TARGETS: JSON.stringify(envTargets) });
+
+      expect(await res.json()).toEqual({ targets: envTargets, source: 'env' });
+    });
+
+    it('PING_TARGETS 无效时应回退到打包列表', async () => {
+      for (const value of ['not json', JSON.stringify([{ id: 'x', name: 'X', url: 'ftp://example.com/' }])]) {
+        const res = await app.request('/api/ping/targets', {}, { PING_TARGETS: value });
+        expect((await res.json<{ source: string }>()).source).toBe('default');
+      }
+    });
+
+    it('CONFIG KV 中的列表应优先于环境变量', async () => {
+      const kvTargets = [{ id: 'team', name: 'Team', url: 'https://team.example.com/', color: '#123456' }];
+      const { kv } = createFakeKV({ 'ping-targets': JSON.stringify(kvTargets) });
+      const res = await app.request(
+        '/api/ping/targets',
+        {},
+        { CONFIG: kv, PING_TARGETS: JSON.stringify(envTargets) }
+      );
+
+      expect(await res.json()).toEqual({ targets: kvTargets, source: 'kv' });
+    });
+  });
 });
@@ -0,0 +1,195 @@
+/**
+ * 边缘探测接口测试
+ * 测试 /api/probe 的目标校验、各阶段计时和失败处理（套接字为替身，见 helpers/sockets.ts）
+ */
+
+import { describe, it, expect } from 'vitest';
+import app from '../app';
+import type { Env } from '../../types/env';
+import { parseProbeTarget, probeTarget } from '../services/probe';
+import { createFakeKV } from './helpers/kv';
+import { setSocketBehavior, socketCalls } from './helpers/sockets';
+
+/**
+ * 发起探测请求
+ */
+function probe(query: string, env: Env = {}, ip = '203.0.113.1') {
+  const req = new Request(`http://localhost/api/probe?${query}`, { headers: { 'CF-Connecting-IP': ip } });
+  Object.defineProperty(req, 'cf', { value: { colo: 'HKG' } });
+  return app.request(req, undefined, env);
+}
+
+/**
+ * 取得最近一次连接指定主机的记录
+ */
+function lastCall(hostname: string) {
+  return socketCalls.filter((call) => call.hostname === hostname).at(-1);
+}
+
+describe('Probe API', () => {
+  describe('目标校验', () => {
+    it('应接受主机名、IP 和链接', () => {
+      expect(parseProbeTarget('www.bilibili.com', undefined, 'zh-CN')).toEqual({
+        data: { hostname: 'www.bilibili.com', port: 443 },
+      });
+      expect(parseProbeTarget('http://Example.COM/favicon.ico', undefined, 'zh-CN')).toEqual({
+        data: { hostname: 'example.com', port: 80 },
+      });
+      expect(parseProbeTarget('1.1.1.1', '80', 'zh-CN')).toEqual({ data: { hostname: '1.1.1.1', port: 80 } });
+      expect(parseProbeTarget('[2606:4700:4700::1111]', undefined, 'zh-CN')).toEqual({
+        data: { hostname: '2606:4700:4700::1111', port: 443 },
+      });
+    });
+
+    it.each([
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.20.0.1',
+      '192.168.1.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '::1',
+      'fd00::1',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+      '64:ff9b::a00:1',
+      '2002:a00:1::',
+      'localhost',
+      'router.local',
+      'db.internal',
+      'http://127.0.0.1/',
+    ])('应拒绝内网或保留地址 %s', async (target) => {
+      const res = await probe(`target=${encodeURIComponent(target)}`);
+
+      expect(res.status).toBe(400);
+      expect((await res.json<{ error: string }>()).error).toBe('不允许探测内网、本机或保留地址');
+    });
+
+    it.each(['', 'intranet', '2130706433', '0x7f.1', 'a..b.com', '-bad.example.com', 'ftp://example.com'])(
+      '应拒绝无效的目标 %s',
+      async (target) => {
+        const res = await probe(`target=${encodeURIComponent(target)}`);
+        expect(res.status).toBe(400);
+      }
+    );
+
+    it('应拒绝白名单以外的端口', async () => {
+      for (const query of ['target=example.com&port=22', 'target=https://example.com:8443/']) {
+        const res = await probe(query + '&lang=en');
+        expect(res.status).toBe(400);
+        expect((await res.json<{ error: string }>()).error).toBe('port must be one of 80, 443');
+      }
+    });
+  });
+
+  describe('GET /api/probe', () => {
+    it('443 端口应分别测量 TCP、TLS 和首字节', async () => {
+      setSocketBehavior('tls.example.com', { response: 'HTTP/1.1 301 Moved Permanently\r\nLocation: /\r\n\r\n' });
+      const res = await probe('target=tls.example.com');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('cache-control')).toBe('no-store');
+      const data = await res.json<Record<string, unknown>>();
+      expect(data).toMatchObject({ target: 'tls.example.com', port: 443, status: 301, colo: 'HKG' });
+      expect(data.tcp).toBeTypeOf('number');
+      expect(data.tls).toBeTypeOf('number');
+      expect(data.ttfb).toBeTypeOf('number');
+
+      const call = lastCall('tls.example.com')!;
+      expect(call).toMatchObject({ port: 443, secureTransport: 'starttls', tls: true });
+      expect(call.written).toBe(
+        'HEAD / HTTP/1.1\r\nHost: tls.example.com\r\nUser-Agent: cancanneed-network-probe\r\nConnection: close\r\n\r\n'
+      );
+    });
+
+    it('80 端口不应升级 TLS', async () => {
+      const res = await probe('target=plain.example.com&port=80');
+      const data = await res.json<Record<string, unknown>>();
+
+      expect(data).toMatchObject({ port: 80, tls: null, status: 204 });
+      expect(lastCall('plain.example.com')).toMatchObject({ secureTransport: 'off', tls: false });
+    });
+
+    it('连接失败时应返回 502', async () => {
+      setSocketBehavior('refused.example.com', { refuse: true });
+      const res = await probe('target=refused.example.com');
+
+      expect(res.status).toBe(502);
+      expect((await res.json<{ error: string }>()).error).toBe('无法连接目标');
+    });
+
+    it('TLS 握手失败时应返回 502', async () => {
+      setSocketBehavior('badtls.example.com', { tlsFail: true });
+      const res = await probe('target=badtls.example.com&lang=en');
+
+      expect(res.status).toBe(502);
+      expect((await res.json<{ error: string }>()).error).toBe('TLS handshake failed');
+    });
+
+    it('超出限额时应返回 429', async () => {
+      const { kv } = createFakeKV();
+      const env = { CACHE: kv, PROBE_RATE_LIMIT: '1', PROBE_RATE_LIMIT_INTERVAL: '10' };
+
+      expect((await probe('target=limited.example.com', env)).status).toBe(200);
+      const res = await probe('target=limited.example.com', env);
+      expect(res.status).toBe(429);
+      expect(res.headers.get('retry-after')).toBe('10');
+    });
+  });
+
+  describe('限流', () => {
+    it('未绑定 RATE_LIMITER 和 CACHE 时应在 isolate 内限流', async () => {
+      const env = { PROBE_RATE_LIMIT: '1', PROBE_RATE_LIMIT_INTERVAL: '10' };
+
+      expect((await probe('target=local-limit.example.com', env, '198.51.100.7')).status).toBe(200);
+      const res = await probe('target=local-limit.example.com', env, '198.51.100.7');
+      expect(res.status).toBe(429);
+      expect(res.headers.get('retry-after')).toBe('10');
+
+      // 其他 IP 不受影响
+      expect((await probe('target=local-limit.example.com', env, '198.51.100.8')).status).toBe(200);
+    });
+
+    it('PROBE_RATE_LIMIT 为 0 时不限流', async () => {
+      const env = { PROBE_RATE_LIMIT: '0' };
+      for (let i = 0; i < 12; i++) {
+        expect((await probe('target=unlimited.example.com', env, '198.51.100.9')).status).toBe(200);
+      }
+    });
+  });
+
+  describe('Cloudflare 目标', () => {
+    it('Cloudflare 的 IP 应直接报告无法探测，不发起连接', async () => {
+      const res = await probe('target=1.1.1.1', {}, '198.51.100.10');
+
+      expect(res.status).toBe(502);
+      expect((await res.json<{ error: string }>()).error).toBe('目标位于 Cloudflare 网络内，无法从节点直接探测');
+      expect(lastCall('1.1.1.1')).toBeUndefined();
+    });
+
+    it('连接被 Cloudflare 拒绝时应标明原因', async () => {
+      setSocketBehavior('proxied.example.com', {
+        refuse: true,
+        connectError: 'proxy request failed, cannot connect to the specified address',
+      });
+      const res = await probe('target=proxied.example.com&lang=en', {}, '198.51.100.10');
+
+      expect(res.status).toBe(502);
+      expect((await res.json<{ error: string }>()).error).toBe(
+        'The target is on the Cloudflare network and cannot be probed from the edge'
+      );
+    });
+  });
+
+  describe('超时', () => {
+    it('建连或等待响应超时应抛出 timeout', async () => {
+      setSocketBehavior('slow-connect.example.com', { hang: 'connect' });
+      setSocketBehavior('slow-response.example.com', { hang: 'response' });
+
+      for (const hostname of ['slow-connect.example.com', 'slow-response.example.com']) {
+        await expect(probeTarget({ hostname, port: 443 }, 20)).rejects.toMatchObject({ stage: 'timeout' });
+      }
+    });
+  });
+});
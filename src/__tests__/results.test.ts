@@ -0,0 +1,212 @@
+/**
+ * 测速结果接口测试
+ * 测试 /api/results 保存与查询接口
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import app from '../app';
+import type { SpeedResult } from '../../types/env';
+import { createFakeD1 } from './helpers/d1';
+import { createFakeKV } from './helpers/kv';
+
+describe('Results API', () => {
+  let fake: ReturnType<typeof createFakeD1>;
+
+  beforeEach(() => {
+    fake = createFakeD1();
+  });
+
+  function post(body: unknown, ip = '203.0.113.1', env: object = { DB: fake.db }) {
+    return app.request(
+      '/api/results',
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+      },
+      env
+    );
+  }
+
+  describe('POST /api/results', () => {
+    it('应保存测速结果并返回 ID', async () => {
+      const res = await post({
+        download: { mbps: 512.3, peakMbps: 640.1, bytes: 50_000_000, streams: 4 },
+        latency: { rtt: 12, idle: 10, loaded: 45, grade: 'B' },
+      });
+
+      expect(res.status).toBe(201);
+      const data = await res.json<SpeedResult>();
+      expect(data.id).toMatch(/^[A-Za-z0-9]{10}$/);
+      expect(res.headers.get('location')).toBe(`/api/results/${data.id}`);
+      expect(data.ipInfo.asn).toBeTypeOf('number');
+      expect(data.download?.mbps).toBe(512.3);
+      expect(new Date(data.createdAt).getTime()).not.toBeNaN();
+      expect(fake.rows).toHaveLength(1);
+    });
+
+    it('未绑定数据库时应返回 503', async () => {
+      const res = await app.request('/api/results', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ download: { mbps: 1 } }),
+      });
+
+      expect(res.status).toBe(503);
+    });
+
+    it('应拒绝无效的 JSON 格式', async () => {
+      const res = await post('invalid json');
+
+      expect(res.status).toBe(400);
+      const data = await res.json<{ error: string }>();
+      expect(data.error).toContain('JSON');
+    });
+
+    it('应拒绝未知字段', async () => {
+      const res = await post({ download: { mbps: 1 }, ipInfo: { ip: '1.1.1.1' } });
+
+      expect(res.status).toBe(400);
+      const data = await res.json<{ error: string }>();
+      expect(data.error).toContain('ipInfo');
+    });
+
+    it('应拒绝非法数值', async () => {
+      const res = await post({ upload: { mbps: -5 } });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('应拒绝缺少 mbps 的带宽数据', async () => {
+      const res = await post({ download: { bytes: 1000 } });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('应拒绝非法评级', async () => {
+      const res = await post({ latency: { grade: 'Z' } });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('应拒绝空结果', async () => {
+      const res = await post({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('应拒绝过大的请求体', async () => {
+      const res = await post({ download: { mbps: 1 }, pad: 'x'.repeat(10_000) });
+
+      expect(res.status).toBe(413);
+    });
+
+    it('请求体大小应按 UTF-8 字节数计算', async () => {
+      const res = await post({ download: { mbps: 1 }, pad: '测'.repeat(3000) });
+
+      expect(res.status).toBe(413);
+    });
+  });
+
+  describe('保存限流', () => {
+    it('绑定 CACHE 时超出限额应返回 429', async () => {
+      const { kv } = createFakeKV();
+      const env = { DB: fake.db, CACHE: kv, RESULTS_RATE_LIMIT: '2', RESULTS_RATE_LIMIT_INTERVAL: '30' };
+      const body = { download: { mbps: 100 } };
+
+      expect((await post(body, '203.0.113.1', env)).status).toBe(201);
+      expect((await post(body, '203.0.113.1', env)).status).toBe(201);
+      const res = await post(body, '203.0.113.1', env);
+      expect(res.status).toBe(429);
+      expect(res.headers.get('retry-after')).toBe('30');
+      expect(fake.rows).toHaveLength(2);
+
+      // 其他 IP 不受影响
+      expect((await post(body, '203.0.113.2', env)).status).toBe(201);
+    });
+  });
+
+  describe('GET /api/results/:id', () => {
+    it('应返回已保存的结果', async () => {
+      const created = await (await post({ upload: { mbps: 88.8 } })).json<SpeedResult>();
+
+      const res = await app.request(`/api/results/${created.id}`, {}, { DB: fake.db });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('cache-control')).toContain('immutable');
+      const data = await res.json<SpeedResult>();
+      expect(data).toEqual(created);
+    });
+
+    it('公开的结果不应包含 IP 地址等可识别信息', async () => {
+      const created = await (await post({ upload: { mbps: 88.8 } })).json<SpeedResult>();
+      expect(fake.rows[0].ip).toBe('203.0.113.1');
+      expect(fake.rows[0].data).not.toContain('203.0.113.1');
+
+      const data = await (await app.request(`/api/results/${created.id}`, {}, { DB: fake.db })).json<
+        Record<string, Record<string, unknown>>
+      >();
+      expect(data.ipInfo).not.toHaveProperty('ip');
+      expect(data.ipInfo).not.toHaveProperty('connection');
+      expect(data.ipInfo.location).not.toHaveProperty('city');
+    });
+
+    it('早期保存的完整 IP 信息在读取时也应去除', async () => {
+      const { ipInfo } = await (await post({ upload: { mbps: 88.8 } })).json<SpeedResult>();
+      fake.rows.push({
+        id: 'LegacyRow1',
+        created_at: Date.now(),
+        ip: '198.51.100.7',
+        data: JSON.stringify({
+          id: 'LegacyRow1',
+          createdAt: new Date().toISOString(),
+          ipInfo: { ...ipInfo, ip: '198.51.100.7', location: { ...ipInfo.location, city: 'Somewhere' }, connection: {} },
+          upload: { mbps: 1 },
+        }),
+      });
+
+      const res = await app.request('/api/results/LegacyRow1', {}, { DB: fake.db });
+      const text = await res.text();
+      expect(text).not.toContain('198.51.100.7');
+      expect(text).not.toContain('Somewhere');
+    });
+
+    it('不存在的结果应返回 404', async () => {
+      const res = await app.request('/api/results/AAAAAAAAAA', {}, { DB: fake.db });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('应拒绝格式错误的 ID', async () => {
+      const res = await app.request('/api/results/bad-id', {}, { DB: fake.db });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/results', () => {
+    it('应只返回当前 IP 的历史记录', async () => {
+      await post({ download: { mbps: 1 } }, '203.0.113.1');
+      await post({ download: { mbps: 2 } }, '198.51.100.7');
+      await post({ download: { mbps: 3 } }, '203.0.113.1');
+
+      const res = await app.request(
+        '/api/results',
+        { headers: { 'CF-Connecting-IP': '203.0.113.1' } },
+        { DB: fake.db }
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('cache-control')).toBe('no-store');
+      const data = await res.json<SpeedResult[]>();
+      expect(data).toHaveLength(2);
+      expect(data.map((item) => item.download?.mbps)).toEqual(expect.arrayContaining([1, 3]));
+    });
+
+    it('应拒绝无效的 limit 参数', async () => {
+      const res = await app.request('/api/results?limit=0', {}, { DB: fake.db });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
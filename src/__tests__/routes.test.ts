@@ -74,6 +74,41 @@ describe('路由兼容性', () => {
     });
   });
 
+  // 测试首页内容协商
+  describe('首页内容协商', () => {
+    it('curl 访问首页应返回纯文本摘要', async () => {
+      const res = await app.request('/', {
+        headers: { 'User-Agent': 'curl/8.5.0', Accept: '*/*', 'CF-Connecting-IP': '203.0.113.1' },
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-type')).toContain('text/plain');
+      expect(res.headers.get('vary')).toContain('User-Agent');
+      const text = await res.text();
+      expect(text).toContain('203.0.113.1');
+      expect(text).toMatch(/^ISP:/m);
+      expect(text).toMatch(/^Colo:/m);
+      expect(text).toMatch(/^RTT:/m);
+    });
+
+    it('Accept: text/plain 应返回纯文本摘要', async () => {
+      const res = await app.request('/', {
+        headers: { 'User-Agent': 'Mozilla/5.0', Accept: 'text/plain' },
+      });
+
+      expect(res.headers.get('content-type')).toContain('text/plain');
+    });
+
+    it('浏览器访问首页应返回 HTML', async () => {
+      const res = await app.request('/', {
+        headers: { 'User-Agent': 'Mozilla/5.0', Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+      });
+
+      expect(res.headers.get('content-type')).toContain('text/html');
+      expect(res.headers.get('vary')).toContain('Accept');
+    });
+  });
+
   // 测试 404 处理
   describe('404 处理', () => {
     it('应返回 404 对于未知路由', async () => {
@@ -0,0 +1,161 @@
+/**
+ * 会话与 Turnstile 校验测试
+ * 测试 /api/session 以及测速下载、AI 分析对会话 Cookie 的要求
+ */
+
+import { describe, it, expect, inject } from 'vitest';
+import { generateSignedCookie } from 'hono/cookie';
+import app from '../app';
+import type { Env } from '../../types/env';
+import { createFakeD1 } from './helpers/d1';
+
+const SECRET = 'test-turnstile-secret';
+
+const env: Env = {
+  TURNSTILE_SITE_KEY: 'test-site-key',
+  TURNSTILE_SECRET_KEY: SECRET,
+  TURNSTILE_VERIFY_URL: `${inject('aiMockUrl')}/turnstile/siteverify`,
+};
+
+/**
+ * 用 Turnstile 令牌换取会话
+ */
+function createSession(token: unknown, envOverride: Env = env) {
+  return app.request(
+    '/api/session',
+    { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ token }) },
+    envOverride
+  );
+}
+
+/**
+ * 取得 Set-Cookie 中的 name=value 部分
+ */
+function cookieOf(res: Response) {
+  return (res.headers.get('set-cookie') || '').split(';')[0];
+}
+
+/**
+ * 生成指定过期时间的会话 Cookie
+ */
+async function signedCookie(expiresAt: number, secret = SECRET) {
+  return (await generateSignedCookie('session', String(expiresAt), secret)).split(';')[0];
+}
+
+describe('Session API', () => {
+  describe('POST /api/session', () => {
+    it('未配置密钥时应提示未启用', async () => {
+      const res = await createSession('pass', {});
+
+      expect(res.status).toBe(200);
+      expect(await res.json()).toEqual({ enabled: false });
+      expect(res.headers.get('set-cookie')).toBeNull();
+    });
+
+    it('令牌通过校验时应下发签名 Cookie', async () => {
+      const res = await createSession('pass');
+
+      expect(res.status).toBe(200);
+      expect(await res.json()).toEqual({ enabled: true, expiresIn: 1800 });
+      const setCookie = res.headers.get('set-cookie')!;
+      expect(setCookie).toMatch(/^session=/);
+      expect(setCookie).toContain('HttpOnly');
+      expect(setCookie).toContain('Secure');
+      expect(setCookie).toContain('SameSite=Strict');
+      expect(setCookie).toContain('Max-Age=1800');
+    });
+
+    it('令牌未通过校验时应返回 403', async () => {
+      const res = await createSession('fail');
+
+      expect(res.status).toBe(403);
+      expect(res.headers.get('set-cookie')).toBeNull();
+    });
+
+    it('应拒绝缺少令牌的请求', async () => {
+      expect((await createSession(undefined)).status).toBe(400);
+      expect((await createSession(123)).status).toBe(400);
+    });
+
+    it('校验服务不可用时应返回 502', async () => {
+      const res = await createSession('down');
+
+      expect(res.status).toBe(502);
+    });
+  });
+
+  describe('会话校验', () => {
+    it('未配置密钥时不校验', async () => {
+      const res = await app.request('/api/speed/download?bytes=1000000', {}, {});
+
+      expect(res.status).toBe(200);
+      await res.arrayBuffer();
+    });
+
+    it('缺少 Cookie 时应拒绝测速下载和 AI 分析', async () => {
+      const download = await app.request('/api/speed/download?bytes=1000000&lang=en', {}, env);
+      expect(download.status).toBe(403);
+      expect(await download.json()).toEqual({ error: 'Please complete the human verification first' });
+
+      const analyze = await app.request('/api/analyze', { method: 'POST', body: '{}' }, env);
+      expect(analyze.status).toBe(403);
+    });
+
+    it('携带会话 Cookie 时应放行', async () => {
+      const cookie = cookieOf(await createSession('pass'));
+      const res = await app.request('/api/speed/download?bytes=1000000', { headers: { Cookie: cookie } }, env);
+
+      expect(res.status).toBe(200);
+      await res.arrayBuffer();
+    });
+
+    it('应拒绝过期或伪造的 Cookie', async () => {
+      const expired = await signedCookie(Date.now() - 1000);
+      const forged = await signedCookie(Date.now() + 60_000, 'other-secret');
+
+      for (const cookie of [expired, forged, `session=${Date.now() + 60_000}`]) {
+        const res = await app.request('/api/speed/download?bytes=1000000', { headers: { Cookie: cookie } }, env);
+        expect(res.status).toBe(403);
+      }
+    });
+
+    it('保存测速结果需要会话', async () => {
+      const { db } = createFakeD1();
+      const init = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"download":{"mbps":1}}' };
+
+      expect((await app.request('/api/results', init, { ...env, DB: db })).status).toBe(403);
+
+      const cookie = cookieOf(await createSession('pass'));
+      const res = await app.request('/api/results', { ...init, headers: { ...init.headers, Cookie: cookie } }, { ...env, DB: db });
+      expect(res.status).toBe(201);
+    });
+
+    it('旧路由中的测速下载和 AI 分析同样需要会话', async () => {
+      expect((await app.request('/api/legacy?act=speed_down', {}, env)).status).toBe(403);
+      expect((await app.request('/api/legacy?act=analyze', { method: 'POST', body: '{}' }, env)).status).toBe(403);
+      expect((await app.request('/?act=analyze', { method: 'POST', body: '{}' }, env)).status).toBe(403);
+      expect((await app.request('/api/legacy?act=get_ip_info', {}, env)).status).toBe(200);
+    });
+
+    it('其他接口不需要会话', async () => {
+      expect((await app.request('/api/ping', {}, env)).status).toBe(200);
+      expect((await app.request('/api/ip', {}, env)).status).toBe(200);
+    });
+  });
+
+  describe('页面', () => {
+    it('启用时应加载 Turnstile 并下发站点密钥', async () => {
+      const html = await (await app.request('/', { headers: { Accept: 'text/html' } }, env)).text();
+
+      expect(html).toContain('challenges.cloudflare.com/turnstile/v0/api.js');
+      expect(html).toContain('const TURNSTILE_SITE_KEY = "test-site-key";');
+    });
+
+    it('未启用时不应加载 Turnstile', async () => {
+      const html = await (await app.request('/', { headers: { Accept: 'text/html' } }, {})).text();
+
+      expect(html).not.toContain('challenges.cloudflare.com');
+      expect(html).toContain('const TURNSTILE_SITE_KEY = "";');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * 分享页面测试
+ * 测试 /r/:id 结果卡片和 /r/:id/og.svg 预览图
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import app from '../app';
+import type { SpeedResult } from '../../types/env';
+import { createFakeD1 } from './helpers/d1';
+
+describe('分享页面', () => {
+  let fake: ReturnType<typeof createFakeD1>;
+  let saved: SpeedResult;
+
+  beforeEach(async () => {
+    fake = createFakeD1();
+    const res = await app.request(
+      '/api/results',
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.1' },
+        body: JSON.stringify({
+          download: { mbps: 512.3, peakMbps: 640.1 },
+          upload: { mbps: 88.8 },
+          latency: { rtt: 12, idle: 10, loaded: 45, grade: 'B' },
+        }),
+      },
+      { DB: fake.db }
+    );
+    saved = await res.json<SpeedResult>();
+  });
+
+  describe('GET /r/:id', () => {
+    it('应渲染只读结果卡片', async () => {
+      const res = await app.request(`/r/${saved.id}`, {}, { DB: fake.db });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-type')).toContain('text/html');
+      const html = await res.text();
+      expect(html).toContain('512.3 Mbps');
+      expect(html).toContain('88.8 Mbps');
+      expect(html).toContain('10 / 45 ms · B');
+      expect(html).toContain('(UNK)');
+      expect(html).not.toContain('speed-start-btn');
+    });
+
+    it('应包含 Open Graph 标签', async () => {
+      const res = await app.request(`http://localhost/r/${saved.id}`, {}, { DB: fake.db });
+
+      const html = await res.text();
+      expect(html).toContain('<meta property="og:title"');
+      expect(html).toContain(`<meta property="og:url" content="http://localhost/r/${saved.id}">`);
+      expect(html).toContain('<meta name="twitter:card" content="summary">');
+      // 社交平台不渲染 SVG，不能把 og.svg 声明为预览图
+      expect(html).not.toContain('og:image');
+      expect(html).not.toContain('twitter:image');
+    });
+
+    it('不存在的结果应返回 404 页面', async () => {
+      const res = await app.request('/r/AAAAAAAAAA', {}, { DB: fake.db });
+
+      expect(res.status).toBe(404);
+      expect(res.headers.get('content-type')).toContain('text/html');
+    });
+
+    it('未绑定数据库时应返回 503', async () => {
+      const res = await app.request(`/r/${saved.id}`);
+
+      expect(res.status).toBe(503);
+    });
+
+    it('应按请求语言渲染卡片', async () => {
+      const res = await app.request(`/r/${saved.id}?lang=en`, {}, { DB: fake.db });
+
+      const html = await res.text();
+      expect(html).toContain('<html lang="en">');
+      expect(html).toContain('<meta property="og:site_name" content="Let me see your network!">');
+      expect(html).toContain('Idle / loaded latency');
+      expect(html).toContain('512.3 Mbps (peak 640.1 Mbps)');
+      expect(html).toContain('Test my own network');
+      expect(html).not.toContain('测测我自己的网');
+    });
+
+    it('错误页面应按请求语言显示', async () => {
+      const missing = await app.request('/r/AAAAAAAAAA', { headers: { 'Accept-Language': 'ja' } }, { DB: fake.db });
+      const html = await missing.text();
+      expect(html).toContain('<html lang="ja">');
+      expect(html).toContain('結果が見つかりません');
+
+      const unconfigured = await app.request(`/r/${saved.id}?lang=en`);
+      expect(await unconfigured.text()).toContain('Result storage is not configured');
+    });
+  });
+
+  describe('GET /r/:id/og.svg', () => {
+    it('应返回 SVG 预览图', async () => {
+      const res = await app.request(`/r/${saved.id}/og.svg`, {}, { DB: fake.db });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-type')).toContain('image/svg+xml');
+      expect(res.headers.get('cache-control')).toContain('public');
+      const svg = await res.text();
+      expect(svg).toMatch(/^<svg /);
+      expect(svg).toContain('width="1200" height="630"');
+      expect(svg).toContain('512.3 Mbps');
+    });
+
+    it('不存在的结果应返回 404', async () => {
+      const res = await app.request('/r/AAAAAAAAAA/og.svg', {}, { DB: fake.db });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('预览图文字应按请求语言显示', async () => {
+      const res = await app.request(`/r/${saved.id}/og.svg?lang=zh-TW`, {}, { DB: fake.db });
+
+      const svg = await res.text();
+      expect(svg).toContain('讓我看看你的網路！');
+      expect(svg).toContain('下載頻寬');
+    });
+  });
+});
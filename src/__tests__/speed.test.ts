@@ -1,10 +1,29 @@
 /**
  * 测速接口测试
- * 测试 /api/speed/download 和 /api/speed/locations 接口
+ * 测试 /api/speed/download、/api/speed/upload 和 /api/speed/locations 接口
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import app from '../app';
+import type { Env } from '../../types/env';
+import { SpeedQuota } from '../services/speed-quota';
+import type { QuotaResult } from '../services/speed-quota';
+import { createFakeNamespace, createFakeStorage } from './helpers/durable-object';
+
+/**
+ * 创建新的配额实例及其绑定
+ */
+function createQuota() {
+  const quota = new SpeedQuota(createFakeStorage().state, {});
+  return { quota, ...createFakeNamespace(quota) };
+}
+
+/**
+ * 以指定环境变量发起下载请求，请求来自 203.0.113.1
+ */
+function downloadWith(env: Env, query = 'bytes=1000000', ip = '203.0.113.1') {
+  return app.request(`/api/speed/download?${query}`, { headers: { 'CF-Connecting-IP': ip } }, env);
+}
 
 describe('Speed API', () => {
   // 测试下载测速接口
@@ -52,9 +71,10 @@ describe('Speed API', () => {
         method: 'GET',
       });
 
-      // 由于需要代理 Cloudflare 的测速接口，这里主要测试参数验证
-      // 在实际环境中会返回 200 或 502（上游错误）
-      expect([200, 502]).toContain(res.status);
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-type')).toBe('application/octet-stream');
+      const body = await res.arrayBuffer();
+      expect(body.byteLength).toBe(10_000_000);
     });
 
     it('应接受有效的 bytes 参数', async () => {
@@ -62,7 +82,61 @@ describe('Speed API', () => {
         method: 'GET',
       });
 
-      expect([200, 502]).toContain(res.status);
+      expect(res.status).toBe(200);
+      const body = await res.arrayBuffer();
+      expect(body.byteLength).toBe(1_000_000);
+    });
+
+    it('生成的数据应不可压缩且禁止边缘转换', async () => {
+      const res = await app.request('/api/speed/download?bytes=1000000', {
+        method: 'GET',
+      });
+
+      expect(res.headers.get('cache-control')).toContain('no-transform');
+      const body = new Uint8Array(await res.arrayBuffer());
+      // 随机数据中各字节值应大致均匀分布
+      const seen = new Set(body.subarray(0, 65536));
+      expect(seen.size).toBe(256);
+      expect(body.subarray(0, 1024)).not.toEqual(body.subarray(65536, 65536 + 1024));
+    });
+
+    it('应回显 stream 和 nonce 响应头', async () => {
+      const res = await app.request('/api/speed/download?bytes=1000000&stream=3&nonce=abc123', {
+        method: 'GET',
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('x-speed-stream')).toBe('3');
+      expect(res.headers.get('x-speed-nonce')).toBe('abc123');
+      await res.body?.cancel();
+    });
+
+    it('应拒绝无效的 source 参数', async () => {
+      const res = await app.request('/api/speed/download?source=other', {
+        method: 'GET',
+      });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('应拒绝无效的 stream 参数', async () => {
+      const res = await app.request('/api/speed/download?stream=0', {
+        method: 'GET',
+      });
+
+      expect(res.status).toBe(400);
+      const data = await res.json<{ error: string }>();
+      expect(data.error).toContain('stream');
+    });
+
+    it('应拒绝无效的 nonce 参数', async () => {
+      const res = await app.request('/api/speed/download?stream=2&nonce=bad%20nonce!', {
+        method: 'GET',
+      });
+
+      expect(res.status).toBe(400);
+      const data = await res.json<{ error: string }>();
+      expect(data.error).toContain('nonce');
     });
 
     it('应设置正确的 CORS 头', async () => {
@@ -74,6 +148,99 @@ describe('Speed API', () => {
     });
   });
 
+  // 测试上游代理模式
+  describe('GET /api/speed/download?source=upstream', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('应代理上游数据流', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(
+        new Response('0123456789', { headers: { 'content-type': 'application/octet-stream' } })
+      );
+
+      const res = await app.request('/api/speed/download?source=upstream&bytes=1000000', {
+        method: 'GET',
+      });
+
+      expect(res.status).toBe(200);
+      expect(await res.text()).toBe('0123456789');
+      expect(String(fetchSpy.mock.calls[0][0])).toContain('speed.cloudflare.com/__down?bytes=1000000');
+    });
+
+    it('上游失败时应返回 502', async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('oops', { status: 503 }));
+
+      const res = await app.request('/api/speed/download?source=upstream', {
+        method: 'GET',
+      });
+
+      expect(res.status).toBe(502);
+      const data = await res.json<{ error: string }>();
+      expect(data).toHaveProperty('error');
+    });
+
+    it('上游不可达时应返回 502', async () => {
+      vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('network down'));
+
+      const res = await app.request('/api/speed/download?source=upstream', {
+        method: 'GET',
+      });
+
+      expect(res.status).toBe(502);
+    });
+  });
+
+  // 测试上传测速接口
+  describe('POST /api/speed/upload', () => {
+    it('应返回上传字节数和耗时', async () => {
+      const res = await app.request('/api/speed/upload', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+        body: new Uint8Array(256 * 1024),
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('cache-control')).toContain('no-store');
+      const data = await res.json<{ bytes: number; duration: number; mbps: number }>();
+      expect(data.bytes).toBe(256 * 1024);
+      expect(data.duration).toBeGreaterThan(0);
+      expect(typeof data.mbps).toBe('number');
+    });
+
+    it('应拒绝缺少请求体的请求', async () => {
+      const res = await app.request('/api/speed/upload', {
+        method: 'POST',
+      });
+
+      expect(res.status).toBe(400);
+      const data = await res.json<{ error: string }>();
+      expect(data).toHaveProperty('error');
+    });
+
+    it('应拒绝声明长度超限的请求', async () => {
+      const res = await app.request('/api/speed/upload', {
+        method: 'POST',
+        headers: {
+          'Content-Length': '300000000',
+        },
+        body: new Uint8Array(16),
+      });
+
+      expect(res.status).toBe(413);
+    });
+
+    it('应拒绝非 POST 请求', async () => {
+      const res = await app.request('/api/speed/upload', {
+        method: 'GET',
+      });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
   // 测试测速点列表接口
   describe('GET /api/speed/locations', () => {
     it('应返回测速点列表', async () => {
@@ -116,4 +283,136 @@ describe('Speed API', () => {
       }
     });
   });
+
+  describe('测速配额', () => {
+    it('配额内的请求应正常下载并在结束后释放租约', async () => {
+      const { ns, calls } = createQuota();
+      const env = { SPEED_QUOTA: ns, SPEED_IP_CONCURRENT: '1' };
+
+      for (let i = 0; i < 2; i++) {
+        const res = await downloadWith(env);
+        expect(res.status).toBe(200);
+        expect((await res.arrayBuffer()).byteLength).toBe(1_000_000);
+      }
+      expect(calls).toEqual(['/acquire', '/release', '/acquire', '/release']);
+    });
+
+    it('超出 IP 流量配额时应返回 429 和 Retry-After', async () => {
+      const { ns } = createQuota();
+      const env = { SPEED_QUOTA: ns, SPEED_IP_BYTES: '2500000', SPEED_QUOTA_WINDOW: '600' };
+
+      for (let i = 0; i < 2; i++) {
+        const res = await downloadWith(env);
+        expect(res.status).toBe(200);
+        await res.arrayBuffer();
+      }
+
+      const res = await downloadWith(env, 'bytes=1000000&lang=en');
+      expect(res.status).toBe(429);
+      expect(res.headers.get('retry-after')).toBe('600');
+      expect(res.headers.get('access-control-allow-origin')).toBe('*');
+      const data = await res.json<{ error: string }>();
+      expect(data.error).toBe('Speed test quota for this IP reached, please try again in 600 seconds');
+
+      // 其他 IP 不受影响
+      expect((await downloadWith(env, 'bytes=1000000', '198.51.100.1')).status).toBe(200);
+    });
+
+    it('超出并发数时应返回 429，取消下载后恢复', async () => {
+      const { ns } = createQuota();
+      const env = { SPEED_QUOTA: ns, SPEED_IP_CONCURRENT: '1' };
+
+      const first = await downloadWith(env);
+      expect(first.status).toBe(200);
+
+      const second = await downloadWith(env);
+      expect(second.status).toBe(429);
+      expect(second.headers.get('retry-after')).toBe('5');
+      expect((await second.json<{ error: string }>()).error).toContain('同时进行的测速过多');
+
+      await first.body!.cancel();
+      expect((await downloadWith(env)).status).toBe(200);
+    });
+
+    it('超出全局配额时应提示服务繁忙', async () => {
+      const { ns } = createQuota();
+      const env = { SPEED_QUOTA: ns, SPEED_GLOBAL_BYTES: '1500000' };
+
+      await (await downloadWith(env)).arrayBuffer();
+      const res = await downloadWith(env, 'bytes=1000000', '198.51.100.1');
+
+      expect(res.status).toBe(429);
+      expect((await res.json<{ error: string }>()).error).toContain('测速服务繁忙');
+    });
+
+    it('配额服务故障时应放行', async () => {
+      const { ns } = createFakeNamespace({
+        fetch: () => new Response('boom', { status: 500 }),
+      });
+
+      const res = await downloadWith({ SPEED_QUOTA: ns });
+      expect(res.status).toBe(200);
+      await res.arrayBuffer();
+    });
+
+    it('窗口到期后应重新计算流量，过期租约应失效', async () => {
+      const quota = new SpeedQuota(createFakeStorage().state, {});
+      const request = {
+        scopes: [{ key: 'ip:203.0.113.1', windowBytes: 1_000_000, maxConcurrent: 1 }],
+        bytes: 1_000_000,
+        windowSeconds: 60,
+        leaseSeconds: 30,
+      };
+
+      expect((await quota.acquire(request, 0)).allowed).toBe(true);
+      expect(await quota.acquire(request, 10_000)).toEqual({
+        allowed: false,
+        scope: 'ip:203.0.113.1',
+        reason: 'bytes',
+        retryAfter: 50,
+      });
+      expect((await quota.acquire(request, 60_000)).allowed).toBe(true);
+    });
+
+    it('实例被回收后计数和租约应从存储恢复', async () => {
+      const { state } = createFakeStorage();
+      const key = 'ip:203.0.113.1';
+      const request = {
+        scopes: [{ key, windowBytes: 2_500_000, maxConcurrent: 1 }],
+        bytes: 1_000_000,
+        windowSeconds: 60,
+        leaseSeconds: 30,
+      };
+      // 每次调用都使用新实例，模拟两次申请之间实例被回收
+      const acquire = (now: number) => new SpeedQuota(state, {}).acquire(request, now);
+      const release = (result: QuotaResult) =>
+        new SpeedQuota(state, {}).release((result as { lease: string }).lease, [key]);
+
+      const first = await acquire(0);
+      expect(first.allowed).toBe(true);
+      expect(await acquire(1_000)).toMatchObject({ allowed: false, reason: 'concurrent' });
+
+      await release(first);
+      const second = await acquire(2_000);
+      expect(second.allowed).toBe(true);
+
+      await release(second);
+      expect(await acquire(3_000)).toMatchObject({ allowed: false, reason: 'bytes', retryAfter: 57 });
+    });
+
+    it('应清理窗口已过期且空闲的计数', async () => {
+      const { state, data } = createFakeStorage();
+      const quota = new SpeedQuota(state, {});
+      const request = (ip: string) => ({
+        scopes: [{ key: `ip:${ip}`, windowBytes: 0, maxConcurrent: 0 }],
+        bytes: 1,
+        windowSeconds: 60,
+        leaseSeconds: 30,
+      });
+
+      await quota.acquire(request('203.0.113.1'), 0);
+      await quota.acquire(request('203.0.113.2'), 90_000);
+      expect([...data.keys()]).toEqual(['scope:ip:203.0.113.2']);
+    });
+  });
 });
@@ -8,6 +8,9 @@ import { cors } from 'hono/cors';
 import type { Env } from '../types/env';
 import apiRoutes from './routes/api';
 import pageRoutes from './routes/pages';
+import shareRoutes from './routes/share';
+import { refreshDictionaries } from './services/config';
+import { resolveLocale, t } from './i18n';
 
 const app = new Hono<{ Bindings: Env }>();
 
@@ -30,7 +33,7 @@ app.use('/api/*', cors({
   allowMethods: ['GET', 'POST', 'OPTIONS'],
   allowHeaders: ['Content-Type'],
   maxAge: 86400,
-  exposeHeaders: ['Content-Length'],
+  exposeHeaders: ['Content-Length', 'X-Speed-Stream', 'X-Speed-Nonce', 'Retry-After', 'X-AI-Provider', 'X-AI-Cache'],
 }));
 
 // 请求日志中间件 - M1 优化：减少日志输出，只记录关键信息
@@ -44,9 +47,41 @@ app.use('/*', async (c, next) => {
   }
 });
 
+// 语言选择：?lang= 优先，其次 Accept-Language
+app.use('/*', async (c, next) => {
+  const lang = c.req.query('lang');
+  c.set('locale', resolveLocale(lang, c.req.header('Accept-Language')));
+  await next();
+  // 未显式指定语言时响应随 Accept-Language 变化，避免共享缓存串语言
+  if (!lang) c.res.headers.append('Vary', 'Accept-Language');
+});
+
+// 运行时字典：按需从 CONFIG KV 刷新节点映射与运营商规则
+// 只挂在读取字典的路由上，Ping、测速和边缘探测的计时不受 KV 读取影响
+const DICTIONARY_ROUTES = [
+  '/',
+  '/api/ip/*',
+  '/api/lookup/*',
+  '/api/colos/*',
+  '/api/ping/targets',
+  '/api/analyze',
+  '/api/results',
+  '/api/legacy',
+  '/r/*',
+];
+for (const path of DICTIONARY_ROUTES) {
+  app.use(path, async (c, next) => {
+    await refreshDictionaries(c.env?.CONFIG);
+    await next();
+  });
+}
+
 // API 路由
 app.route('/api', apiRoutes);
 
+// 分享结果页面（/r/:id）
+app.route('/r', shareRoutes);
+
 // 页面路由（已在 pages.ts 中处理兼容逻辑）- H3 修复
 app.route('/', pageRoutes);
 
@@ -58,7 +93,7 @@ app.notFound((c) => {
 // 错误处理 - M7 修复：隐藏敏感错误信息
 app.onError((err, c) => {
   console.error(`[Error] ${err.message}`);
-  return c.json({ error: '服务器内部错误，请稍后重试' }, 500);
+  return c.json({ error: t(c, 'error.internal') }, 500);
 });
 
 export default app;
@@ -0,0 +1,193 @@
+/**
+ * 管理接口处理器
+ * 在线查看和更新节点映射、运营商规则与延迟监测目标（存于 CONFIG KV）
+ */
+
+import type { Context, Next } from 'hono';
+import type { Env } from '../../types/env';
+import {
+  COLOS_KEY,
+  ISP_RULES_KEY,
+  PING_TARGETS_KEY,
+  parsePingTargetsEnv,
+  saveColoMap,
+  saveISPRuleSet,
+  savePingTargets,
+  validateColoMap,
+  validateISPRuleSet,
+  validatePingTargets,
+} from '../services/config';
+import { DEFAULT_ISP_RULES } from '../services/isp';
+import { DEFAULT_PING_TARGETS } from '../services/ping-targets';
+import { readTextBody } from '../utils/body';
+import { errorResponse, successResponse } from '../utils/response';
+import { getLocale, t } from '../i18n';
+
+/** 请求体最大字节数 */
+const ADMIN_MAX_BODY_BYTES = 256 * 1024;
+
+/**
+ * 管理接口鉴权中间件
+ * 校验 Authorization: Bearer <ADMIN_TOKEN>，并要求已绑定 CONFIG KV
+ * @param c - Hono Context
+ * @param next - 下一个处理器
+ */
+export async function requireAdmin(c: Context<{ Bindings: Env }>, next: Next) {
+  const token = c.env?.ADMIN_TOKEN;
+  if (!token) {
+    return errorResponse(c, t(c, 'admin.notConfigured'), 503);
+  }
+
+  const header = c.req.header('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!provided || !(await timingSafeEqual(provided, token))) {
+    c.header('WWW-Authenticate', 'Bearer');
+    return errorResponse(c, t(c, 'admin.unauthorized'), 401);
+  }
+
+  if (!c.env.CONFIG) {
+    return errorResponse(c, t(c, 'admin.storageNotConfigured'), 503);
+  }
+
+  c.header('Cache-Control', 'no-store');
+  await next();
+}
+
+/**
+ * 获取 KV 中的节点映射覆盖
+ * @param c - Hono Context
+ * @returns 节点映射 JSON，未覆盖时为空对象
+ */
+export async function getColos(c: Context<{ Bindings: Env }>) {
+  const colos = await c.env.CONFIG!.get(COLOS_KEY, 'json');
+  return successResponse(c, colos ?? {});
+}
+
+/**
+ * 替换节点映射覆盖，与打包的映射合并生效，提交空对象即清除
+ * @param c - Hono Context
+ * @returns 保存后的节点映射
+ */
+export async function putColos(c: Context<{ Bindings: Env }>) {
+  const body = await readJsonBody(c);
+  if ('error' in body) return errorResponse(c, body.error, body.status);
+
+  const parsed = validateColoMap(body.data, getLocale(c));
+  if ('error' in parsed) return errorResponse(c, parsed.error, 400);
+
+  await saveColoMap(c.env.CONFIG!, parsed.data);
+  console.log(`[Admin] Updated ${Object.keys(parsed.data).length} colo overrides`);
+  return successResponse(c, parsed.data);
+}
+
+/**
+ * 获取当前的运营商规则表
+ * @param c - Hono Context
+ * @returns KV 中的规则表，未覆盖时返回打包的规则表
+ */
+export async function getISPRules(c: Context<{ Bindings: Env }>) {
+  const rules = await c.env.CONFIG!.get(ISP_RULES_KEY, 'json');
+  return successResponse(c, rules ?? DEFAULT_ISP_RULES);
+}
+
+/**
+ * 整体替换运营商规则表
+ * @param c - Hono Context
+ * @returns 保存后的规则表
+ */
+export async function putISPRules(c: Context<{ Bindings: Env }>) {
+  const body = await readJsonBody(c);
+  if ('error' in body) return errorResponse(c, body.error, body.status);
+
+  const parsed = validateISPRuleSet(body.data, getLocale(c));
+  if ('error' in parsed) return errorResponse(c, parsed.error, 400);
+
+  await saveISPRuleSet(c.env.CONFIG!, parsed.data);
+  console.log(`[Admin] Updated ISP rules (${parsed.data.rules.length} rules)`);
+  return successResponse(c, parsed.data);
+}
+
+/**
+ * 删除 KV 中的运营商规则，恢复为打包的规则表
+ * @param c - Hono Context
+ * @returns 打包的规则表
+ */
+export async function deleteISPRules(c: Context<{ Bindings: Env }>) {
+  await saveISPRuleSet(c.env.CONFIG!, null);
+  console.log('[Admin] Reset ISP rules to bundled defaults');
+  return successResponse(c, DEFAULT_ISP_RULES);
+}
+
+/**
+ * 获取当前的延迟监测目标
+ * @param c - Hono Context
+ * @returns KV 中的目标列表，未覆盖时返回环境变量或打包的列表
+ */
+export async function getPingTargets(c: Context<{ Bindings: Env }>) {
+  const targets = await c.env.CONFIG!.get(PING_TARGETS_KEY, 'json');
+  return successResponse(c, targets ?? parsePingTargetsEnv(c.env.PING_TARGETS) ?? DEFAULT_PING_TARGETS);
+}
+
+/**
+ * 整体替换延迟监测目标
+ * @param c - Hono Context
+ * @returns 保存后的目标列表
+ */
+export async function putPingTargets(c: Context<{ Bindings: Env }>) {
+  const body = await readJsonBody(c);
+  if ('error' in body) return errorResponse(c, body.error, body.status);
+
+  const parsed = validatePingTargets(body.data, getLocale(c));
+  if ('error' in parsed) return errorResponse(c, parsed.error, 400);
+
+  await savePingTargets(c.env.CONFIG!, parsed.data);
+  console.log(`[Admin] Updated ping targets (${parsed.data.length} targets)`);
+  return successResponse(c, parsed.data);
+}
+
+/**
+ * 删除 KV 中的延迟监测目标，恢复为环境变量或打包的列表
+ * @param c - Hono Context
+ * @returns 恢复后的目标列表
+ */
+export async function deletePingTargets(c: Context<{ Bindings: Env }>) {
+  await savePingTargets(c.env.CONFIG!, null);
+  console.log('[Admin] Reset ping targets');
+  return successResponse(c, parsePingTargetsEnv(c.env.PING_TARGETS) ?? DEFAULT_PING_TARGETS);
+}
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param c - Hono Context
+ * @returns 解析结果或错误信息
+ */
+async function readJsonBody(c: Context): Promise<{ data: unknown } | { error: string; status: 400 | 413 }> {
+  const text = await readTextBody(c.req.raw, ADMIN_MAX_BODY_BYTES);
+  if (text === null) {
+    return { error: t(c, 'error.bodyTooLarge'), status: 413 };
+  }
+  try {
+    return { data: JSON.parse(text) };
+  } catch {
+    return { error: t(c, 'error.invalidJson'), status: 400 };
+  }
+}
+
+/**
+ * 常量时间比较两个字符串（先取摘要以消除长度差异）
+ * @param a - 字符串 A
+ * @param b - 字符串 B
+ * @returns 是否相等
+ */
+async function timingSafeEqual(a: string, b: string): Promise<boolean> {
+  const encoder = new TextEncoder();
+  const [da, db] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b)),
+  ]);
+  const va = new Uint8Array(da);
+  const vb = new Uint8Array(db);
+  let diff = 0;
+  for (let i = 0; i < va.length; i++) diff |= va[i] ^ vb[i];
+  return diff === 0;
+}
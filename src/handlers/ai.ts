@@ -1,133 +1,211 @@
 /**
  * AI 分析处理器
- * 调用智谱 AI 对用户网络信息进行分析
+ * 调用已配置的 AI 提供方对用户网络信息进行分析
  */
 
 import type { Context } from 'hono';
-import type { Env } from '../../types/env';
+import type { CachedAnalysis, Env, RequestWithCf } from '../../types/env';
+import { readNumber } from '../utils/env';
+import { readTextBody } from '../utils/body';
 import { errorResponse } from '../utils/response';
+import { getLocale, t } from '../i18n';
+import { createProviders, formatSSE, streamWithFallback } from '../services/ai';
+import type { AIChunk } from '../services/ai';
+import {
+  ANALYSIS_MODES,
+  DEFAULT_ANALYSIS_MODE,
+  analysisCacheKey,
+  buildAnalysisContext,
+  getCachedAnalysis,
+  isAnalysisMode,
+  putCachedAnalysis,
+  validateAnalysisMetrics,
+} from '../services/analysis';
+import { consumeRateLimitToken } from '../services/rate-limit';
+import { buildIPInfo } from './ip';
 
-/** AI API 超时时间（毫秒） - M2 修复 */
-const AI_API_TIMEOUT = 30000;
+/** 请求体最大字节数（只包含测量指标，无需更大） */
+const ANALYZE_MAX_BODY_BYTES = 4 * 1024;
+
+/** 分析结果默认缓存时间（秒） */
+const DEFAULT_CACHE_TTL = 3600;
+
+/** 每个 IP 默认的令牌桶容量 */
+const DEFAULT_RATE_LIMIT = 5;
+
+/** 默认每补充一个令牌的间隔（秒） */
+const DEFAULT_RATE_LIMIT_INTERVAL = 60;
+
+/** SSE 响应头 */
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache',
+};
 
 /**
  * 处理 AI 分析请求
- * 接收用户网络信息，调用智谱 AI 生成分析报告
+ * 网络信息由服务端根据 request.cf 采集，请求体只能附带测量指标；
+ * ?mode= 选择提示词模板和采样温度，按 AI_PROVIDERS 顺序调用提供方生成分析报告，失败时回退到下一个；
+ * 绑定 CACHE 时按网络特征缓存结果；未命中缓存的请求按 IP 限流（RATE_LIMITER 优先，其次 CACHE）；
+ * ?fresh=1（页面的重新生成）跳过缓存读取，照常消耗令牌，完整结果覆盖原缓存
  * @param c - Hono Context
  * @returns 流式响应，包含 AI 分析结果
  */
 export async function analyze(c: Context<{ Bindings: Env }>) {
   try {
+    const mode = c.req.query('mode') || DEFAULT_ANALYSIS_MODE;
+    if (!isAnalysisMode(mode)) {
+      return errorResponse(
+        c,
+        t(c, 'ai.invalidMode', { options: Object.keys(ANALYSIS_MODES).join(t(c, 'list.separator')) }),
+        400
+      );
+    }
+
     // H2 修复：添加输入验证
-    let userInfo: Record<string, unknown>;
+    const text = await readTextBody(c.req.raw, ANALYZE_MAX_BODY_BYTES);
+    if (text === null) {
+      return errorResponse(c, t(c, 'error.bodyTooLarge'), 413);
+    }
+
+    let body: unknown;
     try {
-      userInfo = await c.req.json();
-      if (!userInfo || typeof userInfo !== 'object' || Array.isArray(userInfo)) {
-        return errorResponse(c, '无效的请求数据格式', 400);
-      }
+      body = JSON.parse(text);
     } catch {
-      return errorResponse(c, '无效的 JSON 格式', 400);
+      return errorResponse(c, t(c, 'error.invalidJson'), 400);
+    }
+
+    const locale = getLocale(c);
+    const validated = validateAnalysisMetrics(body, locale);
+    if ('error' in validated) {
+      return errorResponse(c, validated.error, 400);
     }
 
-    const apiKey = c.env.ZHIPU_API_KEY;
+    const providers = createProviders(c.env);
 
-    if (!apiKey) {
-      console.error('[AI] ZHIPU_API_KEY not configured');
-      return errorResponse(c, 'AI 服务暂时不可用', 500);
+    if (providers.length === 0) {
+      console.error('[AI] No AI provider configured');
+      return errorResponse(c, t(c, 'ai.unavailable'), 500);
     }
 
-    // 构建智谱 AI 请求
-    const zhipuRequest = {
-      model: 'GLM-4-Flash-250414',
-      messages: [
-        {
-          role: 'user',
-          content: `你是一个非常"有梗"的网络分析助手。请根据以下JSON信息，用通俗易懂、极其俏皮的语言，对用户的网络情况进行一段简短的分析和总结。
-          你的分析要"有态度"，可以根据用户的运营商（ISP）给出一些有趣的吐槽。不要使用markdown语法。
-          信息如下：\n\n${JSON.stringify(userInfo, null, 2)}`,
-        },
-      ],
-      stream: true,
-      temperature: 1.0,
-    };
-
-    // M2 修复：添加超时控制
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), AI_API_TIMEOUT);
-
-    let zhipuResponse: Response;
-    try {
-      zhipuResponse = await fetch('https://open.bigmodel.cn/api/paas/v4/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify(zhipuRequest),
-        signal: controller.signal,
+    const ipInfo = buildIPInfo(c.req.raw as RequestWithCf, locale);
+    const context = buildAnalysisContext(ipInfo, validated.data);
+
+    const kv = c.env?.CACHE;
+    const cacheTtl = readNumber(c.env?.AI_CACHE_TTL, DEFAULT_CACHE_TTL);
+    const cacheKey = kv && cacheTtl > 0 ? await analysisCacheKey(context, mode, locale) : null;
+
+    if (kv && cacheKey && c.req.query('fresh') !== '1') {
+      const cached = await getCachedAnalysis(kv, cacheKey);
+      if (cached) {
+        return new Response(cachedEventStream(cached, mode), {
+          headers: { ...SSE_HEADERS, 'X-AI-Provider': cached.provider, 'X-AI-Cache': 'HIT' },
+        });
+      }
+    }
+
+    // 只有真正调用模型的请求消耗令牌
+    const capacity = readNumber(c.env?.AI_RATE_LIMIT, DEFAULT_RATE_LIMIT);
+    if (capacity > 0) {
+      const limit = await consumeRateLimitToken(c.env, `ratelimit:analyze:${ipInfo.ip}`, {
+        capacity,
+        refillSeconds: readNumber(c.env?.AI_RATE_LIMIT_INTERVAL, DEFAULT_RATE_LIMIT_INTERVAL) || DEFAULT_RATE_LIMIT_INTERVAL,
       });
-    } finally {
-      clearTimeout(timeoutId);
+      if (limit && !limit.allowed) {
+        c.header('Retry-After', String(limit.retryAfter));
+        return errorResponse(c, t(c, 'ai.rateLimited', { seconds: limit.retryAfter }), 429);
+      }
     }
 
-    if (!zhipuResponse.ok) {
-      // M7 修复：隐藏敏感错误信息，详细错误记录到日志
-      const errorText = await zhipuResponse.text();
-      console.error(`[AI] Zhipu API error: ${zhipuResponse.status} ${errorText}`);
-      return errorResponse(c, 'AI 服务暂时不可用，请稍后重试', 502);
+    // 提示词随模式和请求语言切换，回答也使用该语言
+    const { prompt: template, temperature } = ANALYSIS_MODES[mode];
+    const prompt = t(c, template, { info: JSON.stringify(context, null, 2) });
+    const result = await streamWithFallback(providers, prompt, { temperature });
+
+    if (!result) {
+      // M7 修复：隐藏敏感错误信息，详细错误已记录到日志
+      return errorResponse(c, t(c, 'ai.retryLater'), 502);
     }
 
-    // 创建流式响应
-    const { readable, writable } = new TransformStream();
-    const writer = writable.getWriter();
-    const reader = zhipuResponse.body!.getReader();
-    const decoder = new TextDecoder();
-    const encoder = new TextEncoder();
+    const events = toEventStream(result.stream, {
+      done: { provider: result.provider, mode },
+      errorMessage: t(c, 'ai.interrupted'),
+      // 完整输出后写入缓存，中途出错的结果不缓存
+      onComplete:
+        kv && cacheKey
+          ? (entry) => putCachedAnalysis(kv, cacheKey, { ...entry, provider: result.provider }, cacheTtl)
+          : undefined,
+    });
+    return new Response(events, {
+      headers: { ...SSE_HEADERS, 'X-AI-Provider': result.provider, 'X-AI-Cache': cacheKey ? 'MISS' : 'BYPASS' },
+    });
+  } catch (error: any) {
+    // M7 修复：隐藏敏感错误信息
+    console.error(`[AI] Error: ${error.message}`);
+    return errorResponse(c, t(c, 'ai.failed'), 500);
+  }
+}
+
+/**
+ * 将上游事件流转换为 text/event-stream
+ * 依次输出 delta / usage 事件，正常结束时输出 done，上游中途出错时输出 error 后结束
+ * @param source - 上游事件流
+ * @param options.done - done 事件的数据
+ * @param options.errorMessage - error 事件中展示给用户的信息
+ * @param options.onComplete - 正常结束、输出 done 之前调用，传入完整文本和用量
+ * @returns SSE 字节流
+ */
+function toEventStream(
+  source: ReadableStream<AIChunk>,
+  options: {
+    done: Record<string, string>;
+    errorMessage: string;
+    onComplete?: (entry: Omit<CachedAnalysis, 'provider'>) => Promise<void>;
+  }
+): ReadableStream<Uint8Array> {
+  const reader = source.getReader();
+  const encoder = new TextEncoder();
+  const collected: Omit<CachedAnalysis, 'provider'> = { text: '' };
 
-    // 直接处理流式数据，不使用 waitUntil
-    (async () => {
-      let buffer = '';
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
       try {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          buffer += decoder.decode(value, { stream: true });
-          let boundary;
-          while ((boundary = buffer.indexOf('\n')) !== -1) {
-            const line = buffer.substring(0, boundary).trim();
-            buffer = buffer.substring(boundary + 1);
-
-            if (line.startsWith('data: ')) {
-              const jsonStr = line.substring(6);
-              if (jsonStr.trim() === '[DONE]') continue;
-
-              try {
-                const data = JSON.parse(jsonStr);
-                const content = data.choices[0]?.delta?.content || '';
-                if (content) {
-                  await writer.write(encoder.encode(content));
-                }
-              } catch {
-                // 忽略解析错误，继续处理下一个数据块
-              }
-            }
-          }
+        const { done: finished, value } = await reader.read();
+        if (finished) {
+          if (options.onComplete && collected.text) await options.onComplete(collected);
+          controller.enqueue(encoder.encode(formatSSE('done', options.done)));
+          controller.close();
+          return;
+        }
+        if (value.type === 'delta') {
+          collected.text += value.text;
+          controller.enqueue(encoder.encode(formatSSE('delta', { text: value.text })));
+        } else {
+          collected.usage = value.usage;
+          controller.enqueue(encoder.encode(formatSSE('usage', value.usage)));
         }
       } catch (error) {
+        // M7 修复：详细错误只记录到日志
         console.error('[AI] Stream processing error:', error);
-        await writer.abort(error);
-      } finally {
-        await writer.close();
+        controller.enqueue(encoder.encode(formatSSE('error', { error: options.errorMessage })));
+        controller.close();
       }
-    })();
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+}
 
-    return new Response(readable, {
-      headers: { 'Content-Type': 'text/html; charset=utf-8' },
-    });
-  } catch (error: any) {
-    // M7 修复：隐藏敏感错误信息
-    console.error(`[AI] Error: ${error.message}`);
-    return errorResponse(c, 'AI 分析服务出现异常', 500);
-  }
+/**
+ * 以 SSE 事件重放缓存的分析结果
+ * @param cached - 缓存内容
+ * @param mode - 分析模式
+ * @returns SSE 字节流
+ */
+function cachedEventStream(cached: CachedAnalysis, mode: string): ReadableStream<Uint8Array> {
+  const events = [formatSSE('delta', { text: cached.text })];
+  if (cached.usage) events.push(formatSSE('usage', cached.usage));
+  events.push(formatSSE('done', { provider: cached.provider, mode, cached: true }));
+  return new Response(events.join('')).body!;
 }
@@ -0,0 +1,50 @@
+/**
+ * 数据中心目录处理器
+ * 列出 Cloudflare 数据中心的中英文名称、国家、区域和坐标
+ */
+
+import type { Context } from 'hono';
+import { getColo, listColos } from '../services/colo';
+import { errorResponse, successResponse } from '../utils/response';
+import { getLocale, t } from '../i18n';
+
+/** 目录随部署更新，KV 覆盖最多延迟 60 秒，缓存 1 小时即可 */
+const COLOS_CACHE_CONTROL = 'public, max-age=3600';
+
+/**
+ * 列出数据中心
+ * 支持 ?country=JP 和 ?region=Asia Pacific 过滤（不区分大小写）
+ * @param c - Hono Context
+ * @returns 数据中心列表 JSON 响应
+ */
+export async function list(c: Context) {
+  const country = c.req.query('country')?.trim().toUpperCase();
+  const region = c.req.query('region')?.trim().toLowerCase();
+
+  const colos = listColos(getLocale(c)).filter(
+    (colo) => (!country || colo.country === country) && (!region || colo.region?.toLowerCase() === region)
+  );
+
+  c.header('Cache-Control', COLOS_CACHE_CONTROL);
+  return successResponse(c, colos);
+}
+
+/**
+ * 查询单个数据中心
+ * @param c - Hono Context
+ * @returns 数据中心详情 JSON 响应
+ */
+export async function detail(c: Context) {
+  const code = (c.req.param('code') || '').trim();
+  if (!/^[A-Za-z]{3}$/.test(code)) {
+    return errorResponse(c, t(c, 'colos.invalidCode'), 400);
+  }
+
+  const colo = getColo(code, getLocale(c));
+  if (!colo) {
+    return errorResponse(c, t(c, 'colos.notFound'), 404);
+  }
+
+  c.header('Cache-Control', COLOS_CACHE_CONTROL);
+  return successResponse(c, colo);
+}
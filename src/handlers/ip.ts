@@ -7,15 +7,126 @@ import type { Context } from 'hono';
 import type { RequestWithCf, IPInfo } from '../../types/env';
 import { identifyISP } from '../services/isp';
 import { translateColo } from '../services/colo';
-import { successResponse } from '../utils/response';
+import { errorResponse, formattedResponse, successResponse } from '../utils/response';
+import { OUTPUT_FORMATS, isOutputFormat } from '../utils/format';
+import { DEFAULT_LOCALE, getLocale, t } from '../i18n';
+import type { Locale } from '../i18n';
 
 /**
  * 获取 IP 信息
+ * 支持 ?format=json|text|yaml|csv，默认 JSON
  * @param c - Hono Context
- * @returns IP 信息 JSON 响应
+ * @returns IP 信息响应
  */
 export async function getIPInfo(c: Context) {
-  const request = c.req.raw as RequestWithCf;
+  const format = c.req.query('format') || 'json';
+  if (!isOutputFormat(format)) {
+    return errorResponse(c, t(c, 'ip.invalidFormat', { options: OUTPUT_FORMATS.join(t(c, 'list.separator')) }), 400);
+  }
+  return formattedResponse(c, buildIPInfo(c.req.raw as RequestWithCf, getLocale(c)), format);
+}
+
+/**
+ * 单字段查询路由可取的字段及取值方式
+ * 均从 buildIPInfo 的结果中读取，保证与 /api/ip 完全一致
+ */
+const IP_FIELDS: Record<string, (info: IPInfo) => string | number> = {
+  ip: (info) => info.ip,
+  asn: (info) => info.asn,
+  isp: (info) => info.isp.name,
+  country: (info) => info.location.country,
+  region: (info) => info.location.region,
+  city: (info) => info.location.city,
+  colo: (info) => info.node.code,
+  node: (info) => info.node.name,
+  rtt: (info) => info.rtt,
+};
+
+/**
+ * 获取 IP 信息中的单个字段
+ * 以纯文本返回，便于脚本和状态栏组件直接使用
+ * @param c - Hono Context
+ * @returns 字段值文本响应，未知字段返回 404
+ */
+export async function getIPField(c: Context) {
+  const field = c.req.param('field') || '';
+  const pick = Object.hasOwn(IP_FIELDS, field) ? IP_FIELDS[field] : undefined;
+  if (!pick) {
+    return errorResponse(c, t(c, 'ip.unknownField', { options: Object.keys(IP_FIELDS).join(t(c, 'list.separator')) }), 404);
+  }
+
+  // 值因访问者而异，禁止共享缓存和浏览器缓存
+  c.header('Cache-Control', 'private, no-store');
+  return c.text(`${pick(buildIPInfo(c.req.raw as RequestWithCf, getLocale(c)))}\n`);
+}
+
+/**
+ * 生成简洁的纯文本摘要，供 curl / wget 直接访问首页时使用
+ * @param info - IP 信息
+ * @returns 多行文本
+ */
+export function renderTextSummary(info: IPInfo): string {
+  const isp = info.isp.raw && info.isp.raw !== info.isp.name ? `${info.isp.name} (${info.isp.raw})` : info.isp.name;
+  const lines = [
+    ['IP', info.ip],
+    ['ISP', `${isp} AS${info.asn}`],
+    ['Colo', `${info.node.name} (${info.node.code})`],
+    ['RTT', info.rtt > 0 ? `${info.rtt} ms` : '-'],
+  ];
+  return lines.map(([label, value]) => `${`${label}:`.padEnd(6)}${value}`).join('\n') + '\n';
+}
+
+/**
+ * 获取 IPv4 连接的 IP 信息
+ * 配合仅解析 A 记录的主机名使用，请求经 IPv6 到达时返回 409
+ * @param c - Hono Context
+ * @returns IP 信息 JSON 响应
+ */
+export async function getIPv4Info(c: Context) {
+  return familyInfoResponse(c, 4);
+}
+
+/**
+ * 获取 IPv6 连接的 IP 信息
+ * 配合仅解析 AAAA 记录的主机名使用，请求经 IPv4 到达时返回 409
+ * @param c - Hono Context
+ * @returns IP 信息 JSON 响应
+ */
+export async function getIPv6Info(c: Context) {
+  return familyInfoResponse(c, 6);
+}
+
+/**
+ * 判断 IP 地址族
+ * @param ip - IP 地址
+ * @returns 4 或 6
+ */
+export function ipFamily(ip: string): 4 | 6 {
+  return ip.includes(':') ? 6 : 4;
+}
+
+/**
+ * 按地址族返回 IP 信息
+ * @param c - Hono Context
+ * @param family - 期望的地址族
+ * @returns IP 信息 JSON 响应，地址族不符时返回错误
+ */
+function familyInfoResponse(c: Context, family: 4 | 6) {
+  const data = buildIPInfo(c.req.raw as RequestWithCf, getLocale(c));
+  if (ipFamily(data.ip) !== family) {
+    return errorResponse(c, t(c, 'ip.familyMismatch', { family }), 409);
+  }
+  c.header('Cache-Control', 'no-store');
+  return successResponse(c, data);
+}
+
+/**
+ * 根据请求的 cf 属性构建 IP 信息
+ * @param request - 带 cf 属性的请求
+ * @param locale - 节点名称的语言
+ * @returns IP 信息
+ */
+export function buildIPInfo(request: RequestWithCf, locale: Locale = DEFAULT_LOCALE): IPInfo {
   // L3 修复：使用类型安全的方式访问 cf 属性
   const cf = request.cf || {};
   const ip = request.headers.get('CF-Connecting-IP') || '0.0.0.0';
@@ -23,8 +134,8 @@ export async function getIPInfo(c: Context) {
   const rawIsp = cf.asOrganization || '';
   const asn = cf.asn || 0;
 
-  const nodeInfo = translateColo(colo);
-  const ispInfo = identifyISP(rawIsp, asn);
+  const nodeInfo = translateColo(colo, locale);
+  const ispInfo = identifyISP(rawIsp, asn, cf.country, locale);
 
   const data: IPInfo = {
     ip,
@@ -44,7 +155,15 @@ export async function getIPInfo(c: Context) {
       raw: rawIsp,
     },
     rtt: Number(cf.clientTcpRtt) || 0,
+    connection: {
+      httpProtocol: cf.httpProtocol || '',
+      tlsVersion: cf.tlsVersion || '',
+      tlsCipher: cf.tlsCipher || '',
+      acceptEncoding: cf.clientAcceptEncoding || request.headers.get('Accept-Encoding') || '',
+      // Cloudflare 对 0-RTT 请求附带 Cf-0rtt-Unique 头
+      earlyData: request.headers.has('Cf-0rtt-Unique'),
+    },
   };
 
-  return successResponse(c, data);
+  return data;
 }
@@ -0,0 +1,31 @@
+/**
+ * 任意 IP 查询处理器
+ * 查询指定 IP 的 ASN、组织、国家和运营商，不依赖外部接口
+ */
+
+import type { Context } from 'hono';
+import type { Env } from '../../types/env';
+import { isValidIP, lookupIPWithKV } from '../services/ip-lookup';
+import { errorResponse, successResponse } from '../utils/response';
+import { getLocale, t } from '../i18n';
+
+/**
+ * 查询指定 IP 的归属信息
+ * @param c - Hono Context
+ * @returns 查询结果 JSON 响应
+ */
+export async function lookup(c: Context<{ Bindings: Env }>) {
+  const ip = (c.req.param('ip') || '').trim();
+  if (!isValidIP(ip)) {
+    return errorResponse(c, t(c, 'lookup.invalidIp'), 400);
+  }
+
+  const result = await lookupIPWithKV(c.env?.IP_ASN, ip, getLocale(c));
+  if (!result) {
+    return errorResponse(c, t(c, 'lookup.notFound'), 404);
+  }
+
+  // 数据集随部署或 KV 导入更新，结果在一天内基本不变
+  c.header('Cache-Control', 'public, max-age=86400');
+  return successResponse(c, result);
+}
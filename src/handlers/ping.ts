@@ -1,9 +1,13 @@
 /**
  * Ping 健康检查处理器
- * 用于检测服务是否正常运行
+ * 用于检测服务是否正常运行，并提供页面延迟监测的目标列表
  */
 
 import type { Context } from 'hono';
+import type { Env } from '../../types/env';
+import { parsePingTargetsEnv } from '../services/config';
+import { getPingTargets } from '../services/ping-targets';
+import { successResponse } from '../utils/response';
 
 /**
  * 处理 Ping 请求
@@ -21,3 +25,16 @@ export async function ping(c: Context) {
     },
   });
 }
+
+/**
+ * 获取延迟监测目标列表
+ * @param c - Hono Context
+ * @returns 目标列表及来源（kv / env / default）
+ */
+export async function targets(c: Context<{ Bindings: Env }>) {
+  const result = getPingTargets(parsePingTargetsEnv(c.env?.PING_TARGETS));
+
+  // 与 CONFIG KV 的刷新周期一致
+  c.header('Cache-Control', 'public, max-age=60');
+  return successResponse(c, result);
+}
@@ -0,0 +1,72 @@
+/**
+ * 边缘探测处理器
+ * 从 Cloudflare 节点探测目标站点，与浏览器到目标的延迟对照，定位慢在哪一段
+ */
+
+import type { Context } from 'hono';
+import type { Env, RequestWithCf } from '../../types/env';
+import { ProbeError, parseProbeTarget, probeTarget } from '../services/probe';
+import type { ProbeStage } from '../services/probe';
+import { consumeLocalToken, consumeRateLimitToken } from '../services/rate-limit';
+import { readNumber } from '../utils/env';
+import { errorResponse, successResponse } from '../utils/response';
+import { getLocale, t } from '../i18n';
+import type { MessageKey } from '../i18n';
+
+/** 每个 IP 默认的令牌桶容量 */
+const DEFAULT_PROBE_RATE_LIMIT = 10;
+
+/** 默认每补充一个令牌的间隔（秒） */
+const DEFAULT_PROBE_RATE_LIMIT_INTERVAL = 3;
+
+/** 各失败阶段的提示信息 */
+const PROBE_ERROR_KEYS: Record<ProbeStage, MessageKey> = {
+  timeout: 'probe.timeout',
+  connect: 'probe.connectFailed',
+  tls: 'probe.tlsFailed',
+  response: 'probe.noResponse',
+  cloudflare: 'probe.cloudflareTarget',
+};
+
+/**
+ * 探测目标站点
+ * 按 IP 限流：计数保存在 RATE_LIMITER 或 CACHE 中，都未绑定时退回到 isolate 内计数，避免成为不限量的连接中转
+ * @param c - Hono Context
+ * @returns 各阶段耗时 JSON 响应
+ */
+export async function probe(c: Context<{ Bindings: Env }>) {
+  const parsed = parseProbeTarget(c.req.query('target'), c.req.query('port'), getLocale(c));
+  if ('error' in parsed) {
+    return errorResponse(c, parsed.error, 400);
+  }
+
+  const capacity = readNumber(c.env?.PROBE_RATE_LIMIT, DEFAULT_PROBE_RATE_LIMIT);
+  if (capacity > 0) {
+    const ip = c.req.header('CF-Connecting-IP') || '0.0.0.0';
+    const key = `ratelimit:probe:${ip}`;
+    const bucket = {
+      capacity,
+      refillSeconds:
+        readNumber(c.env?.PROBE_RATE_LIMIT_INTERVAL, DEFAULT_PROBE_RATE_LIMIT_INTERVAL) ||
+        DEFAULT_PROBE_RATE_LIMIT_INTERVAL,
+    };
+    const limit = (await consumeRateLimitToken(c.env, key, bucket)) ?? consumeLocalToken(key, bucket);
+    if (!limit.allowed) {
+      c.header('Retry-After', String(limit.retryAfter));
+      return errorResponse(c, t(c, 'probe.rateLimited', { seconds: limit.retryAfter }), 429);
+    }
+  }
+
+  c.header('Cache-Control', 'no-store');
+  try {
+    const result = await probeTarget(parsed.data);
+    // 附带探测所在的节点，便于和浏览器到节点的延迟对照
+    const colo = (c.req.raw as RequestWithCf).cf?.colo || null;
+    return successResponse(c, { ...result, colo });
+  } catch (error) {
+    if (!(error instanceof ProbeError)) throw error;
+    // 目标不可达属于探测结果，详细原因只记录到日志
+    console.warn(`[Probe] ${parsed.data.hostname}:${parsed.data.port} ${error.stage}: ${error.message}`);
+    return errorResponse(c, t(c, PROBE_ERROR_KEYS[error.stage]), 502);
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * 测速结果处理器
+ * 保存测速结果，并按 ID 或当前 IP 查询历史记录
+ */
+
+import type { Context } from 'hono';
+import type { Env, RequestWithCf } from '../../types/env';
+import { buildIPInfo } from './ip';
+import {
+  RESULT_ID_PATTERN,
+  getResult as findResult,
+  listResultsByIp,
+  saveResult,
+  validateResultInput,
+} from '../services/results';
+import { consumeRateLimitToken } from '../services/rate-limit';
+import { readNumber } from '../utils/env';
+import { readTextBody } from '../utils/body';
+import { errorResponse } from '../utils/response';
+import { getLocale, t } from '../i18n';
+
+/** 请求体最大字节数 */
+const RESULT_MAX_BODY_BYTES = 8 * 1024;
+
+/** 每个 IP 默认的令牌桶容量 */
+const DEFAULT_RESULTS_RATE_LIMIT = 10;
+
+/** 默认每补充一个令牌的间隔（秒） */
+const DEFAULT_RESULTS_RATE_LIMIT_INTERVAL = 60;
+
+/** 历史记录默认返回条数 */
+const RESULT_LIST_DEFAULT = 20;
+
+/** 历史记录最多返回条数 */
+const RESULT_LIST_MAX = 100;
+
+/**
+ * 保存测速结果
+ * IP 信息由服务端根据请求采集，客户端只提交测速数据；绑定 RATE_LIMITER 或 CACHE 时按 IP 限流
+ * @param c - Hono Context
+ * @returns 保存后的测速结果（201）
+ */
+export async function createResult(c: Context<{ Bindings: Env }>) {
+  const db = c.env?.DB;
+  if (!db) {
+    return errorResponse(c, t(c, 'results.notConfigured'), 503);
+  }
+
+  const text = await readTextBody(c.req.raw, RESULT_MAX_BODY_BYTES);
+  if (text === null) {
+    return errorResponse(c, t(c, 'error.bodyTooLarge'), 413);
+  }
+
+  let body: unknown;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return errorResponse(c, t(c, 'error.invalidJson'), 400);
+  }
+
+  const parsed = validateResultInput(body, getLocale(c));
+  if ('error' in parsed) {
+    return errorResponse(c, parsed.error, 400);
+  }
+
+  const ipInfo = buildIPInfo(c.req.raw as RequestWithCf);
+  const capacity = readNumber(c.env?.RESULTS_RATE_LIMIT, DEFAULT_RESULTS_RATE_LIMIT);
+  if (capacity > 0) {
+    const limit = await consumeRateLimitToken(c.env, `ratelimit:results:${ipInfo.ip}`, {
+      capacity,
+      refillSeconds:
+        readNumber(c.env?.RESULTS_RATE_LIMIT_INTERVAL, DEFAULT_RESULTS_RATE_LIMIT_INTERVAL) ||
+        DEFAULT_RESULTS_RATE_LIMIT_INTERVAL,
+    });
+    if (limit && !limit.allowed) {
+      c.header('Retry-After', String(limit.retryAfter));
+      return errorResponse(c, t(c, 'results.rateLimited', { seconds: limit.retryAfter }), 429);
+    }
+  }
+
+  const result = await saveResult(db, ipInfo, parsed.data);
+  console.log(`[Results] Saved ${result.id}`);
+
+  return c.json(result, 201, { Location: `/api/results/${result.id}` });
+}
+
+/**
+ * 按 ID 查询测速结果
+ * @param c - Hono Context
+ * @returns 测速结果 JSON 响应
+ */
+export async function getResult(c: Context<{ Bindings: Env }>) {
+  const db = c.env?.DB;
+  if (!db) {
+    return errorResponse(c, t(c, 'results.notConfigured'), 503);
+  }
+
+  const id = c.req.param('id') || '';
+  if (!RESULT_ID_PATTERN.test(id)) {
+    return errorResponse(c, t(c, 'results.invalidId'), 400);
+  }
+
+  const result = await findResult(db, id);
+  if (!result) {
+    return errorResponse(c, t(c, 'results.notFound'), 404);
+  }
+
+  // 结果保存后不再修改，可长期缓存
+  return c.json(result, 200, { 'Cache-Control': 'public, max-age=86400, immutable' });
+}
+
+/**
+ * 查询当前 IP 的测速历史
+ * 只返回请求者自己 IP 的记录，避免泄露他人数据
+ * @param c - Hono Context
+ * @returns 测速结果列表 JSON 响应
+ */
+export async function listResults(c: Context<{ Bindings: Env }>) {
+  const db = c.env?.DB;
+  if (!db) {
+    return errorResponse(c, t(c, 'results.notConfigured'), 503);
+  }
+
+  const rawLimit = c.req.query('limit');
+  let limit = RESULT_LIST_DEFAULT;
+  if (rawLimit) {
+    limit = parseInt(rawLimit, 10);
+    if (!/^\d+$/.test(rawLimit) || limit < 1 || limit > RESULT_LIST_MAX) {
+      return errorResponse(c, t(c, 'results.invalidLimit', { max: RESULT_LIST_MAX }), 400);
+    }
+  }
+
+  const ip = c.req.header('CF-Connecting-IP') || '0.0.0.0';
+  const results = await listResultsByIp(db, ip, limit);
+
+  return c.json(results, 200, { 'Cache-Control': 'no-store' });
+}
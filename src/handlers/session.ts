@@ -0,0 +1,113 @@
+/**
+ * 会话处理器
+ * 页面用 Turnstile 令牌换取短期签名 Cookie，测速下载和 AI 分析凭 Cookie 访问
+ * 未配置 TURNSTILE_SECRET_KEY 时不启用校验
+ */
+
+import type { Context, Next } from 'hono';
+import { getSignedCookie, setSignedCookie } from 'hono/cookie';
+import type { Env } from '../../types/env';
+import { TURNSTILE_TOKEN_MAX_LENGTH, verifyTurnstile } from '../services/turnstile';
+import { readNumber } from '../utils/env';
+import { readTextBody } from '../utils/body';
+import { errorResponse, successResponse } from '../utils/response';
+import { t } from '../i18n';
+
+/** 会话 Cookie 名称 */
+export const SESSION_COOKIE = 'session';
+
+/** 会话默认有效期（秒） */
+const DEFAULT_SESSION_TTL = 1800;
+
+/** 请求体最大字节数 */
+const SESSION_MAX_BODY_BYTES = 4 * 1024;
+
+/**
+ * 创建会话
+ * 校验请求体中的 Turnstile 令牌，通过后下发签名 Cookie，内容为过期时间
+ * @param c - Hono Context
+ * @returns 会话有效期 JSON 响应
+ */
+export async function createSession(c: Context<{ Bindings: Env }>) {
+  const secret = c.env?.TURNSTILE_SECRET_KEY;
+  if (!secret) {
+    return successResponse(c, { enabled: false });
+  }
+
+  const text = await readTextBody(c.req.raw, SESSION_MAX_BODY_BYTES);
+  if (text === null) {
+    return errorResponse(c, t(c, 'session.invalidToken'), 400);
+  }
+
+  let token: unknown;
+  try {
+    token = JSON.parse(text)?.token;
+  } catch {
+    token = undefined;
+  }
+  if (typeof token !== 'string' || !token || token.length > TURNSTILE_TOKEN_MAX_LENGTH) {
+    return errorResponse(c, t(c, 'session.invalidToken'), 400);
+  }
+
+  let passed: boolean;
+  try {
+    passed = await verifyTurnstile({
+      secret,
+      token,
+      ip: c.req.header('CF-Connecting-IP'),
+      verifyUrl: c.env.TURNSTILE_VERIFY_URL,
+    });
+  } catch (error: any) {
+    // M7 修复：详细错误只记录到日志
+    console.error(`[Session] Turnstile verify failed: ${error.message}`);
+    return errorResponse(c, t(c, 'session.verifyUnavailable'), 502);
+  }
+
+  if (!passed) {
+    return errorResponse(c, t(c, 'session.verifyFailed'), 403);
+  }
+
+  const ttl = readNumber(c.env.SESSION_TTL, DEFAULT_SESSION_TTL) || DEFAULT_SESSION_TTL;
+  const expiresAt = Date.now() + ttl * 1000;
+  await setSignedCookie(c, SESSION_COOKIE, String(expiresAt), secret, {
+    path: '/',
+    httpOnly: true,
+    secure: true,
+    sameSite: 'Strict',
+    maxAge: ttl,
+  });
+
+  c.header('Cache-Control', 'no-store');
+  return successResponse(c, { enabled: true, expiresIn: ttl });
+}
+
+/**
+ * 会话校验中间件
+ * 要求携带未过期的签名 Cookie，未配置 TURNSTILE_SECRET_KEY 时直接放行
+ * @param c - Hono Context
+ * @param next - 下一个处理器
+ */
+export async function requireSession(c: Context<{ Bindings: Env }>, next: Next) {
+  const secret = c.env?.TURNSTILE_SECRET_KEY;
+  if (secret) {
+    const value = await getSignedCookie(c, secret, SESSION_COOKIE);
+    if (!value || !(Number(value) > Date.now())) {
+      return errorResponse(c, t(c, 'session.required'), 403);
+    }
+  }
+  await next();
+}
+
+/**
+ * 按 ?act= 校验会话的中间件，用于旧路由中的测速下载和 AI 分析
+ * @param actions - 需要会话的 act 取值
+ * @returns 中间件
+ */
+export function requireSessionFor(actions: string[]) {
+  return async (c: Context<{ Bindings: Env }>, next: Next) => {
+    if (actions.includes(c.req.query('act') || '')) {
+      return requireSession(c, next);
+    }
+    await next();
+  };
+}
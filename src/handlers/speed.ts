@@ -1,11 +1,16 @@
 /**
  * 测速处理器
- * 处理下载带宽测速和测速点列表查询
+ * 处理下载/上传带宽测速和测速点列表查询
  */
 
 import type { Context } from 'hono';
+import type { Env } from '../../types/env';
+import { readNumber } from '../utils/env';
 import { errorResponse } from '../utils/response';
 import { localizeSpeedLocations } from '../utils/speed-locale-maps';
+import { getLocale, t } from '../i18n';
+import { acquireSpeedQuota, releaseSpeedQuota } from '../services/speed-quota';
+import type { QuotaResult, QuotaScope } from '../services/speed-quota';
 
 /** 测速下载最小字节数 */
 const SPEED_MIN_BYTES = 1_000_000;
@@ -13,6 +18,24 @@ const SPEED_MIN_BYTES = 1_000_000;
 /** 测速下载最大字节数 */
 const SPEED_MAX_BYTES = 200_000_000;
 
+/** 生成测速数据的分块大小（crypto.getRandomValues 单次上限 64KiB） */
+const SPEED_CHUNK_BYTES = 65536;
+
+/** 多线程测速单次最多并发流数 */
+const SPEED_MAX_STREAMS = 16;
+
+/** 测速 nonce 格式：用于在日志和结果中区分同一轮测速 */
+const SPEED_NONCE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/** 配额窗口默认长度（秒） */
+const DEFAULT_QUOTA_WINDOW = 3600;
+
+/** 每个 IP 每个窗口默认可下载的字节数（10 次最大测速） */
+const DEFAULT_IP_BYTES = 10 * SPEED_MAX_BYTES;
+
+/** 配额租约有效期（秒），足够慢速网络下载完最大测速量 */
+const QUOTA_LEASE_SECONDS = 600;
+
 /**
  * 解析测速大小参数
  * @param param - 大小参数（如 "10m", "50mb", "1g"）
@@ -43,7 +66,8 @@ function parseSpeedSizeParam(param: string): number | null {
 
 /**
  * 处理下载测速请求
- * 代理 Cloudflare 的 __down 接口进行带宽测速
+ * 默认由 Worker 生成随机数据流，source=upstream 时代理 Cloudflare 的 __down 接口
+ * 多线程测速时通过 stream/nonce 参数区分同一轮测速中的各条流；绑定 SPEED_QUOTA 时超出配额返回 429
  * @param c - Hono Context
  * @returns 测速数据流响应
  */
@@ -83,52 +107,272 @@ export async function download(c: Context) {
   if (rawBytes != null && rawBytes !== '') {
     bytes = parseInt(rawBytes, 10);
     if (!Number.isFinite(bytes) || bytes <= 0) {
-      return errorResponse(c, 'bytes 无效', 400);
+      return errorResponse(c, t(c, 'speed.invalidBytes'), 400);
     }
   } else {
     const sizeParam = url.searchParams.get('size') || '10mb';
     const parsed = parseSpeedSizeParam(sizeParam);
     if (parsed == null) {
-      return errorResponse(c, 'size 格式不正确，例如 10m、50mb、1g', 400);
+      return errorResponse(c, t(c, 'speed.invalidSize'), 400);
     }
     bytes = parsed;
   }
 
+  // 解析多线程测速的流编号和 nonce
+  const rawStream = url.searchParams.get('stream');
+  const nonce = url.searchParams.get('nonce') || '';
+  let streamId = 1;
+  if (rawStream != null && rawStream !== '') {
+    streamId = parseInt(rawStream, 10);
+    if (!/^\d+$/.test(rawStream) || streamId < 1 || streamId > SPEED_MAX_STREAMS) {
+      return errorResponse(c, t(c, 'speed.invalidStream', { max: SPEED_MAX_STREAMS }), 400);
+    }
+  }
+  if (nonce && !SPEED_NONCE_PATTERN.test(nonce)) {
+    return errorResponse(c, t(c, 'speed.invalidNonce'), 400);
+  }
+
+  // 数据来源：默认由 Worker 生成，source=upstream 时代理 speed.cloudflare.com
+  const source = url.searchParams.get('source') || 'local';
+  if (source !== 'local' && source !== 'upstream') {
+    return errorResponse(c, t(c, 'speed.invalidSource'), 400);
+  }
+
   // 限制字节数范围
   bytes = Math.min(Math.max(bytes, SPEED_MIN_BYTES), SPEED_MAX_BYTES);
 
-  console.log(`[Speed] Downloading ${bytes} bytes`);
+  // 绑定 SPEED_QUOTA 时按 IP 和全局限制下载量与并发数
+  let release: (() => Promise<void>) | undefined;
+  const quota = c.env?.SPEED_QUOTA;
+  if (quota) {
+    const ip = request.headers.get('CF-Connecting-IP') || '0.0.0.0';
+    const scopes = speedQuotaScopes(c.env, ip);
+    let result: QuotaResult | null = null;
+    try {
+      result = await acquireSpeedQuota(quota, {
+        scopes,
+        bytes,
+        windowSeconds: readNumber(c.env.SPEED_QUOTA_WINDOW, DEFAULT_QUOTA_WINDOW) || DEFAULT_QUOTA_WINDOW,
+        leaseSeconds: QUOTA_LEASE_SECONDS,
+      });
+    } catch (e: any) {
+      // 配额服务故障时放行，不影响测速
+      console.error(`[Speed] Quota check failed: ${e.message}`);
+    }
+
+    if (result && !result.allowed) {
+      c.header('Access-Control-Allow-Origin', '*');
+      c.header('Retry-After', String(result.retryAfter));
+      return errorResponse(c, quotaMessage(c, result), 429);
+    }
+    if (result) {
+      const lease = result.lease;
+      const keys = scopes.map((scope) => scope.key);
+      release = () =>
+        releaseSpeedQuota(quota, lease, keys).catch((e: any) => {
+          console.error(`[Speed] Quota release failed: ${e.message}`);
+        });
+    }
+  }
+
+  console.log(`[Speed] Downloading ${bytes} bytes (stream ${streamId}${nonce ? `, nonce ${nonce}` : ''})`);
+
+  // 构建响应头
+  const out = new Headers();
+  // no-transform 阻止边缘压缩，保证传输字节数与测速字节数一致
+  out.set('Cache-Control', 'no-store, no-cache, no-transform, must-revalidate, proxy-revalidate');
+  out.set('Access-Control-Allow-Origin', '*');
+  out.set('X-Speed-Stream', String(streamId));
+  if (nonce) out.set('X-Speed-Nonce', nonce);
+
+  if (source === 'upstream') {
+    const response = await proxyUpstreamDownload(c, bytes, out);
+    if (!release) return response;
+    if (!response.ok || !response.body) {
+      await release();
+      return response;
+    }
+    return new Response(releaseOnEnd(response.body, release), { status: response.status, headers: response.headers });
+  }
+
+  out.set('Content-Type', 'application/octet-stream');
+  console.log('[Speed] Download test completed');
+  const body = createRandomStream(bytes);
+  return new Response(release ? releaseOnEnd(body, release) : body, { status: 200, headers: out });
+}
+
+/**
+ * 按环境变量生成配额范围：每个 IP 一份，另有一份全局配额
+ * @param env - 环境变量
+ * @param ip - 客户端 IP
+ * @returns 配额范围列表
+ */
+function speedQuotaScopes(env: Env, ip: string): QuotaScope[] {
+  return [
+    {
+      key: `ip:${ip}`,
+      windowBytes: readNumber(env.SPEED_IP_BYTES, DEFAULT_IP_BYTES),
+      maxConcurrent: readNumber(env.SPEED_IP_CONCURRENT, SPEED_MAX_STREAMS),
+    },
+    {
+      key: 'global',
+      windowBytes: readNumber(env.SPEED_GLOBAL_BYTES, 0),
+      maxConcurrent: readNumber(env.SPEED_GLOBAL_CONCURRENT, 0),
+    },
+  ];
+}
+
+/**
+ * 生成超出配额时的提示信息
+ * @param c - Hono Context
+ * @param result - 被拒绝的申请结果
+ * @returns 提示信息
+ */
+function quotaMessage(c: Context, result: Extract<QuotaResult, { allowed: false }>): string {
+  if (result.scope === 'global') return t(c, 'speed.globalQuotaExceeded', { seconds: result.retryAfter });
+  if (result.reason === 'concurrent') return t(c, 'speed.concurrentQuotaExceeded');
+  return t(c, 'speed.ipQuotaExceeded', { seconds: result.retryAfter });
+}
+
+/**
+ * 在数据流结束、出错或被客户端取消时释放配额租约
+ * @param source - 原始数据流
+ * @param release - 释放函数
+ * @returns 包装后的数据流
+ */
+function releaseOnEnd(source: ReadableStream<Uint8Array>, release: () => Promise<void>): ReadableStream<Uint8Array> {
+  const reader = source.getReader();
+  let released = false;
+  const releaseOnce = async () => {
+    if (released) return;
+    released = true;
+    await release();
+  };
+
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          await releaseOnce();
+          controller.close();
+          return;
+        }
+        controller.enqueue(value);
+      } catch (error) {
+        await releaseOnce();
+        controller.error(error);
+      }
+    },
+    async cancel(reason) {
+      await releaseOnce();
+      return reader.cancel(reason);
+    },
+  });
+}
+
+/**
+ * 生成指定字节数的随机数据流
+ * 每块现场生成随机字节，内容不可压缩
+ * @param bytes - 总字节数
+ * @returns 随机数据流
+ */
+function createRandomStream(bytes: number): ReadableStream<Uint8Array> {
+  let remaining = bytes;
+  return new ReadableStream<Uint8Array>({
+    pull(controller) {
+      if (remaining <= 0) {
+        controller.close();
+        return;
+      }
+      const chunk = new Uint8Array(Math.min(SPEED_CHUNK_BYTES, remaining));
+      crypto.getRandomValues(chunk);
+      remaining -= chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+  });
+}
 
-  // 代理 Cloudflare 测速接口
+/**
+ * 代理 Cloudflare 的 __down 接口
+ * 上游失败时统一返回 502，不透传上游状态码
+ * @param c - Hono Context
+ * @param bytes - 下载字节数
+ * @param out - 已设置好的响应头
+ * @returns 上游数据流响应
+ */
+async function proxyUpstreamDownload(c: Context, bytes: number, out: Headers) {
   const targetUrl = `https://speed.cloudflare.com/__down?bytes=${bytes}`;
   const headers = new Headers();
   headers.set('referer', 'https://speed.cloudflare.com/');
 
-  const upstream = await fetch(targetUrl, { method: 'GET', headers, redirect: 'follow' });
+  let upstream: Response;
+  try {
+    upstream = await fetch(targetUrl, { method: 'GET', headers, redirect: 'follow' });
+  } catch (e: any) {
+    console.error(`[Speed] Upstream fetch failed: ${e.message}`);
+    return errorResponse(c, t(c, 'speed.upstreamError'), 502);
+  }
 
   if (!upstream.ok) {
-    const errorText = await upstream.text();
     console.error(`[Speed] Upstream error: ${upstream.status}`);
-    return new Response(errorText || '上游测速源错误', {
-      status: upstream.status,
-      headers: { ...baseHeaders, 'Cache-Control': 'no-store' },
-    });
+    return errorResponse(c, t(c, 'speed.upstreamError'), 502);
   }
 
-  // 构建响应头
-  const out = new Headers();
   const ct = upstream.headers.get('content-type');
   if (ct) out.set('content-type', ct);
-  out.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-  out.set('Access-Control-Allow-Origin', '*');
 
-  console.log('[Speed] Download test completed');
+  console.log('[Speed] Download test completed (upstream)');
   return new Response(upstream.body, { status: upstream.status, headers: out });
 }
 
+/**
+ * 处理上传测速请求
+ * 读取并丢弃请求体，返回服务端统计的字节数与耗时
+ * @param c - Hono Context
+ * @returns 上传统计 JSON 响应
+ */
+export async function upload(c: Context) {
+  console.log('[Speed] Upload test started');
+
+  const request = c.req.raw;
+  const headers = { 'Cache-Control': 'no-store' };
+
+  // 先根据 Content-Length 快速拒绝超限请求
+  const declared = Number(request.headers.get('content-length'));
+  if (Number.isFinite(declared) && declared > SPEED_MAX_BYTES) {
+    return errorResponse(c, t(c, 'speed.uploadTooLarge', { max: SPEED_MAX_BYTES }), 413);
+  }
+
+  if (!request.body) {
+    return errorResponse(c, t(c, 'speed.uploadEmpty'), 400);
+  }
+
+  const start = Date.now();
+  const reader = request.body.getReader();
+  let bytes = 0;
+
+  // 逐块读取并丢弃，超过上限立即中断
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes += value.byteLength;
+    if (bytes > SPEED_MAX_BYTES) {
+      await reader.cancel();
+      return errorResponse(c, t(c, 'speed.uploadTooLarge', { max: SPEED_MAX_BYTES }), 413);
+    }
+  }
+
+  const duration = Math.max(Date.now() - start, 1);
+  const mbps = Number(((bytes * 8) / 1e6 / (duration / 1000)).toFixed(2));
+
+  console.log(`[Speed] Upload test completed: ${bytes} bytes in ${duration}ms`);
+  return c.json({ bytes, duration, mbps }, 200, headers);
+}
+
 /**
  * 获取测速点列表
- * 从 Cloudflare 获取测速点并翻译为中文
+ * 从 Cloudflare 获取测速点并按请求语言翻译地名
  * @param c - Hono Context
  * @returns 测速点列表 JSON 响应
  */
@@ -146,14 +390,14 @@ export async function locations(c: Context) {
 
     if (!response.ok) {
       console.error(`[Speed] Locations fetch failed: ${response.status}`);
-      return new Response(JSON.stringify({ error: '上游 locations 失败' }), {
+      return new Response(JSON.stringify({ error: t(c, 'speed.locationsFailed') }), {
         status: 502,
         headers: { 'Content-Type': 'application/json;charset=UTF-8', ...baseHeaders },
       });
     }
 
     const locations = await response.json() as Array<{ region?: string; city?: string }>;
-    localizeSpeedLocations(locations);
+    localizeSpeedLocations(locations, getLocale(c));
 
     return new Response(JSON.stringify(locations, null, 2), {
       headers: {
@@ -0,0 +1,133 @@
+/**
+ * 国际化
+ * 根据 ?lang= 或 Accept-Language 选择语言，提供消息翻译
+ */
+
+import type { Context } from 'hono';
+import { zhCN } from './messages/zh-CN';
+import type { MessageKey } from './messages/zh-CN';
+import { en } from './messages/en';
+import { zhTW } from './messages/zh-TW';
+import { ja } from './messages/ja';
+
+export type { MessageKey };
+
+/** 支持的语言 */
+export const LOCALES = ['zh-CN', 'en', 'zh-TW', 'ja'] as const;
+
+/** 语言代码 */
+export type Locale = (typeof LOCALES)[number];
+
+/** 默认语言，无法从请求中判断时使用 */
+export const DEFAULT_LOCALE: Locale = 'zh-CN';
+
+/** 消息参数 */
+export type MessageParams = Record<string, string | number>;
+
+const CATALOGS: Record<Locale, Record<MessageKey, string>> = {
+  'zh-CN': zhCN,
+  en,
+  'zh-TW': zhTW,
+  ja,
+};
+
+declare module 'hono' {
+  interface ContextVariableMap {
+    /** 当前请求的语言，由 app.ts 中的中间件设置 */
+    locale: Locale;
+  }
+}
+
+/**
+ * 将语言标签匹配到支持的语言
+ * zh-TW / zh-HK / zh-MO / zh-Hant 归为繁体，其余 zh 归为简体
+ * @param tag - BCP 47 语言标签，如 en-US、zh-Hant-TW
+ * @returns 匹配的语言，不支持时返回 null
+ */
+export function matchLocale(tag: string): Locale | null {
+  const normalized = tag.trim().toLowerCase().replace(/_/g, '-');
+  const [primary, ...subtags] = normalized.split('-');
+
+  switch (primary) {
+    case 'zh':
+      return subtags.some((sub) => ['hant', 'tw', 'hk', 'mo'].includes(sub)) ? 'zh-TW' : 'zh-CN';
+    case 'en':
+      return 'en';
+    case 'ja':
+      return 'ja';
+    default:
+      return null;
+  }
+}
+
+/**
+ * 选择请求的语言
+ * @param lang - ?lang= 参数，优先级最高
+ * @param acceptLanguage - Accept-Language 请求头，按 q 值从高到低匹配
+ * @returns 语言代码，都不匹配时返回默认语言
+ */
+export function resolveLocale(lang?: string, acceptLanguage?: string): Locale {
+  const explicit = lang ? matchLocale(lang) : null;
+  if (explicit) return explicit;
+
+  const ranges = (acceptLanguage || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...attrs] = part.trim().split(';');
+      const q = attrs.find((attr) => attr.trim().startsWith('q='));
+      return { tag, q: q ? Number.parseFloat(q.trim().slice(2)) : 1 };
+    })
+    .filter((range) => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const range of ranges) {
+    const locale = matchLocale(range.tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * 翻译消息
+ * @param locale - 语言
+ * @param key - 消息键
+ * @param params - 替换 {name} 形式占位符的参数
+ * @returns 翻译后的文本
+ */
+export function translate(locale: Locale, key: MessageKey, params?: MessageParams): string {
+  const template = CATALOGS[locale][key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (!params) return template;
+  return template.replace(/\{(\w+)\}/g, (match, name: string) =>
+    Object.hasOwn(params, name) ? String(params[name]) : match
+  );
+}
+
+/**
+ * 获取当前请求的语言
+ * @param c - Hono Context
+ * @returns 语言代码，中间件未设置时返回默认语言
+ */
+export function getLocale(c: Context): Locale {
+  return c.get('locale') ?? DEFAULT_LOCALE;
+}
+
+/**
+ * 按当前请求的语言翻译消息
+ * @param c - Hono Context
+ * @param key - 消息键
+ * @param params - 占位符参数
+ * @returns 翻译后的文本
+ */
+export function t(c: Context, key: MessageKey, params?: MessageParams): string {
+  return translate(getLocale(c), key, params);
+}
+
+/**
+ * 获取指定前缀的全部消息，用于下发给页面脚本
+ * @param locale - 语言
+ * @param prefix - 键前缀，如 page.
+ * @returns 键到文本的映射
+ */
+export function messagesWithPrefix(locale: Locale, prefix: string): Record<string, string> {
+  return Object.fromEntries(Object.entries(CATALOGS[locale]).filter(([key]) => key.startsWith(prefix)));
+}
@@ -0,0 +1,216 @@
+/**
+ * English messages
+ */
+
+import type { MessageKey } from './zh-CN';
+
+export const en: Record<MessageKey, string> = {
+  'list.separator': ', ',
+  'error.invalidBody': 'Invalid request body',
+  'error.invalidJson': 'Invalid JSON',
+  'error.bodyTooLarge': 'Request body too large',
+  'error.internal': 'Internal server error, please try again later',
+
+  'ip.invalidFormat': 'Invalid format, expected one of {options}',
+  'ip.unknownField': 'Unknown field, expected one of {options}',
+  'ip.familyMismatch': 'This connection is not IPv{family}',
+  'ip.unknownIsp': 'Unknown network',
+
+  'lookup.invalidIp': 'Invalid IP address',
+  'lookup.notFound': 'Address not found in the dataset',
+
+  'colos.invalidCode': 'Invalid data center code',
+  'colos.notFound': 'Unknown data center',
+
+  'speed.invalidBytes': 'Invalid bytes',
+  'speed.invalidSize': 'Invalid size, e.g. 10m, 50mb, 1g',
+  'speed.invalidStream': 'Invalid stream, expected 1-{max}',
+  'speed.invalidNonce': 'Invalid nonce',
+  'speed.invalidSource': 'Invalid source, expected local or upstream',
+  'speed.upstreamError': 'Upstream speed test source error',
+  'speed.uploadTooLarge': 'Upload too large, at most {max} bytes',
+  'speed.uploadEmpty': 'Missing upload data',
+  'speed.locationsFailed': 'Failed to fetch upstream locations',
+  'speed.ipQuotaExceeded': 'Speed test quota for this IP reached, please try again in {seconds} seconds',
+  'speed.concurrentQuotaExceeded': 'Too many concurrent speed tests from this IP, please try again shortly',
+  'speed.globalQuotaExceeded': 'The speed test service is busy, please try again in {seconds} seconds',
+  'session.required': 'Please complete the human verification first',
+  'session.invalidToken': 'Missing or invalid Turnstile token',
+  'session.verifyFailed': 'Human verification failed, please try again',
+  'session.verifyUnavailable': 'The verification service is temporarily unavailable, please try again later',
+  'probe.missingTarget': 'Missing target parameter',
+  'probe.invalidTarget': 'Invalid target, expected a hostname, IP or http(s) URL',
+  'probe.blockedTarget': 'Private, loopback and reserved addresses cannot be probed',
+  'probe.invalidPort': 'port must be one of {ports}',
+  'probe.rateLimited': 'Too many probe requests, please try again in {seconds} seconds',
+  'probe.timeout': 'Probe timed out',
+  'probe.connectFailed': 'Could not connect to the target',
+  'probe.tlsFailed': 'TLS handshake failed',
+  'probe.noResponse': 'The target did not respond',
+  'probe.cloudflareTarget': 'The target is on the Cloudflare network and cannot be probed from the edge',
+
+  'results.notConfigured': 'Result storage is not configured',
+  'results.invalidId': 'Invalid result ID',
+  'results.notFound': 'Result not found',
+  'results.invalidLimit': 'Invalid limit, expected 1-{max}',
+  'results.empty': 'At least one of download, upload or latency is required',
+  'results.notObject': '{name} must be an object',
+  'results.fieldNotAllowed': '{name} is not an allowed field',
+  'results.outOfRange': '{name} must be a number between 0 and {max}',
+  'results.required': '{name} is required',
+  'results.invalidGrade': '{name} must be one of {options}',
+  'results.rateLimited': 'Too many saves, please try again in {seconds} seconds',
+  'share.title': '{isp} network speed test result',
+  'share.heading': 'Speed test result',
+  'share.rtt': 'Handshake latency',
+  'share.latency': 'Idle / loaded latency',
+  'share.peak': ' (peak {speed})',
+  'share.testMine': 'Test my own network',
+  'admin.notConfigured': 'Admin API is not configured',
+  'admin.unauthorized': 'Unauthorized',
+  'admin.storageNotConfigured': 'Config storage is not configured',
+  'config.colosNotObject': 'Colo map must be an object',
+  'config.tooManyColos': 'No more than {max} colos are allowed',
+  'config.invalidColoCode': 'Invalid colo code: {code}',
+  'config.notObject': '{name} must be an object',
+  'config.invalidName': '{name} is invalid',
+  'config.invalidIso': '{name} must be a two-letter lowercase country code or null',
+  'config.rulesNotObject': 'Rule set must be an object',
+  'config.invalidDefault': 'default must contain a valid color and bg',
+  'config.nonEmptyArray': '{name} must be a non-empty array',
+  'config.tooManyRules': 'No more than {max} rules are allowed',
+  'config.ruleError': 'rules[{index}]: {error}',
+  'config.ruleNotObject': 'Rule must be an object',
+  'config.invalidHexColor': '{name} must be #RRGGBB',
+  'config.invalidCssColor': '{name} must be #RRGGBB or rgba()',
+  'config.invalidPriority': '{name} must be an integer from -1000 to 1000',
+  'config.invalidAsns': '{name} must be an array of positive integers',
+  'config.invalidPatterns': '{name} must be an array of strings up to {max} characters',
+  'config.invalidRegex': 'Invalid regular expression: {pattern}',
+  'config.invalidCountries': '{name} must be an array of two-letter uppercase country codes',
+  'config.ruleNeedsMatch': 'At least one of asns or patterns is required',
+  'config.targetsNotArray': 'Target list must be a non-empty array',
+  'config.tooManyTargets': 'No more than {max} targets are allowed',
+  'config.invalidTargetId': '{name} may only contain lowercase letters, digits and hyphens',
+  'config.duplicateTargetId': '{name} is duplicated: {id}',
+  'config.invalidUrl': '{name} must be an https URL',
+  'config.invalidIcon': '{name} must be a Font Awesome class, e.g. fa-solid fa-globe',
+  'config.invalidBoolean': '{name} must be a boolean',
+
+  'analysis.invalidSamples': 'samples must be an array of at most {max} numbers',
+  'ai.unavailable': 'AI service is temporarily unavailable',
+  'ai.retryLater': 'AI service is temporarily unavailable, please try again later',
+  'ai.failed': 'AI analysis failed',
+  'ai.rateLimited': 'Too many analysis requests, please try again in {seconds} seconds',
+  'ai.interrupted': 'The AI response was interrupted, please regenerate',
+  'ai.invalidMode': 'Invalid mode, expected one of {options}',
+  'ai.prompt.roast': `You are a witty network analysis assistant with plenty of attitude. Based on the JSON below, write a short, plain-language and very playful analysis and summary of the user's network.
+          Feel free to make some fun jokes about the user's ISP. Do not use markdown. Reply in English.
+          Info:\n\n{info}`,
+  'ai.prompt.diagnosis': `You are a network engineer. In the JSON below, everything except measured was collected by the server from the connection; measured holds metrics the user measured locally. In a neutral, technical tone, diagnose the user's network:
+          use the ISP, ASN, edge location and the user's location to judge whether traffic is taking a detour (for example a user routed to an edge on another continent), and use latency, jitter, loaded latency and bandwidth to point out likely bottlenecks and explain the causes.
+          Do not use markdown. Keep it under 200 words. Reply in English.
+          Info:\n\n{info}`,
+  'ai.prompt.checklist': `You are a network operations consultant. In the JSON below, everything except measured was collected by the server from the connection; measured holds metrics the user measured locally. Give a concise troubleshooting checklist:
+          one actionable item per line starting with "- ", ordered by priority, at most 6 items, only items relevant to this data, no small talk, no other markdown. Reply in English.
+          Info:\n\n{info}`,
+
+  'page.title': 'Let me see your network!',
+  'page.heading': 'Where your traffic comes from',
+  'page.somewhere': 'Somewhere on Earth',
+  'page.connectionIp': 'IP of this connection',
+  'page.ipv4': 'IPv4 address',
+  'page.ipv6': 'IPv6 address',
+  'page.cfLocation': 'Cloudflare location',
+  'page.preferredStack': 'Preferred IP stack',
+  'page.ipv4Location': 'IPv4 location',
+  'page.querying': 'Looking up...',
+  'page.detecting': 'Detecting...',
+  'page.measuring': 'Measuring...',
+  'page.handshakeRtt': 'Connection latency (handshake)',
+  'page.thisSite': 'This site',
+  'page.pingTitle': 'Real connection latency ({name})',
+  'page.expandHistory': 'Show detailed history',
+  'page.download': 'Download',
+  'page.upload': 'Upload',
+  'page.streamsTitle': 'Parallel download streams',
+  'page.singleStream': '1 stream',
+  'page.streams': '{n} streams',
+  'page.bloatTitle': 'Ping this site frequently during the test to measure bufferbloat',
+  'page.loadedLatency': 'Loaded latency',
+  'page.sizeTitle': 'Test size',
+  'page.currentSpeed': 'Current',
+  'page.peakSpeed': 'Peak',
+  'page.averageSpeed': 'Average',
+  'page.idleLatency': 'Idle latency',
+  'page.latencyIncrease': 'Latency increase',
+  'page.startTest': 'Start test',
+  'page.cancel': 'Cancel',
+  'page.share': 'Share result',
+  'page.colo': 'Edge location',
+  'page.coloDistance': 'Distance to edge',
+  'page.approxKm': 'about {km} km',
+  'page.asn': 'ASN',
+  'page.rawIsp': 'Raw ISP',
+  'page.httpProtocol': 'HTTP protocol',
+  'page.tlsVersion': 'TLS version',
+  'page.tlsCipher': 'Cipher suite',
+  'page.encoding': 'Compression',
+  'page.earlyData': '0-RTT early data',
+  'page.unknown': 'Unknown',
+  'page.unencrypted': 'Not encrypted',
+  'page.unavailable': 'Unavailable',
+  'page.yes': 'Yes',
+  'page.no': 'No',
+  'page.lookupPlaceholder': 'Look up any IP, e.g. 1.1.1.1',
+  'page.lookupButton': 'Look up',
+  'page.lookupIsp': 'ISP',
+  'page.lookupOrg': 'Organization',
+  'page.lookupCountry': 'Country/Region',
+  'page.lookupRange': 'Range',
+  'page.lookupFailed': 'Lookup failed: {error}',
+  'page.blog': 'Visit the blog',
+  'page.aiLoading': '🤖 AI is analyzing your network...',
+  'page.aiMode': 'Analysis mode',
+  'page.modeRoast': 'Roast',
+  'page.modeDiagnosis': 'Diagnosis',
+  'page.modeChecklist': 'Checklist',
+  'page.regenerate': 'Regenerate',
+  'page.aiUsage': '{total} tokens ({prompt} prompt / {completion} completion)',
+  'page.aiIncomplete': 'The response is incomplete, click Regenerate to retry',
+  'page.analysisFailed': 'Analysis failed: {error}',
+  'page.serverError': 'Server error: {status}',
+  'page.historyTitle': 'Latency history',
+  'page.pingHistoryTitle': '{name} - latency history',
+  'page.statCurrent': 'Current',
+  'page.statAvg': 'Avg',
+  'page.statMax': 'Max',
+  'page.statMin': 'Min',
+  'page.statJitter': 'Jitter',
+  'page.dashboardMode': 'Compare all',
+  'page.dashboardTitle': 'Latency comparison',
+  'page.target': 'Target',
+  'page.statLoss': 'Loss',
+  'page.historyLimit': 'Last {n} samples',
+  'page.dualStack': ' (dual stack)',
+  'page.singleStack': ' (single stack)',
+  'page.measureFailed': 'measurement failed',
+  'page.timeout': 'timeout',
+  'page.connecting': 'Connecting…',
+  'page.measuringIdle': 'Measuring idle latency…',
+  'page.cancelled': 'Cancelled',
+  'page.failed': 'Failed',
+  'page.speedLimited': 'Rate limited',
+  'page.challengeFailed': 'Human verification failed, please reload the page and try again',
+  'page.edgeProbe': 'Cloudflare edge → target: TCP {tcp} ms · TLS {tls} ms · TTFB {ttfb} ms',
+  'page.edgeProbeFailed': 'Cloudflare edge → target: {error}',
+  'page.targetName': 'Name',
+  'page.addTarget': 'Add',
+  'page.removeTarget': 'Remove this target',
+  'page.invalidTarget': 'Enter a name and an https link',
+  'page.tooManyTargets': 'You can add up to {max} custom targets',
+  'page.networkError': 'Network error',
+  'page.saving': 'Saving…',
+  'page.copied': 'Copied',
+  'page.saveFailed': 'Save failed: {error}',
+};
@@ -0,0 +1,216 @@
+/**
+ * 日本語メッセージ
+ */
+
+import type { MessageKey } from './zh-CN';
+
+export const ja: Record<MessageKey, string> = {
+  'list.separator': '、',
+  'error.invalidBody': 'リクエストデータの形式が正しくありません',
+  'error.invalidJson': 'JSON の形式が正しくありません',
+  'error.bodyTooLarge': 'リクエストデータが大きすぎます',
+  'error.internal': 'サーバー内部エラーです。しばらくしてから再試行してください',
+
+  'ip.invalidFormat': 'format が無効です。{options} のいずれかを指定してください',
+  'ip.unknownField': '不明なフィールドです。{options} のいずれかを指定してください',
+  'ip.familyMismatch': '現在の接続は IPv{family} ではありません',
+  'ip.unknownIsp': '不明なネットワーク',
+
+  'lookup.invalidIp': '無効な IP アドレスです',
+  'lookup.notFound': 'このアドレスはデータセットに含まれていません',
+
+  'colos.invalidCode': '無効なデータセンターコードです',
+  'colos.notFound': '不明なデータセンターです',
+
+  'speed.invalidBytes': 'bytes が無効です',
+  'speed.invalidSize': 'size の形式が正しくありません（例: 10m、50mb、1g）',
+  'speed.invalidStream': 'stream が無効です。1-{max} を指定してください',
+  'speed.invalidNonce': 'nonce の形式が正しくありません',
+  'speed.invalidSource': 'source が無効です。local または upstream を指定してください',
+  'speed.upstreamError': '上流の測定ソースでエラーが発生しました',
+  'speed.uploadTooLarge': 'アップロードデータが大きすぎます（最大 {max} バイト）',
+  'speed.uploadEmpty': 'アップロードデータがありません',
+  'speed.locationsFailed': '上流の locations の取得に失敗しました',
+  'speed.ipQuotaExceeded': 'この IP の速度テスト上限に達しました。{seconds} 秒後に再試行してください',
+  'speed.concurrentQuotaExceeded': 'この IP からの同時速度テストが多すぎます。しばらくしてから再試行してください',
+  'speed.globalQuotaExceeded': '速度テストサービスが混雑しています。{seconds} 秒後に再試行してください',
+  'session.required': '先に人間であることの確認を完了してください',
+  'session.invalidToken': 'Turnstile トークンがないか無効です',
+  'session.verifyFailed': '人間であることの確認に失敗しました。もう一度お試しください',
+  'session.verifyUnavailable': '確認サービスが一時的に利用できません。しばらくしてから再試行してください',
+  'probe.missingTarget': 'target パラメータがありません',
+  'probe.invalidTarget': 'target の形式が正しくありません。ホスト名、IP または http(s) URL を指定してください',
+  'probe.blockedTarget': 'プライベート、ループバック、予約済みのアドレスは調べられません',
+  'probe.invalidPort': 'port は {ports} のいずれかです',
+  'probe.rateLimited': '計測リクエストが多すぎます。{seconds} 秒後に再試行してください',
+  'probe.timeout': '計測がタイムアウトしました',
+  'probe.connectFailed': 'ターゲットに接続できません',
+  'probe.tlsFailed': 'TLS ハンドシェイクに失敗しました',
+  'probe.noResponse': 'ターゲットから応答がありません',
+  'probe.cloudflareTarget': 'ターゲットは Cloudflare ネットワーク内にあるため、ノードから直接測定できません',
+
+  'results.notConfigured': '結果ストレージが設定されていません',
+  'results.invalidId': '結果 ID の形式が正しくありません',
+  'results.notFound': '結果が見つかりません',
+  'results.invalidLimit': 'limit が無効です。1-{max} を指定してください',
+  'results.empty': 'download、upload、latency のいずれかが必要です',
+  'results.notObject': '{name} はオブジェクトである必要があります',
+  'results.fieldNotAllowed': '{name} は許可されていないフィールドです',
+  'results.outOfRange': '{name} は 0-{max} の数値である必要があります',
+  'results.required': '{name} は必須です',
+  'results.invalidGrade': '{name} は {options} のいずれかである必要があります',
+  'results.rateLimited': '保存が多すぎます。{seconds} 秒後に再試行してください',
+  'share.title': '{isp} のネットワーク速度測定結果',
+  'share.heading': '速度測定結果',
+  'share.rtt': 'ハンドシェイク遅延',
+  'share.latency': 'アイドル / 負荷時遅延',
+  'share.peak': '（ピーク {speed}）',
+  'share.testMine': '自分のネットワークを測定する',
+  'admin.notConfigured': '管理 API が設定されていません',
+  'admin.unauthorized': '認証されていません',
+  'admin.storageNotConfigured': '設定ストレージが設定されていません',
+  'config.colosNotObject': 'ノードマッピングはオブジェクトである必要があります',
+  'config.tooManyColos': 'ノード数は {max} 以下にしてください',
+  'config.invalidColoCode': '無効なノードコード：{code}',
+  'config.notObject': '{name} はオブジェクトである必要があります',
+  'config.invalidName': '{name} が無効です',
+  'config.invalidIso': '{name} は小文字 2 文字の国コードまたは null である必要があります',
+  'config.rulesNotObject': 'ルールセットはオブジェクトである必要があります',
+  'config.invalidDefault': 'default には有効な color と bg が必要です',
+  'config.nonEmptyArray': '{name} は空でない配列である必要があります',
+  'config.tooManyRules': 'ルール数は {max} 以下にしてください',
+  'config.ruleError': 'rules[{index}]：{error}',
+  'config.ruleNotObject': 'ルールはオブジェクトである必要があります',
+  'config.invalidHexColor': '{name} は #RRGGBB である必要があります',
+  'config.invalidCssColor': '{name} は #RRGGBB または rgba() である必要があります',
+  'config.invalidPriority': '{name} は -1000 から 1000 の整数である必要があります',
+  'config.invalidAsns': '{name} は正の整数の配列である必要があります',
+  'config.invalidPatterns': '{name} は長さ {max} 以下の文字列の配列である必要があります',
+  'config.invalidRegex': '無効な正規表現：{pattern}',
+  'config.invalidCountries': '{name} は大文字 2 文字の国コードの配列である必要があります',
+  'config.ruleNeedsMatch': 'asns または patterns のいずれかが必要です',
+  'config.targetsNotArray': 'ターゲット一覧は空でない配列である必要があります',
+  'config.tooManyTargets': 'ターゲット数は {max} 以下にしてください',
+  'config.invalidTargetId': '{name} には小文字、数字、ハイフンのみ使用できます',
+  'config.duplicateTargetId': '{name} が重複しています：{id}',
+  'config.invalidUrl': '{name} は https の URL である必要があります',
+  'config.invalidIcon': '{name} は Font Awesome のクラス名である必要があります（例：fa-solid fa-globe）',
+  'config.invalidBoolean': '{name} は真偽値である必要があります',
+
+  'analysis.invalidSamples': 'samples は最大 {max} 個の数値の配列である必要があります',
+  'ai.unavailable': 'AI サービスは一時的に利用できません',
+  'ai.retryLater': 'AI サービスは一時的に利用できません。しばらくしてから再試行してください',
+  'ai.failed': 'AI 分析サービスで異常が発生しました',
+  'ai.rateLimited': '分析のリクエストが多すぎます。{seconds} 秒後に再試行してください',
+  'ai.interrupted': 'AI の出力が途中で中断されました。再生成してください',
+  'ai.invalidMode': 'mode が無効です。{options} のいずれかを指定してください',
+  'ai.prompt.roast': `あなたはユーモアたっぷりのネットワーク分析アシスタントです。以下の JSON 情報をもとに、わかりやすく思いきり遊び心のある言葉で、ユーザーのネットワーク状況を短く分析・要約してください。
+          ユーザーのプロバイダー（ISP）について面白いツッコミを入れても構いません。markdown は使わず、日本語で回答してください。
+          情報：\n\n{info}`,
+  'ai.prompt.diagnosis': `あなたはネットワークエンジニアです。以下の JSON のうち measured 以外はサーバーが接続から収集した情報で、measured はユーザーが手元で測定した指標です。中立的で技術的な口調でユーザーのネットワークを診断してください。
+          プロバイダー、ASN、接続ノードとユーザーの所在地の関係から迂回経路（例：別の大陸のノードに振り分けられている）の有無を判断し、遅延・ジッター・負荷時遅延・帯域からボトルネックと考えられる原因を説明してください。
+          markdown は使わず、400 字以内で、日本語で回答してください。
+          情報：\n\n{info}`,
+  'ai.prompt.checklist': `あなたはネットワーク運用のアドバイザーです。以下の JSON のうち measured 以外はサーバーが接続から収集した情報で、measured はユーザーが手元で測定した指標です。簡潔なトラブルシューティングのチェックリストを作成してください。
+          1 行に 1 項目、「- 」で始まる実行可能な確認項目を優先度順に最大 6 件、このデータに関係する項目だけを挙げ、前置きや markdown は使わず、日本語で回答してください。
+          情報：\n\n{info}`,
+
+  'page.title': 'あなたのネットワークを見せて！',
+  'page.heading': '現在のトラフィックの送信元',
+  'page.somewhere': '地球のどこか',
+  'page.connectionIp': 'この接続の IP',
+  'page.ipv4': 'IPv4 アドレス',
+  'page.ipv6': 'IPv6 アドレス',
+  'page.cfLocation': 'CF 判定地域',
+  'page.preferredStack': '優先プロトコル',
+  'page.ipv4Location': 'IPv4 の地域',
+  'page.querying': '照会中...',
+  'page.detecting': '検出中...',
+  'page.measuring': '測定中...',
+  'page.handshakeRtt': '接続遅延 (ハンドシェイク)',
+  'page.thisSite': '当サイト',
+  'page.pingTitle': '実接続の疎通性 ({name})',
+  'page.expandHistory': '詳細な履歴を拡大表示',
+  'page.download': 'ダウンロード',
+  'page.upload': 'アップロード',
+  'page.streamsTitle': 'ダウンロード並列数',
+  'page.singleStream': 'シングル',
+  'page.streams': '{n} 並列',
+  'page.bloatTitle': '測定中に当サイトへ高頻度で Ping を送り、バッファ肥大（Bufferbloat）を測定します',
+  'page.loadedLatency': '負荷時遅延',
+  'page.sizeTitle': 'テストサイズ',
+  'page.currentSpeed': '現在の速度',
+  'page.peakSpeed': 'ピーク速度',
+  'page.averageSpeed': '全体の平均',
+  'page.idleLatency': 'アイドル時遅延',
+  'page.latencyIncrease': '遅延の増加',
+  'page.startTest': '測定開始',
+  'page.cancel': 'キャンセル',
+  'page.share': '結果を共有',
+  'page.colo': '接続ノード',
+  'page.coloDistance': 'ノードまでの距離',
+  'page.approxKm': '約 {km} km',
+  'page.asn': 'ASN',
+  'page.rawIsp': '元の ISP 名',
+  'page.httpProtocol': 'HTTP プロトコル',
+  'page.tlsVersion': 'TLS バージョン',
+  'page.tlsCipher': '暗号スイート',
+  'page.encoding': '圧縮方式',
+  'page.earlyData': '0-RTT アーリーデータ',
+  'page.unknown': '不明',
+  'page.unencrypted': '暗号化なし',
+  'page.unavailable': '利用不可',
+  'page.yes': 'はい',
+  'page.no': 'いいえ',
+  'page.lookupPlaceholder': '任意の IP を照会（例: 1.1.1.1）',
+  'page.lookupButton': '照会',
+  'page.lookupIsp': '事業者',
+  'page.lookupOrg': '組織',
+  'page.lookupCountry': '国・地域',
+  'page.lookupRange': 'アドレス範囲',
+  'page.lookupFailed': '照会に失敗しました：{error}',
+  'page.blog': 'ブログへ',
+  'page.aiLoading': '🤖 AI がネットワークを分析しています...',
+  'page.aiMode': '分析モード',
+  'page.modeRoast': 'ツッコミ',
+  'page.modeDiagnosis': '診断',
+  'page.modeChecklist': 'チェックリスト',
+  'page.regenerate': '再生成',
+  'page.aiUsage': '{total} トークン（プロンプト {prompt} / 生成 {completion}）',
+  'page.aiIncomplete': '出力が不完全です。再生成をクリックしてください',
+  'page.analysisFailed': '分析に失敗しました：{error}',
+  'page.serverError': 'サーバーエラー: {status}',
+  'page.historyTitle': '遅延履歴の詳細',
+  'page.pingHistoryTitle': '{name} - 遅延履歴の詳細',
+  'page.statCurrent': '現在',
+  'page.statAvg': '平均',
+  'page.statMax': '最大',
+  'page.statMin': '最小',
+  'page.statJitter': 'ジッター',
+  'page.dashboardMode': '全ターゲット比較',
+  'page.dashboardTitle': '複数ターゲットの遅延比較',
+  'page.target': 'ターゲット',
+  'page.statLoss': '損失',
+  'page.historyLimit': '直近 {n} 件を表示',
+  'page.dualStack': '（デュアルスタック）',
+  'page.singleStack': '（シングルスタック）',
+  'page.measureFailed': '測定失敗',
+  'page.timeout': 'タイムアウト',
+  'page.connecting': '接続中…',
+  'page.measuringIdle': 'アイドル時遅延を測定中…',
+  'page.cancelled': 'キャンセルしました',
+  'page.failed': '失敗',
+  'page.speedLimited': '制限中',
+  'page.challengeFailed': '人間であることの確認に失敗しました。ページを再読み込みしてください',
+  'page.edgeProbe': 'Cloudflare ノード → ターゲット：TCP {tcp} ms · TLS {tls} ms · TTFB {ttfb} ms',
+  'page.edgeProbeFailed': 'Cloudflare ノード → ターゲット：{error}',
+  'page.targetName': '名前',
+  'page.addTarget': '追加',
+  'page.removeTarget': 'このターゲットを削除',
+  'page.invalidTarget': '名前と https リンクを入力してください',
+  'page.tooManyTargets': 'カスタムターゲットは最大 {max} 個まで追加できます',
+  'page.networkError': 'ネットワークエラー',
+  'page.saving': '保存中…',
+  'page.copied': 'コピーしました',
+  'page.saveFailed': '保存に失敗しました：{error}',
+};
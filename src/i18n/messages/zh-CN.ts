@@ -0,0 +1,230 @@
+/**
+ * 简体中文消息（默认语言，其他语言的键以此为准）
+ * 占位符写作 {name}，由 translate 替换
+ */
+
+export const zhCN = {
+  // 通用
+  'list.separator': '、',
+  'error.invalidBody': '无效的请求数据格式',
+  'error.invalidJson': '无效的 JSON 格式',
+  'error.bodyTooLarge': '请求数据过大',
+  'error.internal': '服务器内部错误，请稍后重试',
+
+  // IP 信息
+  'ip.invalidFormat': 'format 无效，可选 {options}',
+  'ip.unknownField': '未知字段，可选 {options}',
+  'ip.familyMismatch': '当前连接不是 IPv{family}',
+  'ip.unknownIsp': '未知网络',
+
+  // 任意 IP 查询
+  'lookup.invalidIp': '无效的 IP 地址',
+  'lookup.notFound': '数据集中未收录该地址',
+
+  // 数据中心目录
+  'colos.invalidCode': '无效的数据中心代码',
+  'colos.notFound': '未知的数据中心',
+
+  // 测速
+  'speed.invalidBytes': 'bytes 无效',
+  'speed.invalidSize': 'size 格式不正确，例如 10m、50mb、1g',
+  'speed.invalidStream': 'stream 无效，应为 1-{max}',
+  'speed.invalidNonce': 'nonce 格式不正确',
+  'speed.invalidSource': 'source 无效，可选 local 或 upstream',
+  'speed.upstreamError': '上游测速源错误',
+  'speed.uploadTooLarge': '上传数据过大，最多 {max} 字节',
+  'speed.uploadEmpty': '缺少上传数据',
+  'speed.locationsFailed': '上游 locations 失败',
+  'speed.ipQuotaExceeded': '本 IP 测速流量已达上限，请 {seconds} 秒后再试',
+  'speed.concurrentQuotaExceeded': '本 IP 同时进行的测速过多，请稍后再试',
+  'speed.globalQuotaExceeded': '测速服务繁忙，请 {seconds} 秒后再试',
+  'session.required': '请先完成人机验证',
+  'session.invalidToken': '缺少或无效的 Turnstile 令牌',
+  'session.verifyFailed': '人机验证未通过，请重试',
+  'session.verifyUnavailable': '人机验证服务暂时不可用，请稍后再试',
+  'probe.missingTarget': '缺少 target 参数',
+  'probe.invalidTarget': 'target 格式不正确，应为主机名、IP 或 http(s) 链接',
+  'probe.blockedTarget': '不允许探测内网、本机或保留地址',
+  'probe.invalidPort': 'port 只能为 {ports}',
+  'probe.rateLimited': '探测请求过于频繁，请 {seconds} 秒后再试',
+  'probe.timeout': '探测超时',
+  'probe.connectFailed': '无法连接目标',
+  'probe.tlsFailed': 'TLS 握手失败',
+  'probe.noResponse': '目标未返回响应',
+  'probe.cloudflareTarget': '目标位于 Cloudflare 网络内，无法从节点直接探测',
+
+  // 测速结果
+  'results.notConfigured': '结果存储未配置',
+  'results.invalidId': '结果 ID 格式不正确',
+  'results.notFound': '结果不存在',
+  'results.invalidLimit': 'limit 无效，应为 1-{max}',
+  'results.empty': '至少需要提供 download、upload 或 latency 之一',
+  'results.notObject': '{name} 必须是对象',
+  'results.fieldNotAllowed': '{name} 不是允许的字段',
+  'results.outOfRange': '{name} 必须是 0-{max} 的数字',
+  'results.required': '{name} 为必填字段',
+  'results.invalidGrade': '{name} 必须是 {options} 之一',
+  'results.rateLimited': '保存过于频繁，请 {seconds} 秒后再试',
+
+  // 分享页
+  'share.title': '{isp} 的网络测速结果',
+  'share.heading': '网络测速结果',
+  'share.rtt': '握手延迟',
+  'share.latency': '空闲 / 负载延迟',
+  'share.peak': '（峰值 {speed}）',
+  'share.testMine': '测测我自己的网',
+
+  // 管理接口
+  'admin.notConfigured': '管理接口未配置',
+  'admin.unauthorized': '未授权',
+  'admin.storageNotConfigured': '配置存储未配置',
+  'config.colosNotObject': '节点映射必须是对象',
+  'config.tooManyColos': '节点数量不能超过 {max}',
+  'config.invalidColoCode': '节点代码无效：{code}',
+  'config.notObject': '{name} 必须是对象',
+  'config.invalidName': '{name} 无效',
+  'config.invalidIso': '{name} 必须是两位小写国家代码或 null',
+  'config.rulesNotObject': '规则表必须是对象',
+  'config.invalidDefault': 'default 必须包含合法的 color 和 bg',
+  'config.nonEmptyArray': '{name} 必须是非空数组',
+  'config.tooManyRules': '规则数量不能超过 {max}',
+  'config.ruleError': 'rules[{index}]：{error}',
+  'config.ruleNotObject': '规则必须是对象',
+  'config.invalidHexColor': '{name} 必须是 #RRGGBB',
+  'config.invalidCssColor': '{name} 必须是 #RRGGBB 或 rgba()',
+  'config.invalidPriority': '{name} 必须是 -1000 到 1000 的整数',
+  'config.invalidAsns': '{name} 必须是正整数数组',
+  'config.invalidPatterns': '{name} 必须是长度不超过 {max} 的字符串数组',
+  'config.invalidRegex': '正则无效：{pattern}',
+  'config.invalidCountries': '{name} 必须是两位大写国家代码数组',
+  'config.ruleNeedsMatch': '至少需要 asns 或 patterns 之一',
+  'config.targetsNotArray': '目标列表必须是非空数组',
+  'config.tooManyTargets': '目标数量不能超过 {max}',
+  'config.invalidTargetId': '{name} 只能包含小写字母、数字和连字符',
+  'config.duplicateTargetId': '{name} 重复：{id}',
+  'config.invalidUrl': '{name} 必须是 https 链接',
+  'config.invalidIcon': '{name} 必须是 Font Awesome 类名，如 fa-solid fa-globe',
+  'config.invalidBoolean': '{name} 必须是布尔值',
+
+  // AI 分析
+  'analysis.invalidSamples': 'samples 必须是最多 {max} 个数字的数组',
+  'ai.unavailable': 'AI 服务暂时不可用',
+  'ai.retryLater': 'AI 服务暂时不可用，请稍后重试',
+  'ai.failed': 'AI 分析服务出现异常',
+  'ai.rateLimited': '分析请求过于频繁，请 {seconds} 秒后再试',
+  'ai.interrupted': 'AI 输出意外中断，请重新生成',
+  'ai.invalidMode': 'mode 无效，可选 {options}',
+  'ai.prompt.roast': `你是一个非常"有梗"的网络分析助手。请根据以下JSON信息，用通俗易懂、极其俏皮的语言，对用户的网络情况进行一段简短的分析和总结。
+          你的分析要"有态度"，可以根据用户的运营商（ISP）给出一些有趣的吐槽。不要使用markdown语法。
+          信息如下：\n\n{info}`,
+  'ai.prompt.diagnosis': `你是一名网络工程师。以下 JSON 中除 measured 外均由服务端根据连接采集，measured 是用户在本地测得的指标。请用中立、专业的语气诊断用户的网络状况：
+          结合运营商、ASN、接入节点与用户所在地的关系判断是否存在绕路（例如国内用户被调度到海外节点），结合延迟、抖动、负载延迟和带宽指出可能的瓶颈并解释原因。
+          不要使用markdown语法，控制在300字以内。
+          信息如下：\n\n{info}`,
+  'ai.prompt.checklist': `你是一名网络运维顾问。以下 JSON 中除 measured 外均由服务端根据连接采集，measured 是用户在本地测得的指标。请给出一份简洁的排障清单：
+          每行一条以"- "开头的可执行检查项，按优先级排序，最多6条，只列出与这些数据相关的项目，不要寒暄，不要使用markdown语法。
+          信息如下：\n\n{info}`,
+
+  // 首页（page.* 会整体下发给页面脚本）
+  'page.title': '让我看看你的网！',
+  'page.heading': '当前流量来源',
+  'page.somewhere': '地球某处',
+  'page.connectionIp': '当前连接使用的IP',
+  'page.ipv4': 'IPv4 地址',
+  'page.ipv6': 'IPv6 地址',
+  'page.cfLocation': 'CF归属地',
+  'page.preferredStack': '首选协议栈',
+  'page.ipv4Location': 'IPv4 归属地',
+  'page.querying': '查询中...',
+  'page.detecting': '检测中...',
+  'page.measuring': '测速中...',
+  'page.handshakeRtt': '连接延迟 (握手)',
+  'page.thisSite': '本站',
+  'page.pingTitle': '网络真连接连通性 ({name})',
+  'page.expandHistory': '放大查看详细历史',
+  'page.download': '下载带宽',
+  'page.upload': '上传带宽',
+  'page.streamsTitle': '下载并发流数',
+  'page.singleStream': '单线程',
+  'page.streams': '{n} 线程',
+  'page.bloatTitle': '测速期间高频 Ping 本站，衡量缓冲膨胀（Bufferbloat）',
+  'page.loadedLatency': '负载延迟',
+  'page.sizeTitle': '测速下载量',
+  'page.currentSpeed': '当前速度',
+  'page.peakSpeed': '峰值速度',
+  'page.averageSpeed': '全程平均',
+  'page.idleLatency': '空闲延迟',
+  'page.latencyIncrease': '延迟增加',
+  'page.startTest': '开始测速',
+  'page.cancel': '取消',
+  'page.share': '分享结果',
+  'page.colo': '接入节点',
+  'page.coloDistance': '节点距离',
+  'page.approxKm': '约 {km} km',
+  'page.asn': 'ASN编码',
+  'page.rawIsp': '原始ISP',
+  'page.httpProtocol': 'HTTP 协议',
+  'page.tlsVersion': 'TLS 版本',
+  'page.tlsCipher': '加密套件',
+  'page.encoding': '压缩算法',
+  'page.earlyData': '0-RTT 早期数据',
+  'page.unknown': '未知',
+  'page.unencrypted': '未加密',
+  'page.unavailable': '不可用',
+  'page.yes': '是',
+  'page.no': '否',
+  'page.lookupPlaceholder': '查询任意 IP，如 1.1.1.1',
+  'page.lookupButton': '查询',
+  'page.lookupIsp': '运营商',
+  'page.lookupOrg': '组织',
+  'page.lookupCountry': '国家/地区',
+  'page.lookupRange': '地址段',
+  'page.lookupFailed': '查询失败：{error}',
+  'page.blog': '前往博客',
+  'page.aiLoading': '🤖 AI 正在分析您的网络...',
+  'page.aiMode': '分析模式',
+  'page.modeRoast': '吐槽',
+  'page.modeDiagnosis': '诊断',
+  'page.modeChecklist': '排障清单',
+  'page.regenerate': '重新生成',
+  'page.aiUsage': '消耗 {total} tokens（提示 {prompt} / 生成 {completion}）',
+  'page.aiIncomplete': '输出不完整，可点击重新生成',
+  'page.analysisFailed': '分析失败：{error}',
+  'page.serverError': '服务器错误: {status}',
+  'page.historyTitle': '详细延迟历史记录',
+  'page.pingHistoryTitle': '{name} - 详细延迟历史',
+  'page.statCurrent': '当前',
+  'page.statAvg': '平均',
+  'page.statMax': '最大',
+  'page.statMin': '最小',
+  'page.statJitter': '抖动',
+  'page.dashboardMode': '多目标对比',
+  'page.dashboardTitle': '多目标延迟对比',
+  'page.target': '目标',
+  'page.statLoss': '丢包',
+  'page.historyLimit': '显示最近 {n} 次记录',
+  'page.dualStack': '（双栈）',
+  'page.singleStack': '（单栈）',
+  'page.measureFailed': '测量失败',
+  'page.timeout': '超时',
+  'page.connecting': '连接中…',
+  'page.measuringIdle': '测量空闲延迟…',
+  'page.cancelled': '已取消',
+  'page.failed': '失败',
+  'page.speedLimited': '已限流',
+  'page.challengeFailed': '人机验证失败，请刷新页面重试',
+  'page.edgeProbe': 'Cloudflare 节点 → 目标：TCP {tcp} ms · TLS {tls} ms · 首字节 {ttfb} ms',
+  'page.edgeProbeFailed': 'Cloudflare 节点 → 目标：{error}',
+  'page.targetName': '名称',
+  'page.addTarget': '添加',
+  'page.removeTarget': '删除此目标',
+  'page.invalidTarget': '请输入名称和 https 链接',
+  'page.tooManyTargets': '最多添加 {max} 个自定义目标',
+  'page.networkError': '网络错误',
+  'page.saving': '保存中…',
+  'page.copied': '已复制',
+  'page.saveFailed': '保存失败：{error}',
+};
+
+/** 消息键 */
+export type MessageKey = keyof typeof zhCN;
@@ -0,0 +1,216 @@
+/**
+ * 繁體中文訊息
+ */
+
+import type { MessageKey } from './zh-CN';
+
+export const zhTW: Record<MessageKey, string> = {
+  'list.separator': '、',
+  'error.invalidBody': '無效的請求資料格式',
+  'error.invalidJson': '無效的 JSON 格式',
+  'error.bodyTooLarge': '請求資料過大',
+  'error.internal': '伺服器內部錯誤，請稍後再試',
+
+  'ip.invalidFormat': 'format 無效，可選 {options}',
+  'ip.unknownField': '未知欄位，可選 {options}',
+  'ip.familyMismatch': '目前連線不是 IPv{family}',
+  'ip.unknownIsp': '未知網路',
+
+  'lookup.invalidIp': '無效的 IP 位址',
+  'lookup.notFound': '資料集中未收錄該位址',
+
+  'colos.invalidCode': '無效的資料中心代碼',
+  'colos.notFound': '未知的資料中心',
+
+  'speed.invalidBytes': 'bytes 無效',
+  'speed.invalidSize': 'size 格式不正確，例如 10m、50mb、1g',
+  'speed.invalidStream': 'stream 無效，應為 1-{max}',
+  'speed.invalidNonce': 'nonce 格式不正確',
+  'speed.invalidSource': 'source 無效，可選 local 或 upstream',
+  'speed.upstreamError': '上游測速來源錯誤',
+  'speed.uploadTooLarge': '上傳資料過大，最多 {max} 位元組',
+  'speed.uploadEmpty': '缺少上傳資料',
+  'speed.locationsFailed': '上游 locations 失敗',
+  'speed.ipQuotaExceeded': '本 IP 測速流量已達上限，請 {seconds} 秒後再試',
+  'speed.concurrentQuotaExceeded': '本 IP 同時進行的測速過多，請稍後再試',
+  'speed.globalQuotaExceeded': '測速服務繁忙，請 {seconds} 秒後再試',
+  'session.required': '請先完成人機驗證',
+  'session.invalidToken': '缺少或無效的 Turnstile 權杖',
+  'session.verifyFailed': '人機驗證未通過，請重試',
+  'session.verifyUnavailable': '人機驗證服務暫時無法使用，請稍後再試',
+  'probe.missingTarget': '缺少 target 參數',
+  'probe.invalidTarget': 'target 格式不正確，應為主機名稱、IP 或 http(s) 連結',
+  'probe.blockedTarget': '不允許探測內網、本機或保留位址',
+  'probe.invalidPort': 'port 只能為 {ports}',
+  'probe.rateLimited': '探測請求過於頻繁，請 {seconds} 秒後再試',
+  'probe.timeout': '探測逾時',
+  'probe.connectFailed': '無法連線至目標',
+  'probe.tlsFailed': 'TLS 交握失敗',
+  'probe.noResponse': '目標未傳回回應',
+  'probe.cloudflareTarget': '目標位於 Cloudflare 網路內，無法從節點直接探測',
+
+  'results.notConfigured': '結果儲存未設定',
+  'results.invalidId': '結果 ID 格式不正確',
+  'results.notFound': '結果不存在',
+  'results.invalidLimit': 'limit 無效，應為 1-{max}',
+  'results.empty': '至少需要提供 download、upload 或 latency 之一',
+  'results.notObject': '{name} 必須是物件',
+  'results.fieldNotAllowed': '{name} 不是允許的欄位',
+  'results.outOfRange': '{name} 必須是 0-{max} 的數字',
+  'results.required': '{name} 為必填欄位',
+  'results.invalidGrade': '{name} 必須是 {options} 之一',
+  'results.rateLimited': '儲存過於頻繁，請 {seconds} 秒後再試',
+  'share.title': '{isp} 的網路測速結果',
+  'share.heading': '網路測速結果',
+  'share.rtt': '交握延遲',
+  'share.latency': '閒置 / 負載延遲',
+  'share.peak': '（峰值 {speed}）',
+  'share.testMine': '測測我自己的網路',
+  'admin.notConfigured': '管理介面未設定',
+  'admin.unauthorized': '未授權',
+  'admin.storageNotConfigured': '設定儲存未設定',
+  'config.colosNotObject': '節點對應必須是物件',
+  'config.tooManyColos': '節點數量不能超過 {max}',
+  'config.invalidColoCode': '節點代碼無效：{code}',
+  'config.notObject': '{name} 必須是物件',
+  'config.invalidName': '{name} 無效',
+  'config.invalidIso': '{name} 必須是兩位小寫國家代碼或 null',
+  'config.rulesNotObject': '規則表必須是物件',
+  'config.invalidDefault': 'default 必須包含合法的 color 和 bg',
+  'config.nonEmptyArray': '{name} 必須是非空陣列',
+  'config.tooManyRules': '規則數量不能超過 {max}',
+  'config.ruleError': 'rules[{index}]：{error}',
+  'config.ruleNotObject': '規則必須是物件',
+  'config.invalidHexColor': '{name} 必須是 #RRGGBB',
+  'config.invalidCssColor': '{name} 必須是 #RRGGBB 或 rgba()',
+  'config.invalidPriority': '{name} 必須是 -1000 到 1000 的整數',
+  'config.invalidAsns': '{name} 必須是正整數陣列',
+  'config.invalidPatterns': '{name} 必須是長度不超過 {max} 的字串陣列',
+  'config.invalidRegex': '正規表示式無效：{pattern}',
+  'config.invalidCountries': '{name} 必須是兩位大寫國家代碼陣列',
+  'config.ruleNeedsMatch': '至少需要 asns 或 patterns 之一',
+  'config.targetsNotArray': '目標清單必須是非空陣列',
+  'config.tooManyTargets': '目標數量不能超過 {max}',
+  'config.invalidTargetId': '{name} 只能包含小寫字母、數字和連字號',
+  'config.duplicateTargetId': '{name} 重複：{id}',
+  'config.invalidUrl': '{name} 必須是 https 連結',
+  'config.invalidIcon': '{name} 必須是 Font Awesome 類別名稱，如 fa-solid fa-globe',
+  'config.invalidBoolean': '{name} 必須是布林值',
+
+  'analysis.invalidSamples': 'samples 必須是最多 {max} 個數字的陣列',
+  'ai.unavailable': 'AI 服務暫時無法使用',
+  'ai.retryLater': 'AI 服務暫時無法使用，請稍後再試',
+  'ai.failed': 'AI 分析服務發生異常',
+  'ai.rateLimited': '分析請求過於頻繁，請 {seconds} 秒後再試',
+  'ai.interrupted': 'AI 輸出意外中斷，請重新產生',
+  'ai.invalidMode': 'mode 無效，可選 {options}',
+  'ai.prompt.roast': `你是一個非常「有梗」的網路分析助手。請根據以下 JSON 資訊，用通俗易懂、極其俏皮的語言，對使用者的網路狀況做一段簡短的分析和總結。
+          你的分析要「有態度」，可以根據使用者的電信業者（ISP）給出一些有趣的吐槽。不要使用 markdown 語法，請使用繁體中文回答。
+          資訊如下：\n\n{info}`,
+  'ai.prompt.diagnosis': `你是一名網路工程師。以下 JSON 中除 measured 外均由伺服器根據連線採集，measured 是使用者在本機測得的指標。請用中立、專業的語氣診斷使用者的網路狀況：
+          結合電信業者、ASN、接入節點與使用者所在地的關係判斷是否存在繞路（例如使用者被調度到其他洲的節點），結合延遲、抖動、負載延遲和頻寬指出可能的瓶頸並解釋原因。
+          不要使用 markdown 語法，控制在 300 字以內，請使用繁體中文回答。
+          資訊如下：\n\n{info}`,
+  'ai.prompt.checklist': `你是一名網路維運顧問。以下 JSON 中除 measured 外均由伺服器根據連線採集，measured 是使用者在本機測得的指標。請給出一份簡潔的排障清單：
+          每行一條以「- 」開頭的可執行檢查項，依優先順序排列，最多 6 條，只列出與這些資料相關的項目，不要寒暄，不要使用 markdown 語法，請使用繁體中文回答。
+          資訊如下：\n\n{info}`,
+
+  'page.title': '讓我看看你的網路！',
+  'page.heading': '目前流量來源',
+  'page.somewhere': '地球某處',
+  'page.connectionIp': '目前連線使用的 IP',
+  'page.ipv4': 'IPv4 位址',
+  'page.ipv6': 'IPv6 位址',
+  'page.cfLocation': 'CF 歸屬地',
+  'page.preferredStack': '首選協定堆疊',
+  'page.ipv4Location': 'IPv4 歸屬地',
+  'page.querying': '查詢中...',
+  'page.detecting': '偵測中...',
+  'page.measuring': '測速中...',
+  'page.handshakeRtt': '連線延遲 (交握)',
+  'page.thisSite': '本站',
+  'page.pingTitle': '網路真連線連通性 ({name})',
+  'page.expandHistory': '放大檢視詳細歷史',
+  'page.download': '下載頻寬',
+  'page.upload': '上傳頻寬',
+  'page.streamsTitle': '下載並行串流數',
+  'page.singleStream': '單執行緒',
+  'page.streams': '{n} 執行緒',
+  'page.bloatTitle': '測速期間高頻 Ping 本站，衡量緩衝膨脹（Bufferbloat）',
+  'page.loadedLatency': '負載延遲',
+  'page.sizeTitle': '測速下載量',
+  'page.currentSpeed': '目前速度',
+  'page.peakSpeed': '峰值速度',
+  'page.averageSpeed': '全程平均',
+  'page.idleLatency': '閒置延遲',
+  'page.latencyIncrease': '延遲增加',
+  'page.startTest': '開始測速',
+  'page.cancel': '取消',
+  'page.share': '分享結果',
+  'page.colo': '接入節點',
+  'page.coloDistance': '節點距離',
+  'page.approxKm': '約 {km} km',
+  'page.asn': 'ASN 編碼',
+  'page.rawIsp': '原始 ISP',
+  'page.httpProtocol': 'HTTP 協定',
+  'page.tlsVersion': 'TLS 版本',
+  'page.tlsCipher': '加密套件',
+  'page.encoding': '壓縮演算法',
+  'page.earlyData': '0-RTT 早期資料',
+  'page.unknown': '未知',
+  'page.unencrypted': '未加密',
+  'page.unavailable': '無法使用',
+  'page.yes': '是',
+  'page.no': '否',
+  'page.lookupPlaceholder': '查詢任意 IP，如 1.1.1.1',
+  'page.lookupButton': '查詢',
+  'page.lookupIsp': '電信業者',
+  'page.lookupOrg': '組織',
+  'page.lookupCountry': '國家/地區',
+  'page.lookupRange': '位址段',
+  'page.lookupFailed': '查詢失敗：{error}',
+  'page.blog': '前往部落格',
+  'page.aiLoading': '🤖 AI 正在分析您的網路...',
+  'page.aiMode': '分析模式',
+  'page.modeRoast': '吐槽',
+  'page.modeDiagnosis': '診斷',
+  'page.modeChecklist': '排障清單',
+  'page.regenerate': '重新產生',
+  'page.aiUsage': '消耗 {total} tokens（提示 {prompt} / 生成 {completion}）',
+  'page.aiIncomplete': '輸出不完整，可點擊重新產生',
+  'page.analysisFailed': '分析失敗：{error}',
+  'page.serverError': '伺服器錯誤: {status}',
+  'page.historyTitle': '詳細延遲歷史紀錄',
+  'page.pingHistoryTitle': '{name} - 詳細延遲歷史',
+  'page.statCurrent': '目前',
+  'page.statAvg': '平均',
+  'page.statMax': '最大',
+  'page.statMin': '最小',
+  'page.statJitter': '抖動',
+  'page.dashboardMode': '多目標對比',
+  'page.dashboardTitle': '多目標延遲對比',
+  'page.target': '目標',
+  'page.statLoss': '丟包',
+  'page.historyLimit': '顯示最近 {n} 次紀錄',
+  'page.dualStack': '（雙棧）',
+  'page.singleStack': '（單棧）',
+  'page.measureFailed': '測量失敗',
+  'page.timeout': '逾時',
+  'page.connecting': '連線中…',
+  'page.measuringIdle': '測量閒置延遲…',
+  'page.cancelled': '已取消',
+  'page.failed': '失敗',
+  'page.speedLimited': '已限流',
+  'page.challengeFailed': '人機驗證失敗，請重新整理頁面再試',
+  'page.edgeProbe': 'Cloudflare 節點 → 目標：TCP {tcp} ms · TLS {tls} ms · 首位元組 {ttfb} ms',
+  'page.edgeProbeFailed': 'Cloudflare 節點 → 目標：{error}',
+  'page.targetName': '名稱',
+  'page.addTarget': '新增',
+  'page.removeTarget': '刪除此目標',
+  'page.invalidTarget': '請輸入名稱和 https 連結',
+  'page.tooManyTargets': '最多新增 {max} 個自訂目標',
+  'page.networkError': '網路錯誤',
+  'page.saving': '儲存中…',
+  'page.copied': '已複製',
+  'page.saveFailed': '儲存失敗：{error}',
+};
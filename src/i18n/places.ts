@@ -0,0 +1,121 @@
+/**
+ * 地名本地化
+ * 数据中心和测速点只维护英文与简体中文名称，其他语言由此派生
+ */
+
+import type { Locale } from './index';
+
+/** 简繁对照（仅覆盖地名中出现的简化字） */
+const SIMPLIFIED =
+  '万东乌乔买亚伦兰兴内冈凤凯务华卢卫叶发图圣奥宁尔岘岛广庄庆库开彻扬无旧晋杰欧毕汉沈泽济温湾满热爱玛盐矶罗约纳纽维缅芜苏莱萨让讷诺贝贡贵费赖赛辅边达迈连逊郑钦钱铜锡长门阳陆雾韦顿马骚鲁麦齐兹';
+const TRADITIONAL =
+  '萬東烏喬買亞倫蘭興內岡鳳凱務華盧衛葉發圖聖奧寧爾峴島廣莊慶庫開徹揚無舊晉傑歐畢漢瀋澤濟溫灣滿熱愛瑪鹽磯羅約納紐維緬蕪蘇萊薩讓訥諾貝貢貴費賴賽輔邊達邁連遜鄭欽錢銅錫長門陽陸霧韋頓馬騷魯麥齊茲';
+
+const TRADITIONAL_CHARS = new Map([...SIMPLIFIED].map((char, i) => [char, TRADITIONAL[i]]));
+
+/** 台湾惯用译名与逐字转换结果不同的地名 */
+const ZH_TW_PLACES: Record<string, string> = {
+  悉尼: '雪梨',
+  珀斯: '伯斯',
+  阿德莱德: '阿德雷德',
+  圣何塞: '聖荷西',
+  圣迭戈: '聖地牙哥',
+  圣地亚哥: '聖地牙哥',
+  休斯顿: '休士頓',
+  迪拜: '杜拜',
+  利雅得: '利雅德',
+  巴塞罗那: '巴塞隆納',
+  伊斯坦布尔: '伊斯坦堡',
+};
+
+/** 日文地名，未收录的地名使用英文 */
+const JA_PLACES: Record<string, string> = {
+  Africa: 'アフリカ',
+  'Asia Pacific': 'アジア太平洋',
+  Europe: 'ヨーロッパ',
+  'Middle East': '中東',
+  'North America': '北米',
+  Oceania: 'オセアニア',
+  'South America': '南米',
+  Tokyo: '東京',
+  Osaka: '大阪',
+  Fukuoka: '福岡',
+  Naha: '那覇',
+  Seoul: 'ソウル',
+  'Hong Kong': '香港',
+  Macau: 'マカオ',
+  Taipei: '台北',
+  Kaohsiung: '高雄',
+  Beijing: '北京',
+  Shanghai: '上海',
+  Guangzhou: '広州',
+  Shenzhen: '深圳',
+  Chengdu: '成都',
+  Hangzhou: '杭州',
+  Singapore: 'シンガポール',
+  'Kuala Lumpur': 'クアラルンプール',
+  Bangkok: 'バンコク',
+  Manila: 'マニラ',
+  Hanoi: 'ハノイ',
+  'Ho Chi Minh City': 'ホーチミン',
+  Jakarta: 'ジャカルタ',
+  Mumbai: 'ムンバイ',
+  'New Delhi': 'ニューデリー',
+  Sydney: 'シドニー',
+  Melbourne: 'メルボルン',
+  Auckland: 'オークランド',
+  Honolulu: 'ホノルル',
+  'Los Angeles': 'ロサンゼルス',
+  'San Jose': 'サンノゼ',
+  'San Francisco': 'サンフランシスコ',
+  Seattle: 'シアトル',
+  Chicago: 'シカゴ',
+  Dallas: 'ダラス',
+  Ashburn: 'アッシュバーン',
+  'New York': 'ニューヨーク',
+  Miami: 'マイアミ',
+  Atlanta: 'アトランタ',
+  Denver: 'デンバー',
+  Toronto: 'トロント',
+  Vancouver: 'バンクーバー',
+  'Sao Paulo': 'サンパウロ',
+  London: 'ロンドン',
+  Paris: 'パリ',
+  Frankfurt: 'フランクフルト',
+  Amsterdam: 'アムステルダム',
+  Madrid: 'マドリード',
+  Milan: 'ミラノ',
+  Stockholm: 'ストックホルム',
+  Moscow: 'モスクワ',
+  Dubai: 'ドバイ',
+  Johannesburg: 'ヨハネスブルグ',
+};
+
+/**
+ * 将简体中文地名转换为繁体字形
+ * @param text - 简体中文
+ * @returns 繁体中文
+ */
+export function toTraditional(text: string): string {
+  return ZH_TW_PLACES[text] ?? [...text].map((char) => TRADITIONAL_CHARS.get(char) ?? char).join('');
+}
+
+/**
+ * 按语言选择地名
+ * @param locale - 目标语言
+ * @param en - 英文名称
+ * @param zh - 简体中文名称，缺失时各语言都回退到英文
+ * @returns 本地化后的地名
+ */
+export function localizePlace(locale: Locale, en: string, zh?: string): string {
+  switch (locale) {
+    case 'zh-CN':
+      return zh || en;
+    case 'zh-TW':
+      return zh ? toTraditional(zh) : en;
+    case 'ja':
+      return JA_PLACES[en] ?? en;
+    default:
+      return en;
+  }
+}
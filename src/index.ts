@@ -1,8 +1,11 @@
 /**
  * Cloudflare Workers 入口文件
- * 导出 Hono 应用实例
+ * 导出 Hono 应用实例和 Durable Object 类
  */
 
 import app from './app';
 
+export { RateLimiter } from './services/rate-limit';
+export { SpeedQuota } from './services/speed-quota';
+
 export default app;
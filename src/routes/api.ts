@@ -9,25 +9,68 @@ import * as ipHandler from '../handlers/ip';
 import * as pingHandler from '../handlers/ping';
 import * as speedHandler from '../handlers/speed';
 import * as aiHandler from '../handlers/ai';
+import * as resultsHandler from '../handlers/results';
+import * as lookupHandler from '../handlers/lookup';
+import * as colosHandler from '../handlers/colos';
+import * as adminHandler from '../handlers/admin';
+import * as sessionHandler from '../handlers/session';
+import * as probeHandler from '../handlers/probe';
 
 const api = new Hono<{ Bindings: Env }>();
 
 // IP 信息查询
 api.get('/ip', ipHandler.getIPInfo);
+api.get('/ip/v4', ipHandler.getIPv4Info);
+api.get('/ip/v6', ipHandler.getIPv6Info);
+api.get('/ip/:field', ipHandler.getIPField);
+
+// 任意 IP 查询
+api.get('/lookup/:ip', lookupHandler.lookup);
+
+// 数据中心目录
+api.get('/colos', colosHandler.list);
+api.get('/colos/:code', colosHandler.detail);
 
 // Ping 健康检查
 api.get('/ping', pingHandler.ping);
+api.get('/ping/targets', pingHandler.targets);
+
+// 会话：用 Turnstile 令牌换取签名 Cookie
+api.post('/session', sessionHandler.createSession);
+
+// 边缘探测：从 Cloudflare 节点测量到目标站点的 TCP / TLS / 首字节耗时
+api.get('/probe', probeHandler.probe);
 
 // 下载带宽测速
-api.get('/speed/download', speedHandler.download);
+api.get('/speed/download', sessionHandler.requireSession, speedHandler.download);
+
+// 上传带宽测速
+api.post('/speed/upload', speedHandler.upload);
 
 // 测速点列表
 api.get('/speed/locations', speedHandler.locations);
 
+// 测速结果历史
+api.post('/results', sessionHandler.requireSession, resultsHandler.createResult);
+api.get('/results', resultsHandler.listResults);
+api.get('/results/:id', resultsHandler.getResult);
+
 // AI 分析
-api.post('/analyze', aiHandler.analyze);
+api.post('/analyze', sessionHandler.requireSession, aiHandler.analyze);
+
+// 管理接口（需 ADMIN_TOKEN）
+api.use('/admin/*', adminHandler.requireAdmin);
+api.get('/admin/colos', adminHandler.getColos);
+api.put('/admin/colos', adminHandler.putColos);
+api.get('/admin/isp-rules', adminHandler.getISPRules);
+api.put('/admin/isp-rules', adminHandler.putISPRules);
+api.delete('/admin/isp-rules', adminHandler.deleteISPRules);
+api.get('/admin/ping-targets', adminHandler.getPingTargets);
+api.put('/admin/ping-targets', adminHandler.putPingTargets);
+api.delete('/admin/ping-targets', adminHandler.deletePingTargets);
 
-// 兼容旧路由（/?act=xxx）
+// 兼容旧路由（/?act=xxx），其中的测速下载和 AI 分析同样需要会话
+api.use('/legacy', sessionHandler.requireSessionFor(['speed_down', 'analyze']));
 api.get('/legacy', (c) => {
   const action = c.req.query('act');
   console.log(`[Legacy Route] action: ${action}`);
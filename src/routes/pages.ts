@@ -5,25 +5,40 @@
 
 import { Hono } from 'hono';
 import type { Env } from '../../types/env';
-import type { RequestWithCf, ISPInfo, ColoInfo } from '../../types/env';
+import type { RequestWithCf, ISPInfo, ColoInfo, ConnectionInfo } from '../../types/env';
 import { identifyISP } from '../services/isp';
-import { translateColo } from '../services/colo';
+import { getColo, translateColo } from '../services/colo';
+import { MAX_LATENCY_SAMPLES } from '../services/analysis';
 import { analyze } from '../handlers/ai';
+import { requireSessionFor } from '../handlers/session';
+import { buildIPInfo, ipFamily, renderTextSummary } from '../handlers/ip';
+import { escapeHtml } from '../utils/html';
+import { LOCALES, getLocale, messagesWithPrefix, translate } from '../i18n';
+import type { Locale, MessageKey, MessageParams } from '../i18n';
+import { distanceKm } from '../utils/geo';
 
 const pages = new Hono<{ Bindings: Env }>();
 
+/** 命令行工具的 User-Agent，访问首页时返回纯文本 */
+const CLI_USER_AGENT_PATTERN = /^(curl|wget|httpie|xh|aria2|libfetch)\b/i;
+
+/** 语言切换链接上显示的名称 */
+const LOCALE_NAMES: Record<Locale, string> = {
+  'zh-CN': '简体中文',
+  en: 'English',
+  'zh-TW': '繁體中文',
+  ja: '日本語',
+};
+
 /**
- * HTML 转义函数 - M8 修复：防止 XSS 攻击
- * @param str - 需要转义的字符串
- * @returns 转义后的字符串
+ * 判断请求方是否需要纯文本而非 HTML
+ * @param userAgent - User-Agent 请求头
+ * @param accept - Accept 请求头
+ * @returns 命令行工具或 Accept 只要求 text/plain 时返回 true
  */
-function escapeHtml(str: string): string {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+function wantsPlainText(userAgent = '', accept = ''): boolean {
+  if (/text\/html/i.test(accept)) return false;
+  return CLI_USER_AGENT_PATTERN.test(userAgent) || /text\/plain/i.test(accept);
 }
 
 /**
@@ -43,15 +58,38 @@ pages.get('/', (c) => {
   }
 
   const request = c.req.raw as RequestWithCf;
+
+  // curl / wget 等命令行访问时返回纯文本摘要（IP、ISP、节点、RTT）
+  if (wantsPlainText(c.req.header('User-Agent'), c.req.header('Accept'))) {
+    return c.text(renderTextSummary(buildIPInfo(request, getLocale(c))), 200, {
+      'Cache-Control': 'no-store',
+      Vary: 'Accept, User-Agent',
+    });
+  }
+
+  const locale = getLocale(c);
+
   // L3 修复：使用类型安全的方式访问 cf 属性
   const cf = request.cf || {};
   const rawIsp = cf.asOrganization || '';
   const asn = cf.asn || 0;
-  const city = cf.city || '地球某处';
+  const city = cf.city || translate(locale, 'page.somewhere');
   const region = cf.region || '';
   const ip = request.headers.get('CF-Connecting-IP') || '0.0.0.0';
   const colo = cf.colo || 'UNK';
-  const nodeInfo: ColoInfo = translateColo(colo);
+
+  // 双栈检测地址：配置了单栈主机名时跨域请求，否则回退到本站
+  const ipEndpoints = {
+    v4: c.env?.IPV4_HOST ? `https://${c.env.IPV4_HOST}/api/ip/v4` : '/api/ip/v4',
+    v6: c.env?.IPV6_HOST ? `https://${c.env.IPV6_HOST}/api/ip/v6` : '/api/ip/v6',
+  };
+  const nodeInfo: ColoInfo = translateColo(colo, locale);
+
+  // 只有配置了 Turnstile 密钥时才需要取得会话
+  const turnstileSiteKey = c.env?.TURNSTILE_SECRET_KEY ? c.env.TURNSTILE_SITE_KEY || '' : '';
+  if (c.env?.TURNSTILE_SECRET_KEY && !turnstileSiteKey) {
+    console.warn('[Session] TURNSTILE_SECRET_KEY is set without TURNSTILE_SITE_KEY');
+  }
 
   // M8 修复：对插入的数据进行 HTML 转义
   const escapedIso = nodeInfo.iso ? escapeHtml(nodeInfo.iso) : '';
@@ -66,6 +104,15 @@ pages.get('/', (c) => {
     coloHtml = `${escapedName} <span style="opacity:0.6">(${escapedColo})</span>`;
   }
 
+  // 用户（按 IP 估算的位置）到接入节点的距离
+  const coloDetail = getColo(colo, locale);
+  const userLat = Number.parseFloat(cf.latitude ?? '');
+  const userLon = Number.parseFloat(cf.longitude ?? '');
+  const coloDistance =
+    coloDetail?.lat != null && coloDetail.lon != null && Number.isFinite(userLat) && Number.isFinite(userLon)
+      ? Math.round(distanceKm(userLat, userLon, coloDetail.lat, coloDetail.lon))
+      : null;
+
   // 初始 RTT 计算与展示
   let rtt = Number(cf.clientTcpRtt) || 0;
   let rttDisplay = rtt + ' ms';
@@ -74,26 +121,34 @@ pages.get('/', (c) => {
 
   if (rtt === 0) {
     isHttp3 = true;
-    rttDisplay = `<span class="blink">测速中...</span>`;
+    rttDisplay = `<span class="blink">${translate(locale, 'page.measuring')}</span>`;
   } else {
     if (rtt > 350) rttColor = '#ef4444';
     else if (rtt > 150) rttColor = '#f59e0b';
   }
 
-  const ispInfo: ISPInfo = identifyISP(rawIsp, asn);
+  const ispInfo: ISPInfo = identifyISP(rawIsp, asn, cf.country, locale);
+  const { connection } = buildIPInfo(request, locale);
   const locationStr = [city, region].filter(Boolean).join(', ');
 
   // 读取 HTML 模板并替换变量
   const html = generateHTML({
+    locale,
     ip: escapeHtml(ip),
+    rawIp: ip,
+    ipEndpoints,
+    turnstileSiteKey,
     ispInfo,
     locationStr: escapeHtml(locationStr),
+    rtt,
     rttColor,
     rttDisplay,
     isHttp3,
     coloHtml,
+    coloDistance,
     asn,
     rawIsp: escapeHtml(rawIsp),
+    connection,
     nodeInfo,
     colo: escapedColo,
   });
@@ -102,7 +157,9 @@ pages.get('/', (c) => {
   return new Response(html, {
     headers: {
       'Content-Type': 'text/html;charset=UTF-8',
+      'Content-Language': locale,
       'Cache-Control': 'public, max-age=300', // 5 分钟缓存
+      Vary: 'Accept, User-Agent',
     },
   });
 });
@@ -111,15 +168,24 @@ pages.get('/', (c) => {
  * HTML 模板数据接口
  */
 interface TemplateData {
+  locale: Locale;
   ip: string;
+  rawIp: string;
+  ipEndpoints: { v4: string; v6: string };
+  /** Turnstile 站点密钥，未启用会话校验时为空 */
+  turnstileSiteKey: string;
   ispInfo: ISPInfo;
   locationStr: string;
+  rtt: number;
   rttColor: string;
   rttDisplay: string;
   isHttp3: boolean;
   coloHtml: string;
+  /** 用户到接入节点的距离（公里），坐标未知时为 null */
+  coloDistance: number | null;
   asn: number;
   rawIsp: string;
+  connection: ConnectionInfo;
   nodeInfo: ColoInfo;
   colo: string;
 }
@@ -131,26 +197,39 @@ interface TemplateData {
  */
 function generateHTML(data: TemplateData): string {
   const {
+    locale,
     ip,
+    rawIp,
+    ipEndpoints,
+    turnstileSiteKey,
     ispInfo,
     locationStr,
+    rtt,
     rttColor,
     rttDisplay,
     isHttp3,
     coloHtml,
+    coloDistance,
     asn,
     rawIsp,
+    connection,
     nodeInfo,
     colo,
   } = data;
+  const m = (key: MessageKey, params?: MessageParams) => translate(locale, key, params);
+  // 页面脚本用到的文案，< 转义后可安全嵌入 <script>
+  const clientMessages = JSON.stringify(messagesWithPrefix(locale, 'page.')).replace(/</g, '\\u003c');
+  const langLinks = LOCALES.map((code) =>
+    code === locale ? `<b>${LOCALE_NAMES[code]}</b>` : `<a href="?lang=${code}">${LOCALE_NAMES[code]}</a>`
+  ).join(' · ');
 
   return `
 <!DOCTYPE html>
-<html lang="zh-CN">
+<html lang="${locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>让我看看你的网！</title>
+    <title>${m('page.title')}</title>
     <link rel="icon" href="https://imgbed.haokun.me/file/1768399588443_00007.png">
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.2/css/all.min.css">
     <style>
@@ -220,6 +299,8 @@ function generateHTML(data: TemplateData): string {
             margin-top: 10px; border: none; cursor: pointer;
         }
         .btn:hover { transform: translateY(-2px); box-shadow: 0 6px 20px rgba(43, 88, 118, 0.5); }
+        .lang-switch { margin-top: 12px; font-size: 0.85em; color: var(--text-sub); }
+        .lang-switch a { color: inherit; }
 
         .ai-result {
             margin-top: 20px; padding: 15px;
@@ -228,7 +309,15 @@ function generateHTML(data: TemplateData): string {
             color: var(--text-main); border: 1px solid #a8e063; animation: fadeIn 0.5s ease-out;
         }
         .ai-result .loading { color: #555; text-align: center; animation: jump 1s ease-in-out infinite; }
+        .ai-result p { white-space: pre-wrap; }
         .ai-result .error { color: #d9534f; font-weight: bold; }
+        .ai-usage { margin-top: 6px; font-size: 0.8em; color: var(--text-sub); text-align: right; }
+        .ai-toolbar { display: flex; align-items: center; gap: 8px; margin-bottom: 8px; font-size: 0.85em; }
+        .ai-regenerate {
+            margin-left: auto; font-size: 0.85rem; color: var(--text-sub);
+            background: rgba(255, 255, 255, 0.5); border: 1px solid rgba(255,255,255,0.4);
+            border-radius: 10px; padding: 1px 10px; cursor: pointer;
+        }
         .signature-img { margin-top: 20px; max-width: 100%; border-radius: 10px; box-shadow: 0 4px 10px rgba(0,0,0,0.05); display: block; margin-left: auto; margin-right: auto; }
         .blink { animation: blinker 1.5s linear infinite; }
 
@@ -280,6 +369,43 @@ function generateHTML(data: TemplateData): string {
         .speed-download-head {
             justify-content: flex-start;
         }
+        .speed-direction { display: flex; gap: 4px; }
+        .speed-dir-option {
+            cursor: pointer; padding: 1px 10px; border-radius: 10px;
+            font-weight: 600; transition: color 0.3s, background 0.3s; user-select: none;
+        }
+        input:checked + .speed-dir-option { background: rgba(255, 255, 255, 0.6); }
+        .speed-streams-select {
+            margin-left: auto; font-size: 0.8rem; color: var(--text-sub);
+            background: rgba(255, 255, 255, 0.5); border: 1px solid rgba(255,255,255,0.4);
+            border-radius: 10px; padding: 1px 6px; cursor: pointer;
+        }
+        .speed-streams-select:disabled { opacity: 0.45; cursor: not-allowed; }
+        .speed-bloat-toggle { font-size: 0.8rem; color: var(--text-sub); cursor: pointer; user-select: none; margin-left: 8px; }
+        .speed-bloat-toggle input { vertical-align: middle; margin-right: 2px; }
+        .speed-bloat[hidden] { display: none; }
+        .bloat-grade {
+            display: inline-block; min-width: 24px; margin-left: 6px; padding: 0 5px;
+            border-radius: 6px; color: #fff; font-size: 0.8rem; text-align: center;
+        }
+        .bloat-grade:empty { display: none; }
+        .speed-stream-list {
+            display: flex; flex-wrap: wrap; gap: 4px 10px; margin-top: 6px;
+            font-family: monospace; font-size: 0.78rem; color: var(--text-sub);
+        }
+        .speed-stream-list:empty { display: none; }
+        .speed-save-status { font-size: 0.78rem; color: var(--text-sub); font-family: monospace; }
+        .lookup-form { display: flex; gap: 8px; align-items: center; }
+        .lookup-input {
+            flex: 1; min-width: 0; padding: 8px 12px; font-family: monospace; font-size: 0.95rem;
+            color: var(--text-main); background: rgba(255, 255, 255, 0.6);
+            border: 1px solid rgba(255,255,255,0.4); border-radius: 10px; outline: none;
+        }
+        .lookup-input:focus { border-color: #2b5876; }
+        .lookup-btn { margin-top: 0; padding: 8px 18px; }
+        .lookup-btn:disabled { opacity: 0.6; cursor: wait; }
+        .lookup-result:not(:empty) { margin-top: 10px; }
+        .lookup-result .error { color: #d9534f; font-weight: bold; }
         .speed-main {
             flex: 1;
             min-width: 0;
@@ -351,6 +477,23 @@ function generateHTML(data: TemplateData): string {
         .modal-stats { display: flex; gap: 20px; font-size: 0.9rem; color: var(--text-sub); flex-shrink: 0; padding-top: 5px; border-top: 1px dashed #eee; }
         .stat-item b { font-family: monospace; color: var(--primary-color); }
 
+        /* 多目标对比：同时监测所有目标，多条曲线叠加，下方汇总表 */
+        .dashboard-toggle { margin-left: auto; margin-right: 10px; padding: 4px 10px; border: 1px solid #e1e4e8; border-radius: 6px; background: #f0f2f5; color: var(--text-sub); cursor: pointer; font-size: 0.85rem; }
+        .dashboard-toggle.active { background: var(--primary-color); border-color: var(--primary-color); color: #fff; }
+        .modal-content:not(.dashboard) .dashboard-only { display: none; }
+        .modal-content.dashboard .single-only { display: none; }
+        .dashboard-legend { display: flex; flex-wrap: wrap; gap: 6px 14px; margin-bottom: 10px; font-size: 0.8rem; flex-shrink: 0; }
+        .legend-item { display: flex; align-items: center; gap: 5px; border: none; background: none; padding: 0; cursor: pointer; color: var(--text-main); font-size: inherit; }
+        .legend-item.off { opacity: 0.35; }
+        .legend-swatch { width: 12px; height: 3px; border-radius: 2px; }
+        .dashboard-table-wrap { max-height: 180px; overflow-y: auto; flex-shrink: 0; }
+        .dashboard-table { width: 100%; border-collapse: collapse; font-size: 0.8rem; }
+        .dashboard-table th, .dashboard-table td { padding: 3px 6px; text-align: right; border-bottom: 1px solid #f0f0f0; white-space: nowrap; }
+        .dashboard-table th { color: var(--text-sub); font-weight: 600; position: sticky; top: 0; background: #fff; }
+        .dashboard-table th:first-child, .dashboard-table td:first-child { text-align: left; }
+        .dashboard-table td { font-family: monospace; }
+        .dashboard-table td:first-child { font-family: inherit; }
+
         /* Switch */
         .switch-container {
             display: flex; align-items: center; justify-content: space-between;
@@ -378,24 +521,18 @@ function generateHTML(data: TemplateData): string {
             z-index: 1; box-shadow: 0 2px 5px rgba(0,0,0,0.1);
         }
 
-        /* Switch Logic */
-        #s-opt-1:checked ~ .switch-glider { transform: translateX(0%); }
-        #s-opt-2:checked ~ .switch-glider { transform: translateX(100%); }
-        #s-opt-3:checked ~ .switch-glider { transform: translateX(200%); }
-        #s-opt-4:checked ~ .switch-glider { transform: translateX(300%); }
-        #s-opt-5:checked ~ .switch-glider { transform: translateX(400%); }
-        #s-opt-6:checked ~ .switch-glider { transform: translateX(500%); }
-        #s-opt-7:checked ~ .switch-glider { transform: translateX(600%); }
-        #s-opt-8:checked ~ .switch-glider { transform: translateX(700%); }
-
-        #m-opt-1:checked ~ .switch-glider { transform: translateX(0%); }
-        #m-opt-2:checked ~ .switch-glider { transform: translateX(100%); }
-        #m-opt-3:checked ~ .switch-glider { transform: translateX(200%); }
-        #m-opt-4:checked ~ .switch-glider { transform: translateX(300%); }
-        #m-opt-5:checked ~ .switch-glider { transform: translateX(400%); }
-        #m-opt-6:checked ~ .switch-glider { transform: translateX(500%); }
-        #m-opt-7:checked ~ .switch-glider { transform: translateX(600%); }
-        #m-opt-8:checked ~ .switch-glider { transform: translateX(700%); }
+        /* 延迟监测目标切换：选项由脚本按目标列表生成，滑块按 --target-index 定位 */
+        .target-switch .switch-glider {
+            width: calc((100% - 6px) / var(--target-count, 1));
+            transform: translateX(calc(100% * var(--target-index, 0)));
+        }
+        .target-switch .switch-option { min-width: 0; overflow: hidden; white-space: nowrap; }
+        .target-form { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin: -5px 0 12px; font-size: 0.85rem; flex-shrink: 0; }
+        .target-form input { padding: 4px 8px; border: 1px solid #e1e4e8; border-radius: 6px; font-size: 0.85rem; min-width: 0; }
+        .target-form input[type="url"] { flex: 1; }
+        .target-form button { padding: 4px 10px; border: none; border-radius: 6px; background: var(--primary-color); color: #fff; cursor: pointer; font-size: 0.85rem; }
+        .target-form button.secondary { background: #ef4444; }
+        .target-form-status { color: #ef4444; }
 
         .switch-container.switch-vertical-speed {
             flex-direction: column;
@@ -421,85 +558,50 @@ function generateHTML(data: TemplateData): string {
         #speedv100:checked ~ .switch-glider { transform: translateY(200%); }
         #speedv200:checked ~ .switch-glider { transform: translateY(300%); }
 
-        input:checked + label { color: var(--primary-color); }
-        input:checked + label[for$="-2"] { color: #FF6A00; } /* Blog Orange */
-        input:checked + label[for$="-3"] { color: #E3007F; } /* Bilibili Pink */
-        input:checked + label[for$="-4"] { color: #0078D4; } /* Microsoft Blue */
-        input:checked + label[for$="-5"] { color: #1a1f71; } /* Visa Dark Blue */
-        input:checked + label[for$="-6"] { color: #4285F4; } /* Google Blue */
-        input:checked + label[for$="-7"] { color: #171a21; } /* Steam Black/Blue */
-        input:checked + label[for$="-8"] { color: #F38020; } /* Cloudflare Orange */
+        input:checked + label { color: var(--target-color, var(--primary-color)); }
+
+        .probe-line { font-size: 0.8em; font-family: monospace; opacity: 0.75; margin: -4px 0 6px; }
+        .turnstile-widget { position: fixed; right: 16px; bottom: 16px; z-index: 1000; }
 
         @keyframes blinker { 50% { opacity: 0.5; } }
         @keyframes float { 0% { transform: translateY(0px); } 50% { transform: translateY(-20px); } 100% { transform: translateY(0px); } }
         @keyframes fadeIn { from { opacity: 0; transform: translateY(20px); } to { opacity: 1; transform: translateY(0); } }
         @keyframes jump { 0%, 100% { transform: translateY(0); } 50% { transform: translateY(-4px); } }
     </style>
+    ${turnstileSiteKey ? '<script src="https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit" async defer></script>' : ''}
 </head>
 <body>
     <div class="decoration circle-1"></div>
     <div class="decoration circle-2"></div>
     <div class="card">
-        <h1>当前流量来源</h1>
-        <div class="isp-tag">${ispInfo.name}</div>
+        <h1>${m('page.heading')}</h1>
+        <div class="isp-tag">${escapeHtml(ispInfo.name)}</div>
         <div class="info-box">
-            <div class="info-row"><span class="label">当前连接使用的IP</span> <span class="value">${ip}</span></div>
-            <div class="info-row"><span class="label">IPv4 地址</span> <span class="value" id="ipv4-addr"><span class="blink">查询中...</span></span></div>
-            <div class="info-row"><span class="label">IPv6 地址</span> <span class="value" id="ipv6-addr"><span class="blink">查询中...</span></span></div>
-            <div class="info-row"><span class="label">CF归属地</span> <span class="value">${locationStr}</span></div>
-            <div class="info-row"><span class="label">API归属地 (IPv4)</span> <span class="value" id="ext-loc">查询中...</span></div>
+            <div class="info-row"><span class="label">${m('page.connectionIp')}</span> <span class="value">${ip}</span></div>
+            <div class="info-row"><span class="label">${m('page.ipv4')}</span> <span class="value" id="ipv4-addr"><span class="blink">${m('page.querying')}</span></span></div>
+            <div class="info-row"><span class="label">${m('page.ipv6')}</span> <span class="value" id="ipv6-addr"><span class="blink">${m('page.querying')}</span></span></div>
+            <div class="info-row"><span class="label">${m('page.cfLocation')}</span> <span class="value">${locationStr}</span></div>
+            <div class="info-row"><span class="label">${m('page.preferredStack')}</span> <span class="value" id="ip-stack"><span class="blink">${m('page.detecting')}</span></span></div>
+            <div class="info-row"><span class="label">${m('page.ipv4Location')}</span> <span class="value" id="ext-loc">${m('page.querying')}</span></div>
 
             <div class="info-row">
-                <span class="label">连接延迟 (握手)</span>
+                <span class="label">${m('page.handshakeRtt')}</span>
                 <span class="value" style="color:${rttColor}; font-weight:bold;" id="rtt-value">
                     <span class="status-dot" id="rtt-dot"></span>${rttDisplay}
                 </span>
             </div>
 
             <div class="chart-wrapper">
-                <div class="switch-container">
-                    <input type="radio" id="s-opt-1" name="switch" class="switch-input" checked onchange="changePingTarget(1)">
-                    <label for="s-opt-1" class="switch-option" title="本站">
-                        <i class="fa-solid fa-house"></i>
-                    </label>
-                    <input type="radio" id="s-opt-2" name="switch" class="switch-input" onchange="changePingTarget(2)">
-                    <label for="s-opt-2" class="switch-option" title="Blog">
-                        <i class="fa-solid fa-book"></i>
-                    </label>
-                    <input type="radio" id="s-opt-3" name="switch" class="switch-input" onchange="changePingTarget(3)">
-                    <label for="s-opt-3" class="switch-option" title="Bilibili">
-                        <i class="fa-brands fa-bilibili"></i>
-                    </label>
-                    <input type="radio" id="s-opt-4" name="switch" class="switch-input" onchange="changePingTarget(4)">
-                    <label for="s-opt-4" class="switch-option" title="Microsoft">
-                        <i class="fa-brands fa-microsoft"></i>
-                    </label>
-                    <input type="radio" id="s-opt-5" name="switch" class="switch-input" onchange="changePingTarget(5)">
-                    <label for="s-opt-5" class="switch-option" title="Visa">
-                        <i class="fa-brands fa-cc-visa"></i>
-                    </label>
-                    <input type="radio" id="s-opt-6" name="switch" class="switch-input" onchange="changePingTarget(6)">
-                    <label for="s-opt-6" class="switch-option" title="Google">
-                        <i class="fa-brands fa-google"></i>
-                    </label>
-                    <input type="radio" id="s-opt-7" name="switch" class="switch-input" onchange="changePingTarget(7)">
-                    <label for="s-opt-7" class="switch-option" title="Steam">
-                        <i class="fa-brands fa-steam"></i>
-                    </label>
-                    <input type="radio" id="s-opt-8" name="switch" class="switch-input" onchange="changePingTarget(8)">
-                    <label for="s-opt-8" class="switch-option" title="Cloudflare">
-                        <i class="fa-brands fa-cloudflare"></i>
-                    </label>
-                    <div class="switch-glider"></div>
-                </div>
+                <div class="switch-container target-switch" id="ping-switch"></div>
 
                 <div class="chart-header">
-                    <span id="ping-target-name">网络真连接连通性 (本站)</span>
+                    <span id="ping-target-name">${m('page.pingTitle', { name: m('page.thisSite') })}</span>
                     <span id="rt-ping-value" style="font-family:monospace; font-weight:bold;">-- ms</span>
                 </div>
+                <div class="probe-line" id="edge-probe" hidden></div>
 
                 <div class="chart-container">
-                    <div class="expand-btn" onclick="openModal()" title="放大查看详细历史">
+                    <div class="expand-btn" onclick="openModal()" title="${m('page.expandHistory')}">
                         <svg viewBox="0 0 24 24"><path d="M15 3l2.3 2.3-2.89 2.87 1.42 1.42L18.7 6.7 21 9V3zM3 9l2.3-2.3 2.87 2.89 1.42-1.42L6.7 5.3 9 3H3zM9 21l-2.3-2.3 2.89-2.87-1.42-1.42L5.3 17.3 3 15v6zM21 15l-2.3 2.3-2.87-2.89-1.42 1.42 2.89 2.87L15 21h6z"/></svg>
                     </div>
                     <canvas id="ping-chart"></canvas>
@@ -508,11 +610,24 @@ function generateHTML(data: TemplateData): string {
 
             <div class="speed-section">
                 <div class="chart-header speed-download-head">
-                    <span>下载带宽</span>
+                    <div class="speed-direction">
+                        <input type="radio" id="speed-dir-down" name="speed-dir" class="switch-input" value="download" checked>
+                        <label for="speed-dir-down" class="speed-dir-option">${m('page.download')}</label>
+                        <input type="radio" id="speed-dir-up" name="speed-dir" class="switch-input" value="upload">
+                        <label for="speed-dir-up" class="speed-dir-option">${m('page.upload')}</label>
+                    </div>
+                    <select id="speed-streams" class="speed-streams-select" title="${m('page.streamsTitle')}">
+                        <option value="1" selected>${m('page.singleStream')}</option>
+                        <option value="4">${m('page.streams', { n: 4 })}</option>
+                        <option value="8">${m('page.streams', { n: 8 })}</option>
+                    </select>
+                    <label class="speed-bloat-toggle" title="${m('page.bloatTitle')}">
+                        <input type="checkbox" id="speed-bloat">${m('page.loadedLatency')}
+                    </label>
                 </div>
                 <div class="speed-main">
                         <div class="speed-stat-size-row">
-                            <div class="switch-container switch-vertical-speed" title="测速下载量">
+                            <div class="switch-container switch-vertical-speed" title="${m('page.sizeTitle')}">
                                 <input type="radio" id="speedv25" name="speed-size" class="switch-input" value="25m">
                                 <label for="speedv25" class="switch-option">25M</label>
                                 <input type="radio" id="speedv50" name="speed-size" class="switch-input" value="50m" checked>
@@ -525,25 +640,61 @@ function generateHTML(data: TemplateData): string {
                             </div>
                             <div class="speed-main-content">
                                 <div class="speed-stats">
-                                    <div class="speed-stat-line"><span class="label" id="speed-curr-label">当前速度</span><span class="value" id="speed-current">—</span></div>
-                                    <div class="speed-stat-line"><span class="label">全程平均</span><span class="value" id="speed-avg">—</span></div>
+                                    <div class="speed-stat-line"><span class="label" id="speed-curr-label">${m('page.currentSpeed')}</span><span class="value" id="speed-current">—</span></div>
+                                    <div class="speed-stat-line"><span class="label">${m('page.averageSpeed')}</span><span class="value" id="speed-avg">—</span></div>
+                                    <div class="speed-bloat" id="speed-bloat-stats" hidden>
+                                        <div class="speed-stat-line"><span class="label">${m('page.idleLatency')}</span><span class="value" id="bloat-idle">—</span></div>
+                                        <div class="speed-stat-line"><span class="label">${m('page.loadedLatency')}</span><span class="value" id="bloat-loaded">—</span></div>
+                                        <div class="speed-stat-line"><span class="label">${m('page.latencyIncrease')}</span><span class="value"><span id="bloat-delta">—</span><b class="bloat-grade" id="bloat-grade"></b></span></div>
+                                    </div>
                                 </div>
                                 <div class="speed-actions">
-                                    <button type="button" class="btn speed-start" id="speed-start-btn">开始测速</button>
-                                    <button type="button" class="btn speed-cancel" id="speed-cancel-btn" disabled>取消</button>
+                                    <button type="button" class="btn speed-start" id="speed-start-btn">${m('page.startTest')}</button>
+                                    <button type="button" class="btn speed-cancel" id="speed-cancel-btn" disabled>${m('page.cancel')}</button>
+                                    <button type="button" class="btn speed-cancel" id="speed-save-btn" disabled>${m('page.share')}</button>
+                                    <span class="speed-save-status" id="speed-save-status"></span>
                                 </div>
+                                <div class="speed-stream-list" id="speed-stream-list"></div>
                             </div>
                         </div>
                     </div>
             </div>
 
-            <div class="info-row info-row-after-speed"><span class="label">接入节点</span> <span class="value">${coloHtml}</span></div>
-            <div class="info-row"><span class="label">ASN编码</span> <span class="value">AS${asn}</span></div>
-            <div class="info-row"><span class="label">原始ISP</span> <span class="value" style="font-size:0.9em">${rawIsp}</span></div>
+            <div class="info-row info-row-after-speed"><span class="label">${m('page.colo')}</span> <span class="value">${coloHtml}</span></div>
+            ${coloDistance !== null ? `<div class="info-row"><span class="label">${m('page.coloDistance')}</span> <span class="value">${m('page.approxKm', { km: coloDistance.toLocaleString('en-US') })}</span></div>` : ''}
+            <div class="info-row"><span class="label">${m('page.asn')}</span> <span class="value">AS${asn}</span></div>
+            <div class="info-row"><span class="label">${m('page.rawIsp')}</span> <span class="value" style="font-size:0.9em">${rawIsp}</span></div>
+        </div>
+        <div class="info-box">
+            <div class="info-row"><span class="label">${m('page.httpProtocol')}</span> <span class="value">${escapeHtml(connection.httpProtocol || m('page.unknown'))}</span></div>
+            <div class="info-row"><span class="label">${m('page.tlsVersion')}</span> <span class="value">${escapeHtml(connection.tlsVersion || m('page.unencrypted'))}</span></div>
+            <div class="info-row"><span class="label">${m('page.tlsCipher')}</span> <span class="value" style="font-size:0.9em">${escapeHtml(connection.tlsCipher || '—')}</span></div>
+            <div class="info-row"><span class="label">${m('page.encoding')}</span> <span class="value" style="font-size:0.9em">${escapeHtml(connection.acceptEncoding || '—')}</span></div>
+            <div class="info-row"><span class="label">${m('page.earlyData')}</span> <span class="value">${connection.earlyData ? m('page.yes') : m('page.no')}</span></div>
         </div>
-        <a href="https://haokun.me" class="btn">前往博客</a>
+        <div class="info-box">
+            <form class="lookup-form" id="lookup-form">
+                <input type="text" id="lookup-input" class="lookup-input" placeholder="${m('page.lookupPlaceholder')}" maxlength="45" autocomplete="off" spellcheck="false" required>
+                <button type="submit" class="btn lookup-btn" id="lookup-btn">${m('page.lookupButton')}</button>
+            </form>
+            <div class="lookup-result" id="lookup-result"></div>
+        </div>
+        <a href="https://haokun.me" class="btn">${m('page.blog')}</a>
+        <div class="lang-switch">${langLinks}</div>
         <div id="ai-result-container" class="ai-result">
-            <p class="loading">🤖 AI 正在分析您的网络...</p>
+            <div class="ai-toolbar">
+                <div class="speed-direction" role="radiogroup" aria-label="${m('page.aiMode')}">
+                    <input type="radio" id="ai-mode-roast" name="ai-mode" class="switch-input" value="roast" checked>
+                    <label for="ai-mode-roast" class="speed-dir-option">${m('page.modeRoast')}</label>
+                    <input type="radio" id="ai-mode-diagnosis" name="ai-mode" class="switch-input" value="diagnosis">
+                    <label for="ai-mode-diagnosis" class="speed-dir-option">${m('page.modeDiagnosis')}</label>
+                    <input type="radio" id="ai-mode-checklist" name="ai-mode" class="switch-input" value="checklist">
+                    <label for="ai-mode-checklist" class="speed-dir-option">${m('page.modeChecklist')}</label>
+                </div>
+                <button type="button" class="ai-regenerate" id="ai-regenerate">${m('page.regenerate')}</button>
+            </div>
+            <p class="loading">${m('page.aiLoading')}</p>
+            <div class="ai-usage" id="ai-usage"></div>
         </div>
         <img src="https://tool.lu/netcard/" class="signature-img" alt="IP Signature">
     </div>
@@ -551,76 +702,173 @@ function generateHTML(data: TemplateData): string {
     <div class="modal-overlay" id="chart-modal">
         <div class="modal-content">
             <div class="modal-header">
-                <div class="modal-title" id="modal-title-text">详细延迟历史记录</div>
+                <div class="modal-title" id="modal-title-text">${m('page.historyTitle')}</div>
+                <button type="button" class="dashboard-toggle" id="dashboard-toggle" aria-pressed="false"><i class="fa-solid fa-layer-group"></i> ${m('page.dashboardMode')}</button>
                 <div class="modal-close" onclick="closeModal()">×</div>
             </div>
 
-            <div class="switch-container">
-                <input type="radio" id="m-opt-1" name="modal-switch" class="switch-input" checked onchange="changePingTarget(1)">
-                <label for="m-opt-1" class="switch-option"><i class="fa-solid fa-house"></i> 本站</label>
-                <input type="radio" id="m-opt-2" name="modal-switch" class="switch-input" onchange="changePingTarget(2)">
-                <label for="m-opt-2" class="switch-option"><i class="fa-solid fa-book"></i> Blog</label>
-                <input type="radio" id="m-opt-3" name="modal-switch" class="switch-input" onchange="changePingTarget(3)">
-                <label for="m-opt-3" class="switch-option"><i class="fa-brands fa-bilibili"></i> Bilibili</label>
-                <input type="radio" id="m-opt-4" name="modal-switch" class="switch-input" onchange="changePingTarget(4)">
-                <label for="m-opt-4" class="switch-option"><i class="fa-brands fa-microsoft"></i> Msft</label>
-                <input type="radio" id="m-opt-5" name="modal-switch" class="switch-input" onchange="changePingTarget(5)">
-                <label for="m-opt-5" class="switch-option"><i class="fa-brands fa-cc-visa"></i> Visa</label>
-                <input type="radio" id="m-opt-6" name="modal-switch" class="switch-input" onchange="changePingTarget(6)">
-                <label for="m-opt-6" class="switch-option"><i class="fa-brands fa-google"></i> Google</label>
-                <input type="radio" id="m-opt-7" name="modal-switch" class="switch-input" onchange="changePingTarget(7)">
-                <label for="m-opt-7" class="switch-option"><i class="fa-brands fa-steam"></i> Steam</label>
-                <input type="radio" id="m-opt-8" name="modal-switch" class="switch-input" onchange="changePingTarget(8)">
-                <label for="m-opt-8" class="switch-option"><i class="fa-brands fa-cloudflare"></i> Cloudflare</label>
-                <div class="switch-glider"></div>
-            </div>
+            <div class="switch-container target-switch single-only" id="modal-ping-switch"></div>
+            <form class="target-form" id="target-form">
+                <input id="target-name" maxlength="50" placeholder="${m('page.targetName')}" required>
+                <input id="target-url" type="url" maxlength="500" placeholder="https://example.com/favicon.ico" required>
+                <button type="submit"><i class="fa-solid fa-plus"></i> ${m('page.addTarget')}</button>
+                <button type="button" class="secondary" id="target-remove" hidden><i class="fa-solid fa-trash"></i> ${m('page.removeTarget')}</button>
+                <span class="target-form-status" id="target-form-status"></span>
+            </form>
+
+            <div class="dashboard-legend dashboard-only" id="dashboard-legend"></div>
 
             <div class="modal-chart-box">
                 <canvas id="large-ping-chart"></canvas>
             </div>
-            <div class="modal-stats">
-                <div class="stat-item">当前: <b id="stat-curr">--</b> ms</div>
-                <div class="stat-item">平均: <b id="stat-avg">--</b> ms</div>
-                <div class="stat-item">最大: <b id="stat-max">--</b> ms</div>
-                <div class="stat-item">最小: <b id="stat-min">--</b> ms</div>
-                <div class="stat-item">抖动: <b id="stat-jitter">--</b> ms</div>
-                <div class="stat-item" style="margin-left:auto; font-size:0.8em; opacity:0.7">显示最近 200 次记录</div>
+            <div class="modal-stats single-only">
+                <div class="stat-item">${m('page.statCurrent')}: <b id="stat-curr">--</b> ms</div>
+                <div class="stat-item">${m('page.statAvg')}: <b id="stat-avg">--</b> ms</div>
+                <div class="stat-item">${m('page.statMax')}: <b id="stat-max">--</b> ms</div>
+                <div class="stat-item">${m('page.statMin')}: <b id="stat-min">--</b> ms</div>
+                <div class="stat-item">${m('page.statJitter')}: <b id="stat-jitter">--</b> ms</div>
+                <div class="stat-item" style="margin-left:auto; font-size:0.8em; opacity:0.7">${m('page.historyLimit', { n: 200 })}</div>
+            </div>
+            <div class="dashboard-table-wrap dashboard-only">
+                <table class="dashboard-table">
+                    <thead>
+                        <tr>
+                            <th>${m('page.target')}</th>
+                            <th>${m('page.statCurrent')}</th>
+                            <th>${m('page.statAvg')}</th>
+                            <th>${m('page.statMin')}</th>
+                            <th>${m('page.statMax')}</th>
+                            <th>${m('page.statJitter')}</th>
+                            <th>${m('page.statLoss')}</th>
+                        </tr>
+                    </thead>
+                    <tbody id="dashboard-table-body"></tbody>
+                </table>
             </div>
         </div>
     </div>
+    <div id="turnstile-widget" class="turnstile-widget"></div>
 
     <script>
-        // === 1. IP & Geo ===
-        async function fetchIpDetails() {
-            fetch('https://ipv6.icanhazip.com').then(res => res.text()).then(ipv6 => {
-                document.getElementById('ipv6-addr').innerText = ipv6.trim();
-            }).catch(() => {
-                document.getElementById('ipv6-addr').innerText = '不可用';
+        // === 0. 文案（按请求语言下发） ===
+        const LOCALE = '${locale}';
+        const I18N = ${clientMessages};
+        // 同源接口带上页面语言，使 ?lang= 切换后错误信息和 AI 分析也随之切换
+        const LANG_HEADERS = { 'Accept-Language': LOCALE };
+        function msg(key, params) {
+            const text = I18N[key] || key;
+            if (!params) return text;
+            return text.replace(/\\{(\\w+)\\}/g, function (match, name) {
+                return Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match;
             });
+        }
 
-            fetch('https://ipv4.icanhazip.com').then(res => res.text()).then(ipv4 => {
-                const cleanIpv4 = ipv4.trim();
-                document.getElementById('ipv4-addr').innerText = cleanIpv4;
-                return cleanIpv4;
-            }).then(ipv4 => {
-                if (!ipv4) {
-                    document.getElementById('ext-loc').innerText = '查询失败';
-                    startAiAnalysis();
-                    return;
-                }
-                fetch(\`https://ipapi.co/\${ipv4}/json/\`)
-                    .then(r => r.json())
-                    .then(d => {
-                        const loc = [d.city, d.region, d.country_name].filter(Boolean).join(', ');
-                        document.getElementById('ext-loc').innerText = loc || '未知';
-                    })
-                    .catch(() => { document.getElementById('ext-loc').innerText = '查询超时'; })
-                    .finally(() => { startAiAnalysis(); });
-            }).catch(() => {
-                document.getElementById('ipv4-addr').innerText = '不可用';
-                startAiAnalysis();
+        // === 会话：配置了 Turnstile 时，测速下载和 AI 分析前先用令牌换取会话 Cookie ===
+        const TURNSTILE_SITE_KEY = ${JSON.stringify(turnstileSiteKey).replace(/</g, '\\u003c')};
+        let turnstileWidget = null;
+        let turnstilePending = null;
+        let sessionExpiresAt = 0;
+        let sessionPromise = null;
+
+        function getTurnstileToken() {
+            return new Promise(function (resolve, reject) {
+                let waited = 0;
+                (function run() {
+                    // 组件脚本异步加载，最多等待 10 秒
+                    if (!window.turnstile) {
+                        waited += 100;
+                        if (waited > 10000) return reject(new Error(msg('page.challengeFailed')));
+                        return setTimeout(run, 100);
+                    }
+                    turnstilePending = { resolve: resolve, reject: reject };
+                    if (turnstileWidget === null) {
+                        turnstileWidget = window.turnstile.render('#turnstile-widget', {
+                            sitekey: TURNSTILE_SITE_KEY,
+                            execution: 'execute',
+                            appearance: 'interaction-only',
+                            language: LOCALE.toLowerCase(),
+                            callback: function (token) {
+                                if (turnstilePending) turnstilePending.resolve(token);
+                                turnstilePending = null;
+                            },
+                            'error-callback': function () {
+                                if (turnstilePending) turnstilePending.reject(new Error(msg('page.challengeFailed')));
+                                turnstilePending = null;
+                            }
+                        });
+                    } else {
+                        window.turnstile.reset(turnstileWidget);
+                    }
+                    window.turnstile.execute(turnstileWidget);
+                })();
             });
         }
+
+        // 并发调用共用同一次验证；会话到期前一分钟重新验证
+        function ensureSession() {
+            if (!TURNSTILE_SITE_KEY || Date.now() < sessionExpiresAt) return Promise.resolve();
+            if (!sessionPromise) {
+                sessionPromise = (async function () {
+                    const token = await getTurnstileToken();
+                    const res = await fetch('/api/session', {
+                        method: 'POST',
+                        headers: Object.assign({ 'Content-Type': 'application/json' }, LANG_HEADERS),
+                        body: JSON.stringify({ token: token })
+                    });
+                    const data = await res.json().catch(function () { return {}; });
+                    if (!res.ok) throw new Error(data.error || msg('page.serverError', { status: res.status }));
+                    sessionExpiresAt = Date.now() + Math.max(0, (data.expiresIn || 0) - 60) * 1000;
+                })().finally(function () { sessionPromise = null; });
+            }
+            return sessionPromise;
+        }
+
+        // 访问需要会话的接口；Cookie 失效（403）时重新验证并重试一次
+        async function sessionFetch(url, init) {
+            await ensureSession();
+            const res = await fetch(url, init);
+            if (res.status !== 403 || !TURNSTILE_SITE_KEY) return res;
+            sessionExpiresAt = 0;
+            await ensureSession();
+            return fetch(url, init);
+        }
+
+        // === 1. IP & Geo（由本站 /api/ip/v4、/api/ip/v6 提供，不依赖第三方） ===
+        const ipEndpoints = ${JSON.stringify(ipEndpoints)};
+        const connectionFamily = ${ipFamily(rawIp)};
+
+        function fetchFamilyInfo(url) {
+            return fetch(url, { cache: 'no-store', signal: AbortSignal.timeout(5000) }).then(res => {
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                return res.json();
+            });
+        }
+
+        async function fetchIpDetails() {
+            const [v4, v6] = await Promise.allSettled([
+                fetchFamilyInfo(ipEndpoints.v4),
+                fetchFamilyInfo(ipEndpoints.v6)
+            ]);
+            const hasV4 = v4.status === 'fulfilled';
+            const hasV6 = v6.status === 'fulfilled';
+
+            document.getElementById('ipv4-addr').innerText = hasV4 ? v4.value.ip : msg('page.unavailable');
+            document.getElementById('ipv6-addr').innerText = hasV6 ? v6.value.ip : msg('page.unavailable');
+            if (hasV4) {
+                const loc = v4.value.location;
+                document.getElementById('ext-loc').innerText = [loc.city, loc.region, loc.country].filter(Boolean).join(', ') || msg('page.unknown');
+            } else {
+                document.getElementById('ext-loc').innerText = msg('page.unavailable');
+            }
+
+            // 当前页面连接使用的地址族即浏览器首选的协议栈
+            let stack = 'IPv' + connectionFamily;
+            if (hasV4 && hasV6) stack += msg('page.dualStack');
+            else if (hasV4 || hasV6) stack += msg('page.singleStack');
+            document.getElementById('ip-stack').innerText = stack;
+
+            startAiAnalysis();
+        }
         fetchIpDetails();
 
         // === 2. Initial HTTP RTT ===
@@ -634,6 +882,7 @@ function generateHTML(data: TemplateData): string {
             rttElem.innerHTML = '<span class="status-dot" id="rtt-dot"></span>' + duration + ' ms <span style="font-size:0.8em;opacity:0.7">(' + note + ')</span>';
             rttElem.style.color = color;
             document.getElementById('rtt-dot').style.backgroundColor = color;
+            if (duration > 0) speedResults.latency = Object.assign({}, speedResults.latency, { rtt: duration });
         }
 
         if (isHttp3) {
@@ -657,7 +906,7 @@ function generateHTML(data: TemplateData): string {
                     updateConnectionRttUI(duration, "HTTP/3");
                 }).catch(() => {
                     // 测量失败时显示错误提示
-                    updateConnectionRttUI(0, "测量失败");
+                    updateConnectionRttUI(0, msg('page.measureFailed'));
                 });
             });
         }
@@ -678,29 +927,156 @@ function generateHTML(data: TemplateData): string {
         let pingInterval = null;
         let isModalOpen = false;
 
-        const pingTargets = {
-            1: { name: '本站', url: '/api/ping', needCors: false },
-            2: { name: 'Blog', url: 'https://haokun.me/', needCors: true },
-            3: { name: 'Bilibili', url: 'https://www.bilibili.com/favicon.ico', needCors: true },
-            4: { name: 'Microsoft', url: 'https://www.microsoft.com/favicon.ico', needCors: true },
-            5: { name: 'Visa', url: 'https://www.visa.cn/favicon.ico', needCors: true },
-            6: { name: 'Google', url: 'https://www.google.com/favicon.ico', needCors: true },
-            7: { name: 'Steam', url: 'https://store.steampowered.com/favicon.ico', needCors: true },
-            8: { name: 'Cloudflare', url: 'https://www.cloudflare.com/favicon.ico', needCors: true }
-        };
-        let currentTargetId = 1;
-
-        window.changePingTarget = function(id) {
+        // === 延迟监测目标：本站内置，其余来自 /api/ping/targets，另可添加保存在本机的自定义目标 ===
+        const SELF_TARGET = { id: 'self', name: msg('page.thisSite'), url: '/api/ping', icon: 'fa-solid fa-house', needCors: false };
+        const CUSTOM_TARGETS_KEY = 'customPingTargets';
+        const MAX_CUSTOM_TARGETS = 4;
+        const pingSwitch = document.getElementById('ping-switch');
+        const modalPingSwitch = document.getElementById('modal-ping-switch');
+        const targetForm = document.getElementById('target-form');
+        const targetFormStatus = document.getElementById('target-form-status');
+        const targetRemoveBtn = document.getElementById('target-remove');
+        let configuredTargets = [];
+        let customTargets = loadCustomTargets();
+        let pingTargets = [];
+        let currentTargetId = 'self';
+
+        // 自定义目标只接受 https 链接：页面本身走 https，明文请求会被浏览器拦截
+        function parseTargetUrl(value) {
+            try {
+                const url = new URL(value);
+                return url.protocol === 'https:' && !url.username && !url.password ? url.href : null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        function loadCustomTargets() {
+            try {
+                const list = JSON.parse(localStorage.getItem(CUSTOM_TARGETS_KEY) || '[]');
+                if (!Array.isArray(list)) return [];
+                return list.filter(t => t && typeof t.id === 'string' && typeof t.name === 'string' && parseTargetUrl(t.url))
+                    .slice(0, MAX_CUSTOM_TARGETS)
+                    .map(t => ({ id: t.id, name: t.name.slice(0, 50), url: t.url }));
+            } catch (e) {
+                return [];
+            }
+        }
+
+        function saveCustomTargets() {
+            try { localStorage.setItem(CUSTOM_TARGETS_KEY, JSON.stringify(customTargets)); } catch (e) {}
+        }
+
+        function findTarget(id) {
+            return pingTargets.find(t => t.id === id);
+        }
+
+        // 目标名称来自配置和用户输入，只通过 DOM 接口写入，不拼接 HTML
+        function renderSwitch(container, prefix, withName) {
+            container.textContent = '';
+            pingTargets.forEach((target, index) => {
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.id = prefix + '-opt-' + index;
+                input.name = prefix + '-ping-target';
+                input.className = 'switch-input';
+                input.addEventListener('change', () => changePingTarget(target.id));
+
+                const label = document.createElement('label');
+                label.htmlFor = input.id;
+                label.className = 'switch-option';
+                label.title = target.name;
+                if (target.color) label.style.setProperty('--target-color', target.color);
+                const icon = document.createElement('i');
+                icon.className = target.icon || 'fa-solid fa-globe';
+                label.appendChild(icon);
+                if (withName) label.appendChild(document.createTextNode(' ' + target.name));
+
+                container.append(input, label);
+            });
+            const glider = document.createElement('div');
+            glider.className = 'switch-glider';
+            container.appendChild(glider);
+            container.style.setProperty('--target-count', pingTargets.length);
+        }
+
+        function syncSwitches() {
+            const index = pingTargets.findIndex(t => t.id === currentTargetId);
+            document.getElementById('s-opt-' + index).checked = true;
+            document.getElementById('m-opt-' + index).checked = true;
+            pingSwitch.style.setProperty('--target-index', index);
+            modalPingSwitch.style.setProperty('--target-index', index);
+            targetRemoveBtn.hidden = !pingTargets[index].custom;
+        }
+
+        function renderPingTargets() {
+            pingTargets = [SELF_TARGET].concat(
+                configuredTargets.map(t => Object.assign({}, t, { needCors: true })),
+                customTargets.map(t => Object.assign({ icon: 'fa-solid fa-user-pen' }, t, { needCors: true, custom: true }))
+            );
+            renderSwitch(pingSwitch, 's', false);
+            renderSwitch(modalPingSwitch, 'm', true);
+            // 当前目标已被移除时回到本站
+            if (findTarget(currentTargetId)) syncSwitches();
+            else changePingTarget('self');
+            if (dashboardMode) {
+                renderDashboardLegend();
+                renderDashboard();
+            }
+        }
+
+        async function loadPingTargets() {
+            try {
+                const res = await fetch('/api/ping/targets');
+                if (!res.ok) return;
+                const data = await res.json();
+                configuredTargets = Array.isArray(data.targets) ? data.targets : [];
+                renderPingTargets();
+            } catch (e) {
+                console.warn('Ping targets unavailable:', e);
+            }
+        }
+
+        function changePingTarget(id) {
+            const target = findTarget(id);
+            if (!target) return;
             currentTargetId = id;
-            const name = pingTargets[id].name;
-            targetNameElem.innerText = '网络真连接连通性 (' + name + ')';
-            modalTitle.innerText = name + ' - 详细延迟历史';
-            document.getElementById('s-opt-' + id).checked = true;
-            document.getElementById('m-opt-' + id).checked = true;
+            targetNameElem.innerText = msg('page.pingTitle', { name: target.name });
+            if (!dashboardMode) modalTitle.innerText = msg('page.pingHistoryTitle', { name: target.name });
+            syncSwitches();
             pingData.fill(0);
             rtValueElem.innerText = '-- ms';
+            edgeProbeElem.hidden = true;
+            if (pingInterval) doEdgeProbe();
         }
 
+        targetForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = document.getElementById('target-name').value.trim();
+            const url = parseTargetUrl(document.getElementById('target-url').value.trim());
+            if (!name || !url) {
+                targetFormStatus.textContent = msg('page.invalidTarget');
+                return;
+            }
+            if (customTargets.length >= MAX_CUSTOM_TARGETS) {
+                targetFormStatus.textContent = msg('page.tooManyTargets', { max: MAX_CUSTOM_TARGETS });
+                return;
+            }
+            const target = { id: 'custom-' + Date.now().toString(36), name: name.slice(0, 50), url: url };
+            customTargets.push(target);
+            saveCustomTargets();
+            targetForm.reset();
+            targetFormStatus.textContent = '';
+            renderPingTargets();
+            changePingTarget(target.id);
+        });
+
+        targetRemoveBtn.addEventListener('click', () => {
+            customTargets = customTargets.filter(t => t.id !== currentTargetId);
+            saveCustomTargets();
+            renderPingTargets();
+        });
+
         // Debounce function
         function debounce(func, wait) {
             let timeout;
@@ -726,6 +1102,7 @@ function generateHTML(data: TemplateData): string {
         window.openModal = function() {
             modal.classList.add('active');
             isModalOpen = true;
+            if (dashboardMode) startDashboard();
             setTimeout(() => {
                 resizeCanvas(largeCanvas, largeCtx);
                 drawCharts();
@@ -734,6 +1111,7 @@ function generateHTML(data: TemplateData): string {
         window.closeModal = function() {
             modal.classList.remove('active');
             isModalOpen = false;
+            stopDashboard();
         }
 
         const handleResize = debounce(() => {
@@ -749,21 +1127,8 @@ function generateHTML(data: TemplateData): string {
             const w = canvas.parentElement.clientWidth;
             const h = canvas.parentElement.clientHeight;
             ctx.clearRect(0, 0, w, h);
-            const validPoints = dataPoints.filter(p => p > 0);
-            let maxVal = Math.max(100, ...validPoints);
-            if (maxVal > 1000) maxVal = 2000;
-
-            if (showGrid) {
-                ctx.beginPath();
-                ctx.strokeStyle = 'rgba(0,0,0,0.05)';
-                ctx.lineWidth = 1;
-                for (let i = 1; i < 4; i++) {
-                    const y = h - (i * 0.25 * h);
-                    ctx.moveTo(0, y);
-                    ctx.lineTo(w, y);
-                }
-                ctx.stroke();
-            }
+            const maxVal = chartMax(dataPoints);
+            if (showGrid) drawGrid(ctx, w, h);
 
             const count = dataPoints.length;
             const stepX = w / (count - 1);
@@ -790,90 +1155,338 @@ function generateHTML(data: TemplateData): string {
             ctx.fill();
         }
 
-        function updateStats(lastVal) {
-            const valid = pingData.filter(x => x > 0);
-            if (valid.length === 0) return;
-            const min = Math.min(...valid);
-            const max = Math.max(...valid);
-            const avg = Math.round(valid.reduce((a,b)=>a+b,0) / valid.length);
+        // 纵轴上限：至少 100 ms，超过 1 秒的抖动统一按 2 秒显示
+        function chartMax(dataPoints) {
+            const validPoints = dataPoints.filter(p => p > 0);
+            const maxVal = Math.max(100, ...validPoints);
+            return maxVal > 1000 ? 2000 : maxVal;
+        }
+
+        function drawGrid(ctx, w, h) {
+            ctx.beginPath();
+            ctx.strokeStyle = 'rgba(0,0,0,0.05)';
+            ctx.lineWidth = 1;
+            for (let i = 1; i < 4; i++) {
+                const y = h - (i * 0.25 * h);
+                ctx.moveTo(0, y);
+                ctx.lineTo(w, y);
+            }
+            ctx.stroke();
+        }
+
+        // 延迟统计，samples 只含成功的样本；抖动为相邻样本差值的平均
+        function computeStats(samples) {
+            if (samples.length === 0) return null;
             let sumDiff = 0;
-            for (let i = 1; i < valid.length; i++) sumDiff += Math.abs(valid[i] - valid[i - 1]);
-            const jitter = valid.length > 1 ? Math.round(sumDiff / (valid.length - 1)) : 0;
+            for (let i = 1; i < samples.length; i++) sumDiff += Math.abs(samples[i] - samples[i - 1]);
+            return {
+                min: Math.min(...samples),
+                max: Math.max(...samples),
+                avg: Math.round(samples.reduce((a, b) => a + b, 0) / samples.length),
+                jitter: samples.length > 1 ? Math.round(sumDiff / (samples.length - 1)) : 0
+            };
+        }
+
+        function updateStats(lastVal) {
+            const stats = computeStats(pingData.filter(x => x > 0));
+            if (!stats) return;
             document.getElementById('stat-curr').innerText = lastVal;
-            document.getElementById('stat-avg').innerText = avg;
-            document.getElementById('stat-max').innerText = max;
-            document.getElementById('stat-min').innerText = min;
-            document.getElementById('stat-jitter').innerText = jitter;
+            document.getElementById('stat-avg').innerText = stats.avg;
+            document.getElementById('stat-max').innerText = stats.max;
+            document.getElementById('stat-min').innerText = stats.min;
+            document.getElementById('stat-jitter').innerText = stats.jitter;
         }
 
         function drawCharts() {
             const smallData = pingData.slice(-smallViewLimit);
             renderLineChart(smallCtx, smallCanvas, smallData, false);
-            if (isModalOpen) renderLineChart(largeCtx, largeCanvas, pingData, true);
+            if (!isModalOpen) return;
+            if (dashboardMode) renderDashboardChart();
+            else renderLineChart(largeCtx, largeCanvas, pingData, true);
         }
 
-        async function doRealTimePing() {
-            const start = performance.now();
-            const target = pingTargets[currentTargetId];
+        // 对目标计时一次请求，失败或超时返回 0
+        async function measureLatency(target, timeoutMs) {
             const separator = target.url.includes('?') ? '&' : '?';
             const url = target.url + separator + 'ts=' + Date.now();
+            const fetchOpts = { cache: 'no-store' };
+            if (target.needCors) {
+                fetchOpts.mode = 'no-cors';
+                fetchOpts.method = 'HEAD';
+            }
+            let timer = null;
+            if (timeoutMs) {
+                const controller = new AbortController();
+                fetchOpts.signal = controller.signal;
+                timer = setTimeout(() => controller.abort(), timeoutMs);
+            }
 
-            let dur = 0;
+            const start = performance.now();
             try {
-                const fetchOpts = { cache: 'no-store' };
-                if (target.needCors) {
-                    fetchOpts.mode = 'no-cors';
-                    fetchOpts.method = 'HEAD';
-                }
                 await fetch(url, fetchOpts);
-                dur = Math.round(performance.now() - start);
-
-                if (dur > 300) rtValueElem.style.color = '#ef4444';
-                else if (dur > 150) rtValueElem.style.color = '#f59e0b';
-                else rtValueElem.style.color = '#10b981';
+                // 0 表示失败，成功至少记为 1 ms
+                return Math.max(1, Math.round(performance.now() - start));
             } catch (e) {
-                dur = 0;
-                rtValueElem.style.color = '#aaa';
+                return 0;
+            } finally {
+                if (timer) clearTimeout(timer);
             }
+        }
+
+        async function doRealTimePing() {
+            const dur = await measureLatency(findTarget(currentTargetId));
+            if (dur <= 0) rtValueElem.style.color = '#aaa';
+            else if (dur > 300) rtValueElem.style.color = '#ef4444';
+            else if (dur > 150) rtValueElem.style.color = '#f59e0b';
+            else rtValueElem.style.color = '#10b981';
 
             pingData.shift();
             pingData.push(dur);
-            rtValueElem.innerText = (dur > 0 ? dur : '超时') + ' ms';
+            rtValueElem.innerText = (dur > 0 ? dur : msg('page.timeout')) + ' ms';
             if (isModalOpen) updateStats(dur);
             requestAnimationFrame(drawCharts);
         }
 
+        // === 多目标对比：轮流错开请求所有目标，每轮约 DASHBOARD_ROUND 毫秒，便于对照国内外线路 ===
+        const DASHBOARD_ROUND = 2000;
+        const DASHBOARD_MIN_GAP = 150;
+        const DASHBOARD_TIMEOUT = 3000;
+        const DASHBOARD_HISTORY = 60;
+        const SERIES_PALETTE = ['#10b981', '#8b5cf6', '#ef4444', '#14b8a6', '#eab308', '#ec4899'];
+        const modalContent = modal.querySelector('.modal-content');
+        const dashboardToggle = document.getElementById('dashboard-toggle');
+        const dashboardLegend = document.getElementById('dashboard-legend');
+        const dashboardTableBody = document.getElementById('dashboard-table-body');
+        // 目标 id -> 最近 DASHBOARD_HISTORY 个样本，null 表示尚未测量，0 表示失败
+        const dashboardSeries = new Map();
+        const hiddenSeries = new Set();
+        let dashboardMode = false;
+        let dashboardTimer = null;
+        let dashboardCursor = 0;
+
+        function seriesOf(id) {
+            if (!dashboardSeries.has(id)) dashboardSeries.set(id, new Array(DASHBOARD_HISTORY).fill(null));
+            return dashboardSeries.get(id);
+        }
+
+        function seriesColor(target, index) {
+            if (target.color) return target.color;
+            if (target.id === 'self') return '#2b5876';
+            return SERIES_PALETTE[index % SERIES_PALETTE.length];
+        }
+
+        function dashboardTick() {
+            if (pingTargets.length > 0) {
+                const target = pingTargets[dashboardCursor++ % pingTargets.length];
+                measureLatency(target, DASHBOARD_TIMEOUT).then(dur => {
+                    const data = seriesOf(target.id);
+                    data.shift();
+                    data.push(dur);
+                    if (dashboardMode) requestAnimationFrame(renderDashboard);
+                });
+            }
+            // 目标越多间隔越短，整轮耗时保持不变
+            dashboardTimer = setTimeout(dashboardTick, Math.max(DASHBOARD_ROUND / Math.max(pingTargets.length, 1), DASHBOARD_MIN_GAP));
+        }
+
+        function startDashboard() {
+            if (!dashboardTimer && !document.hidden) dashboardTick();
+        }
+
+        function stopDashboard() {
+            if (dashboardTimer) { clearTimeout(dashboardTimer); dashboardTimer = null; }
+        }
+
+        function renderDashboardChart() {
+            const w = largeCanvas.parentElement.clientWidth;
+            const h = largeCanvas.parentElement.clientHeight;
+            largeCtx.clearRect(0, 0, w, h);
+            const visible = pingTargets.map((target, index) => ({ target: target, color: seriesColor(target, index) }))
+                .filter(item => !hiddenSeries.has(item.target.id));
+            const maxVal = chartMax([].concat(...visible.map(item => seriesOf(item.target.id))));
+            drawGrid(largeCtx, w, h);
+
+            const stepX = w / (DASHBOARD_HISTORY - 1);
+            visible.forEach(item => {
+                largeCtx.beginPath();
+                let drawing = false;
+                seriesOf(item.target.id).forEach((val, i) => {
+                    // 失败和未测量的点断开曲线
+                    if (!(val > 0)) { drawing = false; return; }
+                    const x = i * stepX;
+                    const y = h - (Math.min(val, maxVal) / maxVal) * (h * 0.85);
+                    if (drawing) largeCtx.lineTo(x, y);
+                    else largeCtx.moveTo(x, y);
+                    drawing = true;
+                });
+                largeCtx.lineJoin = 'round';
+                largeCtx.lineWidth = 2;
+                largeCtx.strokeStyle = item.color;
+                largeCtx.stroke();
+            });
+        }
+
+        function renderDashboardLegend() {
+            dashboardLegend.textContent = '';
+            pingTargets.forEach((target, index) => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'legend-item' + (hiddenSeries.has(target.id) ? ' off' : '');
+                const swatch = document.createElement('span');
+                swatch.className = 'legend-swatch';
+                swatch.style.background = seriesColor(target, index);
+                item.append(swatch, target.name);
+                item.addEventListener('click', () => {
+                    if (hiddenSeries.has(target.id)) hiddenSeries.delete(target.id);
+                    else hiddenSeries.add(target.id);
+                    renderDashboardLegend();
+                    renderDashboardChart();
+                });
+                dashboardLegend.appendChild(item);
+            });
+        }
+
+        function renderDashboardTable() {
+            dashboardTableBody.textContent = '';
+            pingTargets.forEach(target => {
+                const measured = seriesOf(target.id).filter(v => v !== null);
+                const stats = computeStats(measured.filter(v => v > 0));
+                const last = measured[measured.length - 1];
+                const cells = [
+                    target.name,
+                    last === undefined ? '--' : last > 0 ? last : msg('page.timeout'),
+                    stats ? stats.avg : '--',
+                    stats ? stats.min : '--',
+                    stats ? stats.max : '--',
+                    stats ? stats.jitter : '--',
+                    measured.length ? Math.round(measured.filter(v => v === 0).length / measured.length * 100) + '%' : '--'
+                ];
+                const row = document.createElement('tr');
+                cells.forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                dashboardTableBody.appendChild(row);
+            });
+        }
+
+        function renderDashboard() {
+            if (!isModalOpen) return;
+            renderDashboardChart();
+            renderDashboardTable();
+        }
+
+        dashboardToggle.addEventListener('click', () => {
+            dashboardMode = !dashboardMode;
+            modalContent.classList.toggle('dashboard', dashboardMode);
+            dashboardToggle.classList.toggle('active', dashboardMode);
+            dashboardToggle.setAttribute('aria-pressed', String(dashboardMode));
+            if (dashboardMode) {
+                modalTitle.innerText = msg('page.dashboardTitle');
+                renderDashboardLegend();
+                startDashboard();
+            } else {
+                stopDashboard();
+                modalTitle.innerText = msg('page.pingHistoryTitle', { name: findTarget(currentTargetId).name });
+            }
+            // 图表区域高度随显示的模块变化，等布局更新后再重绘
+            requestAnimationFrame(() => {
+                resizeCanvas(largeCanvas, largeCtx);
+                drawCharts();
+                if (dashboardMode) renderDashboardTable();
+            });
+        });
+
+        // 边缘探测：外部目标另由 Cloudflare 节点测量到目标的耗时，与浏览器到目标的延迟对照
+        const edgeProbeElem = document.getElementById('edge-probe');
+        const EDGE_PROBE_INTERVAL = 5000;
+        let probeInterval = null;
+
+        async function doEdgeProbe() {
+            const id = currentTargetId;
+            const target = findTarget(id);
+            // 经 Cloudflare 代理的目标无法从节点直连，不探测
+            if (!target || !target.needCors || target.probe === false) return;
+            let text;
+            try {
+                const res = await fetch('/api/probe?target=' + encodeURIComponent(new URL(target.url).hostname), {
+                    cache: 'no-store',
+                    headers: LANG_HEADERS
+                });
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || msg('page.serverError', { status: res.status }));
+                text = msg('page.edgeProbe', { tcp: data.tcp, tls: data.tls === null ? '—' : data.tls, ttfb: data.ttfb });
+            } catch (e) {
+                text = msg('page.edgeProbeFailed', { error: e.message });
+            }
+            // 请求期间切换了目标时丢弃结果
+            if (id !== currentTargetId) return;
+            edgeProbeElem.textContent = text;
+            edgeProbeElem.hidden = false;
+        }
+
         function startMonitor() {
             if (pingInterval) clearInterval(pingInterval);
+            if (probeInterval) clearInterval(probeInterval);
             doRealTimePing();
             pingInterval = setInterval(doRealTimePing, 1000);
+            doEdgeProbe();
+            probeInterval = setInterval(doEdgeProbe, EDGE_PROBE_INTERVAL);
+            if (dashboardMode && isModalOpen) startDashboard();
         }
         function stopMonitor() {
             if (pingInterval) { clearInterval(pingInterval); pingInterval = null; }
+            if (probeInterval) { clearInterval(probeInterval); probeInterval = null; }
+            stopDashboard();
         }
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) stopMonitor(); else startMonitor();
         });
+        renderPingTargets();
+        loadPingTargets();
         startMonitor();
 
-        // === 3b. 下载带宽（Cloudflare __down 经本站代理） ===
+        // 最近一次测速结果（download / upload / latency），供保存使用
+        const speedResults = ${rtt > 0 ? `{ latency: { rtt: ${rtt} } }` : '{}'};
+
+        // === 3b. 带宽测速（下载：本站生成随机数据；上传：POST 到本站） ===
         (function () {
             const speedStart = document.getElementById('speed-start-btn');
             const speedCancel = document.getElementById('speed-cancel-btn');
-            const speedSizeInputs = function () {
-                return document.querySelectorAll('.switch-vertical-speed input[name="speed-size"]');
+            const speedSave = document.getElementById('speed-save-btn');
+            const elSaveStatus = document.getElementById('speed-save-status');
+            const speedOptionInputs = function () {
+                return document.querySelectorAll('.switch-vertical-speed input[name="speed-size"], input[name="speed-dir"], #speed-bloat');
             };
             const elCur = document.getElementById('speed-current');
             const elAvg = document.getElementById('speed-avg');
             const elCurrLabel = document.getElementById('speed-curr-label');
+            const elStreams = document.getElementById('speed-streams');
+            const elStreamList = document.getElementById('speed-stream-list');
+            const elBloat = document.getElementById('speed-bloat');
+            const elBloatStats = document.getElementById('speed-bloat-stats');
+            const elBloatIdle = document.getElementById('bloat-idle');
+            const elBloatLoaded = document.getElementById('bloat-loaded');
+            const elBloatDelta = document.getElementById('bloat-delta');
+            const elBloatGrade = document.getElementById('bloat-grade');
             let speedController = null;
 
             function getSpeedSizeValue() {
                 const el = document.querySelector('.switch-vertical-speed input[name="speed-size"]:checked');
                 return el ? el.value : '50m';
             }
-            function setSpeedSizeDisabled(disabled) {
-                speedSizeInputs().forEach(function (inp) { inp.disabled = disabled; });
+            function getSpeedDirection() {
+                const el = document.querySelector('input[name="speed-dir"]:checked');
+                return el ? el.value : 'download';
+            }
+            function getSpeedStreams() {
+                return parseInt(elStreams.value, 10) || 1;
+            }
+            function setSpeedOptionsDisabled(disabled) {
+                speedOptionInputs().forEach(function (inp) { inp.disabled = disabled; });
+                // 并发流仅用于下载测速
+                elStreams.disabled = disabled || getSpeedDirection() === 'upload';
             }
 
             function fmtMbps(n) {
@@ -882,41 +1495,14 @@ function generateHTML(data: TemplateData): string {
                 return n.toFixed(1) + ' Mbps';
             }
 
-            async function runSpeedTest() {
-                if (speedController) return;
-                speedController = new AbortController();
-                speedStart.disabled = true;
-                speedCancel.disabled = false;
-                setSpeedSizeDisabled(true);
-                if (elCurrLabel) elCurrLabel.textContent = '当前速度';
-                elCur.textContent = '连接中…';
-                elAvg.textContent = '—';
-
-                var size = getSpeedSizeValue();
-                // M1 修复：使用新路由 /api/speed/download
-                var url = '/api/speed/download?size=' + encodeURIComponent(size);
+            // 速率统计：实时刷新全程平均和 250ms 窗口的瞬时速度，结束后展示峰值
+            function createMeter() {
                 var t0 = performance.now();
-                var total = 0;
                 var tMark = t0;
                 var bMark = 0;
                 var peak = 0;
-
-                try {
-                    var res = await fetch(url, { cache: 'no-store', signal: speedController.signal });
-                    if (!res.ok) {
-                        var err = 'HTTP ' + res.status;
-                        try {
-                            var j = await res.json();
-                            if (j.error) err = j.error;
-                        } catch (e1) {}
-                        throw new Error(err);
-                    }
-                    var reader = res.body.getReader();
-                    while (true) {
-                        var chunk = await reader.read();
-                        if (chunk.done) break;
-                        var value = chunk.value;
-                        total += value.byteLength;
+                return {
+                    update: function (total) {
                         var now = performance.now();
                         var dt = (now - tMark) / 1000;
                         var elapsedAll = (now - t0) / 1000;
@@ -930,32 +1516,307 @@ function generateHTML(data: TemplateData): string {
                             tMark = now;
                             bMark = total;
                         }
+                    },
+                    finish: function (total) {
+                        var totalSec = (performance.now() - t0) / 1000;
+                        var avg = totalSec > 0 ? total * 8 / 1e6 / totalSec : 0;
+                        elAvg.textContent = fmtMbps(avg);
+                        if (peak > 0) {
+                            if (elCurrLabel) elCurrLabel.textContent = msg('page.peakSpeed');
+                            elCur.textContent = fmtMbps(peak);
+                        } else {
+                            if (elCurrLabel) elCurrLabel.textContent = msg('page.currentSpeed');
+                            elCur.textContent = fmtMbps(avg);
+                        }
+                        var stats = { mbps: Math.round(avg * 10) / 10, bytes: total };
+                        if (peak > 0) stats.peakMbps = Math.round(peak * 10) / 10;
+                        return stats;
                     }
-                    var totalSec = (performance.now() - t0) / 1000;
-                    var avg = totalSec > 0 ? total * 8 / 1e6 / totalSec : 0;
-                    elAvg.textContent = fmtMbps(avg);
-                    if (peak > 0) {
-                        if (elCurrLabel) elCurrLabel.textContent = '峰值速度';
-                        elCur.textContent = fmtMbps(peak);
-                    } else {
-                        if (elCurrLabel) elCurrLabel.textContent = '当前速度';
-                        elCur.textContent = fmtMbps(avg);
+                };
+            }
+
+            function parseErrorText(status, text) {
+                var err = 'HTTP ' + status;
+                try {
+                    var j = JSON.parse(text);
+                    if (j.error) err = j.error;
+                } catch (e1) {}
+                return err;
+            }
+
+            function renderStreamStats(stats) {
+                if (stats.length < 2) {
+                    elStreamList.textContent = '';
+                    return;
+                }
+                elStreamList.innerHTML = stats.map(function (st) {
+                    var sec = ((st.t1 || performance.now()) - st.t0) / 1000;
+                    return '<span>#' + st.id + ' ' + fmtMbps(sec > 0 ? st.bytes * 8 / 1e6 / sec : 0) + '</span>';
+                }).join('');
+            }
+
+            // 下载测速：N 条流并发下载，各流平分总下载量，合计吞吐量
+            async function runDownload(size, signal, meter) {
+                var streams = getSpeedStreams();
+                var perStream = Math.max(1, Math.floor((parseInt(size, 10) || 50) / streams)) + 'm';
+                var nonce = Math.random().toString(36).slice(2, 10);
+                var inner = new AbortController();
+                signal.addEventListener('abort', function () { inner.abort(); });
+                var stats = [];
+                var total = 0;
+                var lastRender = 0;
+
+                async function runStream(id) {
+                    var st = { id: id, bytes: 0, t0: performance.now(), t1: 0 };
+                    stats.push(st);
+                    // M1 修复：使用新路由 /api/speed/download
+                    var url = '/api/speed/download?size=' + encodeURIComponent(perStream) +
+                        '&stream=' + id + '&nonce=' + nonce;
+                    var res = await sessionFetch(url, { cache: 'no-store', headers: LANG_HEADERS, signal: inner.signal });
+                    if (!res.ok) {
+                        var err = new Error(parseErrorText(res.status, await res.text()));
+                        err.status = res.status;
+                        throw err;
+                    }
+                    var reader = res.body.getReader();
+                    while (true) {
+                        var chunk = await reader.read();
+                        if (chunk.done) break;
+                        st.bytes += chunk.value.byteLength;
+                        total += chunk.value.byteLength;
+                        meter.update(total);
+                        var now = performance.now();
+                        if (now - lastRender >= 250) {
+                            lastRender = now;
+                            renderStreamStats(stats);
+                        }
+                    }
+                    st.t1 = performance.now();
+                }
+
+                var jobs = [];
+                for (var i = 1; i <= streams; i++) {
+                    jobs.push(runStream(i).catch(function (e) {
+                        // 任一流失败时中止其余流
+                        inner.abort();
+                        throw e;
+                    }));
+                }
+                try {
+                    await Promise.all(jobs);
+                } finally {
+                    renderStreamStats(stats);
+                }
+                return total;
+            }
+
+            // 上传数据由 1MB 随机块重复拼接，避免一次性生成整段随机数
+            function buildUploadPayload(size) {
+                var bytes = (parseInt(size, 10) || 50) * 1e6;
+                var block = new Uint8Array(1e6);
+                for (var i = 0; i < block.length; i += 65536) {
+                    crypto.getRandomValues(block.subarray(i, Math.min(i + 65536, block.length)));
+                }
+                var parts = [];
+                for (var sent = 0; sent < bytes; sent += block.length) {
+                    parts.push(sent + block.length <= bytes ? block : block.subarray(0, bytes - sent));
+                }
+                return new Blob(parts, { type: 'application/octet-stream' });
+            }
+
+            // 使用 XHR 以便通过 upload.onprogress 获取实时进度
+            function runUpload(size, signal, meter) {
+                return new Promise(function (resolve, reject) {
+                    var payload = buildUploadPayload(size);
+                    var xhr = new XMLHttpRequest();
+                    xhr.open('POST', '/api/speed/upload');
+                    xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+                    xhr.setRequestHeader('Accept-Language', LOCALE);
+                    xhr.upload.onprogress = function (e) { meter.update(e.loaded); };
+                    xhr.onload = function () {
+                        if (xhr.status >= 200 && xhr.status < 300) resolve(payload.size);
+                        else reject(new Error(parseErrorText(xhr.status, xhr.responseText)));
+                    };
+                    xhr.onerror = function () { reject(new Error(msg('page.networkError'))); };
+                    xhr.onabort = function () { reject(new DOMException('Aborted', 'AbortError')); };
+                    signal.addEventListener('abort', function () { xhr.abort(); });
+                    xhr.send(payload);
+                });
+            }
+
+            // === 负载延迟（Bufferbloat）：空闲时先测基线，测速期间每 100ms 采样一次 ===
+            const BLOAT_IDLE_SAMPLES = 5;
+            const BLOAT_INTERVAL = 100;
+            const BLOAT_GRADES = [
+                { max: 5, grade: 'A+', color: '#10b981' },
+                { max: 30, grade: 'A', color: '#10b981' },
+                { max: 60, grade: 'B', color: '#84cc16' },
+                { max: 200, grade: 'C', color: '#f59e0b' },
+                { max: 400, grade: 'D', color: '#f97316' },
+                { max: Infinity, grade: 'F', color: '#ef4444' }
+            ];
+
+            function median(list) {
+                if (list.length === 0) return 0;
+                var sorted = list.slice().sort(function (a, b) { return a - b; });
+                var mid = Math.floor(sorted.length / 2);
+                return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+            }
+            function sleep(ms) {
+                return new Promise(function (resolve) { setTimeout(resolve, ms); });
+            }
+            async function measurePing() {
+                var t = performance.now();
+                try {
+                    await fetch('/api/ping?bb=' + Date.now() + '-' + Math.random(), { cache: 'no-store' });
+                    return performance.now() - t;
+                } catch (e) {
+                    return 0;
+                }
+            }
+
+            function renderBloat(idle, loaded) {
+                elBloatIdle.textContent = idle > 0 ? Math.round(idle) + ' ms' : '—';
+                elBloatLoaded.textContent = loaded > 0 ? Math.round(loaded) + ' ms' : '—';
+                if (idle > 0 && loaded > 0) {
+                    var delta = Math.max(0, loaded - idle);
+                    var level = BLOAT_GRADES.find(function (g) { return delta < g.max; });
+                    elBloatDelta.textContent = '+' + Math.round(delta) + ' ms';
+                    elBloatGrade.textContent = level.grade;
+                    elBloatGrade.style.backgroundColor = level.color;
+                } else {
+                    elBloatDelta.textContent = '—';
+                    elBloatGrade.textContent = '';
+                }
+            }
+
+            async function startBloatProbe() {
+                elBloatStats.hidden = false;
+                renderBloat(0, 0);
+                var idleSamples = [];
+                for (var i = 0; i < BLOAT_IDLE_SAMPLES; i++) {
+                    var d = await measurePing();
+                    if (d > 0) idleSamples.push(d);
+                }
+                var idle = median(idleSamples);
+                var loadedSamples = [];
+                var stopped = false;
+                renderBloat(idle, 0);
+
+                (async function loop() {
+                    while (!stopped) {
+                        var t = performance.now();
+                        var d = await measurePing();
+                        if (stopped) break;
+                        if (d > 0) {
+                            loadedSamples.push(d);
+                            renderBloat(idle, median(loadedSamples));
+                        }
+                        var wait = BLOAT_INTERVAL - (performance.now() - t);
+                        if (wait > 0) await sleep(wait);
                     }
+                })();
+
+                return {
+                    stop: function () {
+                        stopped = true;
+                        var loaded = median(loadedSamples);
+                        renderBloat(idle, loaded);
+                        if (!(idle > 0 && loaded > 0)) return null;
+                        return {
+                            idle: Math.round(idle),
+                            loaded: Math.round(loaded),
+                            grade: elBloatGrade.textContent
+                        };
+                    }
+                };
+            }
+
+            async function runSpeedTest() {
+                if (speedController) return;
+                speedController = new AbortController();
+                speedStart.disabled = true;
+                speedCancel.disabled = false;
+                setSpeedOptionsDisabled(true);
+                if (elCurrLabel) elCurrLabel.textContent = msg('page.currentSpeed');
+                elCur.textContent = msg('page.connecting');
+                elAvg.textContent = '—';
+                elStreamList.textContent = '';
+
+                var size = getSpeedSizeValue();
+                var direction = getSpeedDirection();
+                var run = direction === 'upload' ? runUpload : runDownload;
+                var bloatProbe = null;
+                if (!elBloat.checked) elBloatStats.hidden = true;
+
+                try {
+                    if (elBloat.checked) {
+                        elCur.textContent = msg('page.measuringIdle');
+                        bloatProbe = await startBloatProbe();
+                        if (speedController.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+                        elCur.textContent = msg('page.connecting');
+                    }
+                    var meter = createMeter();
+                    var total = await run(size, speedController.signal, meter);
+                    var stats = meter.finish(total);
+                    if (direction === 'download') stats.streams = getSpeedStreams();
+                    speedResults[direction] = stats;
+                    if (bloatProbe) {
+                        var latency = bloatProbe.stop();
+                        bloatProbe = null;
+                        if (latency) speedResults.latency = Object.assign({}, speedResults.latency, latency);
+                    }
+                    speedSave.disabled = false;
                 } catch (e) {
                     if (e.name === 'AbortError') {
-                        elCur.textContent = '已取消';
+                        elCur.textContent = msg('page.cancelled');
                         elAvg.textContent = '—';
-                        if (elCurrLabel) elCurrLabel.textContent = '当前速度';
+                        if (elCurrLabel) elCurrLabel.textContent = msg('page.currentSpeed');
                     } else {
-                        elCur.textContent = '失败';
+                        // 429 为超出测速配额，提示信息中包含重试时间
+                        elCur.textContent = e.status === 429 ? msg('page.speedLimited') : msg('page.failed');
                         elAvg.textContent = e.message || String(e);
-                        if (elCurrLabel) elCurrLabel.textContent = '当前速度';
+                        if (elCurrLabel) elCurrLabel.textContent = msg('page.currentSpeed');
                     }
                 } finally {
+                    if (bloatProbe) bloatProbe.stop();
                     speedController = null;
                     speedStart.disabled = false;
                     speedCancel.disabled = true;
-                    setSpeedSizeDisabled(false);
+                    setSpeedOptionsDisabled(false);
+                }
+            }
+
+            document.querySelectorAll('input[name="speed-dir"]').forEach(function (inp) {
+                inp.addEventListener('change', function () { setSpeedOptionsDisabled(false); });
+            });
+            // 保存当前结果快照并生成分享短链 /r/:id
+            async function saveSpeedResults() {
+                speedSave.disabled = true;
+                elSaveStatus.textContent = msg('page.saving');
+                try {
+                    var res = await sessionFetch('/api/results', {
+                        method: 'POST',
+                        headers: Object.assign({ 'Content-Type': 'application/json' }, LANG_HEADERS),
+                        body: JSON.stringify(speedResults)
+                    });
+                    if (!res.ok) throw new Error(parseErrorText(res.status, await res.text()));
+                    var saved = await res.json();
+                    var shareUrl = location.origin + '/r/' + saved.id;
+                    var link = document.createElement('a');
+                    link.href = shareUrl;
+                    link.target = '_blank';
+                    link.textContent = '/r/' + saved.id;
+                    elSaveStatus.textContent = '';
+                    elSaveStatus.appendChild(link);
+                    if (navigator.clipboard) {
+                        navigator.clipboard.writeText(shareUrl).then(function () {
+                            elSaveStatus.appendChild(document.createTextNode(' ' + msg('page.copied')));
+                        }).catch(function () {});
+                    }
+                } catch (e) {
+                    elSaveStatus.textContent = msg('page.saveFailed', { error: e.message || String(e) });
+                    speedSave.disabled = false;
                 }
             }
 
@@ -963,62 +1824,183 @@ function generateHTML(data: TemplateData): string {
             speedCancel.addEventListener('click', function () {
                 if (speedController) speedController.abort();
             });
+            speedSave.addEventListener('click', saveSpeedResults);
+        })();
+        // === 3c. 任意 IP 查询（本站 /api/lookup/:ip，基于打包的 IP-ASN 数据集） ===
+        (function () {
+            const form = document.getElementById('lookup-form');
+            const input = document.getElementById('lookup-input');
+            const button = document.getElementById('lookup-btn');
+            const output = document.getElementById('lookup-result');
+
+            function renderRows(rows) {
+                output.textContent = '';
+                rows.forEach(function (row) {
+                    const line = document.createElement('div');
+                    line.className = 'info-row';
+                    const label = document.createElement('span');
+                    label.className = 'label';
+                    label.textContent = row[0];
+                    const value = document.createElement('span');
+                    value.className = 'value';
+                    value.textContent = row[1];
+                    line.append(label, value);
+                    output.appendChild(line);
+                });
+            }
+
+            function renderError(message) {
+                output.textContent = '';
+                const p = document.createElement('p');
+                p.className = 'error';
+                p.textContent = message;
+                output.appendChild(p);
+            }
+
+            form.addEventListener('submit', async function (e) {
+                e.preventDefault();
+                const ip = input.value.trim();
+                if (!ip) return;
+                button.disabled = true;
+                try {
+                    const res = await fetch('/api/lookup/' + encodeURIComponent(ip), { headers: LANG_HEADERS, signal: AbortSignal.timeout(5000) });
+                    const data = await res.json().catch(function () { return {}; });
+                    if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+                    renderRows([
+                        [msg('page.lookupIsp'), data.isp.name],
+                        [msg('page.asn'), 'AS' + data.asn],
+                        [msg('page.lookupOrg'), data.organization || '—'],
+                        [msg('page.lookupCountry'), data.country || '—'],
+                        [msg('page.lookupRange'), data.range.start + ' - ' + data.range.end]
+                    ]);
+                } catch (err) {
+                    renderError(msg('page.lookupFailed', { error: err.message || String(err) }));
+                } finally {
+                    button.disabled = false;
+                }
+            });
         })();
 
         // === 4. AI Analysis ===
-        async function startAiAnalysis() {
+        // 切换模式或重新生成时中止上一次分析
+        let aiController = null;
+        document.querySelectorAll('input[name="ai-mode"]').forEach(function (inp) {
+            inp.addEventListener('change', startAiAnalysis);
+        });
+        // 重新生成时跳过缓存，否则只会拿回同一份结果
+        document.getElementById('ai-regenerate').addEventListener('click', function () {
+            startAiAnalysis(true);
+        });
+
+        // 按 text/event-stream 规范解析响应：空行分隔事件，多行 data 以换行连接，冒号开头为注释
+        async function readEventStream(response, onEvent) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let eventType = '';
+            let dataLines = [];
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                let boundary;
+                while ((boundary = buffer.indexOf('\\n')) !== -1) {
+                    const line = buffer.slice(0, boundary).replace(/\\r$/, '');
+                    buffer = buffer.slice(boundary + 1);
+                    if (line === '') {
+                        if (dataLines.length > 0) onEvent(eventType || 'message', dataLines.join('\\n'));
+                        eventType = '';
+                        dataLines = [];
+                        continue;
+                    }
+                    if (line.charAt(0) === ':') continue;
+                    const colon = line.indexOf(':');
+                    const field = colon === -1 ? line : line.slice(0, colon);
+                    let fieldValue = colon === -1 ? '' : line.slice(colon + 1);
+                    if (fieldValue.charAt(0) === ' ') fieldValue = fieldValue.slice(1);
+                    if (field === 'event') eventType = fieldValue;
+                    else if (field === 'data') dataLines.push(fieldValue);
+                }
+            }
+        }
+
+        // 在已输出的内容后追加错误信息
+        function showAiError(p, message) {
+            if (p.classList.contains('loading')) {
+                p.classList.remove('loading');
+                p.textContent = '';
+            } else {
+                p.appendChild(document.createTextNode('\\n'));
+            }
+            const span = document.createElement('span');
+            span.className = 'error';
+            span.textContent = message;
+            p.appendChild(span);
+        }
+
+        async function startAiAnalysis(fresh) {
             const aiResultContainer = document.getElementById('ai-result-container');
             const p = aiResultContainer.querySelector('p');
-            let isFirstChunk = true;
+            const usageElem = document.getElementById('ai-usage');
+            const modeInput = document.querySelector('input[name="ai-mode"]:checked');
+            const mode = modeInput ? modeInput.value : 'roast';
+
+            if (aiController) aiController.abort();
+            const controller = new AbortController();
+            aiController = controller;
+            p.className = 'loading';
+            p.textContent = msg('page.aiLoading');
+            usageElem.textContent = '';
 
             try {
-                const userInfo = {
-                    connection_ip: '${ip}',
-                    ipv4_address: document.getElementById('ipv4-addr').innerText,
-                    ipv6_address: document.getElementById('ipv6-addr').innerText,
-                    isp: '${ispInfo.name}',
-                    cf_location: '${locationStr}',
-                    api_location: document.getElementById('ext-loc').innerText,
-                    latency: document.getElementById('rtt-value').innerText.replace(/<[^>]*>/g, '').trim(),
-                    node: '${nodeInfo.name} (${colo})'
-                };
+                // 网络信息由服务端采集，这里只附带本页测得的指标
+                const metrics = Object.assign({}, speedResults);
+                if (currentTargetId === 'self') {
+                    const samples = pingData.filter(x => x > 0).slice(-${MAX_LATENCY_SAMPLES});
+                    if (samples.length > 0) metrics.samples = samples;
+                }
                 // M1 修复：使用新路由 /api/analyze
-                const response = await fetch('/api/analyze', {
+                const query = '?mode=' + encodeURIComponent(mode) + (fresh === true ? '&fresh=1' : '');
+                const response = await sessionFetch('/api/analyze' + query, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(userInfo)
+                    headers: Object.assign({ 'Content-Type': 'application/json' }, LANG_HEADERS),
+                    body: JSON.stringify(metrics),
+                    signal: controller.signal
                 });
 
                 if (!response.ok) {
-                    const errText = await response.text();
-                    // 尝试解析 JSON 错误
-                    try {
-                       const jsonErr = JSON.parse(errText);
-                       throw new Error(jsonErr.error || errText);
-                    } catch(e) {
-                       throw new Error(errText || \`服务器错误: \${response.status}\`);
-                    }
+                    // 流开始前的错误以 JSON 返回
+                    let errorMessage = '';
+                    try { errorMessage = (await response.json()).error || ''; } catch (e) {}
+                    throw new Error(errorMessage || msg('page.serverError', { status: response.status }));
                 }
 
-                const reader = response.body.getReader();
-                const decoder = new TextDecoder();
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-                    const chunk = decoder.decode(value, { stream: true });
-                    const formattedChunk = chunk.replace(/\\n/g, '<br>');
-
-                    if (isFirstChunk && /[一-龥]/.test(chunk)) {
+                let text = '';
+                let finished = false;
+                await readEventStream(response, function (type, data) {
+                    const payload = JSON.parse(data);
+                    if (type === 'delta') {
+                        text += payload.text;
+                        if (!text.trim()) return;
                         p.classList.remove('loading');
-                        p.innerHTML = formattedChunk;
-                        isFirstChunk = false;
-                    } else if (!isFirstChunk) {
-                        p.innerHTML += formattedChunk;
+                        p.textContent = text.trimStart();
+                    } else if (type === 'usage') {
+                        usageElem.textContent = msg('page.aiUsage', {
+                            total: payload.totalTokens, prompt: payload.promptTokens, completion: payload.completionTokens
+                        });
+                    } else if (type === 'done') {
+                        finished = true;
+                    } else if (type === 'error') {
+                        finished = true;
+                        showAiError(p, payload.error);
                     }
-                }
+                });
+                // 既没有 done 也没有 error 说明连接被截断
+                if (!finished && controller === aiController) showAiError(p, msg('page.aiIncomplete'));
             } catch (error) {
-                p.classList.remove('loading');
-                p.innerHTML = '<span class="error">分析失败：' + error.message + '</span>';
+                // 被新一次分析中止时不覆盖新的输出
+                if (controller !== aiController) return;
+                showAiError(p, msg('page.analysisFailed', { error: error.message }));
             }
         }
     </script>
@@ -1028,7 +2010,7 @@ function generateHTML(data: TemplateData): string {
 }
 
 // 处理 POST 请求的旧路由兼容（AI 分析）
-pages.post('/', async (c) => {
+pages.post('/', requireSessionFor(['analyze']), async (c) => {
   const action = c.req.query('act');
   if (action === 'analyze') {
     // 直接调用 AI 处理器
@@ -0,0 +1,292 @@
+/**
+ * 分享路由
+ * 渲染只读的测速结果卡片（/r/:id）和 SVG 预览图（/r/:id/og.svg）
+ */
+
+import { Hono } from 'hono';
+import type { Context } from 'hono';
+import type { ContentfulStatusCode } from 'hono/utils/http-status';
+import type { Env, SpeedResult } from '../../types/env';
+import { identifyISP } from '../services/isp';
+import { RESULT_ID_PATTERN, getResult } from '../services/results';
+import { escapeHtml } from '../utils/html';
+import { getLocale, t, translate } from '../i18n';
+import type { Locale, MessageKey } from '../i18n';
+
+const share = new Hono<{ Bindings: Env }>();
+
+/** 分享页缓存时间（秒），结果保存后不会再修改 */
+const SHARE_CACHE_SECONDS = 86400;
+
+/**
+ * 结果卡片中的一行指标
+ */
+interface CardRow {
+  label: string;
+  value: string;
+}
+
+/**
+ * 格式化速率
+ * @param mbps - 速率 (Mbps)
+ * @returns 展示文本
+ */
+function formatMbps(mbps: number): string {
+  if (mbps >= 1000) return `${(mbps / 1000).toFixed(2)} Gbps`;
+  return `${mbps.toFixed(1)} Mbps`;
+}
+
+/**
+ * 整理结果卡片需要展示的指标
+ * @param result - 测速结果
+ * @param locale - 页面语言
+ * @returns 指标行（未转义）
+ */
+function buildCardRows(result: SpeedResult, locale: Locale): CardRow[] {
+  const { ipInfo, download, upload, latency } = result;
+  const label = (key: MessageKey) => translate(locale, key);
+  const peakOf = (mbps?: number) => (mbps ? translate(locale, 'share.peak', { speed: formatMbps(mbps) }) : '');
+  const rows: CardRow[] = [{ label: label('page.colo'), value: `${ipInfo.node.name} (${ipInfo.node.code})` }];
+
+  const rtt = latency?.rtt || ipInfo.rtt;
+  if (rtt) rows.push({ label: label('share.rtt'), value: `${rtt} ms` });
+  if (latency?.idle != null && latency.loaded != null) {
+    const grade = latency.grade ? ` · ${latency.grade}` : '';
+    rows.push({ label: label('share.latency'), value: `${latency.idle} / ${latency.loaded} ms${grade}` });
+  }
+  if (download) {
+    rows.push({ label: label('page.download'), value: formatMbps(download.mbps) + peakOf(download.peakMbps) });
+  }
+  if (upload) {
+    rows.push({ label: label('page.upload'), value: formatMbps(upload.mbps) + peakOf(upload.peakMbps) });
+  }
+  return rows;
+}
+
+/**
+ * 生成一句话摘要，用于 og:description
+ * @param result - 测速结果
+ * @param locale - 页面语言
+ * @returns 摘要文本（未转义）
+ */
+function buildSummary(result: SpeedResult, locale: Locale): string {
+  const rows = buildCardRows(result, locale).map((row) => `${row.label} ${row.value}`);
+  return [result.ipInfo.isp.name, ...rows].join(' · ');
+}
+
+/**
+ * 格式化保存时间
+ * @param iso - ISO 8601 时间
+ * @returns 形如 2026-10-18 08:00 UTC 的文本
+ */
+function formatTime(iso: string): string {
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+/**
+ * 读取分享的测速结果
+ * @param c - Hono Context
+ * @returns 测速结果，或错误状态与信息
+ */
+async function loadSharedResult(
+  c: Context<{ Bindings: Env }>
+): Promise<{ result: SpeedResult } | { status: ContentfulStatusCode; message: string }> {
+  const db = c.env?.DB;
+  if (!db) return { status: 503, message: t(c, 'results.notConfigured') };
+
+  const id = c.req.param('id') || '';
+  if (!RESULT_ID_PATTERN.test(id)) return { status: 404, message: t(c, 'results.notFound') };
+
+  const result = await getResult(db, id);
+  if (!result) return { status: 404, message: t(c, 'results.notFound') };
+  return { result };
+}
+
+/**
+ * 结果卡片页面
+ */
+share.get('/:id', async (c) => {
+  const loaded = await loadSharedResult(c);
+  if ('message' in loaded) {
+    return c.html(generateMessageHTML(loaded.message, getLocale(c)), loaded.status);
+  }
+
+  const origin = new URL(c.req.url).origin;
+  const html = generateCardHTML(loaded.result, origin, getLocale(c));
+  return c.html(html, 200, { 'Cache-Control': `public, max-age=${SHARE_CACHE_SECONDS}` });
+});
+
+/**
+ * SVG 预览图
+ */
+share.get('/:id/og.svg', async (c) => {
+  const loaded = await loadSharedResult(c);
+  if ('message' in loaded) {
+    return c.json({ error: loaded.message }, loaded.status);
+  }
+
+  return c.body(generateOgSVG(loaded.result, getLocale(c)), 200, {
+    'Content-Type': 'image/svg+xml; charset=utf-8',
+    'Cache-Control': `public, max-age=${SHARE_CACHE_SECONDS}`,
+  });
+});
+
+/**
+ * 生成错误提示页面
+ * @param message - 提示信息
+ * @param locale - 页面语言
+ * @returns HTML 字符串
+ */
+function generateMessageHTML(message: string, locale: Locale): string {
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(message)} - ${escapeHtml(translate(locale, 'page.title'))}</title>
+</head>
+<body style="font-family:-apple-system,'PingFang SC','Microsoft YaHei',sans-serif;text-align:center;padding:4rem 1rem;color:#555">
+    <h1 style="font-size:1.3rem">${escapeHtml(message)}</h1>
+    <p><a href="/">${escapeHtml(translate(locale, 'share.testMine'))}</a></p>
+</body>
+</html>`;
+}
+
+/**
+ * 生成结果卡片页面
+ * @param result - 测速结果
+ * @param origin - 站点源，用于拼接 Open Graph 绝对地址
+ * @param locale - 页面语言
+ * @returns HTML 字符串
+ */
+function generateCardHTML(result: SpeedResult, origin: string, locale: Locale): string {
+  const { ipInfo } = result;
+  const ispInfo = identifyISP(ipInfo.isp.raw, ipInfo.asn, ipInfo.location.country);
+  const title = translate(locale, 'share.title', { isp: ipInfo.isp.name });
+  const siteName = escapeHtml(translate(locale, 'page.title'));
+  const summary = escapeHtml(buildSummary(result, locale));
+  const pageUrl = `${origin}/r/${result.id}`;
+  const flag = ipInfo.node.iso
+    ? `<img src="https://flagcdn.com/w40/${escapeHtml(ipInfo.node.iso)}.png" class="flag-img" alt="${escapeHtml(ipInfo.node.iso)}">`
+    : '';
+  const rows = buildCardRows(result, locale)
+    .map((row, i) => {
+      const value = i === 0 ? flag + escapeHtml(row.value) : escapeHtml(row.value);
+      return `<div class="info-row"><span class="label">${escapeHtml(row.label)}</span> <span class="value">${value}</span></div>`;
+    })
+    .join('\n            ');
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - ${siteName}</title>
+    <meta name="description" content="${summary}">
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content="${siteName}">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${summary}">
+    <meta property="og:url" content="${escapeHtml(pageUrl)}">
+    <!-- 主流社交平台不渲染 SVG，这里不声明预览图，卡片回退为纯文字摘要 -->
+    <meta name="twitter:card" content="summary">
+    <meta name="twitter:title" content="${escapeHtml(title)}">
+    <meta name="twitter:description" content="${summary}">
+    <link rel="icon" href="https://imgbed.haokun.me/file/1768399588443_00007.png">
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, "PingFang SC", "Microsoft YaHei", "Segoe UI", Roboto, sans-serif;
+            min-height: 100vh; display: flex; justify-content: center; align-items: flex-start;
+            background: linear-gradient(135deg, #2b5876 0%, #4e4376 100%);
+            padding: 2rem 1rem; color: #555;
+        }
+        .card {
+            background: rgba(255, 255, 255, 0.85); border-radius: 24px;
+            padding: 2.5rem 2rem; width: 480px; max-width: 100%; text-align: center;
+            box-shadow: 0 15px 50px 0 rgba(0, 0, 0, 0.2);
+        }
+        h1 { font-size: 1.3rem; color: #333; margin-bottom: 0.5rem; }
+        .isp-tag {
+            display: inline-block; color: ${ispInfo.color}; background: ${ispInfo.bg};
+            padding: 4px 12px; border-radius: 8px; font-family: monospace;
+            font-size: 1.3em; font-weight: 800; margin-top: 5px;
+            border: 1px solid ${ispInfo.color}20;
+        }
+        .info-box {
+            margin: 20px 0; padding: 15px; background: rgba(255,255,255,0.6);
+            border-radius: 12px; font-size: 0.95rem; line-height: 1.6; text-align: left;
+        }
+        .info-row {
+            display: flex; justify-content: space-between; align-items: center;
+            border-bottom: 1px dashed #cbd5e1; padding-bottom: 8px; margin-bottom: 8px;
+        }
+        .info-row:last-child { border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
+        .label { font-weight: bold; color: #57606f; white-space: nowrap; margin-right: 15px; }
+        .value { font-family: monospace; color: #333; text-align: right; display: flex; align-items: center; }
+        .flag-img { width: 20px; height: auto; margin-right: 6px; border-radius: 2px; }
+        .meta { font-size: 0.8rem; color: #888; }
+        .btn {
+            display: inline-block; padding: 12px 24px; margin-top: 16px;
+            background: linear-gradient(135deg, #2b5876 0%, #4e4376 100%);
+            color: white; border-radius: 50px; text-decoration: none; font-weight: bold;
+        }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>${escapeHtml(translate(locale, 'share.heading'))}</h1>
+        <div class="isp-tag">${escapeHtml(ipInfo.isp.name)}</div>
+        <div class="info-box">
+            ${rows}
+        </div>
+        <div class="meta">AS${ipInfo.asn} · ${escapeHtml(formatTime(result.createdAt))}</div>
+        <a href="/" class="btn">${escapeHtml(translate(locale, 'share.testMine'))}</a>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * 生成预览图（1200×630 SVG）
+ * @param result - 测速结果
+ * @param locale - 图中文字的语言
+ * @returns SVG 字符串
+ */
+function generateOgSVG(result: SpeedResult, locale: Locale): string {
+  const { ipInfo } = result;
+  const ispInfo = identifyISP(ipInfo.isp.raw, ipInfo.asn, ipInfo.location.country);
+  const rows = buildCardRows(result, locale)
+    .slice(0, 5)
+    .map((row, i) => {
+      const y = 300 + i * 62;
+      return `<text x="80" y="${y}" class="label">${escapeHtml(row.label)}</text>
+  <text x="1120" y="${y}" class="value" text-anchor="end">${escapeHtml(row.value)}</text>`;
+    })
+    .join('\n  ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xml:lang="${locale}" width="1200" height="630" viewBox="0 0 1200 630">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#2b5876"/>
+      <stop offset="100%" stop-color="#4e4376"/>
+    </linearGradient>
+  </defs>
+  <style>
+    text { font-family: "PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif; }
+    .title { font-size: 40px; font-weight: 700; fill: #333; }
+    .isp { font-size: 52px; font-weight: 800; font-family: monospace; }
+    .label { font-size: 30px; font-weight: 700; fill: #57606f; }
+    .value { font-size: 30px; font-family: monospace; fill: #333; }
+    .meta { font-size: 22px; fill: #888; }
+  </style>
+  <rect width="1200" height="630" fill="url(#bg)"/>
+  <rect x="40" y="40" width="1120" height="550" rx="32" fill="#ffffff" fill-opacity="0.9"/>
+  <text x="80" y="120" class="title">${escapeHtml(translate(locale, 'page.title'))}</text>
+  <text x="80" y="210" class="isp" fill="${ispInfo.color}">${escapeHtml(ipInfo.isp.name)}</text>
+  <text x="1120" y="120" class="meta" text-anchor="end">AS${ipInfo.asn} · ${escapeHtml(formatTime(result.createdAt))}</text>
+  ${rows}
+</svg>`;
+}
+
+export default share;
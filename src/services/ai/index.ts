@@ -0,0 +1,98 @@
+/**
+ * AI 分析服务
+ * 按环境变量配置的顺序尝试各提供方，失败时回退到下一个
+ */
+
+import type { Env } from '../../../types/env';
+import type { AIChunk, AIProvider, AIStreamOptions, AIUsage } from './types';
+import { createOpenAICompatibleProvider } from './openai';
+import { createWorkersAIProvider } from './workers-ai';
+
+export type { AIChunk, AIProvider, AIStreamOptions, AIUsage };
+export { formatSSE } from './sse';
+
+/** 智谱接口根地址 */
+const ZHIPU_BASE_URL = 'https://open.bigmodel.cn/api/paas/v4';
+
+/** 智谱默认模型 */
+const ZHIPU_DEFAULT_MODEL = 'GLM-4-Flash-250414';
+
+/** OpenAI 接口根地址 */
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/** OpenAI 兼容接口默认模型 */
+const OPENAI_DEFAULT_MODEL = 'gpt-4o-mini';
+
+/** 未配置 AI_PROVIDERS 时的尝试顺序 */
+export const DEFAULT_PROVIDER_ORDER = ['zhipu', 'openai', 'workers-ai'];
+
+/** 各提供方的创建函数，缺少必要配置时返回 null */
+const PROVIDER_FACTORIES: Record<string, (env: Env) => AIProvider | null> = {
+  zhipu: (env) =>
+    env.ZHIPU_API_KEY
+      ? createOpenAICompatibleProvider({
+          name: 'zhipu',
+          baseUrl: env.ZHIPU_BASE_URL || ZHIPU_BASE_URL,
+          apiKey: env.ZHIPU_API_KEY,
+          model: env.ZHIPU_MODEL || ZHIPU_DEFAULT_MODEL,
+        })
+      : null,
+  openai: (env) =>
+    env.OPENAI_API_KEY || env.OPENAI_BASE_URL
+      ? createOpenAICompatibleProvider({
+          name: 'openai',
+          baseUrl: env.OPENAI_BASE_URL || OPENAI_BASE_URL,
+          apiKey: env.OPENAI_API_KEY,
+          model: env.OPENAI_MODEL || OPENAI_DEFAULT_MODEL,
+          includeUsage: true,
+        })
+      : null,
+  'workers-ai': (env) => (env.AI ? createWorkersAIProvider(env.AI, env.WORKERS_AI_MODEL) : null),
+};
+
+/**
+ * 按配置创建提供方列表
+ * @param env - 环境变量
+ * @returns 已配置的提供方，按尝试顺序排列；未知名称和缺少配置的提供方会被跳过
+ */
+export function createProviders(env: Env): AIProvider[] {
+  const order = env.AI_PROVIDERS
+    ? env.AI_PROVIDERS.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PROVIDER_ORDER;
+
+  const providers: AIProvider[] = [];
+  for (const name of new Set(order)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      console.warn(`[AI] Unknown provider in AI_PROVIDERS: ${name}`);
+      continue;
+    }
+    const provider = factory(env);
+    if (provider) providers.push(provider);
+  }
+  return providers;
+}
+
+/**
+ * 依次尝试各提供方，返回第一个成功建立的流
+ * 流开始输出后不再切换提供方
+ * @param providers - 提供方列表
+ * @param prompt - 提示词
+ * @param options - 生成参数
+ * @returns 提供方名称和事件流，全部失败时返回 null
+ */
+export async function streamWithFallback(
+  providers: AIProvider[],
+  prompt: string,
+  options: AIStreamOptions
+): Promise<{ provider: string; stream: ReadableStream<AIChunk> } | null> {
+  for (const provider of providers) {
+    try {
+      return { provider: provider.name, stream: await provider.stream(prompt, options) };
+    } catch (error) {
+      // M7 修复：详细错误只记录到日志
+      console.error(`[AI] Provider ${provider.name} failed: ${error instanceof Error ? error.message : error}`);
+    }
+  }
+  return null;
+}
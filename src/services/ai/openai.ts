@@ -0,0 +1,74 @@
+/**
+ * OpenAI 兼容接口适配器
+ * 适用于 OpenAI、智谱以及其他提供 /chat/completions 流式接口的服务
+ */
+
+import type { AIProvider } from './types';
+import { readSSE, toChunks } from './sse';
+
+/** 上游响应头超时时间（毫秒） - M2 修复 */
+const AI_API_TIMEOUT = 30000;
+
+/** OpenAI 兼容接口配置 */
+export interface OpenAICompatibleOptions {
+  /** 提供方名称，用于日志和 X-AI-Provider 响应头 */
+  name: string;
+  /** 接口根地址，如 https://api.openai.com/v1 */
+  baseUrl: string;
+  /** API Key，本地部署的服务可以不填 */
+  apiKey?: string;
+  /** 模型名称 */
+  model: string;
+  /** 请求在流末尾附带 Token 用量（OpenAI 需要显式开启，智谱默认附带） */
+  includeUsage?: boolean;
+}
+
+/**
+ * 创建 OpenAI 兼容接口适配器
+ * @param options - 接口配置
+ * @returns 适配器
+ */
+export function createOpenAICompatibleProvider(options: OpenAICompatibleOptions): AIProvider {
+  const endpoint = `${options.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: options.name,
+    async stream(prompt, { temperature }) {
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      if (options.apiKey) headers.Authorization = `Bearer ${options.apiKey}`;
+
+      // M2 修复：添加超时控制，只限制到收到响应头为止
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), AI_API_TIMEOUT);
+
+      let response: Response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            model: options.model,
+            messages: [{ role: 'user', content: prompt }],
+            stream: true,
+            ...(options.includeUsage ? { stream_options: { include_usage: true } } : {}),
+            temperature,
+          }),
+          signal: controller.signal,
+        });
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      if (!response.ok || !response.body) {
+        const errorText = await response.text();
+        throw new Error(`${response.status} ${errorText}`);
+      }
+
+      return readSSE(
+        response.body,
+        (data) => toChunks(data.choices?.[0]?.delta?.content, data.usage),
+        (data) => Boolean(data.choices?.[0]?.finish_reason)
+      );
+    },
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * SSE 流解析与生成
+ * 将上游的 Server-Sent Events 字节流转换为事件流，并按 text/event-stream 格式输出
+ */
+
+import type { AIChunk, AIUsage } from './types';
+
+/**
+ * 解析 SSE 流
+ * 逐行读取 data: 字段，忽略无法解析的数据块；
+ * 上游以 [DONE] 或 isFinished 判定的结束块收尾才算完整，否则视为被截断，以错误结束
+ * @param body - 上游响应体
+ * @param extract - 从每个 JSON 数据块中取出事件
+ * @param isFinished - 判断数据块是否表示生成结束（如 OpenAI 的 finish_reason）
+ * @returns 事件流，上游返回错误数据块或未正常结束时以错误结束
+ */
+export function readSSE(
+  body: ReadableStream<Uint8Array>,
+  extract: (data: any) => AIChunk[],
+  isFinished?: (data: any) => boolean
+): ReadableStream<AIChunk> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  /** 解析一行，返回其中的事件 */
+  const parseLine = (rawLine: string): AIChunk[] => {
+    const line = rawLine.trim();
+    if (!line.startsWith('data:')) return [];
+
+    const payload = line.slice(5).trim();
+    if (!payload) return [];
+    if (payload === '[DONE]') {
+      finished = true;
+      return [];
+    }
+
+    let data: any;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      // 忽略解析错误，继续处理下一个数据块
+      return [];
+    }
+
+    // 部分上游在流中以 {"error": ...} 报告错误（如内容审核、限额）
+    if (data?.error) {
+      const detail = typeof data.error === 'string' ? data.error : data.error.message || JSON.stringify(data.error);
+      throw new Error(`Upstream stream error: ${detail}`);
+    }
+    if (isFinished?.(data)) finished = true;
+    return extract(data);
+  };
+
+  /** 读到至少一个事件再返回，避免向下游推送空块 */
+  const readEvents = async (controller: ReadableStreamDefaultController<AIChunk>) => {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        const chunks = parseLine(buffer + decoder.decode());
+        buffer = '';
+        if (!finished) throw new Error('Upstream stream ended without [DONE]');
+        for (const chunk of chunks) controller.enqueue(chunk);
+        controller.close();
+        return;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      let emitted = false;
+      let boundary;
+      while ((boundary = buffer.indexOf('\n')) !== -1) {
+        const chunks = parseLine(buffer.substring(0, boundary));
+        buffer = buffer.substring(boundary + 1);
+        for (const chunk of chunks) {
+          controller.enqueue(chunk);
+          emitted = true;
+        }
+      }
+      if (emitted) return;
+    }
+  };
+
+  return new ReadableStream<AIChunk>({
+    async pull(controller) {
+      try {
+        await readEvents(controller);
+      } catch (error) {
+        // 上游报错或被截断时不再读取剩余数据
+        reader.cancel(error).catch(() => {});
+        throw error;
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+}
+
+/**
+ * 从数据块中取出文本增量和 Token 用量
+ * @param text - 文本增量
+ * @param usage - OpenAI 格式的用量字段（prompt_tokens / completion_tokens / total_tokens）
+ * @returns 事件列表
+ */
+export function toChunks(text: unknown, usage: any): AIChunk[] {
+  const chunks: AIChunk[] = [];
+  if (typeof text === 'string' && text) chunks.push({ type: 'delta', text });
+  if (usage && typeof usage === 'object') {
+    const promptTokens = Number(usage.prompt_tokens) || 0;
+    const completionTokens = Number(usage.completion_tokens) || 0;
+    const parsed: AIUsage = {
+      promptTokens,
+      completionTokens,
+      totalTokens: Number(usage.total_tokens) || promptTokens + completionTokens,
+    };
+    chunks.push({ type: 'usage', usage: parsed });
+  }
+  return chunks;
+}
+
+/**
+ * 格式化一条 SSE 事件
+ * @param event - 事件类型
+ * @param data - 事件数据，序列化为单行 JSON
+ * @returns text/event-stream 格式的文本
+ */
+export function formatSSE(event: string, data: unknown): string {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
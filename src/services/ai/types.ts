@@ -0,0 +1,33 @@
+/**
+ * AI 提供方适配器类型
+ */
+
+/** 单次对话的生成参数 */
+export interface AIStreamOptions {
+  /** 采样温度 */
+  temperature: number;
+}
+
+/** Token 用量 */
+export interface AIUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+}
+
+/** 上游流中的一个事件：文本增量或 Token 用量 */
+export type AIChunk = { type: 'delta'; text: string } | { type: 'usage'; usage: AIUsage };
+
+/** AI 提供方适配器 */
+export interface AIProvider {
+  /** 提供方名称 */
+  name: string;
+  /**
+   * 发起流式对话
+   * 上游不可用（网络错误、超时、非 2xx）时抛出错误，由调用方切换到下一个提供方
+   * @param prompt - 提示词
+   * @param options - 生成参数
+   * @returns 事件流，上游中途断开、返回错误数据块或未正常结束时以错误结束
+   */
+  stream(prompt: string, options: AIStreamOptions): Promise<ReadableStream<AIChunk>>;
+}
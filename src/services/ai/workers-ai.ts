@@ -0,0 +1,38 @@
+/**
+ * Cloudflare Workers AI 适配器
+ * 通过 AI 绑定调用，无需 API Key
+ */
+
+import type { AIProvider } from './types';
+import { readSSE, toChunks } from './sse';
+
+/** 可用于对话的文本生成模型 */
+type TextGenerationModel = {
+  [K in keyof AiModels]: AiModels[K] extends BaseAiTextGeneration ? K : never;
+}[keyof AiModels];
+
+/** 默认模型 */
+export const DEFAULT_WORKERS_AI_MODEL: TextGenerationModel = '@cf/meta/llama-3.1-8b-instruct-fp8';
+
+/**
+ * 创建 Workers AI 适配器
+ * @param ai - AI 绑定
+ * @param model - 模型名称，未指定时使用默认模型
+ * @returns 适配器
+ */
+export function createWorkersAIProvider(ai: Ai, model?: string): AIProvider {
+  return {
+    name: 'workers-ai',
+    async stream(prompt, { temperature }) {
+      // 模型名来自配置，无法在编译期校验
+      const body = await ai.run((model || DEFAULT_WORKERS_AI_MODEL) as TextGenerationModel, {
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        stream: true,
+      });
+
+      // Workers AI 的流式输出同样是 SSE，每块形如 {"response":"..."}，最后一块附带 usage
+      return readSSE(body as ReadableStream<Uint8Array>, (data) => toChunks(data.response, data.usage));
+    },
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * AI 分析上下文
+ * 网络信息由服务端采集，客户端只能附带经过校验的测量指标，避免提示词注入
+ */
+
+import type { AnalysisContext, AnalysisMeasurements, AnalysisMetrics, CachedAnalysis, IPInfo } from '../../types/env';
+import { DEFAULT_LOCALE, translate } from '../i18n';
+import type { Locale, MessageKey } from '../i18n';
+import { validateResultInput } from './results';
+
+/** 分析模式：吐槽、技术诊断、排障清单 */
+export type AnalysisMode = 'roast' | 'diagnosis' | 'checklist';
+
+/** 各模式的提示词模板与采样温度（诊断和清单需要稳定、可复现的输出） */
+export const ANALYSIS_MODES: Record<AnalysisMode, { prompt: MessageKey; temperature: number }> = {
+  roast: { prompt: 'ai.prompt.roast', temperature: 1.0 },
+  diagnosis: { prompt: 'ai.prompt.diagnosis', temperature: 0.3 },
+  checklist: { prompt: 'ai.prompt.checklist', temperature: 0.2 },
+};
+
+/** 默认分析模式 */
+export const DEFAULT_ANALYSIS_MODE: AnalysisMode = 'roast';
+
+/**
+ * 判断是否为支持的分析模式
+ * @param value - mode 参数
+ */
+export function isAnalysisMode(value: string): value is AnalysisMode {
+  return Object.hasOwn(ANALYSIS_MODES, value);
+}
+
+/** 延迟采样最多条数 */
+export const MAX_LATENCY_SAMPLES = 60;
+
+/** 单个延迟采样的上限 (ms) */
+const MAX_SAMPLE_MS = 60_000;
+
+/**
+ * 校验客户端附带的测量指标
+ * download / upload / latency 与测速结果使用同一套规则，samples 为最近的延迟采样
+ * @param body - 请求体
+ * @param locale - 错误信息的语言
+ * @returns 校验通过的指标或错误信息，空对象表示没有附带指标
+ */
+export function validateAnalysisMetrics(
+  body: unknown,
+  locale: Locale = DEFAULT_LOCALE
+): { data: AnalysisMetrics } | { error: string } {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: translate(locale, 'error.invalidBody') };
+  }
+
+  const { samples, ...rest } = body as Record<string, unknown>;
+  const metrics: AnalysisMetrics = {};
+
+  if (samples !== undefined) {
+    if (!Array.isArray(samples) || samples.length > MAX_LATENCY_SAMPLES) {
+      return { error: translate(locale, 'analysis.invalidSamples', { max: MAX_LATENCY_SAMPLES }) };
+    }
+    for (const sample of samples) {
+      if (typeof sample !== 'number' || !Number.isFinite(sample) || sample < 0 || sample > MAX_SAMPLE_MS) {
+        return { error: translate(locale, 'results.outOfRange', { name: 'samples', max: MAX_SAMPLE_MS }) };
+      }
+    }
+    metrics.samples = samples as number[];
+  }
+
+  if (Object.keys(rest).length > 0) {
+    const result = validateResultInput(rest, locale);
+    if ('error' in result) return result;
+    const { download, upload, latency } = result.data;
+    if (download) metrics.download = download;
+    if (upload) metrics.upload = upload;
+    if (latency) metrics.latency = latency;
+  }
+
+  return { data: metrics };
+}
+
+/** 延迟档位上界 (ms) */
+const LATENCY_BUCKETS = [20, 50, 100, 200, 400];
+
+/** 抖动档位上界 (ms) */
+const JITTER_BUCKETS = [5, 10, 20, 50];
+
+/** 带宽档位上界 (Mbps) */
+const BANDWIDTH_BUCKETS = [10, 50, 100, 300, 1000];
+
+/** 超时比例档位上界 (%) */
+const LOSS_BUCKETS = [1, 5, 20];
+
+/**
+ * 将数值归入档位
+ * @param value - 数值
+ * @param bounds - 递增的档位上界
+ * @returns 档位名称，如 20-50、400+
+ */
+function bucket(value: number, bounds: number[]): string {
+  let lower = 0;
+  for (const upper of bounds) {
+    if (value < upper) return `${lower}-${upper}`;
+    lower = upper;
+  }
+  return `${lower}+`;
+}
+
+/**
+ * 将延迟归入档位
+ * @param latency - 延迟 (ms)
+ * @returns 档位名称，如 20-50、400+、unknown
+ */
+export function latencyBucket(latency: number | null): string {
+  return latency === null ? 'unknown' : bucket(latency, LATENCY_BUCKETS);
+}
+
+/**
+ * 取客户端测得的代表延迟：空闲延迟、握手 RTT、延迟采样中位数依次优先
+ * @param metrics - 已校验的测量指标
+ * @returns 延迟 (ms)，没有延迟数据时返回 null
+ */
+function representativeLatency(metrics: AnalysisMetrics): number | null {
+  const { latency, samples } = metrics;
+  if (latency?.idle) return latency.idle;
+  if (latency?.rtt) return latency.rtt;
+  const valid = (samples ?? []).filter((sample) => sample > 0).sort((a, b) => a - b);
+  return valid.length > 0 ? valid[Math.floor(valid.length / 2)] : null;
+}
+
+/**
+ * 将测量指标归一化为档位
+ * @param metrics - 已校验的测量指标
+ * @returns 归一化后的指标，没有任何指标时返回 null
+ */
+function normalizeMetrics(metrics: AnalysisMetrics): AnalysisMeasurements | null {
+  const measured: AnalysisMeasurements = {};
+  const latency = representativeLatency(metrics);
+  if (latency !== null) measured.latency = latencyBucket(latency);
+  if (metrics.latency?.loaded) measured.loadedLatency = latencyBucket(metrics.latency.loaded);
+  if (metrics.latency?.jitter !== undefined) measured.jitter = bucket(metrics.latency.jitter, JITTER_BUCKETS);
+  if (metrics.latency?.grade) measured.grade = metrics.latency.grade;
+  if (metrics.download) measured.download = bucket(metrics.download.mbps, BANDWIDTH_BUCKETS);
+  if (metrics.upload) measured.upload = bucket(metrics.upload.mbps, BANDWIDTH_BUCKETS);
+  if (metrics.samples?.length) {
+    const lost = metrics.samples.filter((sample) => sample === 0).length;
+    measured.loss = bucket((lost / metrics.samples.length) * 100, LOSS_BUCKETS);
+  }
+  return Object.keys(measured).length > 0 ? measured : null;
+}
+
+/**
+ * 组装提交给 AI 的上下文
+ * 分析结果按上下文缓存并被其他用户复用，因此只包含归一化后的网络特征：
+ * 不含 IP 和城市，数值指标只保留档位
+ * @param ipInfo - 服务端根据 request.cf 构建的 IP 信息
+ * @param metrics - 已校验的测量指标
+ * @returns 分析上下文，空字段会被省略
+ */
+export function buildAnalysisContext(ipInfo: IPInfo, metrics: AnalysisMetrics): AnalysisContext {
+  const { location, node, isp, connection } = ipInfo;
+  const context: AnalysisContext = {
+    ipVersion: ipInfo.ip.includes(':') ? 6 : 4,
+    isp: isp.name,
+    asn: ipInfo.asn,
+    country: location.country,
+    node: `${node.name} (${node.code})`,
+    httpProtocol: connection.httpProtocol,
+    tlsVersion: connection.tlsVersion,
+  };
+
+  if (ipInfo.rtt > 0) context.tcpRtt = latencyBucket(ipInfo.rtt);
+  const measured = normalizeMetrics(metrics);
+  if (measured) context.measured = measured;
+
+  return context;
+}
+
+/** 缓存键前缀，缓存内容格式变化时递增版本 */
+const CACHE_KEY_PREFIX = 'analysis:v2:';
+
+/**
+ * 计算分析结果的缓存键
+ * 上下文已经归一化，提示词的全部输入（上下文、模式和语言）都计入键中，取 SHA-256
+ * @param context - 分析上下文
+ * @param mode - 分析模式
+ * @param locale - 语言
+ * @returns KV 键
+ */
+export async function analysisCacheKey(context: AnalysisContext, mode: AnalysisMode, locale: Locale): Promise<string> {
+  const facts = JSON.stringify({ mode, locale, context });
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(facts));
+  const hex = Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  return CACHE_KEY_PREFIX + hex;
+}
+
+/**
+ * 读取缓存的分析结果
+ * @param kv - 缓存 KV
+ * @param key - 缓存键
+ * @returns 缓存内容，不存在或读取失败时返回 null
+ */
+export async function getCachedAnalysis(kv: KVNamespace, key: string): Promise<CachedAnalysis | null> {
+  try {
+    return await kv.get<CachedAnalysis>(key, 'json');
+  } catch (error) {
+    console.error('[AI] Failed to read analysis cache:', error);
+    return null;
+  }
+}
+
+/**
+ * 写入分析结果缓存
+ * @param kv - 缓存 KV
+ * @param key - 缓存键
+ * @param entry - 分析结果
+ * @param ttl - 过期时间（秒，KV 要求至少 60）
+ */
+export async function putCachedAnalysis(kv: KVNamespace, key: string, entry: CachedAnalysis, ttl: number): Promise<void> {
+  try {
+    await kv.put(key, JSON.stringify(entry), { expirationTtl: Math.max(60, ttl) });
+  } catch (error) {
+    console.error('[AI] Failed to write analysis cache:', error);
+  }
+}
@@ -1,41 +1,102 @@
 /**
  * Cloudflare 数据中心节点翻译服务
- * 将数据中心代码翻译为中文名称和国旗代码
+ * 将数据中心代码翻译为中文名称和国旗代码，并提供完整的数据中心目录
  */
 
-import type { ColoInfo } from '../../types/env';
+import type { ColoDetail, ColoInfo } from '../../types/env';
+import catalog from '../data/colos.json';
+import { DEFAULT_LOCALE } from '../i18n';
+import type { Locale } from '../i18n';
+import { localizePlace } from '../i18n/places';
 
 /**
- * 数据中心代码到中文名称的映射
+ * 数据中心目录条目（src/data/colos.json）
  */
-const COLO_MAP: Record<string, ColoInfo> = {
-  HKG: { name: '香港', iso: 'hk' },
-  TPE: { name: '台北', iso: 'tw' },
-  NRT: { name: '东京', iso: 'jp' },
-  KIX: { name: '大阪', iso: 'jp' },
-  ICN: { name: '首尔', iso: 'kr' },
-  SIN: { name: '新加坡', iso: 'sg' },
-  KUL: { name: '吉隆坡', iso: 'my' },
-  BKK: { name: '曼谷', iso: 'th' },
-  SGN: { name: '胡志明市', iso: 'vn' },
-  MNL: { name: '马尼拉', iso: 'ph' },
-  LAX: { name: '洛杉矶', iso: 'us' },
-  SJC: { name: '圣何塞', iso: 'us' },
-  SFO: { name: '旧金山', iso: 'us' },
-  SEA: { name: '西雅图', iso: 'us' },
-  JFK: { name: '纽约', iso: 'us' },
-  LHR: { name: '伦敦', iso: 'gb' },
-  FRA: { name: '法兰克福', iso: 'de' },
-  AMS: { name: '阿姆斯特丹', iso: 'nl' },
-  SYD: { name: '悉尼', iso: 'au' },
-};
+interface ColoEntry {
+  iata: string;
+  city: string;
+  cityZh: string;
+  cca2: string;
+  region: string;
+  lat: number;
+  lon: number;
+}
+
+/**
+ * 数据中心代码到目录条目的索引
+ */
+const COLO_CATALOG: ReadonlyMap<string, ColoEntry> = new Map(
+  (catalog as ColoEntry[]).map((entry) => [entry.iata, entry])
+);
+
+/**
+ * 运行时覆盖的节点映射（来自 CONFIG KV），优先于打包目录
+ * 覆盖中的名称视为简体中文名称，其他语言仍按目录翻译
+ */
+let coloOverrides: Record<string, ColoInfo> = {};
+
+/**
+ * 设置运行时节点映射覆盖
+ * @param overrides - 数据中心代码到节点信息的映射，传空对象恢复为打包数据
+ */
+export function setColoOverrides(overrides: Record<string, ColoInfo>): void {
+  coloOverrides = overrides;
+}
 
 /**
  * 翻译数据中心代码
  * @param coloCode - Cloudflare 数据中心代码（如 HKG、NRT）
- * @returns 节点信息，包含中文名称和国旗代码
+ * @param locale - 名称的语言
+ * @returns 节点信息，包含本地化名称和国旗代码
  */
-export function translateColo(coloCode: string): ColoInfo {
+export function translateColo(coloCode: string, locale: Locale = DEFAULT_LOCALE): ColoInfo {
   const code = coloCode.toUpperCase();
-  return COLO_MAP[code] || { name: code, iso: null };
+  const override = coloOverrides[code];
+  const entry = COLO_CATALOG.get(code);
+
+  if (override) {
+    return { name: localizePlace(locale, entry?.city ?? override.name, override.name), iso: override.iso };
+  }
+  if (entry) {
+    return { name: localizePlace(locale, entry.city, entry.cityZh), iso: entry.cca2.toLowerCase() };
+  }
+  return { name: code, iso: null };
+}
+
+/**
+ * 获取单个数据中心详情
+ * @param coloCode - Cloudflare 数据中心代码
+ * @param locale - 名称的语言
+ * @returns 数据中心详情，目录和覆盖中都不存在时返回 null
+ */
+export function getColo(coloCode: string, locale: Locale = DEFAULT_LOCALE): ColoDetail | null {
+  const code = coloCode.toUpperCase();
+  const entry = COLO_CATALOG.get(code);
+  const override = coloOverrides[code];
+  if (!entry && !override) return null;
+
+  const { name, iso } = translateColo(code, locale);
+  return {
+    code,
+    name,
+    nameEn: entry?.city ?? code,
+    iso,
+    country: entry?.cca2 ?? (iso ? iso.toUpperCase() : null),
+    region: entry?.region ?? null,
+    lat: entry?.lat ?? null,
+    lon: entry?.lon ?? null,
+  };
+}
+
+/**
+ * 列出全部数据中心（打包目录与 KV 覆盖合并），按代码排序
+ * @param locale - 名称的语言
+ * @returns 数据中心详情列表
+ */
+export function listColos(locale: Locale = DEFAULT_LOCALE): ColoDetail[] {
+  const codes = new Set([...COLO_CATALOG.keys(), ...Object.keys(coloOverrides)]);
+  return [...codes]
+    .sort()
+    .map((code) => getColo(code, locale))
+    .filter((colo): colo is ColoDetail => colo !== null);
 }
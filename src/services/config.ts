@@ -0,0 +1,358 @@
+/**
+ * 运行时字典服务
+ * 从 CONFIG KV 加载节点映射、运营商规则与延迟监测目标，覆盖随 Worker 打包的数据
+ */
+
+import type { ColoInfo } from '../../types/env';
+import { setColoOverrides } from './colo';
+import { setISPRules } from './isp';
+import type { ISPRule, ISPRuleSet } from './isp';
+import { setPingTargetOverrides } from './ping-targets';
+import type { PingTarget } from './ping-targets';
+import { DEFAULT_LOCALE, translate } from '../i18n';
+import type { Locale } from '../i18n';
+
+/** KV 中节点映射的键 */
+export const COLOS_KEY = 'colos';
+
+/** KV 中运营商规则的键 */
+export const ISP_RULES_KEY = 'isp-rules';
+
+/** KV 中延迟监测目标的键 */
+export const PING_TARGETS_KEY = 'ping-targets';
+
+/** isolate 内缓存有效期（毫秒），KV 本身也有约 60 秒的最终一致延迟 */
+const REFRESH_INTERVAL_MS = 60_000;
+
+const MAX_COLOS = 1000;
+const MAX_RULES = 200;
+const MAX_RULE_ITEMS = 1000;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PING_TARGETS = 12;
+const MAX_URL_LENGTH = 500;
+
+const COLO_CODE_PATTERN = /^[A-Z]{3}$/;
+const ISO_PATTERN = /^[a-z]{2}$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+// 名称会插入 HTML 和脚本，颜色会插入 CSS，只允许安全字符
+const NAME_PATTERN = /^[^<>"'`\\&]{1,50}$/;
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const TARGET_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+const ICON_PATTERN = /^fa-(solid|regular|brands) fa-[a-z0-9-]{1,50}$/;
+const CSS_COLOR_PATTERN = /^(#[0-9a-fA-F]{6}|rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\))$/;
+
+type Validation<T> = { data: T } | { error: string };
+
+let loadedFrom: KVNamespace | undefined;
+let loadedAt = 0;
+
+/** 上次解析的 PING_TARGETS 环境变量及结果，环境变量在 isolate 内不变，避免每次请求重复解析 */
+let parsedEnvTargets: { source: string; targets: PingTarget[] | null } | null = null;
+
+/**
+ * 按需从 KV 刷新字典
+ * 同一 isolate 内每 60 秒最多刷新一次。Workers 不允许一个请求等待另一个请求发起的 I/O，
+ * 因此不共享进行中的读取：过期后由第一个请求自己读取，期间的并发请求继续使用当前字典
+ * @param kv - CONFIG KV，未绑定时恢复为打包数据
+ */
+export async function refreshDictionaries(kv: KVNamespace | undefined): Promise<void> {
+  if (!kv) {
+    if (loadedFrom) {
+      setColoOverrides({});
+      setISPRules(null);
+      setPingTargetOverrides(null);
+      loadedFrom = undefined;
+    }
+    return;
+  }
+  if (kv === loadedFrom) {
+    if (Date.now() - loadedAt < REFRESH_INTERVAL_MS) return;
+    loadedAt = Date.now();
+  }
+  await loadDictionaries(kv);
+}
+
+/**
+ * 读取并应用 KV 中的字典
+ * 数据缺失或校验不通过时回退到打包数据；KV 读取失败时保留当前字典
+ * @param kv - CONFIG KV
+ */
+async function loadDictionaries(kv: KVNamespace): Promise<void> {
+  try {
+    const [colos, rules, targets] = await Promise.all([
+      kv.get<unknown>(COLOS_KEY, 'json'),
+      kv.get<unknown>(ISP_RULES_KEY, 'json'),
+      kv.get<unknown>(PING_TARGETS_KEY, 'json'),
+    ]);
+
+    const parsedColos = colos === null ? { data: {} } : validateColoMap(colos);
+    if ('error' in parsedColos) console.error(`[Config] KV 中的节点映射无效：${parsedColos.error}`);
+    setColoOverrides('data' in parsedColos ? parsedColos.data : {});
+
+    const parsedRules = rules === null ? { data: null } : validateISPRuleSet(rules);
+    if ('error' in parsedRules) console.error(`[Config] KV 中的运营商规则无效：${parsedRules.error}`);
+    setISPRules('data' in parsedRules ? parsedRules.data : null);
+
+    const parsedTargets = targets === null ? { data: null } : validatePingTargets(targets);
+    if ('error' in parsedTargets) console.error(`[Config] KV 中的延迟监测目标无效：${parsedTargets.error}`);
+    setPingTargetOverrides('data' in parsedTargets ? parsedTargets.data : null);
+  } catch (err) {
+    console.error(`[Config] 读取 KV 失败：${err instanceof Error ? err.message : String(err)}`);
+  }
+  loadedFrom = kv;
+  loadedAt = Date.now();
+}
+
+/**
+ * 保存节点映射并立即在当前 isolate 生效
+ * @param kv - CONFIG KV
+ * @param colos - 已校验的节点映射，空对象表示清除覆盖
+ */
+export async function saveColoMap(kv: KVNamespace, colos: Record<string, ColoInfo>): Promise<void> {
+  if (Object.keys(colos).length === 0) await kv.delete(COLOS_KEY);
+  else await kv.put(COLOS_KEY, JSON.stringify(colos));
+  setColoOverrides(colos);
+}
+
+/**
+ * 保存运营商规则并立即在当前 isolate 生效
+ * @param kv - CONFIG KV
+ * @param ruleSet - 已校验的规则表，null 表示恢复打包规则
+ */
+export async function saveISPRuleSet(kv: KVNamespace, ruleSet: ISPRuleSet | null): Promise<void> {
+  if (ruleSet) await kv.put(ISP_RULES_KEY, JSON.stringify(ruleSet));
+  else await kv.delete(ISP_RULES_KEY);
+  setISPRules(ruleSet);
+}
+
+/**
+ * 保存延迟监测目标并立即在当前 isolate 生效
+ * @param kv - CONFIG KV
+ * @param targets - 已校验的目标列表，null 表示恢复为环境变量或打包列表
+ */
+export async function savePingTargets(kv: KVNamespace, targets: PingTarget[] | null): Promise<void> {
+  if (targets) await kv.put(PING_TARGETS_KEY, JSON.stringify(targets));
+  else await kv.delete(PING_TARGETS_KEY);
+  setPingTargetOverrides(targets);
+}
+
+/**
+ * 解析 PING_TARGETS 环境变量
+ * @param value - JSON 数组，结构同 src/data/ping-targets.json
+ * @returns 校验后的目标列表，未配置或无效时为 null（无效时记录日志）
+ */
+export function parsePingTargetsEnv(value: string | undefined): PingTarget[] | null {
+  if (!value) return null;
+  if (parsedEnvTargets?.source === value) return parsedEnvTargets.targets;
+
+  let parsed: Validation<PingTarget[]>;
+  try {
+    parsed = validatePingTargets(JSON.parse(value));
+  } catch {
+    parsed = { error: translate(DEFAULT_LOCALE, 'error.invalidJson') };
+  }
+  if ('error' in parsed) console.error(`[Config] PING_TARGETS 无效：${parsed.error}`);
+
+  parsedEnvTargets = { source: value, targets: 'data' in parsed ? parsed.data : null };
+  return parsedEnvTargets.targets;
+}
+
+/**
+ * 校验节点映射
+ * @param input - 待校验数据，形如 { "HKG": { "name": "香港", "iso": "hk" } }
+ * @param locale - 错误信息的语言
+ * @returns 校验后的映射（代码统一为大写）或错误信息
+ */
+export function validateColoMap(
+  input: unknown,
+  locale: Locale = DEFAULT_LOCALE
+): Validation<Record<string, ColoInfo>> {
+  if (!isPlainObject(input)) return { error: translate(locale, 'config.colosNotObject') };
+
+  const entries = Object.entries(input);
+  if (entries.length > MAX_COLOS) return { error: translate(locale, 'config.tooManyColos', { max: MAX_COLOS }) };
+
+  const colos: Record<string, ColoInfo> = {};
+  for (const [key, value] of entries) {
+    const code = key.toUpperCase();
+    if (!COLO_CODE_PATTERN.test(code)) return { error: translate(locale, 'config.invalidColoCode', { code: key }) };
+    if (!isPlainObject(value)) return { error: translate(locale, 'config.notObject', { name: code }) };
+    if (typeof value.name !== 'string' || !NAME_PATTERN.test(value.name)) {
+      return { error: translate(locale, 'config.invalidName', { name: `${code}.name` }) };
+    }
+    if (value.iso !== null && (typeof value.iso !== 'string' || !ISO_PATTERN.test(value.iso))) {
+      return { error: translate(locale, 'config.invalidIso', { name: `${code}.iso` }) };
+    }
+    colos[code] = { name: value.name, iso: value.iso };
+  }
+
+  return { data: colos };
+}
+
+/**
+ * 校验运营商规则表
+ * @param input - 待校验数据，结构同 src/data/isp-rules.json
+ * @param locale - 错误信息的语言
+ * @returns 校验后的规则表或错误信息
+ */
+export function validateISPRuleSet(input: unknown, locale: Locale = DEFAULT_LOCALE): Validation<ISPRuleSet> {
+  if (!isPlainObject(input)) return { error: translate(locale, 'config.rulesNotObject') };
+
+  const fallback = input.default;
+  if (!isPlainObject(fallback) || !isColor(fallback.color) || !isColor(fallback.bg)) {
+    return { error: translate(locale, 'config.invalidDefault') };
+  }
+
+  if (!Array.isArray(input.rules) || input.rules.length === 0) {
+    return { error: translate(locale, 'config.nonEmptyArray', { name: 'rules' }) };
+  }
+  if (input.rules.length > MAX_RULES) return { error: translate(locale, 'config.tooManyRules', { max: MAX_RULES }) };
+
+  const rules: ISPRule[] = [];
+  for (const [index, raw] of input.rules.entries()) {
+    const parsed = validateRule(raw, locale);
+    if ('error' in parsed) return { error: translate(locale, 'config.ruleError', { index, error: parsed.error }) };
+    rules.push(parsed.data);
+  }
+
+  return { data: { default: { color: fallback.color, bg: fallback.bg }, rules } };
+}
+
+/**
+ * 校验单条规则
+ * @param input - 待校验规则
+ * @param locale - 错误信息的语言
+ * @returns 校验后的规则或错误信息
+ */
+function validateRule(input: unknown, locale: Locale): Validation<ISPRule> {
+  if (!isPlainObject(input)) return { error: translate(locale, 'config.ruleNotObject') };
+
+  const { name, color, bg, priority, asns, patterns, countries } = input;
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    return { error: translate(locale, 'config.invalidName', { name: 'name' }) };
+  }
+  if (typeof color !== 'string' || !HEX_COLOR_PATTERN.test(color)) {
+    return { error: translate(locale, 'config.invalidHexColor', { name: 'color' }) };
+  }
+  if (!isColor(bg)) return { error: translate(locale, 'config.invalidCssColor', { name: 'bg' }) };
+
+  const rule: ISPRule = { name, color, bg };
+
+  if (priority !== undefined) {
+    if (!Number.isInteger(priority) || Math.abs(priority as number) > 1000) {
+      return { error: translate(locale, 'config.invalidPriority', { name: 'priority' }) };
+    }
+    rule.priority = priority as number;
+  }
+
+  if (asns !== undefined) {
+    if (!isArrayOf(asns, (asn) => Number.isInteger(asn) && (asn as number) > 0 && (asn as number) <= 0xffffffff)) {
+      return { error: translate(locale, 'config.invalidAsns', { name: 'asns' }) };
+    }
+    rule.asns = asns as number[];
+  }
+
+  if (patterns !== undefined) {
+    if (!isArrayOf(patterns, (p) => typeof p === 'string' && p.length > 0 && p.length <= MAX_PATTERN_LENGTH)) {
+      return { error: translate(locale, 'config.invalidPatterns', { name: 'patterns', max: MAX_PATTERN_LENGTH }) };
+    }
+    for (const source of patterns as string[]) {
+      try {
+        new RegExp(source, 'i');
+      } catch {
+        return { error: translate(locale, 'config.invalidRegex', { pattern: source }) };
+      }
+    }
+    rule.patterns = patterns as string[];
+  }
+
+  if (countries !== undefined) {
+    if (!isArrayOf(countries, (code) => typeof code === 'string' && COUNTRY_PATTERN.test(code))) {
+      return { error: translate(locale, 'config.invalidCountries', { name: 'countries' }) };
+    }
+    rule.countries = countries as string[];
+  }
+
+  if (!rule.asns?.length && !rule.patterns?.length) return { error: translate(locale, 'config.ruleNeedsMatch') };
+
+  return { data: rule };
+}
+
+/**
+ * 校验延迟监测目标列表
+ * @param input - 待校验数据，结构同 src/data/ping-targets.json
+ * @param locale - 错误信息的语言
+ * @returns 校验后的目标列表或错误信息
+ */
+export function validatePingTargets(input: unknown, locale: Locale = DEFAULT_LOCALE): Validation<PingTarget[]> {
+  if (!Array.isArray(input) || input.length === 0) return { error: translate(locale, 'config.targetsNotArray') };
+  if (input.length > MAX_PING_TARGETS) {
+    return { error: translate(locale, 'config.tooManyTargets', { max: MAX_PING_TARGETS }) };
+  }
+
+  const targets: PingTarget[] = [];
+  const ids = new Set<string>();
+  for (const [index, raw] of input.entries()) {
+    const at = `[${index}]`;
+    if (!isPlainObject(raw)) return { error: translate(locale, 'config.notObject', { name: at }) };
+
+    const { id, name, url, icon, color, probe } = raw;
+    if (typeof id !== 'string' || !TARGET_ID_PATTERN.test(id)) {
+      return { error: translate(locale, 'config.invalidTargetId', { name: `${at}.id` }) };
+    }
+    // self 留给页面内置的本站目标
+    if (id === 'self' || ids.has(id)) {
+      return { error: translate(locale, 'config.duplicateTargetId', { name: `${at}.id`, id }) };
+    }
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      return { error: translate(locale, 'config.invalidName', { name: `${at}.name` }) };
+    }
+    if (!isHttpsUrl(url)) return { error: translate(locale, 'config.invalidUrl', { name: `${at}.url` }) };
+
+    const target: PingTarget = { id, name, url };
+    if (icon !== undefined) {
+      if (typeof icon !== 'string' || !ICON_PATTERN.test(icon)) {
+        return { error: translate(locale, 'config.invalidIcon', { name: `${at}.icon` }) };
+      }
+      target.icon = icon;
+    }
+    if (color !== undefined) {
+      if (typeof color !== 'string' || !HEX_COLOR_PATTERN.test(color)) {
+        return { error: translate(locale, 'config.invalidHexColor', { name: `${at}.color` }) };
+      }
+      target.color = color;
+    }
+    if (probe !== undefined) {
+      if (typeof probe !== 'boolean') return { error: translate(locale, 'config.invalidBoolean', { name: `${at}.probe` }) };
+      target.probe = probe;
+    }
+
+    ids.add(id);
+    targets.push(target);
+  }
+
+  return { data: targets };
+}
+
+// 页面走 https，明文链接会被浏览器当作混合内容拦截
+function isHttpsUrl(value: unknown): value is string {
+  if (typeof value !== 'string' || value.length > MAX_URL_LENGTH || /["'<>\\`\s]/.test(value)) return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && !url.username && !url.password;
+  } catch {
+    return false;
+  }
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isColor(value: unknown): value is string {
+  return typeof value === 'string' && CSS_COLOR_PATTERN.test(value);
+}
+
+function isArrayOf(value: unknown, check: (item: unknown) => boolean): boolean {
+  return Array.isArray(value) && value.length <= MAX_RULE_ITEMS && value.every(check);
+}
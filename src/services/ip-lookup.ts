@@ -0,0 +1,252 @@
+/**
+ * 任意 IP 查询服务
+ * 基于 IP-ASN 数据集离线查询 ASN、组织和国家：
+ * 绑定 IP_ASN KV 时按地址前缀读取全量分片，否则使用随 Worker 打包的部分数据集
+ */
+
+import type { IPLookupResult } from '../../types/env';
+import { identifyISP } from './isp';
+import { DEFAULT_LOCALE } from '../i18n';
+import type { Locale } from '../i18n';
+import defaultDataset from '../data/ip-asn.json';
+
+/**
+ * IP-ASN 数据集结构（由 scripts/build-ip-asn.mjs 生成）
+ * v4 / v6 为按起始地址升序、互不重叠的 [起始地址, 结束地址, ASN] 区间
+ */
+export interface IPASNDataset {
+  source: string;
+  updatedAt: string;
+  asns: Record<string, [country: string, organization: string]>;
+  v4: [start: string, end: string, asn: number][];
+  v6: [start: string, end: string, asn: number][];
+}
+
+/** 编译后的区间，start / end 为可直接比较的键 */
+interface CompiledRange<K> {
+  start: K;
+  end: K;
+  startText: string;
+  endText: string;
+  asn: number;
+}
+
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const HEXTET_PATTERN = /^[0-9a-f]{1,4}$/;
+
+/**
+ * 将 IPv4 地址转换为 32 位无符号整数
+ * @param ip - 点分十进制地址
+ * @returns 整数形式，格式无效时返回 null
+ */
+export function parseIPv4(ip: string): number | null {
+  if (!IPV4_PATTERN.test(ip)) return null;
+  return ip.split('.').reduce((acc, octet) => acc * 256 + Number(octet), 0);
+}
+
+/**
+ * 将 IPv6 地址展开为 32 位十六进制字符串
+ * 定长小写十六进制的字典序即地址大小顺序，无需 BigInt
+ * @param ip - IPv6 地址，支持 :: 缩写和末尾内嵌 IPv4
+ * @returns 展开后的字符串，格式无效时返回 null
+ */
+export function parseIPv6(ip: string): string | null {
+  let text = ip.toLowerCase();
+  if (!text.includes(':')) return null;
+
+  // 末尾内嵌 IPv4（如 ::ffff:1.2.3.4）转为两个十六进制段
+  const lastColon = text.lastIndexOf(':');
+  const tail = text.slice(lastColon + 1);
+  if (tail.includes('.')) {
+    const v4 = parseIPv4(tail);
+    if (v4 === null) return null;
+    text = `${text.slice(0, lastColon + 1)}${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const groups = [...head, ...rest];
+  if (!groups.every((group) => HEXTET_PATTERN.test(group))) return null;
+
+  if (halves.length === 2) {
+    if (groups.length > 7) return null;
+    groups.splice(head.length, 0, ...Array<string>(8 - groups.length).fill('0'));
+  } else if (groups.length !== 8) {
+    return null;
+  }
+
+  return groups.map((group) => group.padStart(4, '0')).join('');
+}
+
+/**
+ * 判断是否为合法的 IPv4 / IPv6 地址
+ * @param ip - 待校验地址
+ * @returns 是否合法
+ */
+export function isValidIP(ip: string): boolean {
+  return parseIPv4(ip) !== null || parseIPv6(ip) !== null;
+}
+
+/**
+ * 在升序区间中二分查找包含 key 的区间
+ * @param ranges - 升序且互不重叠的区间
+ * @param key - 待查地址
+ * @returns 命中的区间，未命中返回 null
+ */
+function findRange<K extends number | string>(ranges: CompiledRange<K>[], key: K): CompiledRange<K> | null {
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >>> 1;
+    const range = ranges[mid];
+    if (key < range.start) high = mid - 1;
+    else if (key > range.end) low = mid + 1;
+    else return range;
+  }
+  return null;
+}
+
+/**
+ * 编译区间列表，解析失败的条目直接丢弃
+ * @param rows - 数据集中的区间
+ * @param parse - 地址解析函数
+ * @returns 编译后的区间
+ */
+function compileRanges<K extends number | string>(
+  rows: IPASNDataset['v4'],
+  parse: (ip: string) => K | null
+): CompiledRange<K>[] {
+  const ranges: CompiledRange<K>[] = [];
+  for (const [startText, endText, asn] of rows) {
+    const start = parse(startText);
+    const end = parse(endText);
+    if (start === null || end === null || start > end) continue;
+    ranges.push({ start, end, startText, endText, asn });
+  }
+  return ranges.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+}
+
+/**
+ * 基于数据集创建查询函数
+ * 区间在首次查询时编译并缓存在当前 isolate 中
+ * @param dataset - IP-ASN 数据集
+ * @returns 查询函数（可指定运营商名称的语言），地址无效或未收录时返回 null
+ */
+export function createIPLookup(dataset: IPASNDataset) {
+  let v4: CompiledRange<number>[] | null = null;
+  let v6: CompiledRange<string>[] | null = null;
+
+  return function lookup(ip: string, locale: Locale = DEFAULT_LOCALE): IPLookupResult | null {
+    const v4Key = parseIPv4(ip);
+    const v6Key = v4Key === null ? parseIPv6(ip) : null;
+    if (v4Key === null && v6Key === null) return null;
+
+    let range: CompiledRange<number> | CompiledRange<string> | null;
+    if (v4Key !== null) {
+      v4 ??= compileRanges(dataset.v4, parseIPv4);
+      range = findRange(v4, v4Key);
+    } else {
+      v6 ??= compileRanges(dataset.v6, parseIPv6);
+      range = findRange(v6, v6Key as string);
+    }
+    if (!range) return null;
+
+    const [country, organization] = dataset.asns[range.asn] ?? ['', ''];
+    const ispInfo = identifyISP(organization, range.asn, country, locale);
+
+    return {
+      ip,
+      version: v4Key !== null ? 4 : 6,
+      range: { start: range.startText, end: range.endText },
+      asn: range.asn,
+      organization,
+      country,
+      isp: {
+        name: ispInfo.name,
+        raw: organization,
+      },
+    };
+  };
+}
+
+/**
+ * 使用随 Worker 打包的数据集查询 IP
+ * 打包数据只含中国大陆、港澳台地址和常用公共 DNS，全量数据需导入 IP_ASN KV
+ */
+export const lookupIP = createIPLookup(defaultDataset as unknown as IPASNDataset);
+
+/**
+ * 计算地址所在的 KV 分片键，与 scripts/build-ip-asn.mjs --shards 的拆分方式一致
+ * IPv4 按第一段（v4:0 ~ v4:255），IPv6 按第一组（v6:0000 ~ v6:ffff）
+ * @param ip - 待查地址
+ * @returns 分片键，地址无效时返回 null
+ */
+export function getShardKey(ip: string): string | null {
+  const v4 = parseIPv4(ip);
+  if (v4 !== null) return `v4:${v4 >>> 24}`;
+  const v6 = parseIPv6(ip);
+  return v6 === null ? null : `v6:${v6.slice(0, 4)}`;
+}
+
+/** 已加载分片的有效期（毫秒），与运行时字典的刷新间隔一致，重新导入的数据约一分钟内生效 */
+const SHARD_TTL_MS = 60_000;
+
+/** 每个命名空间最多缓存的分片数，超出时淘汰最久未用的 */
+const MAX_CACHED_SHARDS = 64;
+
+/** 缓存的分片：查询函数（分片不存在时为 null，避免重复读取）与读取时间 */
+interface CachedShard {
+  lookup: ReturnType<typeof createIPLookup> | null;
+  loadedAt: number;
+}
+
+/**
+ * 已加载的 KV 分片，按命名空间隔离并缓存在当前 isolate 中，按最近使用排序
+ */
+const shardLookups = new WeakMap<KVNamespace, Map<string, CachedShard>>();
+
+/**
+ * 使用 IP_ASN KV 中的分片查询 IP，未收录或读取失败时回退到打包数据集
+ * @param kv - IP_ASN KV，未绑定时直接使用打包数据集
+ * @param ip - 待查地址
+ * @param locale - 运营商名称的语言
+ * @param now - 当前时间（毫秒时间戳）
+ * @returns 查询结果，地址无效或未收录时返回 null
+ */
+export async function lookupIPWithKV(
+  kv: KVNamespace | undefined,
+  ip: string,
+  locale: Locale = DEFAULT_LOCALE,
+  now = Date.now()
+): Promise<IPLookupResult | null> {
+  const key = kv ? getShardKey(ip) : null;
+  if (!kv || !key) return lookupIP(ip, locale);
+
+  let cache = shardLookups.get(kv);
+  if (!cache) {
+    cache = new Map();
+    shardLookups.set(kv, cache);
+  }
+
+  let cached = cache.get(key);
+  if (!cached || now - cached.loadedAt >= SHARD_TTL_MS) {
+    try {
+      const shard = await kv.get<IPASNDataset>(key, 'json');
+      cached = { lookup: shard ? createIPLookup(shard) : null, loadedAt: now };
+    } catch (error) {
+      // 读取失败不缓存，下次请求重试
+      console.error('[Lookup] Failed to read IP-ASN shard:', error);
+      return lookupIP(ip, locale);
+    }
+  }
+
+  // 重新插入使其排在最后，Map 的第一个键即最久未用的分片
+  cache.delete(key);
+  if (cache.size >= MAX_CACHED_SHARDS) cache.delete(cache.keys().next().value!);
+  cache.set(key, cached);
+
+  return cached.lookup?.(ip, locale) ?? lookupIP(ip, locale);
+}
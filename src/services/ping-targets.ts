@@ -0,0 +1,57 @@
+/**
+ * 延迟监测目标服务
+ * 页面实时延迟图表可切换的外部目标；本站（/api/ping）由页面内置，不在列表中
+ */
+
+import defaultTargets from '../data/ping-targets.json';
+
+/**
+ * 延迟监测目标
+ * 浏览器以 no-cors HEAD 请求 url 计时，边缘探测取 url 的主机名
+ */
+export interface PingTarget {
+  /** 目标标识，小写字母、数字和连字符 */
+  id: string;
+  name: string;
+  /** https 链接，建议指向体积小的静态资源（如 favicon.ico） */
+  url: string;
+  /** Font Awesome 图标类名，如 "fa-brands fa-google" */
+  icon?: string;
+  /** 选中时的颜色，#RRGGBB */
+  color?: string;
+  /** 是否进行边缘探测（默认是）；经 Cloudflare 代理的站点无法从 Worker 直连，应设为 false */
+  probe?: boolean;
+}
+
+/** 目标列表的来源 */
+export type PingTargetSource = 'kv' | 'env' | 'default';
+
+/**
+ * 打包的默认目标列表
+ */
+export const DEFAULT_PING_TARGETS = defaultTargets as PingTarget[];
+
+/**
+ * CONFIG KV 中的目标列表，优先于环境变量和打包列表
+ */
+let kvTargets: PingTarget[] | null = null;
+
+/**
+ * 设置 CONFIG KV 中的目标列表
+ * @param targets - 已校验的目标列表，传 null 表示 KV 中没有覆盖
+ */
+export function setPingTargetOverrides(targets: PingTarget[] | null): void {
+  kvTargets = targets;
+}
+
+/**
+ * 取得当前生效的目标列表
+ * 优先级：CONFIG KV > PING_TARGETS 环境变量 > 打包列表
+ * @param envTargets - 已校验的 PING_TARGETS，未配置或无效时为 null
+ * @returns 目标列表及其来源
+ */
+export function getPingTargets(envTargets: PingTarget[] | null): { targets: PingTarget[]; source: PingTargetSource } {
+  if (kvTargets) return { targets: kvTargets, source: 'kv' };
+  if (envTargets) return { targets: envTargets, source: 'env' };
+  return { targets: DEFAULT_PING_TARGETS, source: 'default' };
+}
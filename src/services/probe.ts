@@ -0,0 +1,256 @@
+/**
+ * 边缘探测服务
+ * 从 Worker 所在节点通过 connect() 套接字连接目标站点，测量 TCP 建连、TLS 握手和首字节时间
+ */
+
+import { connect } from 'cloudflare:sockets';
+import type { ProbeResult } from '../../types/env';
+import { lookupIP, parseIPv4, parseIPv6 } from './ip-lookup';
+import { translate } from '../i18n';
+import type { Locale, MessageKey } from '../i18n';
+
+/** 允许探测的端口：443 为 TLS，80 为明文 HTTP */
+export const PROBE_PORTS = [80, 443];
+
+/** 单次探测总超时（毫秒） */
+export const PROBE_TIMEOUT = 5000;
+
+/** Cloudflare 的 ASN，Workers 的 connect() 不能连接 Cloudflare 自身的地址 */
+const CLOUDFLARE_ASN = 13335;
+
+/** 连接 Cloudflare 地址被拒绝时 connect() 的报错 */
+const CLOUDFLARE_CONNECT_ERROR = /proxy request failed|cannot connect to the specified address|TCP Loop detected/i;
+
+/** 不允许探测的主机名后缀（内网、本机和保留域名） */
+const BLOCKED_HOST_SUFFIXES = ['localhost', 'local', 'internal', 'lan', 'home.arpa'];
+
+/** 主机名中的单个标签 */
+const HOST_LABEL_PATTERN = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+
+/** 不允许探测的 IPv4 网段：本机、私有、共享、链路本地、文档、基准测试、组播和保留地址 */
+const BLOCKED_IPV4_RANGES: Array<[base: string, bits: number]> = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+];
+
+/** 不允许探测的 IPv6 网段；内嵌 IPv4 的格式（映射、NAT64、6to4）一律拒绝，避免绕过上面的检查 */
+const BLOCKED_IPV6_RANGES: Array<[base: string, bits: number]> = [
+  ['::', 96],
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001::', 23],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+];
+
+/** 探测目标 */
+export interface ProbeTarget {
+  hostname: string;
+  port: number;
+}
+
+/** 探测失败的阶段；cloudflare 表示目标位于 Cloudflare 网络内，无法从 Worker 直连 */
+export type ProbeStage = 'timeout' | 'connect' | 'tls' | 'response' | 'cloudflare';
+
+/**
+ * 探测失败
+ * stage 表示在哪个阶段失败，供处理器选择提示信息
+ */
+export class ProbeError extends Error {
+  constructor(
+    readonly stage: ProbeStage,
+    message: string
+  ) {
+    super(message);
+    this.name = 'ProbeError';
+  }
+}
+
+/**
+ * 判断 IPv4 地址是否可以探测
+ */
+function isPublicIPv4(value: number): boolean {
+  return !BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(value / size) === Math.floor(parseIPv4(base)! / size);
+  });
+}
+
+/**
+ * 判断 IPv6 地址是否可以探测
+ * @param hex - parseIPv6 展开后的 32 位十六进制字符串
+ */
+function isPublicIPv6(hex: string): boolean {
+  return !BLOCKED_IPV6_RANGES.some(([base, bits]) => {
+    const prefix = parseIPv6(base)!;
+    const nibbles = Math.floor(bits / 4);
+    if (hex.slice(0, nibbles) !== prefix.slice(0, nibbles)) return false;
+    const rest = bits % 4;
+    if (rest === 0) return true;
+    const mask = (0xf << (4 - rest)) & 0xf;
+    return (parseInt(hex[nibbles], 16) & mask) === (parseInt(prefix[nibbles], 16) & mask);
+  });
+}
+
+/**
+ * 校验主机名或 IP 地址
+ * @returns 出错时的文案键，可以探测时返回 null
+ */
+function checkHostname(hostname: string): MessageKey | null {
+  const v4 = parseIPv4(hostname);
+  if (v4 !== null) return isPublicIPv4(v4) ? null : 'probe.blockedTarget';
+
+  const v6 = parseIPv6(hostname);
+  if (v6 !== null) return isPublicIPv6(v6) ? null : 'probe.blockedTarget';
+
+  if (BLOCKED_HOST_SUFFIXES.some((suffix) => hostname === suffix || hostname.endsWith(`.${suffix}`))) {
+    return 'probe.blockedTarget';
+  }
+
+  const labels = hostname.split('.');
+  // 至少两级且顶级域为字母，排除 2130706433、0x7f.1 这类会被解析为 IP 的写法
+  if (hostname.length > 253 || labels.length < 2 || !labels.every((label) => HOST_LABEL_PATTERN.test(label))) {
+    return 'probe.invalidTarget';
+  }
+  if (!/^[a-z]{2,63}$/.test(labels[labels.length - 1])) return 'probe.invalidTarget';
+  return null;
+}
+
+/**
+ * 解析并校验探测目标
+ * 接受主机名、IP 地址或 http(s) 链接，链接只取主机名和协议对应的端口
+ * @param target - ?target= 参数
+ * @param port - ?port= 参数，优先于链接中的协议
+ * @param locale - 错误信息语言
+ * @returns 校验后的目标，或错误信息
+ */
+export function parseProbeTarget(
+  target: string | undefined,
+  port: string | undefined,
+  locale: Locale
+): { data: ProbeTarget } | { error: string } {
+  const text = (target || '').trim().toLowerCase();
+  if (!text) return { error: translate(locale, 'probe.missingTarget') };
+
+  let hostname = text;
+  let defaultPort = 443;
+  if (/^https?:\/\//.test(text)) {
+    let url: URL;
+    try {
+      url = new URL(text);
+    } catch {
+      return { error: translate(locale, 'probe.invalidTarget') };
+    }
+    // 链接中的端口不在白名单内时交给下面的端口检查
+    hostname = url.hostname;
+    defaultPort = url.port ? Number(url.port) : url.protocol === 'http:' ? 80 : 443;
+  }
+  hostname = hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+
+  const parsedPort = port ? Number(port) : defaultPort;
+  if (!PROBE_PORTS.includes(parsedPort)) {
+    return { error: translate(locale, 'probe.invalidPort', { ports: PROBE_PORTS.join(', ') }) };
+  }
+
+  const problem = checkHostname(hostname);
+  if (problem) return { error: translate(locale, problem) };
+
+  return { data: { hostname, port: parsedPort } };
+}
+
+/**
+ * 在截止时间前等待，超时抛出 ProbeError
+ */
+async function beforeDeadline<T>(promise: Promise<T>, deadline: number, stage: ProbeStage): Promise<T> {
+  let timeoutId: ReturnType<typeof setTimeout> | null = null;
+  const timeout = new Promise<never>((_, reject) => {
+    timeoutId = setTimeout(() => reject(new ProbeError('timeout', `${stage} timed out`)), Math.max(0, deadline - Date.now()));
+  });
+  try {
+    return await Promise.race([promise, timeout]);
+  } catch (error) {
+    if (error instanceof ProbeError) throw error;
+    throw new ProbeError(stage, error instanceof Error ? error.message : String(error));
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * 探测目标站点
+ * 443 端口先建立 TCP 连接再升级 TLS，分别计时；随后发送 HEAD 请求，记录到收到首个字节的时间。
+ * Cloudflare 网络内的目标（包括经 Cloudflare 代理的站点）无法连接，以 cloudflare 阶段报错
+ * @param target - 校验后的目标
+ * @param timeout - 总超时（毫秒）
+ * @returns 各阶段耗时（毫秒）
+ */
+export async function probeTarget(target: ProbeTarget, timeout = PROBE_TIMEOUT): Promise<ProbeResult> {
+  const { hostname, port } = target;
+  const secure = port === 443;
+  const deadline = Date.now() + timeout;
+
+  // IP 目标可直接判断；主机名要等连接被拒绝时根据报错判断
+  if (lookupIP(hostname)?.asn === CLOUDFLARE_ASN) {
+    throw new ProbeError('cloudflare', 'target is a Cloudflare address');
+  }
+
+  const start = Date.now();
+  let socket = connect({ hostname, port }, { secureTransport: secure ? 'starttls' : 'off', allowHalfOpen: false });
+
+  try {
+    try {
+      await beforeDeadline(socket.opened, deadline, 'connect');
+    } catch (error) {
+      if (error instanceof ProbeError && error.stage === 'connect' && CLOUDFLARE_CONNECT_ERROR.test(error.message)) {
+        throw new ProbeError('cloudflare', error.message);
+      }
+      throw error;
+    }
+    const tcp = Date.now() - start;
+
+    let tls: number | null = null;
+    if (secure) {
+      const tlsStart = Date.now();
+      socket = socket.startTls({ expectedServerHostname: hostname });
+      await beforeDeadline(socket.opened, deadline, 'tls');
+      tls = Date.now() - tlsStart;
+    }
+
+    const host = hostname.includes(':') ? `[${hostname}]` : hostname;
+    const request = `HEAD / HTTP/1.1\r\nHost: ${host}\r\nUser-Agent: cancanneed-network-probe\r\nConnection: close\r\n\r\n`;
+    const writer = socket.writable.getWriter();
+    const requestStart = Date.now();
+    await beforeDeadline(writer.write(new TextEncoder().encode(request)), deadline, 'response');
+
+    const reader = socket.readable.getReader();
+    const { value } = await beforeDeadline(reader.read(), deadline, 'response');
+    if (!value || value.byteLength === 0) {
+      throw new ProbeError('response', 'connection closed before response');
+    }
+    const ttfb = Date.now() - requestStart;
+
+    // 只解析状态行，响应码仅供参考，3xx / 4xx 同样说明目标可达
+    const statusLine = new TextDecoder().decode(value).split('\r\n', 1)[0];
+    const status = Number(statusLine.match(/^HTTP\/\d(?:\.\d)? (\d{3})/)?.[1]) || null;
+
+    return { target: hostname, port, tcp, tls, ttfb, status };
+  } finally {
+    socket.close().catch(() => {});
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * 令牌桶限流
+ * 绑定 RATE_LIMITER 时每个键由一个 Durable Object 实例计数，读取和扣减在实例内完成，并发请求不会超额。
+ * 只绑定 CACHE 时退回 KV，仅为尽力而为：KV 最终一致且同一键每秒只能写一次，并发请求可能读到同一状态一起通过；
+ * KV 读取失败时放行，写入失败时拒绝（写入失败多半正是同一键的突发请求）
+ */
+
+import type { Env } from '../../types/env';
+
+/** 令牌桶配置 */
+export interface TokenBucketOptions {
+  /** 桶容量，即允许的突发请求数 */
+  capacity: number;
+  /** 每补充一个令牌的间隔（秒） */
+  refillSeconds: number;
+}
+
+/** 桶状态 */
+interface BucketState {
+  tokens: number;
+  /** 上次更新时间（毫秒时间戳） */
+  updatedAt: number;
+}
+
+/** 取令牌的结果 */
+export type TokenResult = { allowed: true; remaining: number } | { allowed: false; retryAfter: number };
+
+/** 内部调用使用的地址，只用于区分操作 */
+const RATE_LIMITER_ORIGIN = 'https://rate-limiter';
+
+/** Durable Object 存储中桶状态的键 */
+const BUCKET_KEY = 'bucket';
+
+/** isolate 内最多保留的桶数，超出时淘汰最久未用的 */
+const MAX_LOCAL_BUCKETS = 10_000;
+
+/** 未绑定 KV 时使用的 isolate 内桶状态，按最近使用排序 */
+const localBuckets = new Map<string, BucketState>();
+
+/**
+ * 按经过的时间补充令牌后尝试取出一个
+ * @param state - 当前状态，不存在时视为满桶
+ * @param options - 桶配置
+ * @param now - 当前时间（毫秒时间戳）
+ * @returns 取出后的状态，或需要等待的秒数
+ */
+function takeToken(
+  state: BucketState | null,
+  options: TokenBucketOptions,
+  now: number
+): { next: BucketState } | { retryAfter: number } {
+  const { capacity, refillSeconds } = options;
+  const elapsed = state ? Math.max(0, now - state.updatedAt) / 1000 : 0;
+  const tokens = state ? Math.min(capacity, state.tokens + elapsed / refillSeconds) : capacity;
+
+  if (tokens < 1) return { retryAfter: Math.ceil((1 - tokens) * refillSeconds) };
+  return { next: { tokens: tokens - 1, updatedAt: now } };
+}
+
+/**
+ * 尝试从令牌桶中取出一个令牌
+ * @param kv - 存储桶状态的 KV
+ * @param key - 桶的键，如 ratelimit:analyze:<ip>
+ * @param options - 桶配置
+ * @param now - 当前时间（毫秒时间戳）
+ * @returns 允许时返回剩余令牌数，拒绝时返回需要等待的秒数
+ */
+export async function consumeToken(
+  kv: KVNamespace,
+  key: string,
+  options: TokenBucketOptions,
+  now = Date.now()
+): Promise<TokenResult> {
+  const { capacity, refillSeconds } = options;
+  let state: BucketState | null = null;
+  try {
+    state = await kv.get<BucketState>(key, 'json');
+  } catch (e: any) {
+    console.error(`[RateLimit] Failed to read ${key}: ${e.message}`);
+  }
+
+  const taken = takeToken(state, options, now);
+  if ('retryAfter' in taken) return { allowed: false, retryAfter: taken.retryAfter };
+
+  try {
+    // 桶补满后状态等同于不存在，到期自动清除
+    await kv.put(key, JSON.stringify(taken.next), {
+      expirationTtl: Math.max(60, Math.ceil(capacity * refillSeconds)),
+    });
+  } catch (e: any) {
+    console.error(`[RateLimit] Failed to write ${key}: ${e.message}`);
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil(refillSeconds)) };
+  }
+  return { allowed: true, remaining: Math.floor(taken.next.tokens) };
+}
+
+/**
+ * 尝试从当前 isolate 内的令牌桶中取出一个令牌
+ * 未绑定 KV 时的兜底：各 isolate 分别计数，总量可能超过限额，但能挡住单个来源的连续请求
+ * @param key - 桶的键，如 ratelimit:probe:<ip>
+ * @param options - 桶配置
+ * @param now - 当前时间（毫秒时间戳）
+ * @returns 允许时返回剩余令牌数，拒绝时返回需要等待的秒数
+ */
+export function consumeLocalToken(key: string, options: TokenBucketOptions, now = Date.now()): TokenResult {
+  const taken = takeToken(localBuckets.get(key) ?? null, options, now);
+  if ('retryAfter' in taken) return { allowed: false, retryAfter: taken.retryAfter };
+
+  // 重新插入使其排在最后，Map 的第一个键即最久未用的桶
+  localBuckets.delete(key);
+  if (localBuckets.size >= MAX_LOCAL_BUCKETS) localBuckets.delete(localBuckets.keys().next().value!);
+  localBuckets.set(key, taken.next);
+  return { allowed: true, remaining: Math.floor(taken.next.tokens) };
+}
+
+/**
+ * 限流计数 Durable Object
+ * 每个限流键对应一个实例（idFromName），POST /consume 取出一个令牌；
+ * 状态保存在实例存储中，存储读写期间输入门会挡住其他请求，读取和扣减是原子的
+ */
+export class RateLimiter implements DurableObject {
+  private readonly storage: DurableObjectStorage;
+
+  constructor(state: DurableObjectState, _env: Env) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request: Request): Promise<Response> {
+    if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+    if (new URL(request.url).pathname !== '/consume') return new Response('Not Found', { status: 404 });
+    return Response.json(await this.consume(await request.json<TokenBucketOptions>(), Date.now()));
+  }
+
+  /**
+   * 取出一个令牌
+   * @param options - 桶配置
+   * @param now - 当前时间（毫秒时间戳）
+   * @returns 允许时返回剩余令牌数，拒绝时返回需要等待的秒数
+   */
+  async consume(options: TokenBucketOptions, now: number): Promise<TokenResult> {
+    const taken = takeToken((await this.storage.get<BucketState>(BUCKET_KEY)) ?? null, options, now);
+    if ('retryAfter' in taken) return { allowed: false, retryAfter: taken.retryAfter };
+
+    await this.storage.put(BUCKET_KEY, taken.next);
+    // 桶补满后状态等同于不存在，到时清空存储
+    await this.storage.setAlarm(now + Math.ceil(options.capacity * options.refillSeconds * 1000));
+    return { allowed: true, remaining: Math.floor(taken.next.tokens) };
+  }
+
+  async alarm(): Promise<void> {
+    await this.storage.deleteAll();
+  }
+}
+
+/**
+ * 按已绑定的存储取令牌：RATE_LIMITER 优先，其次 CACHE KV
+ * Durable Object 调用失败时记录日志并退回 isolate 内计数
+ * @param env - 环境变量
+ * @param key - 桶的键，如 ratelimit:analyze:<ip>
+ * @param options - 桶配置
+ * @returns 取令牌的结果，两者都未绑定时返回 null
+ */
+export async function consumeRateLimitToken(
+  env: Env | undefined,
+  key: string,
+  options: TokenBucketOptions
+): Promise<TokenResult | null> {
+  const ns = env?.RATE_LIMITER;
+  if (ns) {
+    try {
+      const res = await ns.get(ns.idFromName(key)).fetch(`${RATE_LIMITER_ORIGIN}/consume`, {
+        method: 'POST',
+        body: JSON.stringify(options),
+      });
+      if (!res.ok) throw new Error(`status ${res.status}`);
+      return await res.json<TokenResult>();
+    } catch (e: any) {
+      console.error(`[RateLimit] RateLimiter failed for ${key}: ${e.message}`);
+      return consumeLocalToken(key, options);
+    }
+  }
+  return env?.CACHE ? consumeToken(env.CACHE, key, options) : null;
+}
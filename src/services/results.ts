@@ -0,0 +1,210 @@
+/**
+ * 测速结果存储服务
+ * 基于 D1 保存和查询测速结果历史
+ */
+
+import type {
+  BandwidthStats,
+  IPInfo,
+  LatencyStats,
+  ResultIPInfo,
+  SpeedResult,
+  SpeedResultInput,
+} from '../../types/env';
+import { DEFAULT_LOCALE, translate } from '../i18n';
+import type { Locale } from '../i18n';
+
+/** 结果 ID 字符集（去除易混淆字符） */
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+
+/** 结果 ID 长度 */
+const ID_LENGTH = 10;
+
+/** 结果 ID 格式 */
+export const RESULT_ID_PATTERN = /^[A-Za-z0-9]{10}$/;
+
+/** 速率、延迟等数值的默认上限（防止写入离谱数据） */
+const MAX_METRIC_VALUE = 100_000;
+
+/** 个别字段的专属上限 */
+const METRIC_LIMITS: Record<string, number> = {
+  bytes: 10_000_000_000,
+  streams: 64,
+};
+
+/** Bufferbloat 评级取值 */
+const LATENCY_GRADES = ['A+', 'A', 'B', 'C', 'D', 'F'];
+
+/**
+ * 生成随机结果 ID
+ * @returns 10 位 ID
+ */
+export function generateResultId(): string {
+  const out: string[] = [];
+  // 拒绝采样，避免取模带来的分布偏差
+  const limit = 256 - (256 % ID_ALPHABET.length);
+  while (out.length < ID_LENGTH) {
+    const bytes = crypto.getRandomValues(new Uint8Array(ID_LENGTH * 2));
+    for (const b of bytes) {
+      if (b < limit && out.length < ID_LENGTH) {
+        out.push(ID_ALPHABET[b % ID_ALPHABET.length]);
+      }
+    }
+  }
+  return out.join('');
+}
+
+/**
+ * 判断是否为合法的非负数值
+ */
+function isMetric(value: unknown, max: number): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+}
+
+/**
+ * 校验对象只包含允许的字段，且字段值均为合法数值
+ * @returns 错误信息，合法返回 null
+ */
+function checkMetrics(
+  locale: Locale,
+  name: string,
+  value: unknown,
+  fields: string[],
+  required: string[] = []
+): string | null {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return translate(locale, 'results.notObject', { name });
+  }
+  const record = value as Record<string, unknown>;
+  for (const key of Object.keys(record)) {
+    if (!fields.includes(key)) return translate(locale, 'results.fieldNotAllowed', { name: `${name}.${key}` });
+    if (key === 'grade') continue;
+    const max = METRIC_LIMITS[key] ?? MAX_METRIC_VALUE;
+    if (!isMetric(record[key], max)) return translate(locale, 'results.outOfRange', { name: `${name}.${key}`, max });
+  }
+  for (const key of required) {
+    if (!(key in record)) return translate(locale, 'results.required', { name: `${name}.${key}` });
+  }
+  return null;
+}
+
+/**
+ * 校验客户端提交的测速结果
+ * @param body - 请求体
+ * @param locale - 错误信息的语言
+ * @returns 校验通过的数据或错误信息
+ */
+export function validateResultInput(
+  body: unknown,
+  locale: Locale = DEFAULT_LOCALE
+): { data: SpeedResultInput } | { error: string } {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: translate(locale, 'error.invalidBody') };
+  }
+
+  const record = body as Record<string, unknown>;
+  const allowed = ['download', 'upload', 'latency'];
+  for (const key of Object.keys(record)) {
+    if (!allowed.includes(key)) return { error: translate(locale, 'results.fieldNotAllowed', { name: key }) };
+  }
+  if (!allowed.some((key) => record[key] !== undefined)) {
+    return { error: translate(locale, 'results.empty') };
+  }
+
+  const bandwidthFields = ['mbps', 'peakMbps', 'bytes', 'streams'];
+  for (const key of ['download', 'upload']) {
+    if (record[key] === undefined) continue;
+    const error = checkMetrics(locale, key, record[key], bandwidthFields, ['mbps']);
+    if (error) return { error };
+  }
+
+  if (record.latency !== undefined) {
+    const error = checkMetrics(locale, 'latency', record.latency, ['rtt', 'idle', 'loaded', 'jitter', 'grade']);
+    if (error) return { error };
+    const grade = (record.latency as LatencyStats).grade;
+    if (grade !== undefined && !LATENCY_GRADES.includes(grade)) {
+      return { error: translate(locale, 'results.invalidGrade', { name: 'latency.grade', options: LATENCY_GRADES.join('/') }) };
+    }
+  }
+
+  return {
+    data: {
+      download: record.download as BandwidthStats | undefined,
+      upload: record.upload as BandwidthStats | undefined,
+      latency: record.latency as LatencyStats | undefined,
+    },
+  };
+}
+
+/**
+ * 取出 IP 信息中可以公开的字段
+ * IP 地址只保存在单独的列中，用于查询本机历史，不随结果下发
+ * @param ipInfo - 完整的 IP 信息，或旧记录中保存的 IP 信息
+ * @returns 公开的 IP 信息
+ */
+export function toResultIPInfo(ipInfo: ResultIPInfo): ResultIPInfo {
+  const { location, node, asn, isp, rtt } = ipInfo;
+  return { location: { country: location.country, region: location.region }, node, asn, isp, rtt };
+}
+
+/**
+ * 解析数据库中的记录
+ * 早期记录保存了完整的 IP 信息，读取时同样去除
+ */
+function parseStoredResult(data: string): SpeedResult {
+  const result = JSON.parse(data) as SpeedResult;
+  return { ...result, ipInfo: toResultIPInfo(result.ipInfo) };
+}
+
+/**
+ * 保存测速结果
+ * @param db - D1 数据库
+ * @param ipInfo - 服务端采集的 IP 信息
+ * @param input - 已校验的测速结果
+ * @returns 保存后的完整记录
+ */
+export async function saveResult(db: D1Database, ipInfo: IPInfo, input: SpeedResultInput): Promise<SpeedResult> {
+  const now = Date.now();
+  const result: SpeedResult = {
+    id: generateResultId(),
+    createdAt: new Date(now).toISOString(),
+    ipInfo: toResultIPInfo(ipInfo),
+    ...input,
+  };
+
+  await db
+    .prepare('INSERT INTO results (id, created_at, ip, data) VALUES (?, ?, ?, ?)')
+    .bind(result.id, now, ipInfo.ip, JSON.stringify(result))
+    .run();
+
+  return result;
+}
+
+/**
+ * 按 ID 查询测速结果
+ * @param db - D1 数据库
+ * @param id - 结果 ID
+ * @returns 测速结果，不存在返回 null
+ */
+export async function getResult(db: D1Database, id: string): Promise<SpeedResult | null> {
+  const row = await db
+    .prepare('SELECT data FROM results WHERE id = ?')
+    .bind(id)
+    .first<{ data: string }>();
+  return row ? parseStoredResult(row.data) : null;
+}
+
+/**
+ * 查询某个 IP 最近的测速结果
+ * @param db - D1 数据库
+ * @param ip - IP 地址
+ * @param limit - 最多返回条数
+ * @returns 按时间倒序排列的测速结果
+ */
+export async function listResultsByIp(db: D1Database, ip: string, limit: number): Promise<SpeedResult[]> {
+  const { results } = await db
+    .prepare('SELECT data FROM results WHERE ip = ? ORDER BY created_at DESC LIMIT ?')
+    .bind(ip, limit)
+    .all<{ data: string }>();
+  return results.map((row) => parseStoredResult(row.data));
+}
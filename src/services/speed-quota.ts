@@ -0,0 +1,215 @@
+/**
+ * 测速配额（Durable Object）
+ * 按时间窗口统计下载字节数，并以租约统计同时进行的测速数，按 IP 和全局分别限制
+ *
+ * 所有配额都由同一个实例计数，检查和扣减在一次调用内完成，不会因并发请求超额。
+ * 下载流量经由 Worker 而不经过实例，两次申请之间实例随时可能被回收，
+ * 因此计数保存在实例存储（state.storage）中；存储读写期间输入门会挡住其他请求，检查和扣减仍是原子的。
+ */
+
+import type { Env } from '../../types/env';
+
+/** 配额实例名称 */
+const SPEED_QUOTA_NAME = 'speed-quota';
+
+/** 内部调用使用的地址，只用于区分操作 */
+const SPEED_QUOTA_ORIGIN = 'https://speed-quota';
+
+/** 存储中范围计数的键前缀 */
+const SCOPE_KEY_PREFIX = 'scope:';
+
+/** 存储单次批量删除的键数上限 */
+const STORAGE_BATCH_SIZE = 128;
+
+/** 清理过期计数的最短间隔（毫秒） */
+const PRUNE_INTERVAL_MS = 60_000;
+
+/** 并发超限时建议的重试间隔（秒），测速通常在几秒到几十秒内结束 */
+const CONCURRENT_RETRY_SECONDS = 5;
+
+/** 单个配额范围 */
+export interface QuotaScope {
+  /** 范围键，如 global、ip:203.0.113.1 */
+  key: string;
+  /** 每个窗口允许下载的字节数，0 表示不限 */
+  windowBytes: number;
+  /** 允许同时进行的测速数，0 表示不限 */
+  maxConcurrent: number;
+}
+
+/** 申请配额的参数 */
+export interface QuotaRequest {
+  scopes: QuotaScope[];
+  /** 本次下载的字节数 */
+  bytes: number;
+  /** 窗口长度（秒） */
+  windowSeconds: number;
+  /** 租约有效期（秒），超时未释放的租约自动失效 */
+  leaseSeconds: number;
+}
+
+/** 申请配额的结果 */
+export type QuotaResult =
+  | { allowed: true; lease: string }
+  | { allowed: false; scope: string; reason: 'bytes' | 'concurrent'; retryAfter: number };
+
+/** 单个范围的计数 */
+interface ScopeState {
+  /** 当前窗口开始时间（毫秒时间戳） */
+  windowStart: number;
+  /** 当前窗口已下载的字节数 */
+  bytes: number;
+  /** 进行中的租约：租约 ID → 过期时间（毫秒时间戳） */
+  leases: Record<string, number>;
+}
+
+/**
+ * 测速配额 Durable Object
+ * POST /acquire 申请配额，POST /release 释放租约
+ */
+export class SpeedQuota implements DurableObject {
+  private readonly storage: DurableObjectStorage;
+  private lastPrune = 0;
+
+  constructor(state: DurableObjectState, _env: Env) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request: Request): Promise<Response> {
+    const { pathname } = new URL(request.url);
+    if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+
+    if (pathname === '/acquire') {
+      return Response.json(await this.acquire(await request.json<QuotaRequest>(), Date.now()));
+    }
+    if (pathname === '/release') {
+      const { lease, keys } = await request.json<{ lease: string; keys: string[] }>();
+      await this.release(lease, keys);
+      return new Response(null, { status: 204 });
+    }
+    return new Response('Not Found', { status: 404 });
+  }
+
+  /**
+   * 检查所有范围，全部通过后才扣减字节数并登记租约
+   * @param request - 申请参数
+   * @param now - 当前时间（毫秒时间戳）
+   * @returns 申请结果
+   */
+  async acquire(request: QuotaRequest, now: number): Promise<QuotaResult> {
+    const windowMs = request.windowSeconds * 1000;
+    await this.prune(now, windowMs);
+
+    const stored = await this.storage.get<ScopeState>(request.scopes.map((scope) => SCOPE_KEY_PREFIX + scope.key));
+    const states: Record<string, ScopeState> = {};
+    for (const scope of request.scopes) {
+      const storageKey = SCOPE_KEY_PREFIX + scope.key;
+      const state = refreshState(stored.get(storageKey), now, windowMs);
+
+      if (scope.windowBytes > 0 && state.bytes + request.bytes > scope.windowBytes) {
+        const retryAfter = Math.max(1, Math.ceil((state.windowStart + windowMs - now) / 1000));
+        return { allowed: false, scope: scope.key, reason: 'bytes', retryAfter };
+      }
+      if (scope.maxConcurrent > 0 && Object.keys(state.leases).length >= scope.maxConcurrent) {
+        return { allowed: false, scope: scope.key, reason: 'concurrent', retryAfter: CONCURRENT_RETRY_SECONDS };
+      }
+      states[storageKey] = state;
+    }
+
+    const lease = crypto.randomUUID();
+    for (const state of Object.values(states)) {
+      state.bytes += request.bytes;
+      state.leases[lease] = now + request.leaseSeconds * 1000;
+    }
+    await this.storage.put(states);
+    return { allowed: true, lease };
+  }
+
+  /**
+   * 释放租约，已下载的字节数不退还
+   * @param lease - 租约 ID
+   * @param keys - 申请时的范围键
+   */
+  async release(lease: string, keys: string[]): Promise<void> {
+    const stored = await this.storage.get<ScopeState>(keys.map((key) => SCOPE_KEY_PREFIX + key));
+    const changed: Record<string, ScopeState> = {};
+    for (const [storageKey, state] of stored) {
+      if (!(lease in state.leases)) continue;
+      delete state.leases[lease];
+      changed[storageKey] = state;
+    }
+    if (Object.keys(changed).length > 0) await this.storage.put(changed);
+  }
+
+  /**
+   * 定期删除窗口已过期且没有进行中测速的范围，避免按 IP 的计数无限增长
+   */
+  private async prune(now: number, windowMs: number): Promise<void> {
+    if (now - this.lastPrune < PRUNE_INTERVAL_MS) return;
+    this.lastPrune = now;
+
+    const stored = await this.storage.list<ScopeState>({ prefix: SCOPE_KEY_PREFIX });
+    const expired: string[] = [];
+    for (const [storageKey, state] of stored) {
+      const idle = Object.values(state.leases).every((expiresAt) => expiresAt <= now);
+      if (idle && now - state.windowStart >= windowMs) expired.push(storageKey);
+    }
+    for (let i = 0; i < expired.length; i += STORAGE_BATCH_SIZE) {
+      await this.storage.delete(expired.slice(i, i + STORAGE_BATCH_SIZE));
+    }
+  }
+}
+
+/**
+ * 取得范围的当前计数，窗口到期时重新开始，并移除过期租约
+ * @param state - 存储中的计数，不存在时新建
+ * @param now - 当前时间（毫秒时间戳）
+ * @param windowMs - 窗口长度（毫秒）
+ * @returns 当前计数
+ */
+function refreshState(state: ScopeState | undefined, now: number, windowMs: number): ScopeState {
+  if (!state) return { windowStart: now, bytes: 0, leases: {} };
+  if (now - state.windowStart >= windowMs) {
+    state.windowStart = now;
+    state.bytes = 0;
+  }
+  for (const [lease, expiresAt] of Object.entries(state.leases)) {
+    if (expiresAt <= now) delete state.leases[lease];
+  }
+  return state;
+}
+
+/**
+ * 获取配额实例
+ */
+function quotaStub(ns: DurableObjectNamespace) {
+  return ns.get(ns.idFromName(SPEED_QUOTA_NAME));
+}
+
+/**
+ * 申请下载配额
+ * @param ns - SpeedQuota 绑定
+ * @param request - 申请参数
+ * @returns 申请结果
+ */
+export async function acquireSpeedQuota(ns: DurableObjectNamespace, request: QuotaRequest): Promise<QuotaResult> {
+  const res = await quotaStub(ns).fetch(`${SPEED_QUOTA_ORIGIN}/acquire`, {
+    method: 'POST',
+    body: JSON.stringify(request),
+  });
+  if (!res.ok) throw new Error(`SpeedQuota acquire failed: ${res.status}`);
+  return res.json<QuotaResult>();
+}
+
+/**
+ * 释放租约
+ * @param ns - SpeedQuota 绑定
+ * @param lease - 租约 ID
+ * @param keys - 申请时的范围键
+ */
+export async function releaseSpeedQuota(ns: DurableObjectNamespace, lease: string, keys: string[]): Promise<void> {
+  await quotaStub(ns).fetch(`${SPEED_QUOTA_ORIGIN}/release`, {
+    method: 'POST',
+    body: JSON.stringify({ lease, keys }),
+  });
+}
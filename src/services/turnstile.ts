@@ -0,0 +1,55 @@
+/**
+ * Cloudflare Turnstile 校验服务
+ * 调用 siteverify 接口校验页面取得的 Turnstile 令牌
+ */
+
+/** siteverify 默认地址 */
+export const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+/** siteverify 超时时间（毫秒） */
+const TURNSTILE_TIMEOUT = 10000;
+
+/** Turnstile 令牌最大长度 */
+export const TURNSTILE_TOKEN_MAX_LENGTH = 2048;
+
+/**
+ * 校验 Turnstile 令牌
+ * @param options.secret - Turnstile 密钥
+ * @param options.token - 页面取得的令牌
+ * @param options.ip - 客户端 IP，供 Turnstile 辅助判断
+ * @param options.verifyUrl - siteverify 地址，本地开发和测试时可指向替身服务
+ * @returns 是否通过；siteverify 不可达或返回非 2xx 时抛出异常
+ */
+export async function verifyTurnstile(options: {
+  secret: string;
+  token: string;
+  ip?: string;
+  verifyUrl?: string;
+}): Promise<boolean> {
+  const form = new URLSearchParams({ secret: options.secret, response: options.token });
+  if (options.ip) form.set('remoteip', options.ip);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TURNSTILE_TIMEOUT);
+
+  let response: Response;
+  try {
+    response = await fetch(options.verifyUrl || TURNSTILE_VERIFY_URL, {
+      method: 'POST',
+      body: form,
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    throw new Error(`siteverify ${response.status}`);
+  }
+
+  const result = await response.json<{ success?: boolean; 'error-codes'?: string[] }>();
+  if (!result.success) {
+    console.warn(`[Session] Turnstile rejected: ${(result['error-codes'] || []).join(',')}`);
+  }
+  return result.success === true;
+}
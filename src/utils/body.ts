@@ -0,0 +1,38 @@
+/**
+ * 请求体工具函数
+ */
+
+/**
+ * 读取文本请求体，超过上限时停止读取
+ * 先按 Content-Length 拒绝，再按实际读到的字节数计数，过大的请求体不会被整个缓冲
+ * @param req - 原始请求
+ * @param maxBytes - 允许的最大字节数
+ * @returns 请求体文本（UTF-8），超过上限时返回 null
+ */
+export async function readTextBody(req: Request, maxBytes: number): Promise<string | null> {
+  const declared = Number(req.headers.get('Content-Length'));
+  if (declared > maxBytes) return null;
+  if (!req.body) return '';
+
+  const reader = req.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return new TextDecoder().decode(bytes);
+}
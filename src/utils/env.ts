@@ -0,0 +1,15 @@
+/**
+ * 环境变量工具函数
+ */
+
+/**
+ * 读取数值型环境变量
+ * @param value - 环境变量
+ * @param fallback - 未配置或无效时的默认值
+ * @returns 非负数
+ */
+export function readNumber(value: string | undefined, fallback: number): number {
+  if (value === undefined || value.trim() === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
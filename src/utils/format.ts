@@ -0,0 +1,126 @@
+/**
+ * 数据序列化工具
+ * 将 JSON 对象转换为 text / yaml / csv 等便于脚本处理的格式
+ */
+
+/** 支持的输出格式 */
+export const OUTPUT_FORMATS = ['json', 'text', 'yaml', 'csv'] as const;
+
+/** 输出格式 */
+export type OutputFormat = (typeof OUTPUT_FORMATS)[number];
+
+/** 各格式对应的 Content-Type */
+export const FORMAT_CONTENT_TYPES: Record<OutputFormat, string> = {
+  json: 'application/json; charset=UTF-8',
+  text: 'text/plain; charset=UTF-8',
+  yaml: 'application/yaml; charset=UTF-8',
+  csv: 'text/csv; charset=UTF-8',
+};
+
+type Scalar = string | number | boolean | null;
+
+/**
+ * 判断是否为支持的输出格式
+ * @param value - 格式名
+ */
+export function isOutputFormat(value: string): value is OutputFormat {
+  return (OUTPUT_FORMATS as readonly string[]).includes(value);
+}
+
+/**
+ * 将嵌套对象展开为点分路径的键值对
+ * @param value - 任意 JSON 值
+ * @param prefix - 键前缀
+ * @returns [路径, 标量值] 列表，如 ['isp.name', '中国电信']
+ */
+export function flattenObject(value: unknown, prefix = ''): Array<[string, Scalar]> {
+  if (value === null || typeof value !== 'object') {
+    return [[prefix, (value ?? null) as Scalar]];
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, i) => [String(i), item] as const)
+    : Object.entries(value);
+
+  return entries.flatMap(([key, item]) => flattenObject(item, prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * 转换为 key=value 的纯文本，每行一个字段
+ * 例：curl .../api/ip?format=text | grep ^asn= | cut -d= -f2
+ * @param value - JSON 对象
+ * @returns 纯文本
+ */
+export function toText(value: unknown): string {
+  return flattenObject(value)
+    .map(([key, item]) => `${key}=${item ?? ''}`)
+    .join('\n') + '\n';
+}
+
+/**
+ * 转换为 CSV：第一行为字段路径，第二行为值
+ * @param value - JSON 对象
+ * @returns CSV 文本
+ */
+export function toCsv(value: unknown): string {
+  const pairs = flattenObject(value);
+  const quote = (cell: string) => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+  const header = pairs.map(([key]) => quote(key)).join(',');
+  const row = pairs.map(([, item]) => quote(item == null ? '' : String(item))).join(',');
+  return `${header}\r\n${row}\r\n`;
+}
+
+/**
+ * 转换为 YAML
+ * 字符串统一使用双引号（与 JSON 字符串语法兼容），避免歧义
+ * @param value - JSON 值
+ * @param indent - 当前缩进
+ * @returns YAML 文本
+ */
+export function toYaml(value: unknown, indent = ''): string {
+  if (value === null || typeof value !== 'object') {
+    return `${yamlScalar(value)}\n`;
+  }
+
+  const isArray = Array.isArray(value);
+  const entries: Array<[string, unknown]> = isArray ? value.map((item) => ['-', item]) : Object.entries(value);
+  if (entries.length === 0) return isArray ? '[]\n' : '{}\n';
+
+  return entries
+    .map(([key, item]) => {
+      const label = isArray ? '-' : `${key}:`;
+      if (item !== null && typeof item === 'object' && Object.keys(item).length > 0) {
+        return `${indent}${label}\n${toYaml(item, `${indent}  `)}`;
+      }
+      return `${indent}${label} ${toYaml(item, `${indent}  `)}`;
+    })
+    .join('');
+}
+
+/**
+ * 格式化 YAML 标量
+ */
+function yamlScalar(value: unknown): string {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * 按格式序列化
+ * @param value - JSON 对象
+ * @param format - 输出格式
+ * @returns 序列化后的文本
+ */
+export function serialize(value: unknown, format: OutputFormat): string {
+  switch (format) {
+    case 'text':
+      return toText(value);
+    case 'yaml':
+      return toYaml(value);
+    case 'csv':
+      return toCsv(value);
+    default:
+      return JSON.stringify(value);
+  }
+}
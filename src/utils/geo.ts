@@ -0,0 +1,22 @@
+/**
+ * 地理计算工具
+ */
+
+/** 地球平均半径（公里） */
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * 计算两点间的大圆距离（Haversine 公式）
+ * @param lat1 - 起点纬度
+ * @param lon1 - 起点经度
+ * @param lat2 - 终点纬度
+ * @param lon2 - 终点经度
+ * @returns 距离（公里）
+ */
+export function distanceKm(lat1: number, lon1: number, lat2: number, lon2: number): number {
+  const toRad = (deg: number) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
@@ -0,0 +1,18 @@
+/**
+ * HTML 工具函数
+ */
+
+/**
+ * HTML 转义函数 - M8 修复：防止 XSS 攻击
+ * 同样适用于 SVG/XML 文本和属性
+ * @param str - 需要转义的字符串
+ * @returns 转义后的字符串
+ */
+export function escapeHtml(str: string): string {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
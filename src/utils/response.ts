@@ -5,6 +5,8 @@
 
 import type { Context } from 'hono';
 import type { ContentfulStatusCode } from 'hono/utils/http-status';
+import { FORMAT_CONTENT_TYPES, serialize } from './format';
+import type { OutputFormat } from './format';
 
 /**
  * 返回错误响应
@@ -27,3 +29,15 @@ export function errorResponse(c: Context, message: string, status: ContentfulSta
 export function successResponse(c: Context, data: unknown) {
   return c.json(data);
 }
+
+/**
+ * 按指定格式返回成功响应
+ * @param c - Hono Context
+ * @param data - 响应数据
+ * @param format - 输出格式（json / text / yaml / csv）
+ * @returns Response
+ */
+export function formattedResponse(c: Context, data: unknown, format: OutputFormat) {
+  if (format === 'json') return successResponse(c, data);
+  return c.body(serialize(data, format), 200, { 'Content-Type': FORMAT_CONTENT_TYPES[format] });
+}
@@ -2,6 +2,10 @@
  * Cloudflare speed.cloudflare.com /locations 中英对照（展示用）
  */
 
+import { DEFAULT_LOCALE } from '../i18n';
+import type { Locale } from '../i18n';
+import { localizePlace } from '../i18n/places';
+
 /** 区域中文化映射 */
 export const SPEED_REGION_ZH: Record<string, string> = {
   Africa: '非洲',
@@ -385,21 +389,23 @@ export const SPEED_CITY_ZH: Record<string, string> = {
 
 /**
  * 本地化测速点列表
- * 将区域和城市名称翻译为中文
+ * 按语言翻译区域和城市名称，繁体和日文由简体中文与英文派生
  * @param locations - 原始测速点列表
+ * @param locale - 目标语言
  * @returns 翻译后的测速点列表
  */
 export function localizeSpeedLocations(
-  locations: Array<{ region?: string; city?: string }>
+  locations: Array<{ region?: string; city?: string }>,
+  locale: Locale = DEFAULT_LOCALE
 ): Array<{ region?: string; city?: string }> {
   if (!Array.isArray(locations)) return locations;
 
   for (const loc of locations) {
     if (loc.region) {
-      loc.region = SPEED_REGION_ZH[loc.region] || loc.region;
+      loc.region = localizePlace(locale, loc.region, SPEED_REGION_ZH[loc.region]);
     }
     if (loc.city) {
-      loc.city = SPEED_CITY_ZH[loc.city] || loc.city;
+      loc.city = localizePlace(locale, loc.city, SPEED_CITY_ZH[loc.city]);
     }
   }
 
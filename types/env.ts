@@ -2,14 +2,110 @@
  * Cloudflare Workers 环境变量类型定义
  */
 export interface Env {
+  /** AI 提供方尝试顺序，逗号分隔，可选 zhipu / openai / workers-ai（默认按此顺序尝试已配置的提供方） */
+  AI_PROVIDERS?: string;
+
   /** 智谱 AI API Key */
   ZHIPU_API_KEY?: string;
 
-  // 如果需要 KV 存储，取消注释以下代码
-  // CACHE: KVNamespace;
+  /** 智谱模型名称（默认 GLM-4-Flash-250414） */
+  ZHIPU_MODEL?: string;
+
+  /** 智谱接口根地址（默认 https://open.bigmodel.cn/api/paas/v4） */
+  ZHIPU_BASE_URL?: string;
+
+  /** OpenAI 兼容接口根地址（默认 https://api.openai.com/v1），配置了本项或 OPENAI_API_KEY 即启用 */
+  OPENAI_BASE_URL?: string;
+
+  /** OpenAI 兼容接口 API Key */
+  OPENAI_API_KEY?: string;
+
+  /** OpenAI 兼容接口模型名称（默认 gpt-4o-mini） */
+  OPENAI_MODEL?: string;
+
+  /** Workers AI 绑定 */
+  AI?: Ai;
+
+  /** Workers AI 模型名称（默认 @cf/meta/llama-3.1-8b-instruct-fp8） */
+  WORKERS_AI_MODEL?: string;
+
+  /** 仅 IPv4 可达的主机名（只有 A 记录），用于双栈检测 */
+  IPV4_HOST?: string;
+
+  /** 仅 IPv6 可达的主机名（只有 AAAA 记录），用于双栈检测 */
+  IPV6_HOST?: string;
+
+  /** 缓存 KV：AI 分析结果缓存；未绑定 RATE_LIMITER 时也保存 /api/analyze、/api/probe、/api/results 的限流状态（尽力而为） */
+  CACHE?: KVNamespace;
+
+  /** 限流 Durable Object（RateLimiter）：每个限流键一个实例，原子计数（未绑定时退回 CACHE，都未绑定时 /api/probe 按 isolate 计数、其余接口不限流） */
+  RATE_LIMITER?: DurableObjectNamespace;
+
+  /** AI 分析结果缓存时间（秒，默认 3600，0 表示不缓存） */
+  AI_CACHE_TTL?: string;
+
+  /** /api/analyze 每个 IP 的令牌桶容量（默认 5，0 表示不限流） */
+  AI_RATE_LIMIT?: string;
+
+  /** /api/analyze 令牌桶每补充一个令牌的间隔（秒，默认 60） */
+  AI_RATE_LIMIT_INTERVAL?: string;
+
+  /** /api/probe 每个 IP 的令牌桶容量（默认 10，0 表示不限流；RATE_LIMITER 和 CACHE 都未绑定时按 isolate 计数） */
+  PROBE_RATE_LIMIT?: string;
+
+  /** /api/probe 令牌桶每补充一个令牌的间隔（秒，默认 3） */
+  PROBE_RATE_LIMIT_INTERVAL?: string;
+
+  /** POST /api/results 每个 IP 的令牌桶容量（默认 10，0 表示不限流；需绑定 RATE_LIMITER 或 CACHE） */
+  RESULTS_RATE_LIMIT?: string;
+
+  /** POST /api/results 令牌桶每补充一个令牌的间隔（秒，默认 60） */
+  RESULTS_RATE_LIMIT_INTERVAL?: string;
+
+  /** 测速配额 Durable Object（SpeedQuota）：限制 /api/speed/download 的下载量与并发数（未绑定时不限制） */
+  SPEED_QUOTA?: DurableObjectNamespace;
+
+  /** 测速配额窗口长度（秒，默认 3600） */
+  SPEED_QUOTA_WINDOW?: string;
+
+  /** 每个 IP 每个窗口可下载的字节数（默认 2000000000，0 表示不限） */
+  SPEED_IP_BYTES?: string;
+
+  /** 每个 IP 同时进行的下载数（默认 16，0 表示不限） */
+  SPEED_IP_CONCURRENT?: string;
+
+  /** 全站每个窗口可下载的字节数（默认 0，不限） */
+  SPEED_GLOBAL_BYTES?: string;
+
+  /** 全站同时进行的下载数（默认 0，不限） */
+  SPEED_GLOBAL_CONCURRENT?: string;
 
-  // 如果需要 D1 数据库，取消注释以下代码
-  // DB: D1Database;
+  /** Turnstile 站点密钥（公开，页面渲染组件用） */
+  TURNSTILE_SITE_KEY?: string;
+
+  /** Turnstile 密钥：配置后测速下载和 AI 分析需先通过 /api/session 取得会话 Cookie，也用于签名 Cookie */
+  TURNSTILE_SECRET_KEY?: string;
+
+  /** Turnstile siteverify 地址（默认 https://challenges.cloudflare.com/turnstile/v0/siteverify），本地可指向替身服务 */
+  TURNSTILE_VERIFY_URL?: string;
+
+  /** 会话 Cookie 有效期（秒，默认 1800） */
+  SESSION_TTL?: string;
+
+  /** 页面延迟监测目标，JSON 数组，结构同 src/data/ping-targets.json（CONFIG KV 中的列表优先） */
+  PING_TARGETS?: string;
+
+  /** IP-ASN 数据 KV：scripts/build-ip-asn.mjs --shards 生成的全量分片，供 /api/lookup 查询（未绑定时只查打包的部分数据） */
+  IP_ASN?: KVNamespace;
+
+  /** 运行时配置 KV：覆盖打包的节点映射、运营商规则与延迟监测目标（未绑定时使用打包数据） */
+  CONFIG?: KVNamespace;
+
+  /** 管理接口令牌，通过 Authorization: Bearer 传入（未配置时管理接口返回 503） */
+  ADMIN_TOKEN?: string;
+
+  /** D1 数据库：保存测速结果历史（未绑定时结果接口返回 503） */
+  DB?: D1Database;
 }
 
 /**
@@ -34,8 +130,14 @@ export interface CfProperties {
   httpProtocol?: string;
   /** TLS 版本 */
   tlsVersion?: string;
-  /** 是否使用 TLS */
+  /** TLS 加密套件 */
   tlsCipher?: string;
+  /** 客户端原始的 Accept-Encoding（边缘会改写请求头中的值） */
+  clientAcceptEncoding?: string;
+  /** 客户端纬度（按 IP 估算，Cloudflare 以字符串形式提供） */
+  latitude?: string;
+  /** 客户端经度 */
+  longitude?: string;
 }
 
 /**
@@ -67,6 +169,23 @@ export interface IPInfo {
     raw: string;
   };
   rtt: number;
+  connection: ConnectionInfo;
+}
+
+/**
+ * 连接元数据
+ */
+export interface ConnectionInfo {
+  /** HTTP 协议版本，如 HTTP/2、HTTP/3 */
+  httpProtocol: string;
+  /** TLS 版本，如 TLSv1.3；明文连接为空 */
+  tlsVersion: string;
+  /** TLS 加密套件 */
+  tlsCipher: string;
+  /** 客户端声明支持的压缩算法 */
+  acceptEncoding: string;
+  /** 是否为 TLS 1.3 0-RTT 早期数据请求 */
+  earlyData: boolean;
 }
 
 /**
@@ -85,3 +204,185 @@ export interface ColoInfo {
   name: string;
   iso: string | null;
 }
+
+/**
+ * 数据中心详情（/api/colos）
+ */
+export interface ColoDetail {
+  /** IATA 代码 */
+  code: string;
+  /** 中文名称 */
+  name: string;
+  /** 英文名称 */
+  nameEn: string;
+  /** 国旗代码（小写） */
+  iso: string | null;
+  /** 国家代码（大写） */
+  country: string | null;
+  /** 所属区域，与 speed.cloudflare.com 的 region 一致 */
+  region: string | null;
+  /** 纬度，仅存在于 KV 覆盖中的节点为 null */
+  lat: number | null;
+  /** 经度 */
+  lon: number | null;
+}
+
+/**
+ * 单项带宽测速结果
+ */
+export interface BandwidthStats {
+  /** 全程平均速率 (Mbps) */
+  mbps: number;
+  /** 峰值速率 (Mbps) */
+  peakMbps?: number;
+  /** 传输字节数 */
+  bytes?: number;
+  /** 并发流数 */
+  streams?: number;
+}
+
+/**
+ * 延迟测量结果
+ */
+export interface LatencyStats {
+  /** 握手 RTT (ms) */
+  rtt?: number;
+  /** 空闲延迟 (ms) */
+  idle?: number;
+  /** 负载延迟 (ms) */
+  loaded?: number;
+  /** 抖动 (ms) */
+  jitter?: number;
+  /** Bufferbloat 评级 */
+  grade?: string;
+}
+
+/**
+ * 客户端提交的测速结果
+ */
+export interface SpeedResultInput {
+  download?: BandwidthStats;
+  upload?: BandwidthStats;
+  latency?: LatencyStats;
+}
+
+/**
+ * 测速结果中公开的 IP 信息
+ * 结果可通过分享链接读取，不含 IP 地址、城市和连接指纹
+ */
+export interface ResultIPInfo {
+  location: Pick<IPInfo['location'], 'country' | 'region'>;
+  node: IPInfo['node'];
+  asn: number;
+  isp: IPInfo['isp'];
+  rtt: number;
+}
+
+/**
+ * 已保存的测速结果
+ */
+export interface SpeedResult extends SpeedResultInput {
+  id: string;
+  /** 保存时间（ISO 8601） */
+  createdAt: string;
+  /** 保存时由服务端采集的 IP 信息（已去除可识别个人的字段） */
+  ipInfo: ResultIPInfo;
+}
+
+/**
+ * AI 分析时客户端可附带的测量指标
+ */
+export interface AnalysisMetrics extends SpeedResultInput {
+  /** 最近的延迟采样 (ms)，0 表示超时 */
+  samples?: number[];
+}
+
+/**
+ * 提交给 AI 的归一化测量指标
+ * 数值按档位取区间（如 20-50），同一档位的用户得到相同的上下文
+ */
+export interface AnalysisMeasurements {
+  /** 代表延迟档位 (ms)：空闲延迟、握手 RTT、采样中位数依次优先 */
+  latency?: string;
+  /** 负载延迟档位 (ms) */
+  loadedLatency?: string;
+  /** 抖动档位 (ms) */
+  jitter?: string;
+  /** Bufferbloat 评级 */
+  grade?: string;
+  /** 下载带宽档位 (Mbps) */
+  download?: string;
+  /** 上传带宽档位 (Mbps) */
+  upload?: string;
+  /** 延迟采样中超时的比例档位 (%) */
+  loss?: string;
+}
+
+/**
+ * 提交给 AI 的分析上下文（除 measured 外均由服务端采集）
+ * 分析结果会被相同上下文的用户复用，因此不含 IP、城市和原始数值
+ */
+export interface AnalysisContext {
+  ipVersion: 4 | 6;
+  /** 识别后的运营商名称 */
+  isp: string;
+  asn: number;
+  /** 国家/地区代码 */
+  country: string;
+  /** 接入节点，如 东京 (NRT) */
+  node: string;
+  httpProtocol: string;
+  tlsVersion: string;
+  /** 客户端到边缘节点的 TCP RTT 档位 (ms)，HTTP/3 下不可用 */
+  tcpRtt?: string;
+  /** 客户端附带的测量指标 */
+  measured?: AnalysisMeasurements;
+}
+
+/**
+ * 缓存的 AI 分析结果
+ */
+export interface CachedAnalysis {
+  /** 完整的分析文本 */
+  text: string;
+  /** 生成结果的提供方 */
+  provider: string;
+  /** Token 用量（上游提供时） */
+  usage?: { promptTokens: number; completionTokens: number; totalTokens: number };
+}
+
+/**
+ * 边缘探测结果（耗时单位为毫秒）
+ */
+export interface ProbeResult {
+  /** 目标主机名或 IP */
+  target: string;
+  port: number;
+  /** TCP 建连耗时 */
+  tcp: number;
+  /** TLS 握手耗时，80 端口为 null */
+  tls: number | null;
+  /** 发出 HEAD 请求到收到首个字节的耗时 */
+  ttfb: number;
+  /** 响应状态码，无法解析时为 null */
+  status: number | null;
+}
+
+/**
+ * 任意 IP 查询结果（基于打包的 IP-ASN 数据集）
+ */
+export interface IPLookupResult {
+  ip: string;
+  version: 4 | 6;
+  range: {
+    start: string;
+    end: string;
+  };
+  asn: number;
+  organization: string;
+  country: string;
+  isp: {
+    name: string;
+    raw: string;
+  };
+}
@@ -1,3 +1,4 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vitest/config';
 
 export default defineConfig({
@@ -10,5 +11,13 @@ export default defineConfig({
     environment: 'node',
     // 全局变量
     globals: true,
+    // 启动本地 AI 模拟服务，供 AI 提供方测试使用
+    globalSetup: ['src/__tests__/helpers/ai-mock-server.mjs'],
+  },
+  resolve: {
+    alias: {
+      // Workers 运行时模块在 Node 中不存在，测试时换成不出网的替身
+      'cloudflare:sockets': fileURLToPath(new URL('./src/__tests__/helpers/sockets.ts', import.meta.url)),
+    },
   },
 });